@@ -3,12 +3,16 @@ import { Routes, Route } from 'react-router-dom';
 import Home from './pages/Home';
 import SignUpPage from './pages/SignUp';
 import LoginPage from './pages/Login';
+import ForgotPasswordPage from './pages/ForgotPassword';
+import ResetPasswordPage from './pages/ResetPassword';
 import SiteHeadingAndNav from './components/SiteHeadingAndNav';
 import NotFoundPage from './pages/NotFound';
 import UserContext from './contexts/current-user-context';
 import { checkForLoggedInUser } from './adapters/auth-adapter';
 import UsersPage from './pages/Users';
 import UserPage from './pages/User';
+import AdminReviewsPage from './pages/AdminReviews';
+import AuditLogsPage from './pages/AuditLogs';
 
 export default function App() {
   const { setCurrentUser } = useContext(UserContext);
@@ -28,8 +32,12 @@ export default function App() {
         <Route path='/' element={<Home />} />
         <Route path='/login' element={<LoginPage />} />
         <Route path='/sign-up' element={<SignUpPage />} />
+        <Route path='/forgot-password' element={<ForgotPasswordPage />} />
+        <Route path='/reset-password' element={<ResetPasswordPage />} />
         <Route path='/users' element={<UsersPage />} />
         <Route path='/users/:id' element={<UserPage />} />
+        <Route path='/admin/reviews' element={<AdminReviewsPage />} />
+        <Route path='/audit-logs' element={<AuditLogsPage />} />
         <Route path='*' element={<NotFoundPage />} />
       </Routes>
     </main>
@@ -0,0 +1,26 @@
+// Audit trail (auditors only). Filters are passed straight through as query params.
+import { fetchHandler } from "../utils/fetchingUtils";
+
+const baseUrl = '/api/audit-logs';
+
+// <input type="datetime-local"> values have no time zone; send them as the user's local time
+// (anything unparseable is sent as-is for the server to reject)
+const toIsoDate = (value) => {
+  const date = new Date(value);
+  return value && !Number.isNaN(date.getTime()) ? date.toISOString() : value;
+};
+
+// drop empty filters so they are not sent as blank params
+const toQueryString = ({ from, to, ...params }) => new URLSearchParams(
+  Object.entries({ ...params, from: toIsoDate(from), to: toIsoDate(to) })
+    .filter(([, value]) => value !== '' && value !== null && value !== undefined),
+).toString();
+
+export const getAuditLogs = async (filters, cursor = null) => {
+  return fetchHandler(`${baseUrl}?${toQueryString({ ...filters, cursor })}`);
+};
+
+// a plain link: the browser downloads the file with the session cookie
+export const getAuditLogExportUrl = (filters, format) => {
+  return `${baseUrl}/export?${toQueryString({ ...filters, format })}`;
+};
@@ -1,4 +1,4 @@
-import { fetchHandler, getPostOptions, deleteOptions, basicFetchOptions } from "../utils/fetchingUtils";
+import { fetchHandler, getPostOptions, getPatchOptions, deleteOptions, basicFetchOptions } from "../utils/fetchingUtils";
 
 const baseUrl = '/api/auth';
 
@@ -6,8 +6,9 @@ export const registerUser = async ({ username, password }) => {
   return fetchHandler(`${baseUrl}/register`, getPostOptions({ username, password }))
 };
 
-export const logUserIn = async ({ username, password }) => {
-  return fetchHandler(`${baseUrl}/login`, getPostOptions({ username, password }))
+// totpCode / recoveryCode: the second factor, once the user enrolled an authenticator
+export const logUserIn = async ({ username, password, totpCode, recoveryCode }) => {
+  return fetchHandler(`${baseUrl}/login`, getPostOptions({ username, password, totpCode, recoveryCode }))
 };
 
 export const logUserOut = async () => {
@@ -17,3 +18,50 @@ export const logUserOut = async () => {
 export const checkForLoggedInUser = async () => {
   return await fetchHandler(`${baseUrl}/me`,  { credentials: 'include' });
 };
+
+// Signed-in devices of the current user
+export const getSessions = async () => {
+  return fetchHandler(`${baseUrl}/sessions`, basicFetchOptions);
+};
+
+export const revokeSession = async (sessionId) => {
+  return fetchHandler(`${baseUrl}/sessions/${sessionId}`, deleteOptions);
+};
+
+export const signOutEverywhere = async () => {
+  return fetchHandler(`${baseUrl}/sessions`, deleteOptions);
+};
+
+// Passwords: change while signed in, or reset with the token from a reset link
+export const changePassword = async ({ currentPassword, newPassword }) => {
+  return fetchHandler(`${baseUrl}/password`, getPatchOptions({ currentPassword, newPassword }));
+};
+
+export const requestPasswordReset = async ({ username }) => {
+  return fetchHandler(`${baseUrl}/password/forgot`, getPostOptions({ username }));
+};
+
+export const resetPassword = async ({ token, newPassword }) => {
+  return fetchHandler(`${baseUrl}/password/reset`, getPostOptions({ token, newPassword }));
+};
+
+// Two-factor authentication (TOTP authenticator apps)
+export const getTotpStatus = async () => {
+  return fetchHandler(`${baseUrl}/2fa/totp`, basicFetchOptions);
+};
+
+export const beginTotpEnrollment = async () => {
+  return fetchHandler(`${baseUrl}/2fa/totp`, getPostOptions({}));
+};
+
+export const confirmTotpEnrollment = async ({ code }) => {
+  return fetchHandler(`${baseUrl}/2fa/totp/confirm`, getPostOptions({ code }));
+};
+
+export const disableTotp = async ({ code }) => {
+  return fetchHandler(`${baseUrl}/2fa/totp`, {
+    ...deleteOptions,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code }),
+  });
+};
@@ -0,0 +1,16 @@
+// Admin review queue: transfers the risk engine held for a decision
+import { fetchHandler, getPostOptions } from "../utils/fetchingUtils";
+
+const baseUrl = '/api/admin/reviews';
+
+export const getPendingReviews = async () => {
+  return fetchHandler(baseUrl);
+};
+
+export const approveReview = async (transactionId) => {
+  return fetchHandler(`${baseUrl}/${transactionId}/approve`, getPostOptions({}));
+};
+
+export const declineReview = async (transactionId) => {
+  return fetchHandler(`${baseUrl}/${transactionId}/decline`, getPostOptions({}));
+};
@@ -0,0 +1,39 @@
+import { useState } from "react";
+import { changePassword } from "../adapters/auth-adapter";
+import PasswordPolicyErrors from "./PasswordPolicyErrors";
+
+export default function ChangePasswordForm() {
+  const [message, setMessage] = useState('');
+  const [violations, setViolations] = useState([]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setMessage('');
+    setViolations([]);
+    const formData = new FormData(event.target);
+    const [, error] = await changePassword(Object.fromEntries(formData));
+
+    if (error?.body?.violations) return setViolations(error.body.violations);
+
+    // 403 means the current password didn't match
+    if (error) {
+      return setMessage(error.cause === 403 ? 'Current password is incorrect.' : 'Sorry, the password could not be changed.');
+    }
+
+    setMessage('Password changed. Your other devices have been signed out.');
+    event.target.reset();
+  };
+
+  return <form onSubmit={handleSubmit} aria-labelledby="password-heading">
+    <h2 id="password-heading">Change Password</h2>
+    <label htmlFor='currentPassword'>Current Password</label>
+    <input type='password' autoComplete='current-password' id='currentPassword' name='currentPassword' />
+
+    <label htmlFor='newPassword'>New Password</label>
+    <input type='password' autoComplete='new-password' id='newPassword' name='newPassword' />
+    <PasswordPolicyErrors violations={violations} />
+
+    <button>Change Password</button>
+    {message ? <p>{message}</p> : ''}
+  </form>;
+}
@@ -0,0 +1,9 @@
+// The password policy rules a new password broke, one per line.
+// `violations` is the server's list of { rule, message } (error.body.violations)
+export default function PasswordPolicyErrors({ violations }) {
+  if (!violations?.length) return null;
+
+  return <ul aria-label="Password problems">
+    {violations.map(({ rule, message }) => <li key={rule} data-rule={rule}>{message}</li>)}
+  </ul>;
+}
@@ -0,0 +1,51 @@
+import { useEffect, useState } from "react";
+import { getSessions, revokeSession, signOutEverywhere } from "../adapters/auth-adapter";
+
+// The current user's signed-in devices, each of which can be signed out
+export default function SessionList() {
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState(null);
+
+  const loadSessions = async () => {
+    const [data, error] = await getSessions();
+    if (error) return setError(error);
+    setSessions(data.sessions);
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    const [, error] = await revokeSession(sessionId);
+    // a 404 means it already ended; drop it either way
+    if (error && error.cause !== 404) return setError(error);
+    setSessions((current) => current.filter((session) => session.sessionId !== sessionId));
+  };
+
+  const handleSignOutEverywhere = async () => {
+    const [, error] = await signOutEverywhere();
+    if (error) return setError(error);
+    loadSessions();
+  };
+
+  if (error) return <p>Sorry, there was a problem loading your sessions. Please try again later.</p>;
+
+  return <section aria-labelledby="sessions-heading">
+    <h2 id="sessions-heading">Signed-in Devices</h2>
+    <ul>
+      {
+        sessions.map((session) => <li key={session.sessionId}>
+          <p>{session.userAgent || 'Unknown device'} ({session.ipAddress || 'unknown address'})</p>
+          <p>Signed in {new Date(session.createdAt).toLocaleString()}</p>
+          {
+            session.current
+              ? <p>This device</p>
+              : <button onClick={() => handleRevoke(session.sessionId)}>Sign Out</button>
+          }
+        </li>)
+      }
+    </ul>
+    {sessions.length > 1 ? <button onClick={handleSignOutEverywhere}>Sign Out Everywhere Else</button> : ''}
+  </section>;
+}
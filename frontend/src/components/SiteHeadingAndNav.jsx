@@ -2,6 +2,9 @@ import { NavLink } from "react-router-dom";
 import { useContext } from "react";
 import CurrentUserContext from "../contexts/current-user-context";
 
+// roles that may browse other users (see server/policies/rolePermissions.js)
+const STAFF_ROLES = ['support', 'admin'];
+
 export default function SiteHeadingAndNav() {
   const { currentUser } = useContext(CurrentUserContext);
 
@@ -14,7 +17,9 @@ export default function SiteHeadingAndNav() {
         {
           currentUser
             ? <>
-              <li><NavLink to='/users' end={true}>Users</NavLink></li>
+              {STAFF_ROLES.includes(currentUser.role) && <li><NavLink to='/users' end={true}>Users</NavLink></li>}
+              {currentUser.role === 'admin' && <li><NavLink to='/admin/reviews'>Reviews</NavLink></li>}
+              {currentUser.role === 'auditor' && <li><NavLink to='/audit-logs'>Audit Logs</NavLink></li>}
               <li><NavLink to={`/users/${currentUser.id}`}>{currentUser.username}</NavLink></li>
             </>
             : <>
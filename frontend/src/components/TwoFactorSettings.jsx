@@ -0,0 +1,90 @@
+import { useEffect, useState } from "react";
+import {
+  getTotpStatus,
+  beginTotpEnrollment,
+  confirmTotpEnrollment,
+  disableTotp,
+} from "../adapters/auth-adapter";
+
+// Enroll or remove a TOTP authenticator app for the current user
+export default function TwoFactorSettings() {
+  const [enabled, setEnabled] = useState(null);
+  const [enrollment, setEnrollment] = useState(null); // { secret, otpauthUri } while enrolling
+  const [recoveryCodes, setRecoveryCodes] = useState(null); // shown once, after confirming
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const loadStatus = async () => {
+      const [data] = await getTotpStatus();
+      if (data) setEnabled(data.enabled);
+    };
+    loadStatus();
+  }, []);
+
+  const handleBegin = async () => {
+    setMessage('');
+    const [data, error] = await beginTotpEnrollment();
+    if (error) return setMessage('Sorry, enrollment could not be started.');
+    setEnrollment(data);
+  };
+
+  const handleConfirm = async (event) => {
+    event.preventDefault();
+    const { code } = Object.fromEntries(new FormData(event.target));
+    const [data, error] = await confirmTotpEnrollment({ code });
+    if (error) return setMessage('That code did not match. Check the time on your device and try again.');
+
+    setEnrollment(null);
+    setEnabled(true);
+    setRecoveryCodes(data.recoveryCodes);
+    setMessage('');
+  };
+
+  const handleDisable = async (event) => {
+    event.preventDefault();
+    const { code } = Object.fromEntries(new FormData(event.target));
+    const [, error] = await disableTotp({ code });
+    if (error) return setMessage('That code did not match.');
+
+    setEnabled(false);
+    setRecoveryCodes(null);
+    setMessage('Two-factor authentication is off.');
+  };
+
+  if (enabled === null) return null;
+
+  return <section aria-labelledby="two-factor-heading">
+    <h2 id="two-factor-heading">Two-Factor Authentication</h2>
+    {
+      recoveryCodes ? <>
+        <p>Save these recovery codes somewhere safe. Each works once if you lose your authenticator; they will not be shown again.</p>
+        <ul>{recoveryCodes.map((code) => <li key={code}><code>{code}</code></li>)}</ul>
+      </> : ''
+    }
+    {
+      enabled ? <form onSubmit={handleDisable} aria-label="Turn off two-factor authentication">
+        <p>On. Logging in and large transfers need a code from your authenticator app.</p>
+        <label htmlFor='disableCode'>Authenticator Code</label>
+        <input type='text' inputMode='numeric' autoComplete='one-time-code' id='disableCode' name='code' />
+        <button>Turn Off</button>
+      </form> : ''
+    }
+    {
+      !enabled && !enrollment ? <>
+        <p>Off. Add an authenticator app for a second step at login.</p>
+        <button onClick={handleBegin}>Set Up Authenticator</button>
+      </> : ''
+    }
+    {
+      enrollment ? <form onSubmit={handleConfirm} aria-label="Confirm authenticator">
+        <p>Add this account to your authenticator app with the setup link (or a QR code made from it), or type the key in by hand.</p>
+        <p><a href={enrollment.otpauthUri}>Setup link</a></p>
+        <p>Key: <code>{enrollment.secret}</code></p>
+        <label htmlFor='confirmCode'>Code from the App</label>
+        <input type='text' inputMode='numeric' autoComplete='one-time-code' id='confirmCode' name='code' />
+        <button>Confirm</button>
+      </form> : ''
+    }
+    {message ? <p>{message}</p> : ''}
+  </section>;
+}
@@ -0,0 +1,68 @@
+import { useContext, useEffect, useState } from "react";
+import { Navigate } from "react-router-dom";
+import CurrentUserContext from "../contexts/current-user-context";
+import { approveReview, declineReview, getPendingReviews } from "../adapters/review-adapter";
+import { formatMoney } from "../utils/money";
+
+export default function AdminReviewsPage() {
+  const { currentUser } = useContext(CurrentUserContext);
+  const [reviews, setReviews] = useState([]);
+  const [error, setError] = useState(null);
+  const [pendingId, setPendingId] = useState(null);
+
+  useEffect(() => {
+    const loadReviews = async () => {
+      const [data, error] = await getPendingReviews();
+      if (error) setError(error);
+      else if (data) setReviews(data.reviews);
+    }
+    loadReviews();
+  }, []);
+
+  if (!currentUser) return <Navigate to="/login" />;
+  if (currentUser.role !== 'admin') return <Navigate to="/" />;
+
+  const decide = async (decision, transactionId) => {
+    setPendingId(transactionId);
+    const [, error] = await decision(transactionId);
+    setPendingId(null);
+
+    // a 404 means another admin already decided it; drop it either way
+    if (error && error.cause !== 404) return setError(error);
+    setReviews((current) => current.filter((review) => review.transactionId !== transactionId));
+  };
+
+  if (error) return <p>Sorry, there was a problem with the review queue. Please try again later.</p>;
+
+  return <>
+    <h1>Transfers Awaiting Review</h1>
+    {
+      reviews.length === 0
+        ? <p>Nothing to review.</p>
+        : <ul>
+          {
+            reviews.map((review) => <li key={review.transactionId}>
+              <p>
+                {formatMoney(review.amount, review.currency)}
+                {review.convertedAmount !== null
+                  && ` (${formatMoney(review.convertedAmount, review.convertedCurrency)})`}
+                {' '}from {review.fromAccountId} to {review.toAccountId}
+              </p>
+              <p>Held {new Date(review.createdAt).toLocaleString()}</p>
+              <ul>
+                {review.ruleHits.map((hit) => <li key={hit}>{hit}</li>)}
+              </ul>
+              <button
+                disabled={pendingId === review.transactionId}
+                onClick={() => decide(approveReview, review.transactionId)}
+              >Approve</button>
+              <button
+                disabled={pendingId === review.transactionId}
+                onClick={() => decide(declineReview, review.transactionId)}
+              >Decline</button>
+            </li>)
+          }
+        </ul>
+    }
+  </>;
+}
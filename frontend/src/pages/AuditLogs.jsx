@@ -0,0 +1,135 @@
+import { useContext, useEffect, useState } from "react";
+import { Navigate, useSearchParams } from "react-router-dom";
+import CurrentUserContext from "../contexts/current-user-context";
+import { getAuditLogExportUrl, getAuditLogs } from "../adapters/audit-log-adapter";
+
+const FILTER_FIELDS = ['targetId', 'actorId', 'action', 'outcome', 'from', 'to'];
+const OUTCOMES = ['ATTEMPTED', 'SUCCEEDED', 'REJECTED', 'FAILED', 'FLAGGED'];
+
+// The query string is the source of truth, so a trace (e.g. ?targetId=<transaction id>)
+// can be bookmarked or shared between auditors.
+const filtersFromSearchParams = (searchParams) => {
+  const filters = { order: searchParams.get('order') || 'desc' };
+  FILTER_FIELDS.forEach((field) => {
+    filters[field] = searchParams.get(field) || '';
+  });
+  return filters;
+};
+
+export default function AuditLogsPage() {
+  const { currentUser } = useContext(CurrentUserContext);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [form, setForm] = useState(() => filtersFromSearchParams(searchParams));
+  const [auditLogs, setAuditLogs] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [error, setError] = useState(null);
+
+  const filters = filtersFromSearchParams(searchParams);
+  const filtersKey = searchParams.toString();
+
+  useEffect(() => {
+    const loadFirstPage = async () => {
+      const [data, error] = await getAuditLogs(filtersFromSearchParams(new URLSearchParams(filtersKey)));
+      if (error) return setError(error);
+      setError(null);
+      setAuditLogs(data.auditLogs);
+      setNextCursor(data.nextCursor);
+    };
+    loadFirstPage();
+  }, [filtersKey]);
+
+  if (!currentUser) return <Navigate to="/login" />;
+  if (currentUser.role !== 'auditor') return <Navigate to="/" />;
+
+  const handleChange = (event) => setForm({ ...form, [event.target.name]: event.target.value });
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    setSearchParams(Object.fromEntries(Object.entries(form).filter(([, value]) => value !== '')));
+  };
+
+  const loadMore = async () => {
+    const [data, error] = await getAuditLogs(filters, nextCursor);
+    if (error) return setError(error);
+    setAuditLogs([...auditLogs, ...data.auditLogs]);
+    setNextCursor(data.nextCursor);
+  };
+
+  // tracing one target reads best oldest first: ATTEMPTED, then its outcome
+  const traceTarget = (targetId) => setSearchParams({ targetId, order: 'asc' });
+
+  return <>
+    <h1>Audit Logs</h1>
+    <form onSubmit={handleSubmit} aria-labelledby="audit-filter-heading">
+      <h2 id="audit-filter-heading">Filter</h2>
+      <label htmlFor="targetId">Target id (e.g. a transaction id)</label>
+      <input type="text" id="targetId" name="targetId" value={form.targetId} onChange={handleChange} />
+
+      <label htmlFor="actorId">Actor id</label>
+      <input type="text" id="actorId" name="actorId" value={form.actorId} onChange={handleChange} />
+
+      <label htmlFor="action">Action</label>
+      <input type="text" id="action" name="action" placeholder="TRANSFER" value={form.action} onChange={handleChange} />
+
+      <label htmlFor="outcome">Outcome</label>
+      <select id="outcome" name="outcome" value={form.outcome} onChange={handleChange}>
+        <option value="">Any</option>
+        {OUTCOMES.map((outcome) => <option key={outcome} value={outcome}>{outcome}</option>)}
+      </select>
+
+      <label htmlFor="from">From</label>
+      <input type="datetime-local" id="from" name="from" value={form.from} onChange={handleChange} />
+
+      <label htmlFor="to">To</label>
+      <input type="datetime-local" id="to" name="to" value={form.to} onChange={handleChange} />
+
+      <label htmlFor="order">Order</label>
+      <select id="order" name="order" value={form.order} onChange={handleChange}>
+        <option value="desc">Newest first</option>
+        <option value="asc">Oldest first</option>
+      </select>
+
+      <button>Search</button>
+    </form>
+
+    <p>
+      Export: <a href={getAuditLogExportUrl(filters, 'csv')}>CSV</a>
+      {' | '}
+      <a href={getAuditLogExportUrl(filters, 'json')}>JSON</a>
+    </p>
+
+    {error ? <p>Sorry, there was a problem loading the audit log. Check the filters and try again.</p> : ''}
+
+    <table>
+      <thead>
+        <tr>
+          <th>Time</th>
+          <th>Actor</th>
+          <th>Action</th>
+          <th>Target</th>
+          <th>Outcome</th>
+          <th>Reason</th>
+          <th>Source</th>
+        </tr>
+      </thead>
+      <tbody>
+        {
+          auditLogs.map((log) => <tr key={log.auditLogId}>
+            <td>{new Date(log.createdAt).toLocaleString()}</td>
+            <td>{log.actorType} {log.actorId}</td>
+            <td>{log.action}</td>
+            <td>
+              {log.targetType}{' '}
+              {log.targetId && <button type="button" onClick={() => traceTarget(log.targetId)}>{log.targetId}</button>}
+            </td>
+            <td>{log.outcome}</td>
+            <td>{log.reason}</td>
+            <td title={log.userAgent || ''}>{log.ipAddress}</td>
+          </tr>)
+        }
+      </tbody>
+    </table>
+    {auditLogs.length === 0 && !error ? <p>No audit entries match.</p> : ''}
+    {nextCursor ? <button onClick={loadMore}>Load more</button> : ''}
+  </>;
+}
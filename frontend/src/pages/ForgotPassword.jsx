@@ -0,0 +1,33 @@
+import { useState } from "react";
+import { requestPasswordReset } from "../adapters/auth-adapter";
+
+export default function ForgotPasswordPage() {
+  const [username, setUsername] = useState('');
+  const [sent, setSent] = useState(false);
+  const [errorText, setErrorText] = useState('');
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setErrorText('');
+
+    const [, error] = await requestPasswordReset({ username });
+    if (error) return setErrorText(error.cause === 429 ? 'Too many requests. Try again later.' : error.message);
+
+    setSent(true);
+  };
+
+  // the answer is the same whether or not the user exists
+  if (sent) return <p>If that user exists, a password reset link is on its way.</p>;
+
+  return <>
+    <h1>Forgot Password</h1>
+    <form onSubmit={handleSubmit} aria-labelledby="forgot-heading">
+      <h2 id='forgot-heading'>Get a reset link</h2>
+      <label htmlFor="username">Username</label>
+      <input type="text" autoComplete="username" id="username" name="username" value={username} onChange={(e) => setUsername(e.target.value)} />
+
+      <button>Send reset link</button>
+    </form>
+    {errorText ? <p>{errorText}</p> : ''}
+  </>;
+}
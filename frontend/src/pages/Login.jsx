@@ -1,13 +1,18 @@
 import { useContext, useState } from "react";
-import { useNavigate, Navigate } from "react-router-dom";
+import { useNavigate, Navigate, Link } from "react-router-dom";
 import { logUserIn } from "../adapters/auth-adapter";
 import CurrentUserContext from "../contexts/current-user-context";
 
+const SECOND_FACTOR_ERRORS = ['TOTP_REQUIRED', 'INVALID_TOTP_CODE', 'INVALID_RECOVERY_CODE'];
+
 export default function LoginPage() {
   const navigate = useNavigate();
   const [errorText, setErrorText] = useState('');
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
+  // shown once the server asks for a second factor
+  const [secondFactorRequired, setSecondFactorRequired] = useState(false);
+  const [secondFactor, setSecondFactor] = useState('');
   const { currentUser, setCurrentUser } = useContext(CurrentUserContext);
 
   // users shouldn't be able to see the login page if they are already logged in.
@@ -19,7 +24,18 @@ export default function LoginPage() {
     event.preventDefault();
     setErrorText('');
 
-    const [user, error] = await logUserIn({ username, password });
+    // six digits are an authenticator code, anything else a recovery code
+    const isTotpCode = /^\d{6}$/.test(secondFactor.trim());
+    const [user, error] = await logUserIn({
+      username,
+      password,
+      totpCode: secondFactorRequired && isTotpCode ? secondFactor.trim() : undefined,
+      recoveryCode: secondFactorRequired && !isTotpCode ? secondFactor : undefined,
+    });
+    if (SECOND_FACTOR_ERRORS.includes(error?.body?.error)) {
+      setSecondFactorRequired(true);
+      return setErrorText(error.body.message);
+    }
     if (error) return setErrorText(error.message);
 
     setCurrentUser(user);
@@ -36,8 +52,16 @@ export default function LoginPage() {
       <label htmlFor="password">Password</label>
       <input type="password" autoComplete="current-password" id="password" name="password" value={password} onChange={(e) => setPassword(e.target.value)} />
 
+      {
+        secondFactorRequired ? <>
+          <label htmlFor="secondFactor">Authenticator or Recovery Code</label>
+          <input type="text" autoComplete="one-time-code" id="secondFactor" name="secondFactor" value={secondFactor} onChange={(e) => setSecondFactor(e.target.value)} />
+        </> : ''
+      }
+
       <button>Log in!</button>
     </form>
     {errorText ? <p>{errorText}</p> : ''}
+    <p><Link to='/forgot-password'>Forgot your password?</Link></p>
   </>;
 }
@@ -0,0 +1,45 @@
+import { useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { resetPassword } from "../adapters/auth-adapter";
+import PasswordPolicyErrors from "../components/PasswordPolicyErrors";
+
+export default function ResetPasswordPage() {
+  const [searchParams] = useSearchParams();
+  const [newPassword, setNewPassword] = useState('');
+  const [done, setDone] = useState(false);
+  const [errorText, setErrorText] = useState('');
+  const [violations, setViolations] = useState([]);
+  const token = searchParams.get('token');
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setErrorText('');
+    setViolations([]);
+
+    const [, error] = await resetPassword({ token, newPassword });
+    // a weak password leaves the link usable: show the rules and let the user try again
+    if (error?.body?.violations) return setViolations(error.body.violations);
+    // otherwise 400 covers invalid, expired and already used links alike
+    if (error?.cause === 400) return setErrorText('This reset link is invalid, expired or already used.');
+    if (error) return setErrorText(error.message);
+
+    setDone(true);
+  };
+
+  if (!token) return <p>This reset link is incomplete. <Link to='/forgot-password'>Ask for a new one.</Link></p>;
+
+  if (done) return <p>Your password has been reset and every device signed out. <Link to='/login'>Log in</Link></p>;
+
+  return <>
+    <h1>Reset Password</h1>
+    <form onSubmit={handleSubmit} aria-labelledby="reset-heading">
+      <h2 id='reset-heading'>Choose a new password</h2>
+      <label htmlFor="newPassword">New Password</label>
+      <input type="password" autoComplete="new-password" id="newPassword" name="newPassword" value={newPassword} onChange={(e) => setNewPassword(e.target.value)} />
+      <PasswordPolicyErrors violations={violations} />
+
+      <button>Reset password</button>
+    </form>
+    {errorText ? <p>{errorText}</p> : ''}
+  </>;
+}
@@ -2,6 +2,7 @@ import { useContext, useState } from "react";
 import { useNavigate, Navigate, Link } from "react-router-dom";
 import CurrentUserContext from "../contexts/current-user-context";
 import { registerUser } from "../adapters/auth-adapter";
+import PasswordPolicyErrors from "../components/PasswordPolicyErrors";
 
 // Controlling the sign up form is a good idea because we want to add (eventually)
 // more validation and provide real time feedback to the user about usernames and passwords
@@ -9,6 +10,7 @@ export default function SignUpPage() {
   const navigate = useNavigate();
   const { currentUser, setCurrentUser } = useContext(CurrentUserContext);
   const [errorText, setErrorText] = useState('');
+  const [violations, setViolations] = useState([]);
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
 
@@ -20,9 +22,12 @@ export default function SignUpPage() {
   const handleSubmit = async (event) => {
     event.preventDefault();
     setErrorText('');
+    setViolations([]);
     if (!username || !password) return setErrorText('Missing username or password');
 
     const [user, error] = await registerUser({ username, password });
+    // a weak password comes back with every rule it broke, shown under the password field
+    if (error?.body?.violations) return setViolations(error.body.violations);
     if (error) return setErrorText(error.message);
 
     setCurrentUser(user);
@@ -57,7 +62,13 @@ export default function SignUpPage() {
         name="password"
         onChange={handleChange}
         value={password}
+        aria-describedby="password-rules"
       />
+      <p id="password-rules">
+        At least 12 characters, mixing 3 of: lowercase, uppercase, digits, symbols.
+        Not your username, and not a common or breached password.
+      </p>
+      <PasswordPolicyErrors violations={violations} />
 
       {/* In reality, we'd want a LOT more validation on signup, so add more things if you have time
         <label htmlFor="password-confirm">Password Confirm</label>
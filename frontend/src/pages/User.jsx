@@ -4,6 +4,9 @@ import CurrentUserContext from "../contexts/current-user-context";
 import { getUser } from "../adapters/user-adapter";
 import { logUserOut } from "../adapters/auth-adapter";
 import UpdateUsernameForm from "../components/UpdateUsernameForm";
+import SessionList from "../components/SessionList";
+import ChangePasswordForm from "../components/ChangePasswordForm";
+import TwoFactorSettings from "../components/TwoFactorSettings";
 
 export default function UserPage() {
   const navigate = useNavigate();
@@ -11,7 +14,7 @@ export default function UserPage() {
   const [userProfile, setUserProfile] = useState(null);
   const [error, setError] = useState(null);
   const { id } = useParams();
-  const isCurrentUserProfile = currentUser && currentUser.id === Number(id);
+  const isCurrentUserProfile = currentUser && String(currentUser.id) === id; // ids are UUIDs
 
   useEffect(() => {
     const loadUser = async () => {
@@ -44,6 +47,9 @@ export default function UserPage() {
       isCurrentUserProfile ? (
         <>
           <UpdateUsernameForm currentUser={currentUser} setCurrentUser={setCurrentUser} />
+          <ChangePasswordForm />
+          <TwoFactorSettings />
+          <SessionList />
           <button onClick={handleLogout}>Log Out</button>
         </>
       ) : ''
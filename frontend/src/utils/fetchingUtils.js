@@ -26,9 +26,15 @@ export const fetchHandler = async (url, options = {}) => {
   try {
     const response = await fetch(url, options);
     const { ok, status, headers } = response;
-    if (!ok) throw new Error(`Fetch failed with status - ${status}`, { cause: status });
-
     const isJson = (headers.get('content-type') || '').includes('application/json');
+
+    if (!ok) {
+      const error = new Error(`Fetch failed with status - ${status}`, { cause: status });
+      // the server's JSON error body (e.g. { error, message }), if it sent one
+      if (isJson) error.body = await response.json().catch(() => null);
+      throw error;
+    }
+
     const responseData = await (isJson ? response.json() : response.text());
 
     return [responseData, null];
@@ -0,0 +1,17 @@
+// Money helpers. The API sends and expects every amount as an integer
+// number of cents (see server/utils/money.js); they are formatted at the UI edge.
+
+const CENTS_PER_UNIT = 100;
+
+// 123456 -> "$1,234.56", (123456, 'EUR') -> "€1,234.56"
+export const formatMoney = (cents, currency = 'USD') => {
+  const formatter = new Intl.NumberFormat('en-US', { style: 'currency', currency });
+  const sign = cents < 0 ? '-' : '';
+  const absolute = Math.abs(cents);
+  const units = Math.floor(absolute / CENTS_PER_UNIT);
+  const remainder = absolute % CENTS_PER_UNIT;
+
+  // Format whole units and cents separately so large balances never pass through a float
+  const [whole] = formatter.format(units).split('.');
+  return `${sign}${whole}.${String(remainder).padStart(2, '0')}`;
+};
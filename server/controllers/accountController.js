@@ -0,0 +1,138 @@
+/**
+ * accountController.js
+ *
+ * Responsibilities:
+ * - Extract HTTP request data
+ * - Call accountService
+ * - Map domain result objects to HTTP responses
+ * - Delegate ALL thrown errors to global error middleware via next(error)
+ *
+ * Must NOT:
+ * - Contain business logic
+ * - Perform DB operations
+ */
+
+const accountService = require('../services/accountService');
+
+/**
+ * HTTP status for each rejection reason returned by accountService.
+ */
+const REJECTION_STATUS = {
+  ACCOUNT_NOT_FOUND: 404,
+  INVALID_STATUS_TRANSITION: 409,
+  FREEZE_NOT_PLACED_BY_OWNER: 403,
+  ACCOUNT_BALANCE_NOT_ZERO: 409,
+  UNSUPPORTED_CURRENCY: 400,
+};
+
+/**
+ * Maps domain result objects to HTTP responses.
+ * Must not handle thrown system errors.
+ */
+const mapDomainResultToHttp = (result, res, successStatus = 200) => {
+  if (!result || typeof result !== 'object') {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+
+  const { success, reason, ...body } = result;
+
+  if (success === true) {
+    return res.status(successStatus).json(body);
+  }
+  if (success === false && REJECTION_STATUS[reason]) {
+    return res.status(REJECTION_STATUS[reason]).json({ success: false, error: reason });
+  }
+
+  return res.status(500).json({ error: 'Internal Server Error' });
+};
+
+/**
+ * POST /api/accounts
+ */
+exports.openAccount = async function openAccount(req, res, next) {
+  try {
+    const result = await accountService.openAccount({
+      userId: req.session.userId,
+      currency: req.body?.currency,
+      auditContext: req.auditContext,
+    });
+    return mapDomainResultToHttp(result, res, 201);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/accounts
+ */
+exports.listAccounts = async function listAccounts(req, res, next) {
+  try {
+    const result = await accountService.listAccounts({ userId: req.session.userId });
+    return mapDomainResultToHttp(result, res);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/accounts/:id
+ */
+exports.showAccount = async function showAccount(req, res, next) {
+  try {
+    const result = await accountService.getAccount({
+      userId: req.session.userId,
+      accountId: req.params.id,
+    });
+    return mapDomainResultToHttp(result, res);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/accounts/:id/freeze
+ */
+exports.freezeAccount = async function freezeAccount(req, res, next) {
+  try {
+    const result = await accountService.freezeAccount({
+      userId: req.session.userId,
+      accountId: req.params.id,
+      auditContext: req.auditContext,
+    });
+    return mapDomainResultToHttp(result, res);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/accounts/:id/unfreeze
+ */
+exports.unfreezeAccount = async function unfreezeAccount(req, res, next) {
+  try {
+    const result = await accountService.unfreezeAccount({
+      userId: req.session.userId,
+      accountId: req.params.id,
+      auditContext: req.auditContext,
+    });
+    return mapDomainResultToHttp(result, res);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/accounts/:id/terminate
+ */
+exports.terminateAccount = async function terminateAccount(req, res, next) {
+  try {
+    const result = await accountService.terminateAccount({
+      userId: req.session.userId,
+      accountId: req.params.id,
+      auditContext: req.auditContext,
+    });
+    return mapDomainResultToHttp(result, res);
+  } catch (error) {
+    return next(error);
+  }
+};
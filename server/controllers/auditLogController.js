@@ -0,0 +1,81 @@
+/**
+ * auditLogController.js
+ *
+ * Responsibilities:
+ * - Extract HTTP request data (validated by validateAuditLogQuery)
+ * - Call auditLogService
+ * - Map domain result objects to HTTP responses, as JSON or a CSV download
+ * - Delegate ALL thrown errors to global error middleware via next(error)
+ *
+ * Must NOT:
+ * - Contain business logic
+ * - Perform DB operations
+ */
+
+const auditLogService = require('../services/auditLogService');
+const { toCsv } = require('../utils/csv');
+
+const REJECTION_STATUS = {
+  INVALID_CURSOR: 400,
+};
+
+const CSV_COLUMNS = [
+  'sequenceNumber',
+  'createdAt',
+  'actorType',
+  'actorId',
+  'action',
+  'targetType',
+  'targetId',
+  'outcome',
+  'reason',
+  'ipAddress',
+  'userAgent',
+  'auditLogId',
+];
+
+/**
+ * GET /api/audit-logs
+ */
+exports.listAuditLogs = async function listAuditLogs(req, res, next) {
+  try {
+    const { filters, order, cursor, limit } = req.auditLogQuery;
+    const result = await auditLogService.listAuditLogs({ filters, order, cursor, limit });
+
+    if (result?.success === true) {
+      return res.status(200).json({ auditLogs: result.auditLogs, nextCursor: result.nextCursor });
+    }
+    if (result?.success === false && REJECTION_STATUS[result.reason]) {
+      return res.status(REJECTION_STATUS[result.reason])
+        .json({ success: false, error: result.reason });
+    }
+
+    return res.status(500).json({ error: 'Internal Server Error' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/audit-logs/export?format=csv|json
+ * The whole filtered trail as a download. A cut-short export is flagged in
+ * the Audit-Export-Truncated header (and in the JSON body).
+ */
+exports.exportAuditLogs = async function exportAuditLogs(req, res, next) {
+  try {
+    const { filters, order, format } = req.auditLogQuery;
+    const { auditLogs, truncated } = await auditLogService.exportAuditLogs({ filters, order });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    res.set('Content-Disposition', `attachment; filename="audit-logs-${stamp}.${format}"`);
+    res.set('Audit-Export-Truncated', String(truncated));
+
+    if (format === 'csv') {
+      return res.status(200).type('text/csv').send(toCsv(CSV_COLUMNS, auditLogs));
+    }
+
+    return res.status(200).json({ auditLogs, truncated });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -1,55 +1,136 @@
 const User = require('../models/User');
+const { recordAudit, ANONYMOUS_ACTOR_ID } = require('../db/auditLog');
+const { startSession, endSession } = require('../utils/sessions');
+const sessionService = require('../services/sessionService');
+const passwordService = require('../services/passwordService');
+const totpService = require('../services/totpService');
+const {
+  checkPassword,
+  passwordPolicyError,
+  passwordPolicyReason,
+} = require('../policies/passwordPolicy');
 
+const SECOND_FACTOR_MESSAGES = {
+  TOTP_REQUIRED: 'A code from your authenticator app (or a recovery code) is required.',
+  INVALID_TOTP_CODE: 'Invalid authenticator code.',
+  INVALID_RECOVERY_CODE: 'Invalid recovery code.',
+};
 
-exports.registerUser = async (req, res) => {
-  // Request needs a body
-  if (!req.body) {
-    return res.status(400).send({ message: 'Username and password required' });
-  }
+const UNIQUE_VIOLATION = '23505';
 
-  // Body needs a username and password
-  const { username, password } = req.body;
-  if (!username || !password) {
-    return res.status(400).send({ message: 'Username and password required' });
-  }
+// Credentials must be non-empty strings: JSON numbers, arrays or objects
+// would otherwise reach the password policy and bcrypt and throw
+const areFilledStrings = (...values) => values.every((value) => (
+  typeof value === 'string' && value !== ''
+));
 
-  // User.create will handle hashing the password and storing in the database
-  const user = await User.create(username, password);
+// Every register / login / logout attempt is audited with the request's IP and user agent
+const auditAuthEvent = (req, entry) => recordAudit({
+  actorId: ANONYMOUS_ACTOR_ID,
+  ...entry,
+  context: req.auditContext,
+});
 
-  // Add the user id to the cookie and send the user data back
-  req.session.userId = user.id;
-  res.send(user);
-};
+exports.registerUser = async (req, res, next) => {
+  const audit = (outcome, fields = {}) => auditAuthEvent(req, {
+    action: 'USER_REGISTER',
+    targetType: 'USER',
+    outcome,
+    ...fields,
+  });
 
-exports.loginUser = async (req, res) => {
-  console.log('LOGIN HIT', req.body.username);
-  // Request needs a body
-  if (!req.body) {
-    return res.status(400).send({ message: 'Username and password required' });
-  }
+  try {
+    // Request needs a body with a username and password
+    const { username, password } = req.body || {};
+    if (!areFilledStrings(username, password)) {
+      await audit('REJECTED', { reason: 'MISSING_CREDENTIALS' });
+      return res.status(400).send({ message: 'Username and password required' });
+    }
 
-  // Body needs a username and password
-  const { username, password } = req.body;
-  if (!username || !password) {
-    return res.status(400).send({ message: 'Username and password required' });
-  }
+    // The password must pass the policy; every broken rule is sent back for the form
+    const violations = checkPassword(password, { username });
+    if (violations.length) {
+      await audit('REJECTED', { reason: passwordPolicyReason(violations) });
+      return res.status(400).send(passwordPolicyError(violations));
+    }
 
-  // Username must be valid
-  const user = await User.findByUsername(username);
-  if (!user) {
-    return res.status(404).send({ message: 'User not found.' });
-  }
-  console.log('login payload user=', user);
+    // User.create will handle hashing the password and storing in the database
+    let user;
+    try {
+      user = await User.create(username, password);
+    } catch (error) {
+      if (error.code !== UNIQUE_VIOLATION) throw error;
+
+      await audit('REJECTED', { reason: 'USERNAME_TAKEN' });
+      return res.status(409).send({ message: 'Username already taken.' });
+    }
 
-  // Password must match
-  const isPasswordValid = await user.isValidPassword(password);
-  if (!isPasswordValid) {
-    return res.status(401).send({ message: 'Invalid credentials.' });
+    await audit('SUCCEEDED', { actorId: user.id, targetId: user.id });
+
+    // Log the new user in and send the user data back
+    await startSession(req, user.id);
+    return res.send(user);
+  } catch (error) {
+    return next(error);
   }
+};
 
-  // Add the user id to the cookie and send the user data back
-  req.session.userId = user.id;
-  res.send(user);
+exports.loginUser = async (req, res, next) => {
+  const audit = (outcome, fields = {}) => auditAuthEvent(req, {
+    action: 'LOGIN',
+    targetType: 'SESSION',
+    outcome,
+    ...fields,
+  });
+
+  try {
+    // Request needs a body with a username and password
+    const { username, password } = req.body || {};
+    if (!areFilledStrings(username, password)) {
+      await audit('REJECTED', { reason: 'MISSING_CREDENTIALS' });
+      return res.status(400).send({ message: 'Username and password required' });
+    }
+
+    // Username must be valid
+    const user = await User.findByUsername(username);
+    if (!user) {
+      await audit('REJECTED', { reason: 'UNKNOWN_USERNAME' });
+      return res.status(404).send({ message: 'User not found.' });
+    }
+
+    // Password must match
+    const isPasswordValid = await user.isValidPassword(password);
+    if (!isPasswordValid) {
+      await audit('REJECTED', { actorId: user.id, reason: 'INVALID_PASSWORD' });
+      return res.status(401).send({ message: 'Invalid credentials.' });
+    }
+
+    // Once an authenticator is enrolled, the password alone is not enough
+    if (await totpService.isTotpEnabled(user.id)) {
+      const { totpCode, recoveryCode } = req.body;
+      const factor = await totpService.verifySecondFactor({
+        userId: user.id,
+        code: totpCode,
+        recoveryCode,
+      });
+
+      if (!factor.success) {
+        await audit('REJECTED', { actorId: user.id, reason: factor.error });
+        return res.status(401).send({
+          error: factor.error,
+          message: SECOND_FACTOR_MESSAGES[factor.error],
+        });
+      }
+    }
+
+    await startSession(req, user.id);
+    await audit('SUCCEEDED', { actorId: user.id, targetId: req.session.sessionId });
+
+    // The cookie now carries the new session id; send the user data back
+    return res.send(user);
+  } catch (error) {
+    return next(error);
+  }
 };
 
 exports.showMe = async (req, res) => {
@@ -63,7 +144,238 @@ exports.showMe = async (req, res) => {
   res.send(user);
 };
 
-exports.logoutUser = (req, res) => {
-  req.session = null; // "erase" the cookie
-  res.status(204).send({ message: "User logged out." });
+exports.logoutUser = async (req, res, next) => {
+  try {
+    const { userId, sessionId } = req.session;
+    if (userId) {
+      await auditAuthEvent(req, {
+        actorId: userId,
+        action: 'LOGOUT',
+        targetType: 'SESSION',
+        targetId: sessionId,
+        outcome: 'SUCCEEDED',
+      });
+    }
+
+    await endSession(req, res); // delete the session server-side
+    return res.status(204).send({ message: "User logged out." });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/*
+GET /api/auth/sessions
+The current user's active sessions (signed-in devices)
+*/
+exports.listSessions = async (req, res, next) => {
+  try {
+    const { sessions } = await sessionService.listSessions({
+      userId: req.session.userId,
+      currentSid: req.sessionID,
+    });
+    return res.status(200).json({ sessions });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/*
+DELETE /api/auth/sessions/:sessionId
+Signs one of the current user's sessions out
+*/
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const result = await sessionService.revokeSession({
+      userId: req.session.userId,
+      sessionId: req.params.sessionId,
+      auditContext: req.auditContext,
+    });
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    // revoking the current session is a logout
+    if (result.sessionId === req.session.sessionId) {
+      await endSession(req, res);
+    }
+
+    return res.sendStatus(204);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/*
+DELETE /api/auth/sessions
+Signs out every other session of the current user
+*/
+exports.signOutEverywhere = async (req, res, next) => {
+  try {
+    const { revokedSessions } = await sessionService.signOutEverywhere({
+      userId: req.session.userId,
+      currentSid: req.sessionID,
+      auditContext: req.auditContext,
+    });
+    return res.status(200).json({ revokedSessions });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/*
+PATCH /api/auth/password
+Changes the current user's password; every other session is signed out
+*/
+exports.changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!areFilledStrings(currentPassword, newPassword)) {
+      return res.status(400).send({ message: 'Current and new password required' });
+    }
+
+    const result = await passwordService.changePassword({
+      userId: req.session.userId,
+      currentPassword,
+      newPassword,
+      currentSid: req.sessionID,
+      auditContext: req.auditContext,
+    });
+
+    if (!result.success) {
+      const status = {
+        USER_NOT_FOUND: 404,
+        INVALID_CURRENT_PASSWORD: 403,
+        PASSWORD_POLICY_VIOLATION: 400,
+      }[result.error];
+      return res.status(status).json(result);
+    }
+
+    return res.status(200).json({ revokedSessions: result.revokedSessions });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/*
+POST /api/auth/password/forgot
+Sends a reset link to the user; the answer is the same for unknown usernames
+*/
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { username } = req.body || {};
+    if (!areFilledStrings(username)) {
+      return res.status(400).send({ message: 'Username required' });
+    }
+
+    await passwordService.requestPasswordReset({ username, auditContext: req.auditContext });
+    return res.status(202).send({ message: 'If the user exists, a reset link is on its way.' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/*
+POST /api/auth/password/reset
+Sets a new password with a reset token; every session is signed out
+*/
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, newPassword } = req.body || {};
+    if (!areFilledStrings(token, newPassword)) {
+      return res.status(400).send({ message: 'Reset token and new password required' });
+    }
+
+    const result = await passwordService.resetPassword({
+      token,
+      newPassword,
+      auditContext: req.auditContext,
+    });
+
+    if (!result.success) return res.status(400).json(result);
+
+    return res.sendStatus(204);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/*
+GET /api/auth/2fa/totp
+Whether the current user has an authenticator enrolled
+*/
+exports.showTotpStatus = async (req, res, next) => {
+  try {
+    const enabled = await totpService.isTotpEnabled(req.session.userId);
+    return res.status(200).json({ enabled });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/*
+POST /api/auth/2fa/totp
+Starts enrolling an authenticator: returns its secret and otpauth:// URI (for a QR code)
+*/
+exports.beginTotpEnrollment = async (req, res, next) => {
+  try {
+    const result = await totpService.beginTotpEnrollment({ userId: req.session.userId });
+    if (!result.success) {
+      return res.status(result.error === 'USER_NOT_FOUND' ? 404 : 409).json(result);
+    }
+
+    return res.status(201).json({ secret: result.secret, otpauthUri: result.otpauthUri });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/*
+POST /api/auth/2fa/totp/confirm
+Confirms enrollment with a first code; returns the recovery codes (shown once)
+*/
+exports.confirmTotpEnrollment = async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).send({ message: 'Authenticator code required' });
+    }
+
+    const result = await totpService.confirmTotpEnrollment({
+      userId: req.session.userId,
+      code: String(code),
+      auditContext: req.auditContext,
+    });
+
+    if (!result.success) return res.status(400).json(result);
+
+    return res.status(200).json({ recoveryCodes: result.recoveryCodes });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/*
+DELETE /api/auth/2fa/totp
+Removes the authenticator; needs a current code or a recovery code
+*/
+exports.disableTotp = async (req, res, next) => {
+  try {
+    const { code, recoveryCode } = req.body || {};
+    const result = await totpService.disableTotp({
+      userId: req.session.userId,
+      code,
+      recoveryCode,
+      auditContext: req.auditContext,
+    });
+
+    if (!result.success) {
+      return res.status(result.error === 'TOTP_NOT_ENABLED' ? 404 : 403).json(result);
+    }
+
+    return res.sendStatus(204);
+  } catch (error) {
+    return next(error);
+  }
 };
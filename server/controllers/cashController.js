@@ -0,0 +1,101 @@
+/**
+ * cashController.js
+ *
+ * Responsibilities:
+ * - Extract HTTP request data
+ * - Call cashService
+ * - Map domain result objects to HTTP responses
+ * - Delegate ALL thrown errors to global error middleware via next(error)
+ *
+ * Must NOT:
+ * - Contain business logic
+ * - Perform DB operations
+ * - Perform idempotency logic
+ * - Classify system errors
+ */
+
+const cashService = require('../services/cashService');
+
+/**
+ * HTTP status for requests refused before any transaction was attempted.
+ */
+const ERROR_STATUS = {
+  IDEMPOTENCY_KEY_REUSED: 422,
+  IDEMPOTENCY_REQUEST_IN_PROGRESS: 409,
+};
+
+/**
+ * Maps domain result objects to HTTP responses.
+ * Only handles SUCCESS, REJECTED and ERROR_STATUS refusals.
+ * Must not handle thrown system errors.
+ */
+const mapDomainResultToHttp = (result, res) => {
+  if (!result || typeof result !== 'object') {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+
+  const { success, transactionId, status, reason, accountId, amount, error } = result;
+
+  if (success === false && ERROR_STATUS[error]) {
+    return res.status(ERROR_STATUS[error]).json({ success: false, error, transactionId });
+  }
+
+  if (success === true && status === 'SUCCEEDED') {
+    return res.status(201).json({ transactionId, status, accountId, amount });
+  }
+  if (success === false && status === 'REJECTED') {
+    return res.status(422).json({ transactionId, status, reason });
+  }
+
+  return res.status(500).json({ error: 'Internal Server Error' });
+};
+
+/**
+ * POST /api/deposits
+ */
+exports.createDeposit = async function createDeposit(req, res, next) {
+  try {
+    const { toAccountId, amount } = req.body;
+
+    const result = await cashService.depositFunds({
+      initiatorUserId: req.session.userId,
+      toAccountId,
+      amount,
+      idempotencyKey: req.header('Idempotency-Key'),
+      auditContext: req.auditContext,
+    });
+
+    if (result?.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+
+    return mapDomainResultToHttp(result, res);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/withdrawals
+ */
+exports.createWithdrawal = async function createWithdrawal(req, res, next) {
+  try {
+    const { fromAccountId, amount } = req.body;
+
+    const result = await cashService.withdrawFunds({
+      initiatorUserId: req.session.userId,
+      fromAccountId,
+      amount,
+      idempotencyKey: req.header('Idempotency-Key'),
+      auditContext: req.auditContext,
+    });
+
+    if (result?.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+
+    return mapDomainResultToHttp(result, res);
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,139 @@
+/**
+ * holdController.js
+ *
+ * Responsibilities:
+ * - Extract HTTP request data
+ * - Call holdService
+ * - Map domain result objects to HTTP responses
+ * - Delegate ALL thrown errors to global error middleware via next(error)
+ *
+ * Must NOT:
+ * - Contain business logic
+ * - Perform DB operations
+ */
+
+const holdService = require('../services/holdService');
+
+/**
+ * HTTP status for rejection reasons that are not plain business rejections.
+ * Anything not listed maps to 422.
+ */
+const REJECTION_STATUS = {
+  FROM_ACCOUNT_NOT_OWNED: 403,
+  HOLD_NOT_AUTHORIZED: 409,
+};
+
+/**
+ * HTTP status for refusals that never created or changed a hold.
+ */
+const ERROR_STATUS = {
+  HOLD_NOT_FOUND: 404,
+  FROM_ACCOUNT_NOT_FOUND: 404,
+  TO_ACCOUNT_NOT_FOUND: 404,
+  IDEMPOTENCY_KEY_REUSED: 422,
+  IDEMPOTENCY_REQUEST_IN_PROGRESS: 409,
+};
+
+/**
+ * Maps domain result objects to HTTP responses.
+ * Must not handle thrown system errors.
+ */
+const mapDomainResultToHttp = (result, res, successStatus = 200) => {
+  if (!result || typeof result !== 'object') {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+
+  const { success, ...body } = result;
+  const { holdId, status, reason, error } = result;
+  delete body.replayed; // signalled by the Idempotent-Replayed header instead
+
+  if (success === false && ERROR_STATUS[error]) {
+    return res.status(ERROR_STATUS[error]).json({ success: false, error, holdId });
+  }
+
+  if (success === true) {
+    return res.status(successStatus).json(body);
+  }
+  if (success === false && status === 'REJECTED') {
+    return res.status(REJECTION_STATUS[reason] || 422).json({ holdId, status, reason });
+  }
+
+  return res.status(500).json({ error: 'Internal Server Error' });
+};
+
+/**
+ * POST /api/holds
+ */
+exports.authorizeHold = async function authorizeHold(req, res, next) {
+  try {
+    const { fromAccountId, toAccountId, amount, ttlMinutes } = req.body;
+
+    const result = await holdService.authorizeHold({
+      initiatorUserId: req.session.userId,
+      fromAccountId,
+      toAccountId,
+      amount,
+      ttlMinutes,
+      idempotencyKey: req.header('Idempotency-Key'),
+      auditContext: req.auditContext,
+    });
+
+    if (result?.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+
+    return mapDomainResultToHttp(result, res, 201);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/holds/:id
+ */
+exports.showHold = async function showHold(req, res, next) {
+  try {
+    const result = await holdService.getHold({
+      userId: req.session.userId,
+      holdId: req.params.id,
+    });
+    return mapDomainResultToHttp(result, res);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/holds/:id/capture
+ */
+exports.captureHold = async function captureHold(req, res, next) {
+  try {
+    const result = await holdService.captureHold({
+      userId: req.session.userId,
+      holdId: req.params.id,
+      amount: req.body?.amount,
+      auditContext: req.auditContext,
+    });
+    // captured into a transfer held for review: accepted, not settled yet
+    const successStatus = result?.transactionStatus === 'UNDER_REVIEW' ? 202 : 200;
+    return mapDomainResultToHttp(result, res, successStatus);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/holds/:id/void
+ */
+exports.voidHold = async function voidHold(req, res, next) {
+  try {
+    const result = await holdService.voidHold({
+      userId: req.session.userId,
+      holdId: req.params.id,
+      auditContext: req.auditContext,
+    });
+    return mapDomainResultToHttp(result, res);
+  } catch (error) {
+    return next(error);
+  }
+};
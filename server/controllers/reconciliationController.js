@@ -0,0 +1,31 @@
+/**
+ * reconciliationController.js
+ *
+ * Responsibilities:
+ * - Extract HTTP request data
+ * - Call reconciliationService
+ * - Delegate ALL thrown errors to global error middleware via next(error)
+ *
+ * Must NOT:
+ * - Contain business logic
+ * - Perform DB operations
+ */
+
+const reconciliationService = require('../services/reconciliationService');
+
+/**
+ * POST /api/admin/reconciliation
+ * Body: { repair?: boolean }
+ */
+exports.runReconciliation = async function runReconciliation(req, res, next) {
+  try {
+    const repair = req.body?.repair === true;
+    const report = await reconciliationService.reconcileLedger({
+      repair,
+      auditContext: req.auditContext,
+    });
+    return res.status(200).json(report);
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,86 @@
+/**
+ * reviewController.js
+ *
+ * Responsibilities:
+ * - Extract HTTP request data
+ * - Call transferReviewService
+ * - Map domain result objects to HTTP responses
+ * - Delegate ALL thrown errors to global error middleware via next(error)
+ *
+ * Must NOT:
+ * - Contain business logic
+ * - Perform DB operations
+ */
+
+const transferReviewService = require('../services/transferReviewService');
+
+/**
+ * Maps a review decision to an HTTP response.
+ * A decision that closed the transfer as REJECTED is still a completed
+ * review, so it is reported with 200 like an approval.
+ */
+const mapDecisionToHttp = (result, res) => {
+  if (!result || typeof result !== 'object') {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+
+  const { success, ...body } = result;
+
+  if (success === false && result.error === 'REVIEW_NOT_FOUND') {
+    return res.status(404).json({ success: false, error: result.error, message: result.message });
+  }
+
+  if (success === false && result.error === 'SELF_REVIEW_NOT_PERMITTED') {
+    return res.status(403).json({ success: false, error: result.error, message: result.message });
+  }
+
+  if (success === true || result.status === 'REJECTED') {
+    return res.status(200).json(body);
+  }
+
+  return res.status(500).json({ error: 'Internal Server Error' });
+};
+
+/**
+ * GET /api/admin/reviews
+ */
+exports.listReviews = async function listReviews(req, res, next) {
+  try {
+    const { reviews } = await transferReviewService.listPendingReviews();
+    return res.status(200).json({ reviews });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/admin/reviews/:id/approve
+ */
+exports.approveReview = async function approveReview(req, res, next) {
+  try {
+    const result = await transferReviewService.approveTransfer({
+      adminUserId: req.session.userId,
+      transactionId: req.params.id,
+      auditContext: req.auditContext,
+    });
+    return mapDecisionToHttp(result, res);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/admin/reviews/:id/decline
+ */
+exports.declineReview = async function declineReview(req, res, next) {
+  try {
+    const result = await transferReviewService.declineTransfer({
+      adminUserId: req.session.userId,
+      transactionId: req.params.id,
+      auditContext: req.auditContext,
+    });
+    return mapDecisionToHttp(result, res);
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,124 @@
+/**
+ * scheduledTransferController.js
+ *
+ * Responsibilities:
+ * - Extract HTTP request data
+ * - Call scheduledTransferService
+ * - Map domain result objects to HTTP responses
+ * - Delegate ALL thrown errors to global error middleware via next(error)
+ *
+ * Must NOT:
+ * - Contain business logic
+ * - Perform DB operations
+ */
+
+const scheduledTransferService = require('../services/scheduledTransferService');
+
+/**
+ * HTTP status for each rejection reason returned by scheduledTransferService.
+ */
+const REJECTION_STATUS = {
+  FROM_ACCOUNT_NOT_FOUND: 404,
+  TO_ACCOUNT_NOT_FOUND: 404,
+  SCHEDULED_TRANSFER_NOT_FOUND: 404,
+  SCHEDULED_TRANSFER_NOT_ACTIVE: 409,
+};
+
+/**
+ * Maps domain result objects to HTTP responses.
+ * Must not handle thrown system errors.
+ */
+const mapDomainResultToHttp = (result, res, successStatus = 200) => {
+  if (!result || typeof result !== 'object') {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+
+  const { success, reason, ...body } = result;
+
+  if (success === true) {
+    return res.status(successStatus).json(body);
+  }
+  if (success === false && REJECTION_STATUS[reason]) {
+    return res.status(REJECTION_STATUS[reason]).json({ success: false, error: reason });
+  }
+
+  return res.status(500).json({ error: 'Internal Server Error' });
+};
+
+/**
+ * POST /api/transfers/scheduled
+ */
+exports.createScheduledTransfer = async function createScheduledTransfer(req, res, next) {
+  try {
+    const result = await scheduledTransferService.createScheduledTransfer({
+      userId: req.session.userId,
+      ...req.scheduledTransfer,
+      auditContext: req.auditContext,
+    });
+    return mapDomainResultToHttp(result, res, 201);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/transfers/scheduled
+ */
+exports.listScheduledTransfers = async function listScheduledTransfers(req, res, next) {
+  try {
+    const result = await scheduledTransferService.listScheduledTransfers({
+      userId: req.session.userId,
+    });
+    return mapDomainResultToHttp(result, res);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/transfers/scheduled/:id
+ */
+exports.showScheduledTransfer = async function showScheduledTransfer(req, res, next) {
+  try {
+    const result = await scheduledTransferService.getScheduledTransfer({
+      userId: req.session.userId,
+      scheduledTransferId: req.params.id,
+    });
+    return mapDomainResultToHttp(result, res);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * PATCH /api/transfers/scheduled/:id
+ */
+exports.updateScheduledTransfer = async function updateScheduledTransfer(req, res, next) {
+  try {
+    const result = await scheduledTransferService.updateScheduledTransfer({
+      userId: req.session.userId,
+      scheduledTransferId: req.params.id,
+      changes: req.scheduledTransfer,
+      auditContext: req.auditContext,
+    });
+    return mapDomainResultToHttp(result, res);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * DELETE /api/transfers/scheduled/:id
+ */
+exports.cancelScheduledTransfer = async function cancelScheduledTransfer(req, res, next) {
+  try {
+    const result = await scheduledTransferService.cancelScheduledTransfer({
+      userId: req.session.userId,
+      scheduledTransferId: req.params.id,
+      auditContext: req.auditContext,
+    });
+    return mapDomainResultToHttp(result, res);
+  } catch (error) {
+    return next(error);
+  }
+};
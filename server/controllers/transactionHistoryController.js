@@ -0,0 +1,72 @@
+/**
+ * transactionHistoryController.js
+ *
+ * Responsibilities:
+ * - Extract HTTP request data (validated by validateHistoryQuery)
+ * - Call transactionHistoryService
+ * - Map domain result objects to HTTP responses
+ * - Delegate ALL thrown errors to global error middleware via next(error)
+ *
+ * Must NOT:
+ * - Contain business logic
+ * - Perform DB operations
+ */
+
+const transactionHistoryService = require('../services/transactionHistoryService');
+
+const REJECTION_STATUS = {
+  ACCOUNT_NOT_FOUND: 404,
+  INVALID_CURSOR: 400,
+};
+
+/**
+ * Maps domain result objects to HTTP responses.
+ * Must not handle thrown system errors.
+ */
+const mapDomainResultToHttp = (result, res) => {
+  if (!result || typeof result !== 'object') {
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+
+  const { success, reason, transactions, nextCursor } = result;
+
+  if (success === true) {
+    return res.status(200).json({ transactions, nextCursor });
+  }
+  if (success === false && REJECTION_STATUS[reason]) {
+    return res.status(REJECTION_STATUS[reason]).json({ success: false, error: reason });
+  }
+
+  return res.status(500).json({ error: 'Internal Server Error' });
+};
+
+/**
+ * GET /api/accounts/:id/transactions
+ */
+exports.listAccountTransactions = async function listAccountTransactions(req, res, next) {
+  try {
+    const result = await transactionHistoryService.listAccountTransactions({
+      userId: req.session.userId,
+      accountId: req.params.id,
+      ...req.historyQuery,
+    });
+    return mapDomainResultToHttp(result, res);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * GET /api/transactions
+ */
+exports.listUserTransactions = async function listUserTransactions(req, res, next) {
+  try {
+    const result = await transactionHistoryService.listUserTransactions({
+      userId: req.session.userId,
+      ...req.historyQuery,
+    });
+    return mapDomainResultToHttp(result, res);
+  } catch (error) {
+    return next(error);
+  }
+};
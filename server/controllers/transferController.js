@@ -3,7 +3,7 @@
  *
  * Responsibilities:
  * - Extract HTTP request data
- * - Call transferService
+ * - Call transferService / reversalService
  * - Map domain result objects to HTTP responses
  * - Delegate ALL thrown errors to global error middleware via next(error)
  *
@@ -15,6 +15,7 @@
  */
 
 const transferService = require('../services/transferService');
+const reversalService = require('../services/reversalService');
 
 /**
  * POST /api/transfers
@@ -31,17 +32,63 @@ exports.createTransfer = async function createTransfer(req, res, next) {
       toAccountId,
       amount,
       idempotencyKey,
+      auditContext: req.auditContext,
     });
 
+    if (result?.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+
+    return mapDomainResultToHttp(result, res);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * POST /api/transfers/:id/reversals
+ */
+exports.reverseTransfer = async function reverseTransfer(req, res, next) {
+  try {
+    const result = await reversalService.reverseTransfer({
+      initiatorUserId: req.session.userId,
+      transactionId: req.params.id,
+      amount: req.body?.amount,
+      idempotencyKey: req.header('Idempotency-Key'),
+      auditContext: req.auditContext,
+    });
+
+    if (result?.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+
     return mapDomainResultToHttp(result, res);
   } catch (error) {
     return next(error);
   }
 };
 
+/**
+ * HTTP status for rejection reasons that are not plain business rejections.
+ * Anything not listed maps to 422.
+ */
+const REJECTION_STATUS = {
+  FROM_ACCOUNT_NOT_OWNED: 403,
+  REVERSAL_NOT_PERMITTED: 403,
+};
+
+/**
+ * HTTP status for requests refused before any transaction was attempted.
+ */
+const ERROR_STATUS = {
+  IDEMPOTENCY_KEY_REUSED: 422,
+  IDEMPOTENCY_REQUEST_IN_PROGRESS: 409,
+  TRANSACTION_NOT_FOUND: 404,
+};
+
 /**
  * Maps domain result objects to HTTP responses.
- * Only handles SUCCESS and REJECTED states.
+ * Only handles SUCCESS, REJECTED and ERROR_STATUS refusals.
  * Must not handle thrown system errors.
  */
 function mapDomainResultToHttp(result, res) {
@@ -49,13 +96,21 @@ function mapDomainResultToHttp(result, res) {
     return res.status(500).json({ error: 'Internal Server Error' });
   }
 
-  const { success, transactionId, status, reason } = result;
+  const { success, transactionId, status, reason, error } = result;
+
+  if (success === false && ERROR_STATUS[error]) {
+    return res.status(ERROR_STATUS[error]).json({ success: false, error, transactionId });
+  }
 
   if (success === true && status === 'SUCCEEDED') {
     return res.status(201).json({ transactionId, status });
   }
+  // held by the risk engine: accepted, but not settled until reviewed
+  if (success === true && status === 'UNDER_REVIEW') {
+    return res.status(202).json({ transactionId, status });
+  }
   if (success === false && status === 'REJECTED') {
-    return res.status(422).json({ transactionId, status, reason });
+    return res.status(REJECTION_STATUS[reason] || 422).json({ transactionId, status, reason });
   }
 
   return res.status(500).json({ error: 'Internal Server Error' });
@@ -1,8 +1,11 @@
 const User = require('../models/User');
+const { recordAudit } = require('../db/auditLog');
+
+const UNIQUE_VIOLATION = '23505';
 
 /*
 GET /api/users
-Returns an array of all users in the database
+Returns an array of all users in the database (staff only)
 */
 exports.listUsers = async (req, res) => {
   const users = await User.list();
@@ -11,7 +14,7 @@ exports.listUsers = async (req, res) => {
 
 /*
 GET /api/users/:id
-Returns a single user (if found)
+Returns a single user (if found): yourself, or anyone for staff
 */
 exports.showUser = async (req, res) => {
   const { id } = req.params;
@@ -27,26 +30,56 @@ exports.showUser = async (req, res) => {
 /*
 PATCH /api/users/:id
 Updates a single user (if found) and only if authorized
+Every attempt is audited as USERNAME_CHANGE
 */
-exports.updateUser = async (req, res) => {
-  const { username } = req.body;
-  if (!username) {
-    return res.status(400).send({ message: 'New username required.' });
-  }
+exports.updateUser = async (req, res, next) => {
+  const audit = (outcome, reason = null) => recordAudit({
+    actorId: req.session.userId,
+    action: 'USERNAME_CHANGE',
+    targetType: 'USER',
+    targetId: req.params.id,
+    outcome,
+    reason,
+    context: req.auditContext,
+  });
 
-  // A user is only authorized to modify their own user information
-  // e.g. User 5 sends a PATCH /api/users/5 request -> success!
-  // e.g. User 5 sends a PATCH /api/users/4 request -> 403!
-  const userToModify = Number(req.params.id);
-  const userRequestingChange = Number(req.session.userId);
-  if (userRequestingChange !== userToModify) {
-    return res.status(403).send({ message: "Unauthorized." });
-  }
+  try {
+    const { username } = req.body;
+    if (!username) {
+      await audit('REJECTED', 'MISSING_USERNAME');
+      return res.status(400).send({ message: 'New username required.' });
+    }
 
-  const updatedUser = await User.update(userToModify, username);
-  if (!updatedUser) {
-    return res.status(404).send({ message: 'User not found.' });
-  }
+    // A user is only authorized to modify their own user information
+    // e.g. User A sends a PATCH /api/users/A request -> success!
+    // e.g. User A sends a PATCH /api/users/B request -> 403!
+    // (ids are UUIDs, so they are compared as strings)
+    const userToModify = req.params.id;
+    const userRequestingChange = req.session.userId;
+    if (userRequestingChange !== userToModify) {
+      await audit('REJECTED', 'NOT_OWN_USER');
+      return res.status(403).send({ message: "Unauthorized." });
+    }
 
-  res.send(updatedUser);
+    const previousUser = await User.find(userToModify);
+    let updatedUser = null;
+    try {
+      updatedUser = previousUser && await User.update(userToModify, username);
+    } catch (error) {
+      if (error.code !== UNIQUE_VIOLATION) throw error;
+
+      await audit('REJECTED', 'USERNAME_TAKEN');
+      return res.status(409).send({ message: 'Username already taken.' });
+    }
+
+    if (!updatedUser) {
+      await audit('REJECTED', 'USER_NOT_FOUND');
+      return res.status(404).send({ message: 'User not found.' });
+    }
+
+    await audit('SUCCEEDED', `from=${previousUser.username} to=${updatedUser.username}`);
+    return res.send(updatedUser);
+  } catch (error) {
+    return next(error);
+  }
 };
@@ -0,0 +1,74 @@
+/**
+ * auditLog
+ *
+ * Shared helper for writing audit_logs rows, with the request context
+ * (IP, user agent) when there is one.
+ *
+ * An entry:
+ *   {
+ *     actorType   USER (default) | SERVICE | SYSTEM
+ *     actorId     user id, or service / job name
+ *     action      e.g. TRANSFER, LOGIN
+ *     targetType  ACCOUNT | TRANSACTION | SESSION | USER | SCHEDULED_TRANSFER | HOLD
+ *     targetId    optional
+ *     outcome     ATTEMPTED | SUCCEEDED | REJECTED | FAILED | FLAGGED
+ *     reason      optional; cut to fit the column
+ *     context     optional { ipAddress, userAgent } of the HTTP request
+ *                 (see middleware/auditContext.js)
+ *   }
+ *
+ * Rows are append-only and sealed into the hash chain when the surrounding
+ * DB transaction commits, so pass the caller's trx to keep an audit row
+ * atomic with the change it describes.
+ */
+
+const knex = require('./knex');
+
+// actorId for requests from no known user (e.g. a login with an unknown username)
+const ANONYMOUS_ACTOR_ID = 'ANONYMOUS';
+
+const MAX_REASON_LENGTH = 255;
+const MAX_USER_AGENT_LENGTH = 512;
+
+const truncate = (value, maxLength) => (
+  typeof value === 'string' ? value.slice(0, maxLength) : null
+);
+
+const toAuditRow = ({
+  actorType = 'USER',
+  actorId,
+  action,
+  targetType,
+  targetId = null,
+  outcome,
+  reason = null,
+  context = null,
+}) => ({
+  actor_type: actorType,
+  actor_id: actorId,
+  action,
+  target_type: targetType,
+  target_id: targetId,
+  outcome,
+  reason: truncate(reason, MAX_REASON_LENGTH),
+  ip_address: context?.ipAddress || null,
+  user_agent: truncate(context?.userAgent, MAX_USER_AGENT_LENGTH),
+});
+
+/**
+ * Insert one entry, or several in a single statement.
+ *
+ * @param {object|object[]} entries
+ * @param {object} [db]  the caller's DB transaction; defaults to its own
+ */
+const recordAudit = async (entries, db = knex) => {
+  const rows = Array.isArray(entries) ? entries.map(toAuditRow) : [toAuditRow(entries)];
+  if (rows.length === 0) return;
+
+  await db('audit_logs').insert(rows);
+};
+
+module.exports = {
+  ANONYMOUS_ACTOR_ID,
+  recordAudit,
+};
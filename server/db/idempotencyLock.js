@@ -0,0 +1,54 @@
+/**
+ * idempotencyLock
+ *
+ * Serializes requests that share an idempotency key.
+ *
+ * A transaction-scoped Postgres advisory lock is taken on
+ * (initiator_user_id, type, idempotency_key) before the idempotency lookup:
+ * - the first request gets the lock and runs normally
+ * - a concurrent request with the same key does NOT get it and must answer
+ *   IDEMPOTENCY_REQUEST_IN_PROGRESS instead of racing into the unique index
+ * - the lock is released automatically on COMMIT / ROLLBACK, after which
+ *   the committed row is visible and later requests replay it
+ *
+ * The lock key is a 64-bit hash, so distinct keys may (very rarely) collide;
+ * a collision only produces a spurious IN_PROGRESS, never a wrong replay.
+ */
+
+const tryAcquireIdempotencyLock = async (trx, { initiatorUserId, type, idempotencyKey }) => {
+  const result = await trx.raw(
+    'SELECT pg_try_advisory_xact_lock(hashtextextended(?, 0)) AS acquired',
+    [`${initiatorUserId}:${type}:${idempotencyKey}`],
+  );
+
+  return result.rows[0].acquired;
+};
+
+/**
+ * Domain result returned when the lock is held by another request.
+ */
+const inProgressResult = () => ({
+  success: false,
+  error: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+  message: 'A request with this idempotency key is still being processed',
+});
+
+const IDEMPOTENCY_INDEXES = [
+  'uq_transfer_idempotency_per_user',
+  'uq_cash_idempotency_per_user',
+  'uq_reversal_idempotency_per_user',
+  'uq_hold_idempotency_per_user',
+];
+
+/**
+ * True if `error` is a unique violation on one of the idempotency indexes,
+ * i.e. another request with the same key committed first.
+ */
+const isIdempotencyConflict = (error) => error?.code === '23505'
+  && IDEMPOTENCY_INDEXES.includes(error.constraint);
+
+module.exports = {
+  tryAcquireIdempotencyLock,
+  inProgressResult,
+  isIdempotencyConflict,
+};
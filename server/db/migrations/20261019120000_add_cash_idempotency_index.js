@@ -0,0 +1,21 @@
+/**
+ * Extends idempotency to DEPOSIT and WITHDRAWAL.
+ *
+ * uq_transfer_idempotency_per_user only covers TRANSFER, so a second
+ * partial index gives cash movements the same one-key-per-user guarantee.
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = (knex) => knex.raw(`
+  CREATE UNIQUE INDEX uq_cash_idempotency_per_user
+  ON transactions (initiator_user_id, idempotency_key, type)
+  WHERE type IN ('DEPOSIT', 'WITHDRAWAL') AND idempotency_key IS NOT NULL`);
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = (knex) => knex.raw('DROP INDEX IF EXISTS uq_cash_idempotency_per_user');
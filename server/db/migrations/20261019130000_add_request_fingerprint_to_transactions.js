@@ -0,0 +1,22 @@
+/**
+ * Stores a hash of the request that created each transaction, so a reused
+ * idempotency key with a different payload can be told apart from a replay.
+ *
+ * Nullable: rows created before this migration replay as they always did.
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = (knex) => knex.schema.alterTable('transactions', (table) => {
+  table.string('request_fingerprint', 64).nullable();
+});
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = (knex) => knex.schema.alterTable('transactions', (table) => {
+  table.dropColumn('request_fingerprint');
+});
@@ -0,0 +1,73 @@
+/**
+ * Multi-currency support.
+ *
+ * - accounts.currency:      currency every balance and ledger entry of the account is in
+ * - transactions.currency:  currency of transactions.amount (the debited side)
+ * - transactions.converted_*, exchange_rate: set together, only on transfers
+ *   between accounts of different currencies
+ * - ledger_entries.currency: currency of ledger_entries.amount
+ * - ledger_entries.original_*: the amount before conversion, only on
+ *   converted credit entries
+ *
+ * Existing rows default to USD, the only currency before this migration.
+ */
+
+const CURRENCY_CHECK = (column) => `${column} ~ '^[A-Z]{3}$'`;
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async (knex) => {
+  await knex.schema.alterTable('accounts', (table) => {
+    table.string('currency', 3).notNullable().defaultTo('USD');
+    table.check(CURRENCY_CHECK('currency'), [], 'chk_accounts_currency');
+  });
+
+  await knex.schema.alterTable('transactions', (table) => {
+    table.string('currency', 3).notNullable().defaultTo('USD');
+    table.bigInteger('converted_amount').nullable();
+    table.string('converted_currency', 3).nullable();
+    table.decimal('exchange_rate', 20, 10).nullable();
+
+    table.check(CURRENCY_CHECK('currency'), [], 'chk_transactions_currency');
+    table.check(`
+      (converted_amount IS NULL AND converted_currency IS NULL AND exchange_rate IS NULL)
+      OR (converted_amount > 0 AND converted_currency IS NOT NULL AND exchange_rate > 0)
+    `, [], 'chk_transactions_conversion');
+  });
+
+  await knex.schema.alterTable('ledger_entries', (table) => {
+    table.string('currency', 3).notNullable().defaultTo('USD');
+    table.bigInteger('original_amount').nullable();
+    table.string('original_currency', 3).nullable();
+
+    table.check(CURRENCY_CHECK('currency'), [], 'chk_ledger_entries_currency');
+    table.check(
+      '(original_amount IS NULL) = (original_currency IS NULL)',
+      [],
+      'chk_ledger_entries_original',
+    );
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async (knex) => {
+  await knex.schema.alterTable('ledger_entries', (table) => {
+    table.dropChecks(['chk_ledger_entries_currency', 'chk_ledger_entries_original']);
+    table.dropColumns('currency', 'original_amount', 'original_currency');
+  });
+
+  await knex.schema.alterTable('transactions', (table) => {
+    table.dropChecks(['chk_transactions_currency', 'chk_transactions_conversion']);
+    table.dropColumns('currency', 'converted_amount', 'converted_currency', 'exchange_rate');
+  });
+
+  await knex.schema.alterTable('accounts', (table) => {
+    table.dropChecks(['chk_accounts_currency']);
+    table.dropColumns('currency');
+  });
+};
@@ -0,0 +1,136 @@
+/**
+ * Scheduled and recurring transfers.
+ *
+ * One row per schedule. The worker (services/scheduledTransferService.js)
+ * executes each occurrence through transferFunds:
+ * - next_run_at is the occurrence currently due
+ * - attempts / retry_at track retries of that occurrence
+ *   after an INSUFFICIENT_FUNDS rejection
+ *
+ * audit_logs gains the SCHEDULED_TRANSFER target type for schedule changes.
+ */
+
+const TARGET_TYPES_BEFORE = "'ACCOUNT','TRANSACTION','SESSION','USER'";
+const TARGET_TYPES_AFTER = `${TARGET_TYPES_BEFORE},'SCHEDULED_TRANSFER'`;
+
+const replaceTargetTypeCheck = (knex, targetTypes) => knex.raw(`
+  ALTER TABLE audit_logs DROP CONSTRAINT audit_logs_target_type_check;
+  ALTER TABLE audit_logs ADD CONSTRAINT audit_logs_target_type_check
+    CHECK (target_type IN (${targetTypes}));
+`);
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async (knex) => {
+  await knex.schema.createTable('scheduled_transfers', (table) => {
+    table.uuid('scheduled_transfer_id')
+      .primary()
+      .defaultTo(knex.raw('gen_random_uuid()'));
+
+    table.uuid('user_id')
+      .notNullable()
+      .references('user_id')
+      .inTable('users');
+
+    table.uuid('from_account_id')
+      .notNullable()
+      .references('account_id')
+      .inTable('accounts');
+
+    table.uuid('to_account_id')
+      .notNullable()
+      .references('account_id')
+      .inTable('accounts');
+
+    table.bigInteger('amount')
+      .notNullable();
+
+    table.string('frequency')
+      .notNullable();
+
+    // MONTHLY only: 1-31, clamped to the last day of shorter months
+    table.smallint('day_of_month')
+      .nullable();
+
+    table.string('status')
+      .notNullable()
+      .defaultTo('ACTIVE');
+
+    table.timestamp('next_run_at', { useTz: true })
+      .notNullable();
+
+    table.timestamp('ends_at', { useTz: true })
+      .nullable();
+
+    table.integer('attempts')
+      .notNullable()
+      .defaultTo(0);
+
+    table.timestamp('retry_at', { useTz: true })
+      .nullable();
+
+    table.timestamp('last_run_at', { useTz: true })
+      .nullable();
+
+    table.uuid('last_transaction_id')
+      .nullable()
+      .references('transaction_id')
+      .inTable('transactions');
+
+    table.string('last_result')
+      .nullable();
+
+    table.timestamp('created_at', { useTz: true })
+      .notNullable()
+      .defaultTo(knex.fn.now());
+
+    table.timestamp('updated_at', { useTz: true })
+      .notNullable()
+      .defaultTo(knex.fn.now());
+
+    // DB invariants
+    table.check('amount > 0');
+    table.check('from_account_id <> to_account_id');
+    table.check("frequency IN ('ONCE','WEEKLY','MONTHLY')");
+    table.check("status IN ('ACTIVE','COMPLETED','CANCELLED')");
+    table.check('attempts >= 0');
+    table.check(`
+      (frequency = 'MONTHLY' AND day_of_month BETWEEN 1 AND 31)
+      OR (frequency <> 'MONTHLY' AND day_of_month IS NULL)
+    `);
+
+    // access patterns
+    table.index(['user_id', 'created_at'], 'idx_scheduled_transfers_user');
+  });
+
+  // the worker only ever scans ACTIVE schedules by due time
+  await knex.raw(`
+    CREATE INDEX idx_scheduled_transfers_due
+    ON scheduled_transfers ((COALESCE(retry_at, next_run_at)))
+    WHERE status = 'ACTIVE'
+  `);
+
+  await replaceTargetTypeCheck(knex, TARGET_TYPES_AFTER);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async (knex) => {
+  // schedules and their audit trail are history: refuse rather than delete them
+  const schedule = await knex('scheduled_transfers').first('scheduled_transfer_id');
+  const scheduleAudit = await knex('audit_logs')
+    .where({ target_type: 'SCHEDULED_TRANSFER' })
+    .first('audit_log_id');
+  if (schedule || scheduleAudit) {
+    throw new Error(
+      'Cannot roll back scheduled transfers: schedule rows or SCHEDULED_TRANSFER audit rows exist',
+    );
+  }
+
+  await replaceTargetTypeCheck(knex, TARGET_TYPES_BEFORE);
+  await knex.schema.dropTable('scheduled_transfers');
+};
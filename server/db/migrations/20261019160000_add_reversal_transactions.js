@@ -0,0 +1,75 @@
+/**
+ * Transfer reversals.
+ *
+ * A reversal is its own transaction (type REVERSAL) linked to the transfer
+ * it undoes through parent_transaction_id. The original transaction and its
+ * ledger entries are never modified; the reversal writes compensating entries.
+ *
+ * - REVERSAL moves money back: from = original to, to = original from
+ * - only REVERSAL rows have a parent
+ * - idempotency is enforced per (initiator_user_id, idempotency_key) like transfers
+ */
+
+const TYPES_BEFORE = "'TRANSFER','DEPOSIT','WITHDRAWAL'";
+const TYPES_AFTER = `${TYPES_BEFORE},'REVERSAL'`;
+
+const replaceTypeCheck = (knex, types) => knex.raw(`
+  ALTER TABLE transactions DROP CONSTRAINT transactions_type_check;
+  ALTER TABLE transactions ADD CONSTRAINT transactions_type_check
+    CHECK (type IN (${types}));
+`);
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async (knex) => {
+  await replaceTypeCheck(knex, TYPES_AFTER);
+
+  await knex.schema.alterTable('transactions', (table) => {
+    table.uuid('parent_transaction_id')
+      .nullable()
+      .references('transaction_id')
+      .inTable('transactions');
+
+    table.check(`
+      (type = 'REVERSAL'
+        AND parent_transaction_id IS NOT NULL
+        AND from_account_id IS NOT NULL
+        AND to_account_id IS NOT NULL)
+      OR (type <> 'REVERSAL' AND parent_transaction_id IS NULL)
+    `, [], 'chk_transactions_reversal_shape');
+
+    // sums of reversals per original transfer
+    table.index(['parent_transaction_id'], 'idx_transactions_parent');
+  });
+
+  await knex.raw(`
+    CREATE UNIQUE INDEX uq_reversal_idempotency_per_user
+    ON transactions (initiator_user_id, idempotency_key, type)
+    WHERE type = 'REVERSAL' AND idempotency_key IS NOT NULL
+  `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async (knex) => {
+  // reversals cannot be represented without the REVERSAL type, and their
+  // ledger entries are history: refuse rather than delete them
+  const reversal = await knex('transactions').where({ type: 'REVERSAL' }).first('transaction_id');
+  if (reversal) {
+    throw new Error('Cannot roll back reversals: REVERSAL transactions exist');
+  }
+
+  await knex.raw('DROP INDEX IF EXISTS uq_reversal_idempotency_per_user');
+
+  await knex.schema.alterTable('transactions', (table) => {
+    table.dropIndex(['parent_transaction_id'], 'idx_transactions_parent');
+    table.dropChecks(['chk_transactions_reversal_shape']);
+    table.dropColumn('parent_transaction_id');
+  });
+
+  await replaceTypeCheck(knex, TYPES_BEFORE);
+};
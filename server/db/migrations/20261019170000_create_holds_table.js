@@ -0,0 +1,167 @@
+/**
+ * Two-phase holds (authorize now, capture or void later).
+ *
+ * accounts gains:
+ * - held_balance: sum of the account's AUTHORIZED holds
+ * - available_balance: current_balance - held_balance, generated by Postgres
+ *
+ * The current_balance >= 0 invariant is extended: holds may never commit
+ * more than the balance, so available_balance >= 0 as well. Every debit
+ * (transfer, withdrawal, reversal) is checked against available_balance.
+ *
+ * A hold reserves funds without moving money: no ledger entries are written
+ * until it is captured, at which point a TRANSFER transaction is created.
+ *
+ * audit_logs gains the HOLD target type.
+ */
+
+const TARGET_TYPES_BEFORE = "'ACCOUNT','TRANSACTION','SESSION','USER','SCHEDULED_TRANSFER'";
+const TARGET_TYPES_AFTER = `${TARGET_TYPES_BEFORE},'HOLD'`;
+
+const replaceTargetTypeCheck = (knex, targetTypes) => knex.raw(`
+  ALTER TABLE audit_logs DROP CONSTRAINT audit_logs_target_type_check;
+  ALTER TABLE audit_logs ADD CONSTRAINT audit_logs_target_type_check
+    CHECK (target_type IN (${targetTypes}));
+`);
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async (knex) => {
+  await knex.schema.alterTable('accounts', (table) => {
+    table.bigInteger('held_balance')
+      .notNullable()
+      .defaultTo(0);
+  });
+
+  await knex.raw(`
+    ALTER TABLE accounts
+      ADD COLUMN available_balance bigint
+        GENERATED ALWAYS AS (current_balance - held_balance) STORED,
+      ADD CONSTRAINT chk_accounts_held_balance
+        CHECK (held_balance >= 0),
+      ADD CONSTRAINT chk_accounts_available_balance
+        CHECK (current_balance - held_balance >= 0)
+  `);
+
+  await knex.schema.createTable('holds', (table) => {
+    table.uuid('hold_id')
+      .primary()
+      .defaultTo(knex.raw('gen_random_uuid()'));
+
+    table.uuid('initiator_user_id')
+      .notNullable()
+      .references('user_id')
+      .inTable('users');
+
+    table.uuid('from_account_id')
+      .notNullable()
+      .references('account_id')
+      .inTable('accounts');
+
+    table.uuid('to_account_id')
+      .notNullable()
+      .references('account_id')
+      .inTable('accounts');
+
+    table.bigInteger('amount')
+      .notNullable();
+
+    table.string('currency', 3)
+      .nullable();
+
+    table.string('status')
+      .notNullable()
+      .defaultTo('PENDING');
+
+    table.bigInteger('captured_amount')
+      .nullable();
+
+    table.uuid('capture_transaction_id')
+      .nullable()
+      .references('transaction_id')
+      .inTable('transactions');
+
+    table.timestamp('expires_at', { useTz: true })
+      .notNullable();
+
+    table.string('failure_reason')
+      .nullable();
+
+    table.uuid('idempotency_key')
+      .notNullable();
+
+    table.string('request_fingerprint', 64)
+      .nullable();
+
+    table.jsonb('response_payload')
+      .nullable();
+
+    table.timestamp('created_at', { useTz: true })
+      .notNullable()
+      .defaultTo(knex.fn.now());
+
+    table.timestamp('updated_at', { useTz: true })
+      .notNullable()
+      .defaultTo(knex.fn.now());
+
+    // DB invariants
+    table.check('amount > 0');
+    table.check('from_account_id <> to_account_id');
+    table.check(`
+      status IN ('PENDING','AUTHORIZED','REJECTED','CAPTURED','VOIDED','EXPIRED')
+    `);
+    table.check(`
+      (status = 'CAPTURED'
+        AND captured_amount BETWEEN 1 AND amount
+        AND capture_transaction_id IS NOT NULL)
+      OR (status <> 'CAPTURED'
+        AND captured_amount IS NULL
+        AND capture_transaction_id IS NULL)
+    `, [], 'chk_holds_capture_shape');
+
+    table.unique(['initiator_user_id', 'idempotency_key'], {
+      indexName: 'uq_hold_idempotency_per_user',
+    });
+
+    // access patterns
+    table.index(['from_account_id', 'status'], 'idx_holds_from_account');
+  });
+
+  // the expiry job only ever scans AUTHORIZED holds by expiry time
+  await knex.raw(`
+    CREATE INDEX idx_holds_expiring
+    ON holds (expires_at)
+    WHERE status = 'AUTHORIZED'
+  `);
+
+  await replaceTargetTypeCheck(knex, TARGET_TYPES_AFTER);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async (knex) => {
+  // holds and their audit trail are history: refuse rather than delete them
+  const hold = await knex('holds').first('hold_id');
+  const holdAudit = await knex('audit_logs').where({ target_type: 'HOLD' }).first('audit_log_id');
+  if (hold || holdAudit) {
+    throw new Error('Cannot roll back holds: hold rows or HOLD audit rows exist');
+  }
+
+  await replaceTargetTypeCheck(knex, TARGET_TYPES_BEFORE);
+  await knex.schema.dropTable('holds');
+
+  await knex.raw(`
+    ALTER TABLE accounts
+      DROP CONSTRAINT chk_accounts_available_balance,
+      DROP CONSTRAINT chk_accounts_held_balance,
+      DROP COLUMN available_balance
+  `);
+
+  await knex.schema.alterTable('accounts', (table) => {
+    table.dropColumn('held_balance');
+  });
+};
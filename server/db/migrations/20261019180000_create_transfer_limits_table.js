@@ -0,0 +1,61 @@
+/**
+ * Transfer limits (money, not request counts).
+ *
+ * One row per account or per user; NULL in a limit column means "no limit"
+ * at that scope. Amounts are integer cents in the account's currency.
+ * Accounts without a row fall back to the TRANSFER_LIMIT_* env defaults
+ * (see services/transferLimitService.js).
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = (knex) => knex.schema.createTable('transfer_limits', (table) => {
+  table.uuid('transfer_limit_id')
+    .primary()
+    .defaultTo(knex.raw('gen_random_uuid()'));
+
+  table.uuid('account_id')
+    .nullable()
+    .unique()
+    .references('account_id')
+    .inTable('accounts')
+    .onDelete('CASCADE');
+
+  table.uuid('user_id')
+    .nullable()
+    .unique()
+    .references('user_id')
+    .inTable('users')
+    .onDelete('CASCADE');
+
+  table.bigInteger('max_single_amount')
+    .nullable();
+
+  table.bigInteger('daily_amount')
+    .nullable();
+
+  table.bigInteger('monthly_amount')
+    .nullable();
+
+  table.timestamp('created_at', { useTz: true })
+    .notNullable()
+    .defaultTo(knex.fn.now());
+
+  table.timestamp('updated_at', { useTz: true })
+    .notNullable()
+    .defaultTo(knex.fn.now());
+
+  // DB invariants
+  table.check('(account_id IS NULL) <> (user_id IS NULL)', [], 'chk_transfer_limits_scope');
+  table.check('max_single_amount IS NULL OR max_single_amount > 0');
+  table.check('daily_amount IS NULL OR daily_amount > 0');
+  table.check('monthly_amount IS NULL OR monthly_amount > 0');
+});
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = (knex) => knex.schema.dropTable('transfer_limits');
@@ -0,0 +1,52 @@
+/**
+ * Risk screening: transfers held for manual review.
+ *
+ * - transactions gains the UNDER_REVIEW status. A transfer under review
+ *   has moved no money and has no ledger entries; its amount is reserved
+ *   in accounts.held_balance (like an authorized hold) until it is decided.
+ * - audit_logs gains the FLAGGED outcome, used for risk rule hits that send
+ *   a transfer to review and for the transfer's own audit trail.
+ */
+
+const STATUSES_BEFORE = "'PENDING','SUCCEEDED','REJECTED','FAILED'";
+const STATUSES_AFTER = `${STATUSES_BEFORE},'UNDER_REVIEW'`;
+
+const OUTCOMES_BEFORE = "'ATTEMPTED','SUCCEEDED','REJECTED','FAILED'";
+const OUTCOMES_AFTER = `${OUTCOMES_BEFORE},'FLAGGED'`;
+
+const replaceChecks = (knex, statuses, outcomes) => knex.raw(`
+  ALTER TABLE transactions DROP CONSTRAINT transactions_status_check;
+  ALTER TABLE transactions ADD CONSTRAINT transactions_status_check
+    CHECK (status IN (${statuses}));
+  ALTER TABLE audit_logs DROP CONSTRAINT audit_logs_outcome_check;
+  ALTER TABLE audit_logs ADD CONSTRAINT audit_logs_outcome_check
+    CHECK (outcome IN (${outcomes}));
+`);
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = (knex) => replaceChecks(knex, STATUSES_AFTER, OUTCOMES_AFTER);
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async (knex) => {
+  // held transfers and FLAGGED audit rows are history: refuse rather than
+  // rewrite or delete them
+  const underReview = await knex('transactions')
+    .where({ status: 'UNDER_REVIEW' })
+    .first('transaction_id');
+  const flagged = await knex('audit_logs')
+    .where({ outcome: 'FLAGGED' })
+    .first('audit_log_id');
+  if (underReview || flagged) {
+    throw new Error(
+      'Cannot roll back transfer review: UNDER_REVIEW transfers or FLAGGED audit rows exist',
+    );
+  }
+
+  await replaceChecks(knex, STATUSES_BEFORE, OUTCOMES_BEFORE);
+};
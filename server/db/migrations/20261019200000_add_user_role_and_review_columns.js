@@ -0,0 +1,64 @@
+/**
+ * Admin review of held transfers.
+ *
+ * - users gains a role: 'customer' (default) or 'admin'. Admins may work
+ *   the review queue and the other /api/admin routes.
+ * - transactions records who decided an UNDER_REVIEW transfer, and when.
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async (knex) => {
+  await knex.schema.alterTable('users', (table) => {
+    table.string('role')
+      .notNullable()
+      .defaultTo('customer');
+
+    table.check("role IN ('customer','admin')", [], 'chk_users_role');
+  });
+
+  await knex.schema.alterTable('transactions', (table) => {
+    table.uuid('reviewed_by')
+      .nullable()
+      .references('user_id')
+      .inTable('users');
+
+    table.timestamp('reviewed_at', { useTz: true })
+      .nullable();
+  });
+
+  // the review queue is read oldest first
+  await knex.raw(`
+    CREATE INDEX idx_transactions_under_review
+    ON transactions (created_at)
+    WHERE status = 'UNDER_REVIEW'
+  `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async (knex) => {
+  // who decided a held transfer is history: refuse rather than drop it
+  const reviewed = await knex('transactions')
+    .whereNotNull('reviewed_by')
+    .first('transaction_id');
+  if (reviewed) {
+    throw new Error('Cannot roll back transfer review columns: reviewed transactions exist');
+  }
+
+  await knex.raw('DROP INDEX IF EXISTS idx_transactions_under_review');
+
+  await knex.schema.alterTable('transactions', (table) => {
+    table.dropColumn('reviewed_at');
+    table.dropColumn('reviewed_by');
+  });
+
+  await knex.schema.alterTable('users', (table) => {
+    table.dropChecks(['chk_users_role']);
+    table.dropColumn('role');
+  });
+};
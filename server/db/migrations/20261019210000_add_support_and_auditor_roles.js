@@ -0,0 +1,31 @@
+/**
+ * Staff roles for role-based access control.
+ *
+ * users.role widens from 'customer' | 'admin' to also allow 'support' and
+ * 'auditor'. What each role may do lives in policies/rolePermissions.js,
+ * not in the database.
+ */
+
+const replaceRoleCheck = (knex, roles) => knex.raw(`
+  ALTER TABLE users DROP CONSTRAINT chk_users_role;
+  ALTER TABLE users ADD CONSTRAINT chk_users_role
+    CHECK (role IN (${roles}));
+`);
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async (knex) => {
+  await replaceRoleCheck(knex, "'customer','support','admin','auditor'");
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async (knex) => {
+  // staff roles that no longer exist fall back to the least privileged role
+  await knex('users').whereIn('role', ['support', 'auditor']).update({ role: 'customer' });
+  await replaceRoleCheck(knex, "'customer','admin'");
+};
@@ -0,0 +1,38 @@
+/**
+ * Audit log investigation queries.
+ *
+ * - sequence_number: insertion order. Rows written in one DB transaction
+ *   share created_at (now() is fixed per transaction), so created_at alone
+ *   cannot tell an ATTEMPTED row from the SUCCEEDED row that followed it.
+ *   Reads order by (created_at, sequence_number).
+ * - idx_audit_target: every audit row about one account / transaction /
+ *   hold, for tracing its lifecycle.
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async (knex) => {
+  await knex.raw(`
+    ALTER TABLE audit_logs
+      ADD COLUMN sequence_number bigint GENERATED ALWAYS AS IDENTITY
+  `);
+
+  await knex.schema.alterTable('audit_logs', (table) => {
+    table.unique(['sequence_number'], { indexName: 'uq_audit_sequence_number' });
+    table.index(['target_type', 'target_id', 'created_at'], 'idx_audit_target');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async (knex) => {
+  await knex.schema.alterTable('audit_logs', (table) => {
+    table.dropIndex(['target_type', 'target_id', 'created_at'], 'idx_audit_target');
+    table.dropUnique(['sequence_number'], 'uq_audit_sequence_number');
+    table.dropColumn('sequence_number');
+  });
+};
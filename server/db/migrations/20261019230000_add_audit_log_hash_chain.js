@@ -0,0 +1,196 @@
+/**
+ * Tamper-evident audit_logs.
+ *
+ * Append-only, enforced:
+ * - trg_audit_logs_append_only refuses UPDATE and DELETE, and
+ *   trg_audit_logs_no_truncate refuses TRUNCATE. The single UPDATE allowed
+ *   is the one that seals a row (below), and it may not touch the content.
+ *
+ * Hash chain:
+ * - every row gets chain_position (1, 2, 3, ...), prev_hash (row_hash of
+ *   the row before it; 64 zeros for the first) and
+ *   row_hash = sha256(JSON text array of prev_hash and the row's content)
+ * - rows are sealed when their DB transaction commits, by the deferred
+ *   constraint trigger trg_audit_logs_seal, under a transaction-scoped
+ *   advisory lock. The chain therefore follows commit order, and the lock
+ *   is only held for the last moments of each commit rather than for the
+ *   whole money-moving transaction.
+ * - the hash input is defined in audit_log_row_hash() below and, for
+ *   verification, in services/auditChainService.js. The two must match.
+ *
+ * Existing rows are sealed in sequence_number order.
+ */
+
+const CHAIN_LOCK_KEY = 'audit_logs:chain';
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async (knex) => {
+  await knex.schema.alterTable('audit_logs', (table) => {
+    table.bigInteger('chain_position')
+      .nullable();
+
+    table.string('prev_hash', 64)
+      .nullable();
+
+    table.string('row_hash', 64)
+      .nullable();
+
+    table.unique(['chain_position'], { indexName: 'uq_audit_chain_position' });
+  });
+
+  await knex.raw(`
+    CREATE FUNCTION audit_log_row_hash(previous_hash text, entry audit_logs)
+    RETURNS text
+    LANGUAGE sql
+    STABLE
+    AS $$
+      SELECT encode(sha256(convert_to(array_to_json(ARRAY[
+        previous_hash,
+        entry.audit_log_id::text,
+        entry.sequence_number::text,
+        entry.actor_type,
+        entry.actor_id,
+        entry.action,
+        entry.target_type,
+        entry.target_id,
+        entry.outcome,
+        entry.reason,
+        to_char(entry.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"')
+      ]::text[])::text, 'UTF8')), 'hex')
+    $$
+  `);
+
+  // seal existing rows before the guard exists
+  await knex.raw(`
+    DO $$
+    DECLARE
+      r audit_logs;
+      next_position bigint := 0;
+      previous text := '${GENESIS_HASH}';
+    BEGIN
+      FOR r IN SELECT * FROM audit_logs ORDER BY sequence_number LOOP
+        next_position := next_position + 1;
+        UPDATE audit_logs
+        SET chain_position = next_position,
+            prev_hash = previous,
+            row_hash = audit_log_row_hash(previous, r)
+        WHERE audit_log_id = r.audit_log_id
+        RETURNING row_hash INTO previous;
+      END LOOP;
+    END
+    $$
+  `);
+
+  await knex.raw(`
+    CREATE FUNCTION audit_logs_append_only()
+    RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+    BEGIN
+      IF TG_OP = 'INSERT' THEN
+        -- chain columns are only ever set by the seal
+        NEW.chain_position := NULL;
+        NEW.prev_hash := NULL;
+        NEW.row_hash := NULL;
+        RETURN NEW;
+      END IF;
+
+      IF TG_OP = 'UPDATE'
+        AND OLD.row_hash IS NULL
+        AND NEW.row_hash IS NOT NULL
+        AND (OLD.audit_log_id, OLD.sequence_number, OLD.actor_type, OLD.actor_id,
+             OLD.action, OLD.target_type, OLD.target_id, OLD.outcome, OLD.reason,
+             OLD.created_at)
+          IS NOT DISTINCT FROM
+            (NEW.audit_log_id, NEW.sequence_number, NEW.actor_type, NEW.actor_id,
+             NEW.action, NEW.target_type, NEW.target_id, NEW.outcome, NEW.reason,
+             NEW.created_at)
+      THEN
+        RETURN NEW;
+      END IF;
+
+      RAISE EXCEPTION 'audit_logs is append-only: % refused', TG_OP
+        USING ERRCODE = 'insufficient_privilege';
+    END
+    $$
+  `);
+
+  await knex.raw(`
+    CREATE TRIGGER trg_audit_logs_append_only
+    BEFORE INSERT OR UPDATE OR DELETE ON audit_logs
+    FOR EACH ROW EXECUTE FUNCTION audit_logs_append_only()
+  `);
+
+  await knex.raw(`
+    CREATE TRIGGER trg_audit_logs_no_truncate
+    BEFORE TRUNCATE ON audit_logs
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_logs_append_only()
+  `);
+
+  await knex.raw(`
+    CREATE FUNCTION audit_logs_seal()
+    RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+    DECLARE
+      r audit_logs;
+      last_position bigint;
+      last_hash text;
+    BEGIN
+      -- one sealer at a time; each statement below sees the rows sealed
+      -- by transactions that committed while we waited
+      PERFORM pg_advisory_xact_lock(hashtextextended('${CHAIN_LOCK_KEY}', 0));
+
+      SELECT chain_position, row_hash INTO last_position, last_hash
+      FROM audit_logs
+      WHERE chain_position IS NOT NULL
+      ORDER BY chain_position DESC
+      LIMIT 1;
+
+      SELECT * INTO r FROM audit_logs WHERE audit_log_id = NEW.audit_log_id;
+      last_hash := COALESCE(last_hash, '${GENESIS_HASH}');
+
+      UPDATE audit_logs
+      SET chain_position = COALESCE(last_position, 0) + 1,
+          prev_hash = last_hash,
+          row_hash = audit_log_row_hash(last_hash, r)
+      WHERE audit_log_id = NEW.audit_log_id;
+
+      RETURN NULL;
+    END
+    $$
+  `);
+
+  await knex.raw(`
+    CREATE CONSTRAINT TRIGGER trg_audit_logs_seal
+    AFTER INSERT ON audit_logs
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION audit_logs_seal()
+  `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async (knex) => {
+  await knex.raw(`
+    DROP TRIGGER trg_audit_logs_seal ON audit_logs;
+    DROP TRIGGER trg_audit_logs_no_truncate ON audit_logs;
+    DROP TRIGGER trg_audit_logs_append_only ON audit_logs;
+    DROP FUNCTION audit_logs_seal();
+    DROP FUNCTION audit_logs_append_only();
+    DROP FUNCTION audit_log_row_hash(text, audit_logs);
+  `);
+
+  await knex.schema.alterTable('audit_logs', (table) => {
+    table.dropUnique(['chain_position'], 'uq_audit_chain_position');
+    table.dropColumn('row_hash');
+    table.dropColumn('prev_hash');
+    table.dropColumn('chain_position');
+  });
+};
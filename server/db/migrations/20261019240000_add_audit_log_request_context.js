@@ -0,0 +1,164 @@
+/**
+ * Request context on audit_logs.
+ *
+ * - ip_address, user_agent: where a USER action came from (NULL for
+ *   SYSTEM / SERVICE rows and for rows written before this migration)
+ *
+ * The hash chain (20261019230000_add_audit_log_hash_chain.js) must cover the
+ * new columns, but rows sealed before them cannot be re-hashed: the table is
+ * append-only. So the hash input gets a version, recorded per row:
+ * - hash_version NULL  the original input (rows sealed before this migration)
+ * - hash_version 2     the version itself, the original content, ip_address
+ *                      and user_agent
+ * The version is part of the v2 input, so relabelling a row does not verify.
+ * services/auditChainService.js must compute the same inputs.
+ */
+
+const CHAIN_LOCK_KEY = 'audit_logs:chain';
+const GENESIS_HASH = '0'.repeat(64);
+const HASH_VERSION = 2;
+
+const V1_FIELDS = `
+  entry.audit_log_id::text,
+  entry.sequence_number::text,
+  entry.actor_type,
+  entry.actor_id,
+  entry.action,
+  entry.target_type,
+  entry.target_id,
+  entry.outcome,
+  entry.reason,
+  to_char(entry.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"')
+`;
+
+const hashFunction = (withVersions) => `
+  CREATE OR REPLACE FUNCTION audit_log_row_hash(previous_hash text, entry audit_logs)
+  RETURNS text
+  LANGUAGE sql
+  STABLE
+  AS $$
+    SELECT encode(sha256(convert_to(array_to_json(${withVersions ? `
+      CASE WHEN entry.hash_version IS NULL
+        THEN ARRAY[previous_hash, ${V1_FIELDS}]::text[]
+        ELSE ARRAY[
+          previous_hash,
+          entry.hash_version::text,
+          ${V1_FIELDS},
+          entry.ip_address,
+          entry.user_agent
+        ]::text[]
+      END` : `ARRAY[previous_hash, ${V1_FIELDS}]::text[]`}
+    )::text, 'UTF8')), 'hex')
+  $$
+`;
+
+const CONTENT_COLUMNS_BEFORE = [
+  'audit_log_id', 'sequence_number', 'actor_type', 'actor_id', 'action',
+  'target_type', 'target_id', 'outcome', 'reason', 'created_at',
+];
+const CONTENT_COLUMNS_AFTER = [...CONTENT_COLUMNS_BEFORE, 'ip_address', 'user_agent'];
+
+const guardFunction = (contentColumns, chainColumns) => `
+  CREATE OR REPLACE FUNCTION audit_logs_append_only()
+  RETURNS trigger
+  LANGUAGE plpgsql
+  AS $$
+  BEGIN
+    IF TG_OP = 'INSERT' THEN
+      -- chain columns are only ever set by the seal
+      ${chainColumns.map((column) => `NEW.${column} := NULL;`).join('\n      ')}
+      RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'UPDATE'
+      AND OLD.row_hash IS NULL
+      AND NEW.row_hash IS NOT NULL
+      AND (${contentColumns.map((column) => `OLD.${column}`).join(', ')})
+        IS NOT DISTINCT FROM
+          (${contentColumns.map((column) => `NEW.${column}`).join(', ')})
+    THEN
+      RETURN NEW;
+    END IF;
+
+    RAISE EXCEPTION 'audit_logs is append-only: % refused', TG_OP
+      USING ERRCODE = 'insufficient_privilege';
+  END
+  $$
+`;
+
+const sealFunction = (hashVersion) => `
+  CREATE OR REPLACE FUNCTION audit_logs_seal()
+  RETURNS trigger
+  LANGUAGE plpgsql
+  AS $$
+  DECLARE
+    r audit_logs;
+    last_position bigint;
+    last_hash text;
+  BEGIN
+    -- one sealer at a time; each statement below sees the rows sealed
+    -- by transactions that committed while we waited
+    PERFORM pg_advisory_xact_lock(hashtextextended('${CHAIN_LOCK_KEY}', 0));
+
+    SELECT chain_position, row_hash INTO last_position, last_hash
+    FROM audit_logs
+    WHERE chain_position IS NOT NULL
+    ORDER BY chain_position DESC
+    LIMIT 1;
+
+    SELECT * INTO r FROM audit_logs WHERE audit_log_id = NEW.audit_log_id;
+    last_hash := COALESCE(last_hash, '${GENESIS_HASH}');
+    ${hashVersion ? `r.hash_version := ${hashVersion};` : ''}
+
+    UPDATE audit_logs
+    SET chain_position = COALESCE(last_position, 0) + 1,
+        prev_hash = last_hash,
+        ${hashVersion ? 'hash_version = r.hash_version,' : ''}
+        row_hash = audit_log_row_hash(last_hash, r)
+    WHERE audit_log_id = NEW.audit_log_id;
+
+    RETURN NULL;
+  END
+  $$
+`;
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async (knex) => {
+  await knex.schema.alterTable('audit_logs', (table) => {
+    table.string('ip_address', 45) // fits IPv6, including IPv4-mapped
+      .nullable();
+
+    table.string('user_agent', 512)
+      .nullable();
+
+    table.smallint('hash_version')
+      .nullable();
+  });
+
+  await knex.raw(hashFunction(true));
+  await knex.raw(guardFunction(
+    CONTENT_COLUMNS_AFTER,
+    ['chain_position', 'prev_hash', 'row_hash', 'hash_version'],
+  ));
+  await knex.raw(sealFunction(HASH_VERSION));
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async (knex) => {
+  // v2 rows stop verifying once their columns are gone
+  await knex.raw(sealFunction(null));
+  await knex.raw(guardFunction(CONTENT_COLUMNS_BEFORE, ['chain_position', 'prev_hash', 'row_hash']));
+  await knex.raw(hashFunction(false));
+
+  await knex.schema.alterTable('audit_logs', (table) => {
+    table.dropColumn('hash_version');
+    table.dropColumn('user_agent');
+    table.dropColumn('ip_address');
+  });
+};
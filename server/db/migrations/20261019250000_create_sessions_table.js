@@ -0,0 +1,38 @@
+/**
+ * Server-side sessions (express-session + connect-session-knex).
+ *
+ * - sid, sess, expired: the columns connect-session-knex reads and writes;
+ *   expired moves forward on every request (idle timeout)
+ * - user_id: generated from sess so a user's sessions can be listed and
+ *   revoked without scanning every row; no FK, the store writes the JSON
+ *   and a deleted user's sessions simply stop resolving
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async (knex) => {
+  await knex.schema.createTable('sessions', (table) => {
+    table.string('sid', 255).primary();
+    table.json('sess').notNullable();
+    table.timestamp('expired', { useTz: true }).notNullable();
+
+    table.index(['expired'], 'idx_sessions_expired');
+  });
+
+  await knex.raw(`
+    ALTER TABLE sessions
+    ADD COLUMN user_id text GENERATED ALWAYS AS (sess ->> 'userId') STORED
+  `);
+
+  await knex.schema.alterTable('sessions', (table) => {
+    table.index(['user_id'], 'idx_sessions_user');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = (knex) => knex.schema.dropTable('sessions');
@@ -0,0 +1,45 @@
+/**
+ * Password reset tokens.
+ *
+ * - token_hash: SHA-256 of the token; the token itself is only ever in the
+ *   message sent to the user
+ * - expires_at: a token is refused after this
+ * - used_at: set when the token resets the password, or when another
+ *   password change makes it obsolete; a token with used_at is refused
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = (knex) => knex.schema.createTable('password_reset_tokens', (table) => {
+  table.uuid('password_reset_token_id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+
+  table.uuid('user_id')
+    .notNullable()
+    .references('user_id')
+    .inTable('users')
+    .onDelete('CASCADE');
+
+  table.string('token_hash', 64)
+    .notNullable()
+    .unique();
+
+  table.timestamp('expires_at', { useTz: true })
+    .notNullable();
+
+  table.timestamp('used_at', { useTz: true })
+    .nullable();
+
+  table.timestamp('created_at', { useTz: true })
+    .notNullable()
+    .defaultTo(knex.fn.now());
+
+  table.index(['user_id'], 'idx_password_reset_tokens_user');
+});
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = (knex) => knex.schema.dropTable('password_reset_tokens');
@@ -0,0 +1,72 @@
+/**
+ * TOTP two-factor authentication.
+ *
+ * totp_factors, at most one per user:
+ * - secret: base32 TOTP secret (the authenticator app holds the same one)
+ * - confirmed_at: NULL while enrollment waits for a first valid code;
+ *   the factor is only enforced once confirmed
+ * - last_used_step: time step of the last accepted code, so a code is
+ *   accepted at most once
+ *
+ * totp_recovery_codes:
+ * - code_hash: SHA-256 of a one-time recovery code
+ * - used_at: set when the code is spent
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async (knex) => {
+  await knex.schema.createTable('totp_factors', (table) => {
+    table.uuid('user_id')
+      .primary()
+      .references('user_id')
+      .inTable('users')
+      .onDelete('CASCADE');
+
+    table.string('secret', 64)
+      .notNullable();
+
+    table.timestamp('confirmed_at', { useTz: true })
+      .nullable();
+
+    table.bigInteger('last_used_step')
+      .nullable();
+
+    table.timestamp('created_at', { useTz: true })
+      .notNullable()
+      .defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.createTable('totp_recovery_codes', (table) => {
+    table.uuid('totp_recovery_code_id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+
+    table.uuid('user_id')
+      .notNullable()
+      .references('user_id')
+      .inTable('users')
+      .onDelete('CASCADE');
+
+    table.string('code_hash', 64)
+      .notNullable();
+
+    table.timestamp('used_at', { useTz: true })
+      .nullable();
+
+    table.timestamp('created_at', { useTz: true })
+      .notNullable()
+      .defaultTo(knex.fn.now());
+
+    table.unique(['user_id', 'code_hash'], { indexName: 'uq_totp_recovery_codes_user_code' });
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async (knex) => {
+  await knex.schema.dropTable('totp_recovery_codes');
+  await knex.schema.dropTable('totp_factors');
+};
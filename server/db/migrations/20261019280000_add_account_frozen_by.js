@@ -0,0 +1,62 @@
+/**
+ * Who froze an account.
+ *
+ * - frozen_by: the user who placed the freeze (NULL when it was placed
+ *   outside the API, e.g. by an operator for compliance)
+ * - frozen_by_role: OWNER, ADMIN or SYSTEM; an owner may only lift a
+ *   freeze placed as OWNER
+ *
+ * Accounts already FROZEN are attributed to their owner when the last
+ * successful ACCOUNT_FREEZE in audit_logs was the owner's; any other
+ * freeze stays unattributed, so only an operator can lift it.
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async (knex) => {
+  await knex.schema.alterTable('accounts', (table) => {
+    table.uuid('frozen_by')
+      .nullable()
+      .references('user_id')
+      .inTable('users');
+
+    table.string('frozen_by_role')
+      .nullable();
+
+    table.check(
+      "frozen_by_role IN ('OWNER','ADMIN','SYSTEM')",
+      [],
+      'chk_accounts_frozen_by_role',
+    );
+  });
+
+  await knex.raw(`
+    UPDATE accounts a
+    SET frozen_by = a.user_id, frozen_by_role = 'OWNER'
+    FROM (
+      SELECT DISTINCT ON (target_id) target_id, actor_id
+      FROM audit_logs
+      WHERE action = 'ACCOUNT_FREEZE'
+        AND target_type = 'ACCOUNT'
+        AND outcome = 'SUCCEEDED'
+      ORDER BY target_id, sequence_number DESC
+    ) last_freeze
+    WHERE a.status = 'FROZEN'
+      AND last_freeze.target_id = a.account_id::text
+      AND last_freeze.actor_id = a.user_id::text
+  `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async (knex) => {
+  await knex.schema.alterTable('accounts', (table) => {
+    table.dropChecks(['chk_accounts_frozen_by_role']);
+    table.dropColumn('frozen_by_role');
+    table.dropColumn('frozen_by');
+  });
+};
@@ -0,0 +1,110 @@
+/**
+ * Running balances stored on the ledger.
+ *
+ * - entry_sequence: insertion order across the ledger
+ * - balance_after: the account's ledger balance right after the entry,
+ *   i.e. the previous entry's balance_after plus this amount
+ *
+ * Both are set by a BEFORE INSERT trigger, never by the services. The
+ * trigger takes the account row lock (FOR NO KEY UPDATE, which every money
+ * movement already holds when it writes the ledger), so entries of one
+ * account are numbered and summed one at a time.
+ *
+ * Transaction history reads balance_after instead of summing the account's
+ * whole ledger on every page.
+ *
+ * Existing entries are backfilled in (created_at, ledger_entry_id) order.
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async (knex) => {
+  await knex.raw(`
+    ALTER TABLE ledger_entries
+      ADD COLUMN entry_sequence bigint,
+      ADD COLUMN balance_after bigint
+  `);
+
+  await knex.raw(`
+    CREATE SEQUENCE ledger_entries_entry_sequence_seq
+    OWNED BY ledger_entries.entry_sequence
+  `);
+
+  await knex.raw(`
+    WITH ordered AS (
+      SELECT
+        ledger_entry_id,
+        ROW_NUMBER() OVER (ORDER BY created_at, ledger_entry_id) AS entry_sequence,
+        SUM(amount) OVER (
+          PARTITION BY account_id
+          ORDER BY created_at, ledger_entry_id
+        ) AS balance_after
+      FROM ledger_entries
+    )
+    UPDATE ledger_entries l
+    SET entry_sequence = o.entry_sequence, balance_after = o.balance_after
+    FROM ordered o
+    WHERE o.ledger_entry_id = l.ledger_entry_id
+  `);
+
+  await knex.raw(`
+    SELECT setval(
+      'ledger_entries_entry_sequence_seq',
+      COALESCE((SELECT MAX(entry_sequence) FROM ledger_entries), 0) + 1,
+      false
+    )
+  `);
+
+  await knex.raw(`
+    ALTER TABLE ledger_entries
+      ALTER COLUMN entry_sequence SET NOT NULL,
+      ALTER COLUMN balance_after SET NOT NULL
+  `);
+
+  await knex.schema.alterTable('ledger_entries', (table) => {
+    table.unique(['account_id', 'entry_sequence'], { indexName: 'uq_ledger_account_sequence' });
+  });
+
+  await knex.raw(`
+    CREATE FUNCTION ledger_entries_balance_after()
+    RETURNS trigger AS $$
+    BEGIN
+      PERFORM 1 FROM accounts WHERE account_id = NEW.account_id FOR NO KEY UPDATE;
+
+      NEW.entry_sequence := nextval('ledger_entries_entry_sequence_seq');
+      NEW.balance_after := NEW.amount + COALESCE((
+        SELECT balance_after
+        FROM ledger_entries
+        WHERE account_id = NEW.account_id
+        ORDER BY entry_sequence DESC
+        LIMIT 1
+      ), 0);
+
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  await knex.raw(`
+    CREATE TRIGGER trg_ledger_entries_balance_after
+    BEFORE INSERT ON ledger_entries
+    FOR EACH ROW EXECUTE FUNCTION ledger_entries_balance_after()
+  `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async (knex) => {
+  await knex.raw('DROP TRIGGER trg_ledger_entries_balance_after ON ledger_entries');
+  await knex.raw('DROP FUNCTION ledger_entries_balance_after()');
+
+  await knex.schema.alterTable('ledger_entries', (table) => {
+    table.dropUnique(['account_id', 'entry_sequence'], 'uq_ledger_account_sequence');
+    table.dropColumn('balance_after');
+    table.dropColumn('entry_sequence');
+  });
+};
@@ -0,0 +1,60 @@
+/**
+ * Pending rows the recovery sweeper has handed to a human.
+ *
+ * - recovery_flagged_at: when the sweeper found a partial / mismatched
+ *   ledger for a stuck PENDING transaction. The row stays PENDING (money
+ *   partly moved, so neither SUCCEEDED nor FAILED is true), but later
+ *   sweeps skip it instead of re-auditing it and filling their batch.
+ *
+ * PENDING rows the sweeper already audited as
+ * RECOVERY_SKIPPED_LEDGER_INCONSISTENT are flagged at their first such row.
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async (knex) => {
+  await knex.schema.alterTable('transactions', (table) => {
+    table.timestamp('recovery_flagged_at', { useTz: true })
+      .nullable();
+  });
+
+  await knex.raw(`
+    UPDATE transactions t
+    SET recovery_flagged_at = flagged.first_flagged_at
+    FROM (
+      SELECT target_id, MIN(created_at) AS first_flagged_at
+      FROM audit_logs
+      WHERE target_type = 'TRANSACTION'
+        AND actor_type = 'SYSTEM'
+        AND actor_id = 'PENDING_RECOVERY_WORKER'
+        AND reason = 'RECOVERY_SKIPPED_LEDGER_INCONSISTENT'
+      GROUP BY target_id
+    ) flagged
+    WHERE t.status = 'PENDING'
+      AND flagged.target_id = t.transaction_id::text
+  `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async (knex) => {
+  // without the flag the sweeper would re-audit these rows on every run
+  const flagged = await knex('transactions')
+    .whereNotNull('recovery_flagged_at')
+    .where({ status: 'PENDING' })
+    .first('transaction_id');
+
+  if (flagged) {
+    throw new Error(
+      'Cannot roll back recovery_flagged_at: PENDING transactions are flagged for review',
+    );
+  }
+
+  await knex.schema.alterTable('transactions', (table) => {
+    table.dropColumn('recovery_flagged_at');
+  });
+};
@@ -0,0 +1,38 @@
+/**
+ * Risk review for holds.
+ *
+ * - review_required: the risk engine answered REVIEW when the hold was
+ *   authorized. The funds are reserved as for any hold, but capturing it
+ *   settles into a TRANSFER held UNDER_REVIEW instead of moving money
+ *   (see services/holdService.js).
+ *
+ * Existing holds were never screened and stay false.
+ */
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async (knex) => {
+  await knex.schema.alterTable('holds', (table) => {
+    table.boolean('review_required')
+      .notNullable()
+      .defaultTo(false);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async (knex) => {
+  // a flagged hold would capture without review: refuse rather than unflag it
+  const flagged = await knex('holds').where({ review_required: true }).first('hold_id');
+  if (flagged) {
+    throw new Error('Cannot roll back hold review: holds flagged for review exist');
+  }
+
+  await knex.schema.alterTable('holds', (table) => {
+    table.dropColumn('review_required');
+  });
+};
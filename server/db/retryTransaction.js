@@ -0,0 +1,45 @@
+/**
+ * retryTransaction
+ *
+ * Runs `work` inside knex.transaction() and re-runs it from scratch when
+ * Postgres aborts the transaction for a retryable concurrency reason:
+ * - 40001 serialization_failure
+ * - 40P01 deadlock_detected
+ *
+ * The whole transaction is rolled back before each retry, so `work`
+ * must be safe to run again (every DB write goes through trx).
+ *
+ * Backoff is exponential with full jitter, capped at maxDelayMs.
+ * After maxAttempts the last error is rethrown to the caller.
+ */
+
+const knex = require('./knex');
+
+const RETRYABLE_CODES = ['40001', '40P01'];
+
+const isRetryable = (error) => RETRYABLE_CODES.includes(error?.code);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const retryTransaction = async (work, {
+  maxAttempts = 5,
+  baseDelayMs = 10,
+  maxDelayMs = 200,
+} = {}) => {
+  const attempt = async (attemptNumber) => {
+    try {
+      return await knex.transaction(work);
+    } catch (error) {
+      if (!isRetryable(error) || attemptNumber >= maxAttempts) throw error;
+
+      const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attemptNumber - 1));
+      await sleep(Math.random() * ceiling);
+
+      return attempt(attemptNumber + 1);
+    }
+  };
+
+  return attempt(1);
+};
+
+module.exports = retryTransaction;
@@ -0,0 +1,55 @@
+/**
+ * sessions
+ *
+ * Queries on the server-side session table by user rather than by sid.
+ * express-session reads and writes single sessions through the store
+ * (see middleware/handleSessions.js); these find and revoke all of a
+ * user's sessions, e.g. for "sign out everywhere".
+ *
+ * Session data (sess) written at login:
+ *   { userId, sessionId, createdAt, absoluteExpiresAt, ipAddress, userAgent }
+ * sessionId is a public id for the session; sid is the cookie secret and
+ * never leaves the server.
+ */
+
+const knex = require('./knex');
+
+const SESSIONS_TABLE = 'sessions';
+
+const activeUserSessions = (db, userId) => db(SESSIONS_TABLE)
+  .where({ user_id: String(userId) })
+  .where('expired', '>', db.fn.now());
+
+/**
+ * A user's sessions that have not idled out, most recently active first.
+ */
+const findUserSessions = (userId, db = knex) => activeUserSessions(db, userId)
+  .select('sid', 'sess', 'expired')
+  .orderBy('expired', 'desc');
+
+/**
+ * Revoke one session by its public sessionId.
+ * Resolves to the number of sessions removed (0 or 1).
+ */
+const deleteUserSession = (userId, sessionId, db = knex) => db(SESSIONS_TABLE)
+  .where({ user_id: String(userId) })
+  .whereRaw("sess ->> 'sessionId' = ?", [sessionId])
+  .del();
+
+/**
+ * Revoke every session of a user, optionally keeping one (by sid).
+ * Resolves to the number of sessions removed.
+ */
+const deleteUserSessions = (userId, { exceptSid = null } = {}, db = knex) => {
+  const query = db(SESSIONS_TABLE).where({ user_id: String(userId) });
+  if (exceptSid) query.whereNot({ sid: exceptSid });
+
+  return query.del();
+};
+
+module.exports = {
+  SESSIONS_TABLE,
+  findUserSessions,
+  deleteUserSession,
+  deleteUserSessions,
+};
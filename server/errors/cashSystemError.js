@@ -0,0 +1,29 @@
+/**
+ * CashSystemError
+ *
+ * Represents infrastructure-level failures that prevent
+ * a deposit or withdrawal from completing reliably.
+ *
+ * IMPORTANT:
+ * - This should ONLY be thrown by the service layer.
+ * - Business rule violations must NOT throw this error.
+ * - This class must NOT contain HTTP-related logic.
+ */
+
+class CashSystemError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+
+    this.name = 'CashSystemError';
+    // DEPOSIT_SYSTEM_FAILURE or WITHDRAWAL_SYSTEM_FAILURE
+    this.code = options.code || 'CASH_SYSTEM_FAILURE';
+
+    if (options.metadata) {
+      this.metadata = options.metadata;
+    }
+
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+module.exports = CashSystemError;
@@ -9,10 +9,17 @@ const express = require('express');
 // middleware imports
 const globalLimiter = require('./middleware/globalLimiter');
 const corsConfig = require('./middleware/corsConfig');
-const handleCookieSessions = require('./middleware/handleCookieSessions');
-const { loginIpLimiter, loginUserLimiter } = require('./middleware/authRateLimiters');
+const handleSessions = require('./middleware/handleSessions');
+const {
+  loginIpLimiter,
+  loginUserLimiter,
+  passwordResetLimiter,
+} = require('./middleware/authRateLimiters');
 const checkAuthentication = require('./middleware/checkAuthentication');
+const validateSessionId = require('./middleware/validateSessionId');
+const { requirePermission } = require('./middleware/requireRole');
 const logRoutes = require('./middleware/logRoutes');
+const auditContext = require('./middleware/auditContext');
 const logErrors = require('./middleware/logErrors');
 const errorHandler = require('./middleware/errorHandler');
 
@@ -23,6 +30,13 @@ const userControllers = require('./controllers/userControllers');
 
 // routes imports
 const transferRoutes = require('./routes/transferRoutes');
+const scheduledTransferRoutes = require('./routes/scheduledTransferRoutes');
+const holdRoutes = require('./routes/holdRoutes');
+const accountRoutes = require('./routes/accountRoutes');
+const { depositRouter, withdrawalRouter } = require('./routes/cashRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const transactionRoutes = require('./routes/transactionRoutes');
+const auditLogRoutes = require('./routes/auditLogRoutes');
 
 const app = express();
 
@@ -33,7 +47,8 @@ if (process.env.NODE_ENV === 'production') {
 } 
 
 // middleware
-app.use(handleCookieSessions); // adds a session property to each request representing the cookie
+app.use(auditContext); // IP and user agent for audit entries
+app.use(handleSessions); // loads the server-side session named by the cookie as req.session
 app.use(logRoutes); // print information about each incoming request
 app.use(express.json()); // parse incoming request bodies as JSON
 
@@ -57,22 +72,87 @@ app.post('/api/auth/login',
 app.get('/api/auth/me', authControllers.showMe);
 app.delete('/api/auth/logout', authControllers.logoutUser);
 
+// password change (signed in) and forgot / reset (signed out)
+app.patch('/api/auth/password', checkAuthentication, authControllers.changePassword);
+app.post('/api/auth/password/forgot', passwordResetLimiter, authControllers.forgotPassword);
+app.post('/api/auth/password/reset', passwordResetLimiter, authControllers.resetPassword);
+
+// two-factor authentication (TOTP authenticator apps)
+app.get('/api/auth/2fa/totp', checkAuthentication, authControllers.showTotpStatus);
+app.post('/api/auth/2fa/totp', checkAuthentication, authControllers.beginTotpEnrollment);
+app.post('/api/auth/2fa/totp/confirm', checkAuthentication, authControllers.confirmTotpEnrollment);
+app.delete('/api/auth/2fa/totp', checkAuthentication, authControllers.disableTotp);
+
+// signed-in devices: list, revoke one, or sign out everywhere else
+app.get('/api/auth/sessions', checkAuthentication, authControllers.listSessions);
+app.delete('/api/auth/sessions', checkAuthentication, authControllers.signOutEverywhere);
+app.delete(
+  '/api/auth/sessions/:sessionId',
+  checkAuthentication,
+  validateSessionId,
+  authControllers.revokeSession,
+);
+
 /// ////////////////////////////
 // User Routes
 /// ////////////////////////////
 
 // These actions require users to be logged in (authentication)
+// and, to see other users, a staff role (authorization)
 // Express lets us pass a piece of middleware to run for a specific endpoint
-app.get('/api/users', checkAuthentication, userControllers.listUsers);
-app.get('/api/users/:id', checkAuthentication, userControllers.showUser);
+app.get('/api/users', checkAuthentication, requirePermission('users:list'), userControllers.listUsers);
+app.get(
+  '/api/users/:id',
+  checkAuthentication,
+  requirePermission('users:read', { allowSelf: true }),
+  userControllers.showUser,
+);
 app.patch('/api/users/:id', checkAuthentication, userControllers.updateUser);
 
 /// ////////////////////////////
 // Transfer Routes
 /// ////////////////////////////
 
+app.use('/api/transfers/scheduled', scheduledTransferRoutes);
 app.use('/api/transfers', transferRoutes);
 
+/// ////////////////////////////
+// Hold Routes (authorize / capture / void)
+/// ////////////////////////////
+
+app.use('/api/holds', holdRoutes);
+
+/// ////////////////////////////
+// Deposit & Withdrawal Routes
+/// ////////////////////////////
+
+app.use('/api/deposits', depositRouter);
+app.use('/api/withdrawals', withdrawalRouter);
+
+/// ////////////////////////////
+// Admin Routes
+/// ////////////////////////////
+
+app.use('/api/admin', adminRoutes);
+
+/// ////////////////////////////
+// Account Routes
+/// ////////////////////////////
+
+app.use('/api/accounts', accountRoutes);
+
+/// ////////////////////////////
+// Transaction History Routes
+/// ////////////////////////////
+
+app.use('/api/transactions', transactionRoutes);
+
+/// ////////////////////////////
+// Audit Log Routes
+/// ////////////////////////////
+
+app.use('/api/audit-logs', auditLogRoutes);
+
 /// ////////////////////////////
 // Fallback Routes
 /// ////////////////////////////
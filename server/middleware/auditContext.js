@@ -0,0 +1,23 @@
+/**
+ * auditContext Middleware
+ *
+ * Responsibility:
+ * - Capture where a request came from as req.auditContext
+ *   ({ ipAddress, userAgent }), for controllers to pass along to
+ *   audit entries (see db/auditLog.js)
+ *
+ * req.ip honours 'trust proxy' (set in production), so behind the proxy
+ * it is the client's address rather than the proxy's.
+ *
+ * This middleware:
+ * - DOES NOT talk to the database
+ */
+
+module.exports = function auditContext(req, res, next) {
+  req.auditContext = {
+    ipAddress: req.ip || null,
+    userAgent: req.get('user-agent') || null,
+  };
+
+  next();
+};
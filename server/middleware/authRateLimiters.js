@@ -6,6 +6,21 @@
 
 const rateLimit = require('express-rate-limit');
 const { ipKeyGenerator } = require('express-rate-limit');
+const { recordAudit, ANONYMOUS_ACTOR_ID } = require('../db/auditLog');
+
+/**
+ * Audit a lockout. The 429 goes out whether or not the audit write succeeds.
+ */
+const auditLockout = (req, reason, action = 'LOGIN_RATE_LIMITED') => recordAudit({
+  actorId: ANONYMOUS_ACTOR_ID,
+  action,
+  targetType: 'SESSION',
+  outcome: 'REJECTED',
+  reason,
+  context: req.auditContext,
+}).catch((error) => {
+  console.error('[authRateLimiters] Failed to audit lockout:', error.message);
+});
 
 /**
  * IP-based login limiter
@@ -26,7 +41,8 @@ const loginIpLimiter = rateLimit({
   // Don't rate-limit CORS preflights
   skip: (req) => req.method === 'OPTIONS',
 
-  handler: (_req, res) => {
+  handler: (req, res) => {
+    auditLockout(req, 'LOGIN_RATE_LIMIT_EXCEEDED');
     return res.status(429).json({
       success: false,
       error: 'LOGIN_RATE_LIMIT_EXCEEDED'
@@ -57,7 +73,8 @@ const loginUserLimiter = rateLimit({
 
   skip: (req) => req.method === 'OPTIONS',
 
-  handler: (_req, res) => {
+  handler: (req, res) => {
+    auditLockout(req, 'LOGIN_USERNAME_RATE_LIMIT_EXCEEDED');
     return res.status(429).json({
       success: false,
       error: 'LOGIN_USERNAME_RATE_LIMIT_EXCEEDED'
@@ -65,7 +82,30 @@ const loginUserLimiter = rateLimit({
   }
 });
 
+/**
+ * IP-based limiter for the forgot / reset password endpoints.
+ * Every request counts: a reset request always succeeds, and guessing
+ * reset tokens should be slow.
+ */
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: ipKeyGenerator,
+  skip: (req) => req.method === 'OPTIONS',
+
+  handler: (req, res) => {
+    auditLockout(req, 'PASSWORD_RESET_RATE_LIMIT_EXCEEDED', 'PASSWORD_RESET_RATE_LIMITED');
+    return res.status(429).json({
+      success: false,
+      error: 'PASSWORD_RESET_RATE_LIMIT_EXCEEDED',
+    });
+  },
+});
+
 module.exports = {
   loginIpLimiter,
-  loginUserLimiter
+  loginUserLimiter,
+  passwordResetLimiter,
 };
@@ -17,4 +17,5 @@ module.exports = cors({
   credentials: true, // needed if frontend is on a different ORIGIN (like localhost:5173 -> localhost:3000)
   methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
 });
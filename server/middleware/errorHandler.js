@@ -13,6 +13,7 @@
  */
 
 const TransferSystemError = require('../errors/transferSystemError');
+const CashSystemError = require('../errors/cashSystemError');
 
 function errorHandler(err, req, res, next) {
   // If response already started, delegate
@@ -28,6 +29,14 @@ function errorHandler(err, req, res, next) {
     });
   }
 
+  // Handle CashSystemError (DEPOSIT_ / WITHDRAWAL_SYSTEM_FAILURE)
+  if (err instanceof CashSystemError) {
+    return res.status(500).json({
+      success: false,
+      error: err.code,
+    });
+  }
+
   // Fallback for unknown/unexpected errors
   return res.status(500).json({
     success: false,
@@ -0,0 +1,68 @@
+/**
+ * handleSessions Middleware
+ *
+ * Responsibility:
+ * - Server-side sessions: the cookie only carries a signed session id,
+ *   the session itself lives in the sessions table
+ *   (express-session + connect-session-knex)
+ * - Idle timeout: rolling, each request pushes the expiry forward
+ * - Absolute timeout: a session past absoluteExpiresAt is replaced by an
+ *   empty one, so the request carries on unauthenticated
+ *
+ * Timeouts, login and logout: see utils/sessions.js
+ *
+ * This middleware:
+ * - talks to the database only through the session store
+ *   (and audit_logs when a session times out)
+ */
+
+const session = require('express-session');
+const KnexSessionStore = require('connect-session-knex')(session);
+const knex = require('../db/knex');
+const { SESSIONS_TABLE } = require('../db/sessions');
+const { recordAudit } = require('../db/auditLog');
+const { SESSION_COOKIE_NAME, idleTimeoutMs, regenerateSession } = require('../utils/sessions');
+
+const sessionStore = new KnexSessionStore({
+  knex,
+  tablename: SESSIONS_TABLE,
+  createtable: false, // created by migration
+});
+
+const expressSession = session({
+  name: SESSION_COOKIE_NAME,
+  secret: process.env.SESSION_SECRET,
+  store: sessionStore,
+  resave: false,
+  saveUninitialized: false, // no session row until someone logs in
+  rolling: true,
+  cookie: {
+    httpOnly: true,
+    sameSite: 'strict', // if cross-site block cookies
+    secure: process.env.NODE_ENV === 'production', // requires HTTPS
+    maxAge: idleTimeoutMs(),
+  },
+});
+
+const enforceAbsoluteTimeout = async (req, res, next) => {
+  const { userId, sessionId, absoluteExpiresAt } = req.session;
+  if (!userId || Date.now() < Date.parse(absoluteExpiresAt)) return next();
+
+  try {
+    await regenerateSession(req);
+    await recordAudit({
+      actorId: userId,
+      action: 'SESSION_EXPIRE',
+      targetType: 'SESSION',
+      targetId: sessionId,
+      outcome: 'SUCCEEDED',
+      reason: 'ABSOLUTE_TIMEOUT',
+      context: req.auditContext,
+    });
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = [expressSession, enforceAbsoluteTimeout];
@@ -0,0 +1,74 @@
+/**
+ * requireRole.js
+ *
+ * Role-based access control for routes. Must run AFTER checkAuthentication.
+ *
+ * - requireRole(...roles)            the user's role is one of `roles`
+ * - requirePermission(permission)    the user's role carries `permission`
+ *                                    (see policies/rolePermissions.js)
+ *
+ * The role is read from users on every request, so a role change applies
+ * to existing sessions straight away. Users listed in ADMIN_USER_IDS
+ * (comma-separated user ids) are treated as admins whatever their stored
+ * role, to bootstrap the first admin of a fresh database.
+ *
+ * Refusals are a bare 403; lookup failures go to the error handler.
+ */
+
+const User = require('../models/User');
+const { hasPermission } = require('../policies/rolePermissions');
+
+const adminUserIds = () => (process.env.ADMIN_USER_IDS || '')
+  .split(',')
+  .map((id) => id.trim())
+  .filter(Boolean);
+
+/**
+ * The logged in user's role, loaded once per request.
+ * Null when the session's user no longer exists.
+ */
+const loadRole = async (req) => {
+  if (req.userRole === undefined) {
+    const { userId } = req.session;
+
+    if (adminUserIds().includes(userId)) {
+      req.userRole = 'admin';
+    } else {
+      const user = await User.find(userId);
+      req.userRole = user ? user.role : null;
+    }
+  }
+
+  return req.userRole;
+};
+
+/**
+ * Middleware factory: allow the request when `isAllowed(role, req)` holds.
+ */
+const requireAccess = (isAllowed) => async (req, res, next) => {
+  try {
+    const role = await loadRole(req);
+    if (!role || !isAllowed(role, req)) return res.sendStatus(403);
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const requireRole = (...roles) => requireAccess((role) => roles.includes(role));
+
+/**
+ * @param {string}  permission
+ * @param {object}  [options]
+ * @param {boolean} [options.allowSelf]  also allow a user acting on their own
+ *                                       record (req.params.id is their user id)
+ */
+const requirePermission = (permission, { allowSelf = false } = {}) => requireAccess(
+  (role, req) => hasPermission(role, permission)
+    || (allowSelf && req.params.id === req.session.userId),
+);
+
+module.exports = {
+  requireRole,
+  requirePermission,
+};
@@ -0,0 +1,61 @@
+/**
+ * requireTransferStepUp.js
+ *
+ * Step-up authentication for requests that move or commit money. Must run
+ * AFTER the request's validator (it reads the validated amount).
+ *
+ * Usage:
+ * - requireTransferStepUp({ idempotencyType: 'TRANSFER' })  POST /api/transfers
+ * - requireTransferStepUp({ idempotencyType: 'HOLD' })      POST /api/holds
+ * - requireTransferStepUp()                                 scheduled transfers
+ *   (create, and updates that change the amount)
+ *
+ * Above TRANSFER_STEP_UP_THRESHOLD (see services/totpService.js) the
+ * request needs a current code from the user's authenticator in the
+ * TOTP-Code header. With an idempotencyType, a retry whose Idempotency-Key
+ * already has a stored request goes through without a code, so the
+ * service can replay its stored response. Refusals are 403 with one of:
+ * - STEP_UP_ENROLLMENT_REQUIRED  the user has no authenticator
+ * - TOTP_REQUIRED                no code was sent
+ * - INVALID_TOTP_CODE            wrong, expired or already used code
+ *
+ * Lookup failures go to the error handler.
+ */
+
+const totpService = require('../services/totpService');
+
+const STEP_UP_MESSAGES = {
+  STEP_UP_ENROLLMENT_REQUIRED: 'Transfers of this size need two-factor authentication; enroll an authenticator first',
+  TOTP_REQUIRED: 'Transfers of this size need a code from your authenticator (TOTP-Code header)',
+  INVALID_TOTP_CODE: 'The authenticator code is wrong, expired or already used',
+};
+
+module.exports = function requireTransferStepUp({ idempotencyType = null } = {}) {
+  return async (req, res, next) => {
+    // a scheduled transfer update that leaves the amount alone
+    if (req.body?.amount === undefined) return next();
+
+    try {
+      const result = await totpService.checkTransferStepUp({
+        userId: req.session.userId,
+        amount: req.body.amount,
+        code: req.header('TOTP-Code') || null,
+        idempotencyType,
+        idempotencyKey: idempotencyType ? req.header('Idempotency-Key') : null,
+        auditContext: req.auditContext,
+      });
+
+      if (!result.success) {
+        return res.status(403).json({
+          success: false,
+          error: result.error,
+          message: STEP_UP_MESSAGES[result.error],
+        });
+      }
+
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  };
+};
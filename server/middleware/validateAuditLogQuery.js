@@ -0,0 +1,135 @@
+/**
+ * validateAuditLogQuery Middleware
+ *
+ * Responsibility:
+ * - Validate the query string of the audit log endpoints
+ * - Normalize it into req.auditLogQuery for the controller
+ *
+ * Supported query params:
+ * - actorType           USER | SERVICE | SYSTEM
+ * - actorId             user id, or service / job name
+ * - targetType          ACCOUNT | TRANSACTION | SESSION | USER | SCHEDULED_TRANSFER | HOLD
+ * - targetId            id of the target (e.g. a transaction id)
+ * - action              e.g. TRANSFER, RISK_RULE_HIT
+ * - outcome             ATTEMPTED | SUCCEEDED | REJECTED | FAILED | FLAGGED
+ * - from, to            ISO-8601 dates (from inclusive, to exclusive)
+ * - order               desc (newest first, default) | asc (oldest first)
+ * - limit               1..200 (default 50); ignored by the export
+ * - cursor              opaque nextCursor from a previous page; ignored by the export
+ * - format              json (default) | csv; export only
+ *
+ * This middleware:
+ * - DOES NOT talk to the database
+ * - ONLY validates request structure and types
+ */
+
+const ACTOR_TYPES = ['USER', 'SERVICE', 'SYSTEM'];
+const TARGET_TYPES = ['ACCOUNT', 'TRANSACTION', 'SESSION', 'USER', 'SCHEDULED_TRANSFER', 'HOLD'];
+const OUTCOMES = ['ATTEMPTED', 'SUCCEEDED', 'REJECTED', 'FAILED', 'FLAGGED'];
+const ORDERS = ['desc', 'asc'];
+const FORMATS = ['json', 'csv'];
+const ACTION_PATTERN = /^[A-Z][A-Z_]{0,63}$/;
+const MAX_ID_LENGTH = 255;
+const MAX_LIMIT = 200;
+
+const invalid = (res, message) => res.status(400).json({
+  success: false,
+  error: 'INVALID_QUERY',
+  message,
+});
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const isId = (value) => typeof value === 'string' && value.length > 0 && value.length <= MAX_ID_LENGTH;
+
+const notOneOf = (res, name, allowed) => invalid(res, `${name} must be one of ${allowed.join(', ')}`);
+
+module.exports = function validateAuditLogQuery(req, res, next) {
+  const {
+    actorType,
+    actorId,
+    targetType,
+    targetId,
+    action,
+    outcome,
+    from,
+    to,
+    order = 'desc',
+    limit,
+    cursor,
+    format = 'json',
+  } = req.query;
+  const filters = {};
+
+  if (actorType !== undefined) {
+    if (!ACTOR_TYPES.includes(actorType)) return notOneOf(res, 'actorType', ACTOR_TYPES);
+    filters.actorType = actorType;
+  }
+
+  if (actorId !== undefined) {
+    if (!isId(actorId)) return invalid(res, `actorId must be 1..${MAX_ID_LENGTH} characters`);
+    filters.actorId = actorId;
+  }
+
+  if (targetType !== undefined) {
+    if (!TARGET_TYPES.includes(targetType)) {
+      return notOneOf(res, 'targetType', TARGET_TYPES);
+    }
+    filters.targetType = targetType;
+  }
+
+  if (targetId !== undefined) {
+    if (!isId(targetId)) return invalid(res, `targetId must be 1..${MAX_ID_LENGTH} characters`);
+    filters.targetId = targetId;
+  }
+
+  if (action !== undefined) {
+    if (typeof action !== 'string' || !ACTION_PATTERN.test(action)) {
+      return invalid(res, 'action must be an UPPER_SNAKE_CASE action name');
+    }
+    filters.action = action;
+  }
+
+  if (outcome !== undefined) {
+    if (!OUTCOMES.includes(outcome)) return notOneOf(res, 'outcome', OUTCOMES);
+    filters.outcome = outcome;
+  }
+
+  if (from !== undefined) {
+    filters.from = parseDate(from);
+    if (!filters.from) return invalid(res, 'from must be an ISO-8601 date');
+  }
+
+  if (to !== undefined) {
+    filters.to = parseDate(to);
+    if (!filters.to) return invalid(res, 'to must be an ISO-8601 date');
+  }
+
+  if (!ORDERS.includes(order)) return notOneOf(res, 'order', ORDERS);
+  if (!FORMATS.includes(format)) return notOneOf(res, 'format', FORMATS);
+
+  let pageSize;
+  if (limit !== undefined) {
+    pageSize = /^\d+$/.test(limit) ? Number(limit) : null;
+    if (!pageSize || pageSize > MAX_LIMIT) {
+      return invalid(res, `limit must be between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  if (cursor !== undefined && typeof cursor !== 'string') {
+    return invalid(res, 'cursor must be a string');
+  }
+
+  req.auditLogQuery = {
+    filters,
+    order,
+    cursor,
+    limit: pageSize,
+    format,
+  };
+
+  next();
+};
@@ -0,0 +1,60 @@
+/**
+ * validateCashRequest Middleware
+ *
+ * Responsibility:
+ * - Validate shape and types of incoming deposit / withdrawal requests
+ * - Enforce the same strict input contract as validateTransferRequest
+ *
+ * Usage:
+ * - validateCashRequest('toAccountId')   for deposits
+ * - validateCashRequest('fromAccountId') for withdrawals
+ *
+ * This middleware:
+ * - DOES NOT talk to the database
+ * - DOES NOT apply business logic
+ * - ONLY validates request structure and types
+ */
+
+const { validateAmount } = require('../utils/money');
+
+module.exports = function validateCashRequest(accountField) {
+  return (req, res, next) => {
+    const { [accountField]: accountId, amount } = req.body;
+    const idempotencyKey = req.header('Idempotency-Key');
+
+    //  Required fields check
+    if (accountId === undefined || amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_REQUEST',
+        message: `${accountField} and amount are required`,
+      });
+    }
+
+    //  Type validation (strict)
+    if (typeof accountId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_TYPE',
+        message: 'Account ID must be a string',
+      });
+    }
+
+    // Amount is an integer number of cents (see utils/money.js)
+    const amountError = validateAmount(amount);
+    if (amountError) {
+      return res.status(400).json({ success: false, ...amountError });
+    }
+
+    // Idempotency header required
+    if (!idempotencyKey || typeof idempotencyKey !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'MISSING_IDEMPOTENCY_KEY',
+        message: 'Idempotency-Key header is required',
+      });
+    }
+
+    next();
+  };
+};
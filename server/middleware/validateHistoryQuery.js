@@ -0,0 +1,93 @@
+/**
+ * validateHistoryQuery Middleware
+ *
+ * Responsibility:
+ * - Validate the query string of transaction history endpoints
+ * - Normalize it into req.historyQuery for the controller
+ *
+ * Supported query params:
+ * - from, to            ISO-8601 dates (from inclusive, to exclusive)
+ * - type                TRANSFER | DEPOSIT | WITHDRAWAL | REVERSAL
+ * - status              PENDING | SUCCEEDED | REJECTED | FAILED | UNDER_REVIEW
+ * - minAmount, maxAmount non-negative integers, in cents (see utils/money.js)
+ * - limit               1..100 (default 25)
+ * - cursor              opaque nextCursor from a previous page
+ *
+ * This middleware:
+ * - DOES NOT talk to the database
+ * - ONLY validates request structure and types
+ */
+
+const TYPES = ['TRANSFER', 'DEPOSIT', 'WITHDRAWAL', 'REVERSAL'];
+const STATUSES = ['PENDING', 'SUCCEEDED', 'REJECTED', 'FAILED', 'UNDER_REVIEW'];
+const MAX_LIMIT = 100;
+
+const invalid = (res, message) => res.status(400).json({
+  success: false,
+  error: 'INVALID_QUERY',
+  message,
+});
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const parseNonNegativeInteger = (value) => {
+  if (!/^\d+$/.test(value)) return null;
+  const number = Number(value);
+  return Number.isSafeInteger(number) ? number : null;
+};
+
+module.exports = function validateHistoryQuery(req, res, next) {
+  const { from, to, type, status, minAmount, maxAmount, limit, cursor } = req.query;
+  const filters = {};
+
+  if (from !== undefined) {
+    filters.from = parseDate(from);
+    if (!filters.from) return invalid(res, 'from must be an ISO-8601 date');
+  }
+
+  if (to !== undefined) {
+    filters.to = parseDate(to);
+    if (!filters.to) return invalid(res, 'to must be an ISO-8601 date');
+  }
+
+  if (type !== undefined) {
+    if (!TYPES.includes(type)) return invalid(res, `type must be one of ${TYPES.join(', ')}`);
+    filters.type = type;
+  }
+
+  if (status !== undefined) {
+    if (!STATUSES.includes(status)) {
+      return invalid(res, `status must be one of ${STATUSES.join(', ')}`);
+    }
+    filters.status = status;
+  }
+
+  if (minAmount !== undefined) {
+    filters.minAmount = parseNonNegativeInteger(minAmount);
+    if (filters.minAmount === null) return invalid(res, 'minAmount must be a non-negative integer');
+  }
+
+  if (maxAmount !== undefined) {
+    filters.maxAmount = parseNonNegativeInteger(maxAmount);
+    if (filters.maxAmount === null) return invalid(res, 'maxAmount must be a non-negative integer');
+  }
+
+  let pageSize;
+  if (limit !== undefined) {
+    pageSize = parseNonNegativeInteger(limit);
+    if (!pageSize || pageSize > MAX_LIMIT) {
+      return invalid(res, `limit must be between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  if (cursor !== undefined && typeof cursor !== 'string') {
+    return invalid(res, 'cursor must be a string');
+  }
+
+  req.historyQuery = { filters, cursor, limit: pageSize };
+
+  next();
+};
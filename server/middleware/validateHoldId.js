@@ -0,0 +1,36 @@
+/**
+ * validateHoldId Middleware
+ *
+ * Responsibility:
+ * - Ensure the :id route param is a UUID before it reaches the database
+ * - Validate the optional capture amount (POST /api/holds/:id/capture)
+ *
+ * This middleware:
+ * - DOES NOT talk to the database
+ * - DOES NOT check ownership (the service does)
+ */
+
+const { validateAmount } = require('../utils/money');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+module.exports = function validateHoldId(req, res, next) {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_HOLD_ID',
+      message: 'Hold id must be a UUID',
+    });
+  }
+
+  // omitted = capture the whole hold
+  const amount = req.body?.amount;
+  if (amount !== undefined) {
+    const amountError = validateAmount(amount);
+    if (amountError) {
+      return res.status(400).json({ success: false, ...amountError });
+    }
+  }
+
+  next();
+};
@@ -0,0 +1,73 @@
+/**
+ * validateHoldRequest Middleware
+ *
+ * Responsibility:
+ * - Validate shape and types of incoming hold authorizations
+ *   (POST /api/holds)
+ *
+ * Body:
+ * - fromAccountId, toAccountId   required strings
+ * - amount                       required integer cents
+ * - ttlMinutes                   optional positive integer; defaults server-side
+ *
+ * This middleware:
+ * - DOES NOT talk to the database
+ * - DOES NOT apply business logic
+ * - ONLY validates request structure and types
+ */
+
+const { validateAmount } = require('../utils/money');
+
+module.exports = function validateHoldRequest(req, res, next) {
+  const { fromAccountId, toAccountId, amount, ttlMinutes } = req.body || {};
+  const idempotencyKey = req.header('Idempotency-Key');
+
+  if (fromAccountId === undefined || toAccountId === undefined || amount === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_REQUEST',
+      message: 'fromAccountId, toAccountId, and amount are required',
+    });
+  }
+
+  if (typeof fromAccountId !== 'string' || typeof toAccountId !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_TYPE',
+      message: 'Account IDs must be strings',
+    });
+  }
+
+  // Amount is an integer number of cents (see utils/money.js)
+  const amountError = validateAmount(amount);
+  if (amountError) {
+    return res.status(400).json({ success: false, ...amountError });
+  }
+
+  if (ttlMinutes !== undefined && (!Number.isInteger(ttlMinutes) || ttlMinutes <= 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_TTL',
+      message: 'ttlMinutes must be a positive integer',
+    });
+  }
+
+  if (fromAccountId === toAccountId) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_HOLD',
+      message: 'source and destination account must differ',
+    });
+  }
+
+  // Idempotency header required
+  if (!idempotencyKey || typeof idempotencyKey !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'MISSING_IDEMPOTENCY_KEY',
+      message: 'Idempotency-Key header is required',
+    });
+  }
+
+  next();
+};
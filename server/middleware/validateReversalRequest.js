@@ -0,0 +1,51 @@
+/**
+ * validateReversalRequest Middleware
+ *
+ * Responsibility:
+ * - Validate shape and types of incoming reversal requests
+ *   (POST /api/transfers/:id/reversals)
+ *
+ * Body:
+ * - amount   optional integer cents; omitted = reverse the whole transfer
+ *
+ * This middleware:
+ * - DOES NOT talk to the database
+ * - DOES NOT apply business logic
+ * - ONLY validates request structure and types
+ */
+
+const { validateAmount } = require('../utils/money');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+module.exports = function validateReversalRequest(req, res, next) {
+  const { amount } = req.body || {};
+  const idempotencyKey = req.header('Idempotency-Key');
+
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_TRANSACTION_ID',
+      message: 'Transaction id must be a UUID',
+    });
+  }
+
+  // Amount is an integer number of cents (see utils/money.js)
+  if (amount !== undefined) {
+    const amountError = validateAmount(amount);
+    if (amountError) {
+      return res.status(400).json({ success: false, ...amountError });
+    }
+  }
+
+  // Idempotency header required
+  if (!idempotencyKey || typeof idempotencyKey !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'MISSING_IDEMPOTENCY_KEY',
+      message: 'Idempotency-Key header is required',
+    });
+  }
+
+  next();
+};
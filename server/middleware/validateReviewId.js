@@ -0,0 +1,25 @@
+/**
+ * validateReviewId Middleware
+ *
+ * Responsibility:
+ * - Ensure the :id route param (a transaction id) is a UUID before it
+ *   reaches the database
+ *
+ * This middleware:
+ * - DOES NOT talk to the database
+ * - DOES NOT check the transfer is awaiting review (the service does)
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+module.exports = function validateReviewId(req, res, next) {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_TRANSACTION_ID',
+      message: 'Transaction id must be a UUID',
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,24 @@
+/**
+ * validateScheduledTransferId Middleware
+ *
+ * Responsibility:
+ * - Ensure the :id route param is a UUID before it reaches the database
+ *
+ * This middleware:
+ * - DOES NOT talk to the database
+ * - DOES NOT check ownership (the service does)
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+module.exports = function validateScheduledTransferId(req, res, next) {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_SCHEDULED_TRANSFER_ID',
+      message: 'Scheduled transfer id must be a UUID',
+    });
+  }
+
+  next();
+};
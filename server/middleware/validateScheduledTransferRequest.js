@@ -0,0 +1,112 @@
+/**
+ * validateScheduledTransferRequest Middleware
+ *
+ * Responsibility:
+ * - Validate the body of scheduled transfer create / update requests
+ * - Normalize it into req.scheduledTransfer for the controller
+ *
+ * Usage:
+ * - validateScheduledTransferRequest()                  POST  (all fields)
+ * - validateScheduledTransferRequest({ partial: true }) PATCH (amount, nextRunAt, endsAt)
+ *
+ * Body fields:
+ * - fromAccountId, toAccountId   account UUIDs, must differ
+ * - amount                       integer cents (see utils/money.js)
+ * - frequency                    ONCE | WEEKLY | MONTHLY
+ * - startAt / nextRunAt          ISO-8601 date-time, not in the past
+ * - dayOfMonth                   1..31, MONTHLY only (defaults to startAt's day)
+ * - endsAt                       ISO-8601 date-time after the first run, or null
+ *
+ * This middleware:
+ * - DOES NOT talk to the database
+ * - ONLY validates request structure and types
+ */
+
+const { validateAmount } = require('../utils/money');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const FREQUENCIES = ['ONCE', 'WEEKLY', 'MONTHLY'];
+const UPDATABLE_FIELDS = ['amount', 'nextRunAt', 'endsAt'];
+
+const invalid = (res, message, error = 'INVALID_REQUEST') => res.status(400).json({
+  success: false,
+  error,
+  message,
+});
+
+const parseDate = (value) => {
+  if (typeof value !== 'string') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+module.exports = function validateScheduledTransferRequest({ partial = false } = {}) {
+  return (req, res, next) => {
+    const body = req.body || {};
+    const scheduledTransfer = {};
+
+    if (partial) {
+      const fields = Object.keys(body);
+      if (fields.length === 0 || fields.some((field) => !UPDATABLE_FIELDS.includes(field))) {
+        return invalid(res, `Only ${UPDATABLE_FIELDS.join(', ')} can be changed`);
+      }
+    } else {
+      const { fromAccountId, toAccountId, frequency, dayOfMonth } = body;
+
+      if (typeof fromAccountId !== 'string' || typeof toAccountId !== 'string') {
+        return invalid(res, 'fromAccountId and toAccountId are required strings');
+      }
+      if (!UUID_PATTERN.test(fromAccountId) || !UUID_PATTERN.test(toAccountId)) {
+        return invalid(res, 'fromAccountId and toAccountId must be valid UUIDs');
+      }
+      if (fromAccountId === toAccountId) {
+        return invalid(res, 'source and destination account must differ', 'INVALID_TRANSFER');
+      }
+      if (!FREQUENCIES.includes(frequency)) {
+        return invalid(res, `frequency must be one of ${FREQUENCIES.join(', ')}`);
+      }
+      if (dayOfMonth !== undefined && dayOfMonth !== null) {
+        if (frequency !== 'MONTHLY') {
+          return invalid(res, 'dayOfMonth is only allowed for MONTHLY schedules');
+        }
+        if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+          return invalid(res, 'dayOfMonth must be an integer between 1 and 31');
+        }
+        scheduledTransfer.dayOfMonth = dayOfMonth;
+      }
+
+      Object.assign(scheduledTransfer, { fromAccountId, toAccountId, frequency });
+    }
+
+    if (!partial || body.amount !== undefined) {
+      // Amount is an integer number of cents (see utils/money.js)
+      const amountError = validateAmount(body.amount);
+      if (amountError) {
+        return res.status(400).json({ success: false, ...amountError });
+      }
+      scheduledTransfer.amount = body.amount;
+    }
+
+    const runField = partial ? 'nextRunAt' : 'startAt';
+    if (!partial || body.nextRunAt !== undefined) {
+      const runAt = parseDate(body[runField]);
+      if (!runAt) return invalid(res, `${runField} must be an ISO-8601 date-time`);
+      if (runAt < new Date()) return invalid(res, `${runField} must not be in the past`);
+      scheduledTransfer[runField] = runAt;
+    }
+
+    if (body.endsAt !== undefined && body.endsAt !== null) {
+      const endsAt = parseDate(body.endsAt);
+      if (!endsAt) return invalid(res, 'endsAt must be an ISO-8601 date-time');
+      if (scheduledTransfer[runField] && endsAt <= scheduledTransfer[runField]) {
+        return invalid(res, `endsAt must be after ${runField}`);
+      }
+      scheduledTransfer.endsAt = endsAt;
+    } else if (body.endsAt === null) {
+      scheduledTransfer.endsAt = null;
+    }
+
+    req.scheduledTransfer = scheduledTransfer;
+    next();
+  };
+};
@@ -0,0 +1,25 @@
+/**
+ * validateSessionId Middleware
+ *
+ * Responsibility:
+ * - Ensure the :sessionId route param (a public session id) is a UUID
+ *   before it reaches the database
+ *
+ * This middleware:
+ * - DOES NOT talk to the database
+ * - DOES NOT check the session belongs to the user (the service does)
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+module.exports = function validateSessionId(req, res, next) {
+  if (!UUID_PATTERN.test(req.params.sessionId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_SESSION_ID',
+      message: 'Session id must be a UUID',
+    });
+  }
+
+  next();
+};
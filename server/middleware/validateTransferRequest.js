@@ -11,6 +11,8 @@
  * - ONLY validates request structure and types
  */
 
+const { validateAmount } = require('../utils/money');
+
 module.exports = function validateTransferRequest(req, res, next) {
   const { fromAccountId, toAccountId, amount } = req.body;
   const idempotencyKey = req.header('Idempotency-Key');
@@ -33,21 +35,10 @@ module.exports = function validateTransferRequest(req, res, next) {
     });
   }
 
-  if (typeof amount !== 'number' || !Number.isFinite(amount)) {
-    return res.status(400).json({
-      success: false,
-      error: 'INVALID_TYPE',
-      message: 'Amount must be a valid number',
-    });
-  }
-
-  // Decimal safety
-  if (!Number.isInteger(amount * 100)) {
-    return res.status(400).json({
-      success: false,
-      error: 'INVALID_AMOUNT_PRECISION',
-      message: 'Amount must have at most 2 decimal places',
-    });
+  // Amount is an integer number of cents (see utils/money.js)
+  const amountError = validateAmount(amount);
+  if (amountError) {
+    return res.status(400).json({ success: false, ...amountError });
   }
 
   // Check for identical accounts
@@ -59,14 +50,6 @@ module.exports = function validateTransferRequest(req, res, next) {
       message: 'source and destination account must differ',
     });
   }
-  //  Business-shape validation (not DB logic)
-  if (amount <= 0) {
-    return res.status(400).json({
-      success: false,
-      error: 'INVALID_AMOUNT',
-      message: 'Amount must be greater than zero',
-    });
-  }
 
   // 4️⃣ Idempotency header required
   if (!idempotencyKey || typeof idempotencyKey !== 'string') {
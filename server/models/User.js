@@ -1,5 +1,6 @@
 const bcrypt = require('bcrypt');
 const knex = require('../db/knex');
+const { deleteUserSessions } = require('../db/sessions');
 
 const SALT_ROUNDS = 12;
 
@@ -11,10 +12,11 @@ class User {
    * Accepts raw DB row and maps database columns
    * to clean API-facing properties.
    */
-  constructor({ user_id, username, password_hash }) {
+  constructor({ user_id, username, password_hash, role }) {
     // Support both "id" and "user_id"
     this.id = user_id;
     this.username = username;
+    this.role = role; // see policies/rolePermissions.js
     this.#passwordHash = password_hash;
   }
 
@@ -103,6 +105,28 @@ class User {
     return rawUpdatedUser ? new User(rawUpdatedUser) : null;
   }
 
+  /**
+   * Replace the password.
+   * Signs the user out everywhere in the same transaction: every session
+   * except keepSid (the one making the change, if any) is deleted.
+   * Pass trx to make it part of the caller's transaction.
+   */
+  static async updatePassword(id, password, { keepSid = null, trx: outerTrx = null } = {}) {
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+
+    return (outerTrx || knex).transaction(async (trx) => {
+      const [rawUpdatedUser] = await trx('users')
+        .where({ user_id: id })
+        .update({ password_hash: passwordHash })
+        .returning('*');
+
+      if (!rawUpdatedUser) return null;
+
+      const revokedSessions = await deleteUserSessions(id, { exceptSid: keepSid }, trx);
+      return { user: new User(rawUpdatedUser), revokedSessions };
+    });
+  }
+
   /**
    * Delete all users (test utility)
    */
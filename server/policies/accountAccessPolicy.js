@@ -0,0 +1,36 @@
+/**
+ * Account Access Policy
+ *
+ * Decides whether a user may move money OUT of an account.
+ *
+ * A policy is an async function:
+ *   ({ userId, account, trx }) => boolean
+ *
+ * - userId   the initiator of the money movement
+ * - account  the locked/loaded accounts row being debited
+ * - trx      the caller's DB transaction, for policies that need lookups
+ *            (e.g. a future joint_account_holders or delegations table)
+ *
+ * Policies must NOT write to the database or throw for a plain "no":
+ * the calling service records the rejection and audit entry itself.
+ */
+
+/**
+ * Only the account's owner may debit it.
+ */
+const ownerOnly = async ({ userId, account }) => account.user_id === userId;
+
+/**
+ * Allow if ANY of the given policies allows.
+ * e.g. anyOf(ownerOnly, jointHolder, delegatedAccess)
+ */
+const anyOf = (...policies) => async (context) => {
+  const decisions = await Promise.all(policies.map((policy) => policy(context)));
+  return decisions.some(Boolean);
+};
+
+module.exports = {
+  ownerOnly,
+  anyOf,
+  defaultDebitPolicy: ownerOnly,
+};
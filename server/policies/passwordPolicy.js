@@ -0,0 +1,90 @@
+/**
+ * Password Policy
+ *
+ * Decides whether a new password is acceptable. Applied when registering,
+ * changing a password and resetting one; logging in never re-checks it.
+ *
+ * Rules (each reported separately, so a form can show every problem):
+ * - MIN_LENGTH          at least PASSWORD_MIN_LENGTH characters (default 12)
+ * - MAX_LENGTH          at most 72 bytes; bcrypt ignores anything longer
+ * - CHARACTER_CLASSES   at least 3 of: lowercase, uppercase, digits, symbols
+ * - CONTAINS_USERNAME   must not contain the username (ignoring case)
+ * - BREACHED            must not be on the common / breached password list
+ *                       (see services/breachedPasswordService.js)
+ *
+ * The policy returns violations; it does NOT write to the database or
+ * throw for a plain "no". Callers answer with passwordPolicyError() and
+ * record the rejection themselves.
+ */
+
+const { getDefaultBreachedPasswordList } = require('../services/breachedPasswordService');
+
+const DEFAULT_MIN_LENGTH = 12;
+const MAX_BYTES = 72;
+const MIN_CHARACTER_CLASSES = 3;
+const MIN_USERNAME_LENGTH = 3; // shorter usernames appear in passwords by chance
+
+const CHARACTER_CLASSES = [/\p{Ll}/u, /\p{Lu}/u, /\p{N}/u, /[^\p{L}\p{N}]/u];
+
+/**
+ * Every rule the password breaks, as [{ rule, message }]; empty when it is
+ * acceptable.
+ */
+const checkPassword = (password, {
+  username = null,
+  minLength = Number(process.env.PASSWORD_MIN_LENGTH) || DEFAULT_MIN_LENGTH,
+  breachedPasswords = getDefaultBreachedPasswordList(),
+} = {}) => {
+  const violations = [];
+  const violate = (rule, message) => violations.push({ rule, message });
+
+  if ([...password].length < minLength) {
+    violate('MIN_LENGTH', `Use at least ${minLength} characters.`);
+  }
+
+  if (Buffer.byteLength(password, 'utf8') > MAX_BYTES) {
+    violate('MAX_LENGTH', `Use at most ${MAX_BYTES} bytes (about ${MAX_BYTES} plain letters or digits).`);
+  }
+
+  const classes = CHARACTER_CLASSES.filter((pattern) => pattern.test(password)).length;
+  if (classes < MIN_CHARACTER_CLASSES) {
+    violate(
+      'CHARACTER_CLASSES',
+      `Mix at least ${MIN_CHARACTER_CLASSES} of: lowercase letters, uppercase letters, digits, symbols.`,
+    );
+  }
+
+  if (username && username.length >= MIN_USERNAME_LENGTH
+    && password.toLowerCase().includes(username.toLowerCase())) {
+    violate('CONTAINS_USERNAME', 'Do not include your username.');
+  }
+
+  if (breachedPasswords.isBreached(password)) {
+    violate('BREACHED', 'This password is too common or has appeared in a data breach.');
+  }
+
+  return violations;
+};
+
+/**
+ * The domain result for a rejected password.
+ */
+const passwordPolicyError = (violations) => ({
+  success: false,
+  error: 'PASSWORD_POLICY_VIOLATION',
+  message: 'The password does not meet the password policy',
+  violations,
+});
+
+/**
+ * Audit reason for a rejected password: which rules, never the password.
+ */
+const passwordPolicyReason = (violations) => (
+  `PASSWORD_POLICY_VIOLATION rules=${violations.map(({ rule }) => rule).join(',')}`
+);
+
+module.exports = {
+  checkPassword,
+  passwordPolicyError,
+  passwordPolicyReason,
+};
@@ -0,0 +1,38 @@
+/**
+ * Role Permissions Policy
+ *
+ * Decides what each user role may do outside of their own accounts.
+ *
+ * Roles (users.role):
+ * - customer  moves money between their own accounts (the default)
+ * - support   looks up users to help customers
+ * - admin     runs the ledger: reconciliation, the transfer review queue
+ * - auditor   reads the audit trail, and nothing else
+ *
+ * Routes ask for a permission rather than a role (see
+ * middleware/requireRole.js), so a role can gain or lose an ability here
+ * without touching the routes.
+ *
+ * Ownership rules (who may debit an account, see accountAccessPolicy.js)
+ * apply to every role alike; no role grants access to other users' money.
+ */
+
+const ROLES = ['customer', 'support', 'admin', 'auditor'];
+
+const ROLE_PERMISSIONS = {
+  customer: [],
+  support: ['users:list', 'users:read'],
+  admin: ['users:list', 'users:read', 'ledger:reconcile', 'transfers:review'],
+  auditor: ['audit_logs:read'],
+};
+
+/**
+ * Does `role` carry `permission`? Unknown roles carry nothing.
+ */
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+};
@@ -0,0 +1,42 @@
+const express = require('express');
+
+const router = express.Router();
+
+const checkAuthentication = require('../middleware/checkAuthentication');
+const validateAccountId = require('../middleware/validateAccountId');
+const validateHistoryQuery = require('../middleware/validateHistoryQuery');
+const accountController = require('../controllers/accountController');
+const transactionHistoryController = require('../controllers/transactionHistoryController');
+
+router.post('/', checkAuthentication, accountController.openAccount);
+router.get('/', checkAuthentication, accountController.listAccounts);
+router.get('/:id', checkAuthentication, validateAccountId, accountController.showAccount);
+
+router.post(
+  '/:id/freeze',
+  checkAuthentication,
+  validateAccountId,
+  accountController.freezeAccount,
+);
+router.post(
+  '/:id/unfreeze',
+  checkAuthentication,
+  validateAccountId,
+  accountController.unfreezeAccount,
+);
+router.post(
+  '/:id/terminate',
+  checkAuthentication,
+  validateAccountId,
+  accountController.terminateAccount,
+);
+
+router.get(
+  '/:id/transactions',
+  checkAuthentication,
+  validateAccountId,
+  validateHistoryQuery,
+  transactionHistoryController.listAccountTransactions,
+);
+
+module.exports = router;
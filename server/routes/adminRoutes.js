@@ -0,0 +1,35 @@
+const express = require('express');
+
+const router = express.Router();
+
+const checkAuthentication = require('../middleware/checkAuthentication');
+const { requirePermission } = require('../middleware/requireRole');
+const validateReviewId = require('../middleware/validateReviewId');
+const reconciliationController = require('../controllers/reconciliationController');
+const reviewController = require('../controllers/reviewController');
+
+// every admin route requires a logged in user; each then needs its permission
+router.use(checkAuthentication);
+
+router.post(
+  '/reconciliation',
+  requirePermission('ledger:reconcile'),
+  reconciliationController.runReconciliation,
+);
+
+// transfers held by the risk engine
+router.get('/reviews', requirePermission('transfers:review'), reviewController.listReviews);
+router.post(
+  '/reviews/:id/approve',
+  requirePermission('transfers:review'),
+  validateReviewId,
+  reviewController.approveReview,
+);
+router.post(
+  '/reviews/:id/decline',
+  requirePermission('transfers:review'),
+  validateReviewId,
+  reviewController.declineReview,
+);
+
+module.exports = router;
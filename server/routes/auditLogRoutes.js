@@ -0,0 +1,16 @@
+const express = require('express');
+
+const router = express.Router();
+
+const checkAuthentication = require('../middleware/checkAuthentication');
+const { requirePermission } = require('../middleware/requireRole');
+const validateAuditLogQuery = require('../middleware/validateAuditLogQuery');
+const auditLogController = require('../controllers/auditLogController');
+
+// reading the audit trail is for auditors only
+router.use(checkAuthentication, requirePermission('audit_logs:read'));
+
+router.get('/', validateAuditLogQuery, auditLogController.listAuditLogs);
+router.get('/export', validateAuditLogQuery, auditLogController.exportAuditLogs);
+
+module.exports = router;
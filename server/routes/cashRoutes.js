@@ -0,0 +1,37 @@
+const express = require('express');
+
+const validateCashRequest = require('../middleware/validateCashRequest');
+const checkAuthentication = require('../middleware/checkAuthentication');
+const { transferIpLimiter, transferUserLimiter } = require('../middleware/rateLimiters');
+const cashController = require('../controllers/cashController');
+
+/**
+ * Deposits and withdrawals share the transfer rate limiters:
+ * they are all money-moving endpoints.
+ */
+const depositRouter = express.Router();
+
+depositRouter.post(
+  '/',
+  checkAuthentication,
+  transferIpLimiter,
+  transferUserLimiter,
+  validateCashRequest('toAccountId'),
+  cashController.createDeposit,
+);
+
+const withdrawalRouter = express.Router();
+
+withdrawalRouter.post(
+  '/',
+  checkAuthentication,
+  transferIpLimiter,
+  transferUserLimiter,
+  validateCashRequest('fromAccountId'),
+  cashController.createWithdrawal,
+);
+
+module.exports = {
+  depositRouter,
+  withdrawalRouter,
+};
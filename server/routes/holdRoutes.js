@@ -0,0 +1,32 @@
+const express = require('express');
+
+const router = express.Router();
+
+const checkAuthentication = require('../middleware/checkAuthentication');
+const validateHoldRequest = require('../middleware/validateHoldRequest');
+const validateHoldId = require('../middleware/validateHoldId');
+const requireTransferStepUp = require('../middleware/requireTransferStepUp');
+const { transferIpLimiter, transferUserLimiter } = require('../middleware/rateLimiters');
+const holdController = require('../controllers/holdController');
+
+router.use(checkAuthentication);
+
+router.post(
+  '/',
+  transferIpLimiter,
+  transferUserLimiter,
+  validateHoldRequest,
+  requireTransferStepUp({ idempotencyType: 'HOLD' }),
+  holdController.authorizeHold,
+);
+router.get('/:id', validateHoldId, holdController.showHold);
+router.post(
+  '/:id/capture',
+  transferIpLimiter,
+  transferUserLimiter,
+  validateHoldId,
+  holdController.captureHold,
+);
+router.post('/:id/void', validateHoldId, holdController.voidHold);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+
+const router = express.Router();
+
+const checkAuthentication = require('../middleware/checkAuthentication');
+const validateScheduledTransferId = require('../middleware/validateScheduledTransferId');
+const validateScheduledTransferRequest = require('../middleware/validateScheduledTransferRequest');
+const requireTransferStepUp = require('../middleware/requireTransferStepUp');
+const scheduledTransferController = require('../controllers/scheduledTransferController');
+
+router.use(checkAuthentication);
+
+router.post(
+  '/',
+  validateScheduledTransferRequest(),
+  requireTransferStepUp(),
+  scheduledTransferController.createScheduledTransfer,
+);
+router.get('/', scheduledTransferController.listScheduledTransfers);
+router.get(
+  '/:id',
+  validateScheduledTransferId,
+  scheduledTransferController.showScheduledTransfer,
+);
+router.patch(
+  '/:id',
+  validateScheduledTransferId,
+  validateScheduledTransferRequest({ partial: true }),
+  requireTransferStepUp(),
+  scheduledTransferController.updateScheduledTransfer,
+);
+router.delete(
+  '/:id',
+  validateScheduledTransferId,
+  scheduledTransferController.cancelScheduledTransfer,
+);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+
+const router = express.Router();
+
+const checkAuthentication = require('../middleware/checkAuthentication');
+const validateHistoryQuery = require('../middleware/validateHistoryQuery');
+const transactionHistoryController = require('../controllers/transactionHistoryController');
+
+router.get(
+  '/',
+  checkAuthentication,
+  validateHistoryQuery,
+  transactionHistoryController.listUserTransactions,
+);
+
+module.exports = router;
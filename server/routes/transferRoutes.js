@@ -3,6 +3,8 @@ const express = require('express');
 const router = express.Router();
 
 const validateTransferRequest = require('../middleware/validateTransferRequest');
+const validateReversalRequest = require('../middleware/validateReversalRequest');
+const requireTransferStepUp = require('../middleware/requireTransferStepUp');
 const checkAuthentication = require('../middleware/checkAuthentication');
 const { transferIpLimiter, transferUserLimiter } = require('../middleware/rateLimiters');
 const transferController = require('../controllers/transferController');
@@ -13,7 +15,17 @@ router.post(
   transferIpLimiter,
   transferUserLimiter,
   validateTransferRequest,
+  requireTransferStepUp({ idempotencyType: 'TRANSFER' }),
   transferController.createTransfer,
 );
 
+router.post(
+  '/:id/reversals',
+  checkAuthentication,
+  transferIpLimiter,
+  transferUserLimiter,
+  validateReversalRequest,
+  transferController.reverseTransfer,
+);
+
 module.exports = router;
@@ -0,0 +1,59 @@
+/**
+ * buildBreachedPasswordList.js
+ *
+ * Turns a plain-text password list (one per line, e.g. a published
+ * common-passwords list) into the hashed-prefix file the password policy
+ * reads (see services/breachedPasswordService.js).
+ *
+ * Usage:
+ *   npm run passwords:build-breached-list -- <plain list> [output file]
+ *
+ * The output defaults to data/breachedPasswords.txt. Only hashes are
+ * written; keep the plain list out of the repository.
+ *
+ * Exit codes:
+ *   0  the file was written
+ *   1  the input could not be read or the output written
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashPassword } = require('../services/breachedPasswordService');
+
+const DEFAULT_OUTPUT = path.join(__dirname, '..', 'data', 'breachedPasswords.txt');
+
+const HEADER = [
+  '# Common / breached passwords for the password policy.',
+  '# SHA-1 (uppercase hex) of each password, one per line, as <5-char prefix>:<35-char suffix>.',
+  '# Generated by scripts/buildBreachedPasswordList.js; do not edit by hand.',
+];
+
+const run = () => {
+  const [inputFile, outputFile = DEFAULT_OUTPUT] = process.argv.slice(2);
+
+  if (!inputFile) {
+    console.error('Usage: buildBreachedPasswordList.js <plain list> [output file]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const hashes = new Set(
+      fs.readFileSync(inputFile, 'utf8')
+        .split(/\r?\n/)
+        .filter((password) => password !== '')
+        .map((password) => {
+          const { prefix, suffix } = hashPassword(password);
+          return `${prefix}:${suffix}`;
+        }),
+    );
+
+    fs.writeFileSync(outputFile, `${[...HEADER, ...[...hashes].sort()].join('\n')}\n`);
+    console.log(`[buildBreachedPasswordList] Wrote ${hashes.size} hashes to ${outputFile}`);
+  } catch (error) {
+    console.error('[buildBreachedPasswordList] Failed:', error.message);
+    process.exitCode = 1;
+  }
+};
+
+run();
@@ -0,0 +1,29 @@
+/**
+ * expireHolds.js
+ *
+ * CLI entry point for the hold expiry job: releases the funds of
+ * AUTHORIZED holds past their expires_at.
+ * Meant to run every few minutes; safe to schedule from several hosts at once
+ * (holds are claimed with SKIP LOCKED).
+ *
+ * Usage:
+ *   npm run holds:expire
+ */
+
+require('dotenv').config();
+const knex = require('../db/knex');
+const { expireHolds } = require('../services/holdService');
+
+const run = async () => {
+  try {
+    const summary = await expireHolds();
+    console.log(JSON.stringify(summary, null, 2));
+  } catch (error) {
+    console.error('[expireHolds] Run failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await knex.destroy();
+  }
+};
+
+run();
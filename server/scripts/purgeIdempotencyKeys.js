@@ -0,0 +1,28 @@
+/**
+ * purgeIdempotencyKeys.js
+ *
+ * CLI entry point for the idempotency key retention job.
+ * Meant to be scheduled (e.g. hourly); each run is idempotent.
+ *
+ * Usage:
+ *   npm run purge:idempotency-keys
+ *   IDEMPOTENCY_KEY_RETENTION_HOURS=48 npm run purge:idempotency-keys
+ */
+
+require('dotenv').config();
+const knex = require('../db/knex');
+const { purgeExpiredIdempotencyKeys } = require('../services/idempotencyMaintenanceService');
+
+const run = async () => {
+  try {
+    const summary = await purgeExpiredIdempotencyKeys();
+    console.log(JSON.stringify(summary, null, 2));
+  } catch (error) {
+    console.error('[purgeIdempotencyKeys] Purge failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await knex.destroy();
+  }
+};
+
+run();
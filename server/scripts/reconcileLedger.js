@@ -0,0 +1,36 @@
+/**
+ * reconcileLedger.js
+ *
+ * CLI entry point for the ledger-vs-balance reconciliation job.
+ *
+ * Usage:
+ *   npm run reconcile                 report drift only
+ *   npm run reconcile -- --repair     also rewrite drifted caches from the ledger
+ *
+ * Exit codes:
+ *   0  no drift left after the run
+ *   1  drift found and not repaired (or the run failed)
+ */
+
+require('dotenv').config();
+const knex = require('../db/knex');
+const { reconcileLedger } = require('../services/reconciliationService');
+
+const run = async () => {
+  const repair = process.argv.includes('--repair');
+
+  try {
+    const report = await reconcileLedger({ repair });
+    console.log(JSON.stringify(report, null, 2));
+
+    const unresolved = report.mismatchedAccounts - report.repairedAccounts;
+    process.exitCode = unresolved > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('[reconcileLedger] Reconciliation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await knex.destroy();
+  }
+};
+
+run();
@@ -0,0 +1,28 @@
+/**
+ * recoverPendingTransactions.js
+ *
+ * CLI entry point for the stuck PENDING transaction sweeper.
+ * Safe to schedule from several hosts at once (rows are claimed with SKIP LOCKED).
+ *
+ * Usage:
+ *   npm run recover:pending
+ *   PENDING_RECOVERY_MAX_AGE_MINUTES=30 npm run recover:pending
+ */
+
+require('dotenv').config();
+const knex = require('../db/knex');
+const { recoverStuckTransactions } = require('../services/pendingRecoveryService');
+
+const run = async () => {
+  try {
+    const summary = await recoverStuckTransactions();
+    console.log(JSON.stringify(summary, null, 2));
+  } catch (error) {
+    console.error('[recoverPendingTransactions] Recovery failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await knex.destroy();
+  }
+};
+
+run();
@@ -0,0 +1,29 @@
+/**
+ * runScheduledTransfers.js
+ *
+ * CLI entry point for the scheduled transfer worker.
+ * Meant to run every few minutes; safe to schedule from several hosts at once
+ * (schedules are claimed with SKIP LOCKED).
+ *
+ * Usage:
+ *   npm run transfers:scheduled
+ *   SCHEDULED_TRANSFER_MAX_ATTEMPTS=5 npm run transfers:scheduled
+ */
+
+require('dotenv').config();
+const knex = require('../db/knex');
+const { runDueScheduledTransfers } = require('../services/scheduledTransferService');
+
+const run = async () => {
+  try {
+    const summary = await runDueScheduledTransfers();
+    console.log(JSON.stringify(summary, null, 2));
+  } catch (error) {
+    console.error('[runScheduledTransfers] Run failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await knex.destroy();
+  }
+};
+
+run();
@@ -0,0 +1,31 @@
+/**
+ * verifyAuditChain.js
+ *
+ * CLI entry point for the audit_logs hash-chain verification.
+ *
+ * Usage:
+ *   npm run audit:verify
+ *
+ * Exit codes:
+ *   0  every sealed row links to the one before it
+ *   1  a broken link was found (reported as brokenLink) or the run failed
+ */
+
+require('dotenv').config();
+const knex = require('../db/knex');
+const { verifyAuditChain } = require('../services/auditChainService');
+
+const run = async () => {
+  try {
+    const report = await verifyAuditChain();
+    console.log(JSON.stringify(report, null, 2));
+    process.exitCode = report.valid ? 0 : 1;
+  } catch (error) {
+    console.error('[verifyAuditChain] Verification failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await knex.destroy();
+  }
+};
+
+run();
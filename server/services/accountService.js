@@ -0,0 +1,250 @@
+/**
+ * Account Service
+ *
+ * Responsibility:
+ * - Open accounts for a user
+ * - Read a user's own accounts
+ * - Move accounts through their lifecycle
+ *
+ * Lifecycle:
+ *   ACTIVE  --freeze-->     FROZEN
+ *   FROZEN  --unfreeze-->   ACTIVE
+ *   ACTIVE  --terminate-->  TERMINATED
+ *   FROZEN  --terminate-->  TERMINATED
+ *
+ * Core rules:
+ * - a user can only see and act on accounts they own
+ * - status and its timestamp column change in the same UPDATE
+ * - TERMINATED is final, and only reachable with a zero balance
+ * - a freeze records who placed it (frozen_by / frozen_by_role); the owner
+ *   may only lift a freeze they placed themselves, never one placed by an
+ *   admin or for compliance
+ * - an account's currency is fixed when it is opened
+ * - every write is audited (ATTEMPTED -> SUCCEEDED / REJECTED)
+ *
+ * This file:
+ * - contains NO HTTP logic
+ * - does NOT return HTTP responses
+ * - returns domain results only
+ */
+
+const knex = require('../db/knex');
+const { recordAudit } = require('../db/auditLog');
+const { fromDbAmount, DEFAULT_CURRENCY } = require('../utils/money');
+const { getDefaultRateTable } = require('./exchangeRateService');
+
+/**
+ * Allowed status transitions.
+ * `columns` are written together with the new status.
+ */
+const TRANSITIONS = {
+  FREEZE: {
+    action: 'ACCOUNT_FREEZE',
+    from: ['ACTIVE'],
+    to: 'FROZEN',
+    columns: ({ userId }) => ({
+      frozen_at: knex.fn.now(),
+      frozen_by: userId,
+      frozen_by_role: 'OWNER',
+    }),
+  },
+  UNFREEZE: {
+    action: 'ACCOUNT_UNFREEZE',
+    from: ['FROZEN'],
+    to: 'ACTIVE',
+    columns: () => ({ frozen_at: null, frozen_by: null, frozen_by_role: null }),
+  },
+  TERMINATE: {
+    action: 'ACCOUNT_TERMINATE',
+    from: ['ACTIVE', 'FROZEN'],
+    to: 'TERMINATED',
+    columns: () => ({ terminated_at: knex.fn.now() }),
+  },
+};
+
+/**
+ * Maps an accounts row to the API-facing shape.
+ */
+const toAccountResponse = (row) => ({
+  accountId: row.account_id,
+  userId: row.user_id,
+  status: row.status,
+  currency: row.currency,
+  currentBalance: fromDbAmount(row.current_balance),
+  // current balance minus authorized holds: what can still be spent
+  availableBalance: fromDbAmount(row.available_balance),
+  createdAt: row.created_at,
+  frozenAt: row.frozen_at,
+  frozenByRole: row.frozen_by_role,
+  terminatedAt: row.terminated_at,
+});
+
+/**
+ * Open a new ACTIVE account with a zero balance.
+ * The currency must be one the exchange-rate table knows about.
+ */
+const openAccount = async ({
+  userId,
+  currency = DEFAULT_CURRENCY,
+  rateTable = getDefaultRateTable(),
+  auditContext = null, // { ipAddress, userAgent } of the HTTP request, if any
+}) => {
+  if (!rateTable.supports(currency)) {
+    return { success: false, reason: 'UNSUPPORTED_CURRENCY' };
+  }
+
+  return knex.transaction(async (trx) => {
+    const [accountRow] = await trx('accounts')
+      .insert({
+        user_id: userId,
+        status: 'ACTIVE',
+        currency,
+      })
+      .returning('*');
+
+    const audit = (outcome) => recordAudit({
+      actorId: userId,
+      action: 'ACCOUNT_OPEN',
+      targetType: 'ACCOUNT',
+      targetId: accountRow.account_id,
+      outcome,
+      context: auditContext,
+    }, trx);
+
+    await audit('ATTEMPTED');
+    await audit('SUCCEEDED');
+
+    return {
+      success: true,
+      account: toAccountResponse(accountRow),
+    };
+  });
+};
+
+/**
+ * List every account owned by the user, oldest first.
+ */
+const listAccounts = async ({ userId }) => {
+  const rows = await knex('accounts')
+    .where({ user_id: userId })
+    .orderBy('created_at', 'asc');
+
+  return {
+    success: true,
+    accounts: rows.map(toAccountResponse),
+  };
+};
+
+/**
+ * Fetch a single account.
+ * Accounts owned by someone else are reported as not found
+ * so account ids cannot be probed.
+ */
+const getAccount = async ({ userId, accountId }) => {
+  const row = await knex('accounts')
+    .where({ account_id: accountId, user_id: userId })
+    .first();
+
+  if (!row) {
+    return { success: false, reason: 'ACCOUNT_NOT_FOUND' };
+  }
+
+  return {
+    success: true,
+    account: toAccountResponse(row),
+  };
+};
+
+/**
+ * Apply one of TRANSITIONS to an account the user owns.
+ *
+ * The row is locked (FOR UPDATE) so a concurrent transfer or
+ * transition cannot act on a status we are about to change.
+ */
+const transitionAccount = async ({
+  userId,
+  accountId,
+  transition,
+  auditContext = null,
+}) => {
+  const { action, from, to, columns } = TRANSITIONS[transition];
+
+  return knex.transaction(async (trx) => {
+    const audit = (outcome, reason = null) => recordAudit({
+      actorId: userId,
+      action,
+      targetType: 'ACCOUNT',
+      targetId: accountId,
+      outcome,
+      reason,
+      context: auditContext,
+    }, trx);
+
+    await audit('ATTEMPTED');
+
+    const account = await trx('accounts')
+      .where({ account_id: accountId })
+      .forUpdate()
+      .first();
+
+    let rejectionReason = null;
+
+    if (!account || account.user_id !== userId) {
+      rejectionReason = 'ACCOUNT_NOT_FOUND';
+    } else if (!from.includes(account.status)) {
+      rejectionReason = 'INVALID_STATUS_TRANSITION';
+    } else if (transition === 'UNFREEZE' && account.frozen_by_role !== 'OWNER') {
+      rejectionReason = 'FREEZE_NOT_PLACED_BY_OWNER';
+    } else if (to === 'TERMINATED' && fromDbAmount(account.current_balance) !== 0) {
+      rejectionReason = 'ACCOUNT_BALANCE_NOT_ZERO';
+    }
+
+    if (rejectionReason) {
+      await audit('REJECTED', rejectionReason);
+
+      return { success: false, reason: rejectionReason };
+    }
+
+    const [updatedRow] = await trx('accounts')
+      .where({ account_id: accountId })
+      .update({ status: to, ...columns({ userId }) })
+      .returning('*');
+
+    await audit('SUCCEEDED');
+
+    return {
+      success: true,
+      account: toAccountResponse(updatedRow),
+    };
+  });
+};
+
+const freezeAccount = async ({ userId, accountId, auditContext }) => transitionAccount({
+  userId,
+  accountId,
+  transition: 'FREEZE',
+  auditContext,
+});
+
+const unfreezeAccount = async ({ userId, accountId, auditContext }) => transitionAccount({
+  userId,
+  accountId,
+  transition: 'UNFREEZE',
+  auditContext,
+});
+
+const terminateAccount = async ({ userId, accountId, auditContext }) => transitionAccount({
+  userId,
+  accountId,
+  transition: 'TERMINATE',
+  auditContext,
+});
+
+module.exports = {
+  openAccount,
+  listAccounts,
+  getAccount,
+  freezeAccount,
+  unfreezeAccount,
+  terminateAccount,
+};
@@ -0,0 +1,136 @@
+/**
+ * Audit Chain Service
+ *
+ * Responsibility:
+ * - Prove that audit_logs was not edited: walk the hash chain the database
+ *   builds (see migration 20261019230000_add_audit_log_hash_chain.js) and
+ *   report the first link that does not hold
+ *
+ * A link at chain_position N holds when:
+ * - positions run 1, 2, 3, ... without gaps (a gap is a deleted row)
+ * - prev_hash equals row_hash of position N - 1 (64 zeros for position 1)
+ * - row_hash equals the hash recomputed here from prev_hash and the row's
+ *   content (an edited row, or a forged hash)
+ *
+ * Core rules:
+ * - hashes are recomputed in Node, not by the database function, so a
+ *   replaced audit_log_row_hash() cannot vouch for itself
+ * - the hash input below must match audit_log_row_hash() exactly, for
+ *   every hash_version (see 20261019240000_add_audit_log_request_context.js)
+ * - rows not sealed yet (their transaction is still committing) are
+ *   counted but not checked
+ * - the report ends with the head of the chain; recording it lets a later
+ *   run prove that no rows were removed from the end
+ *
+ * This file:
+ * - contains NO HTTP logic
+ * - does NOT write to the database
+ * - returns a report object only
+ */
+
+const crypto = require('crypto');
+const knex = require('../db/knex');
+
+const GENESIS_HASH = '0'.repeat(64);
+const DEFAULT_BATCH_SIZE = 1000;
+
+/**
+ * sha256 of the JSON text array audit_log_row_hash() builds. Every value is
+ * text (or null). Rows sealed before request context was audited have no
+ * hash_version; later rows include it, ip_address and user_agent.
+ */
+const hashInput = (prevHash, row) => {
+  const content = [
+    row.audit_log_id,
+    String(row.sequence_number),
+    row.actor_type,
+    row.actor_id,
+    row.action,
+    row.target_type,
+    row.target_id,
+    row.outcome,
+    row.reason,
+    row.created_at_utc,
+  ];
+
+  if (row.hash_version === null || row.hash_version === undefined) {
+    return [prevHash, ...content];
+  }
+
+  return [prevHash, String(row.hash_version), ...content, row.ip_address, row.user_agent];
+};
+
+const hashAuditRow = (prevHash, row) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(hashInput(prevHash, row)), 'utf8')
+  .digest('hex');
+
+/**
+ * Which rule a sealed row breaks, or null when the link holds.
+ */
+const findBrokenLink = (row, expectedPosition, expectedPrevHash) => {
+  if (Number(row.chain_position) !== expectedPosition) return 'MISSING_ROW';
+  if (row.prev_hash !== expectedPrevHash) return 'PREV_HASH_MISMATCH';
+  if (row.row_hash !== hashAuditRow(row.prev_hash, row)) return 'ROW_HASH_MISMATCH';
+  return null;
+};
+
+/**
+ * @param {object} [params]
+ * @param {number} [params.batchSize]
+ * @returns {Promise<object>}  { valid, checkedRows, unsealedRows, head, brokenLink }
+ */
+const verifyAuditChain = async ({ batchSize = DEFAULT_BATCH_SIZE } = {}) => {
+  let expectedPosition = 1;
+  let expectedPrevHash = GENESIS_HASH;
+  let brokenLink = null;
+
+  // keyset walk in chain order, one batch at a time
+  const walk = async () => {
+    const rows = await knex('audit_logs')
+      .select('*', knex.raw(
+        `to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS created_at_utc`,
+      ))
+      .whereNotNull('chain_position')
+      .where('chain_position', '>=', expectedPosition)
+      .orderBy('chain_position', 'asc')
+      .limit(batchSize);
+
+    brokenLink = rows.reduce((found, row) => {
+      if (found) return found;
+
+      const problem = findBrokenLink(row, expectedPosition, expectedPrevHash);
+      if (problem) {
+        return {
+          problem,
+          chainPosition: expectedPosition,
+          auditLogId: row.audit_log_id,
+        };
+      }
+
+      expectedPosition += 1;
+      expectedPrevHash = row.row_hash;
+      return null;
+    }, null);
+
+    if (!brokenLink && rows.length === batchSize) await walk();
+  };
+
+  await walk();
+
+  const [{ count }] = await knex('audit_logs').whereNull('chain_position').count('* as count');
+  const checkedRows = expectedPosition - 1;
+
+  return {
+    valid: brokenLink === null,
+    checkedRows,
+    unsealedRows: Number(count),
+    head: checkedRows === 0 ? null : { chainPosition: checkedRows, rowHash: expectedPrevHash },
+    brokenLink,
+  };
+};
+
+module.exports = {
+  hashAuditRow,
+  verifyAuditChain,
+};
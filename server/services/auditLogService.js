@@ -0,0 +1,154 @@
+/**
+ * Audit Log Service
+ *
+ * Responsibility:
+ * - Read audit_logs for investigations: filter, page through and export
+ *   the trail of every attempt and outcome the other services recorded
+ *
+ * Core rules:
+ * - read only; audit rows are never changed through this service
+ * - rows are ordered by (created_at, sequence_number): rows written in one
+ *   DB transaction share created_at, and sequence_number keeps them in the
+ *   order they were written (ATTEMPTED before SUCCEEDED)
+ * - pagination is keyset on that pair, newest first by default, which
+ *   walks idx_audit_created_at / idx_audit_actor / idx_audit_target instead
+ *   of OFFSET scans
+ * - exports return every matching row up to MAX_EXPORT_ROWS and say when
+ *   they were cut short
+ *
+ * This file:
+ * - contains NO HTTP logic
+ * - returns domain results only
+ */
+
+const knex = require('../db/knex');
+const { isTimestampText } = require('../utils/timestamps');
+
+const DEFAULT_LIMIT = 50;
+const MAX_EXPORT_ROWS = 10000;
+
+/**
+ * Cursors are opaque to clients: base64url JSON of the last row's sort key.
+ * created_at is kept as Postgres text so microseconds survive the round trip.
+ * Decoding checks both halves, so a tampered cursor is INVALID_CURSOR rather
+ * than a failed timestamptz / bigint cast; seq is capped at 18 digits to
+ * stay inside bigint.
+ */
+const encodeCursor = (row) => Buffer
+  .from(JSON.stringify({ createdAt: row.cursor_created_at, seq: row.sequence_number }))
+  .toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { createdAt, seq } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!isTimestampText(createdAt) || !/^\d{1,18}$/.test(seq)) return null;
+    return { createdAt, seq };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Maps an audit_logs row to the API-facing shape.
+ */
+const toAuditLogItem = (row) => ({
+  auditLogId: row.audit_log_id,
+  sequenceNumber: Number(row.sequence_number),
+  actorType: row.actor_type,
+  actorId: row.actor_id,
+  action: row.action,
+  targetType: row.target_type,
+  targetId: row.target_id,
+  outcome: row.outcome,
+  reason: row.reason,
+  ipAddress: row.ip_address,
+  userAgent: row.user_agent,
+  createdAt: row.created_at,
+});
+
+/**
+ * Filtered, ordered audit_logs query; the caller adds the limit.
+ *
+ * @param {object} filters  { actorType, actorId, targetType, targetId,
+ *                            action, outcome, from, to }
+ * @param {string} order    'desc' | 'asc'
+ */
+const buildQuery = (filters, order) => {
+  const query = knex('audit_logs')
+    .select('*', knex.raw('created_at::text AS cursor_created_at'))
+    .orderBy([
+      { column: 'created_at', order },
+      { column: 'sequence_number', order },
+    ]);
+
+  if (filters.actorType) query.where('actor_type', filters.actorType);
+  if (filters.actorId) query.where('actor_id', filters.actorId);
+  if (filters.targetType) query.where('target_type', filters.targetType);
+  if (filters.targetId) query.where('target_id', filters.targetId);
+  if (filters.action) query.where('action', filters.action);
+  if (filters.outcome) query.where('outcome', filters.outcome);
+  if (filters.from) query.where('created_at', '>=', filters.from);
+  if (filters.to) query.where('created_at', '<', filters.to);
+
+  return query;
+};
+
+/**
+ * One page of audit rows.
+ *
+ * @param {object} params
+ * @param {object} [params.filters]
+ * @param {string} [params.order]   'desc' (default) | 'asc'
+ * @param {string} [params.cursor]  nextCursor from a previous page
+ * @param {number} [params.limit]
+ */
+const listAuditLogs = async ({
+  filters = {},
+  order = 'desc',
+  cursor = null,
+  limit = DEFAULT_LIMIT,
+}) => {
+  let after = null;
+  if (cursor) {
+    after = decodeCursor(cursor);
+    if (!after) return { success: false, reason: 'INVALID_CURSOR' };
+  }
+
+  const query = buildQuery(filters, order)
+    .limit(limit + 1); // one extra row tells us whether another page exists
+
+  if (after) {
+    query.whereRaw(
+      `(created_at, sequence_number) ${order === 'asc' ? '>' : '<'} (?::timestamptz, ?::bigint)`,
+      [after.createdAt, after.seq],
+    );
+  }
+
+  const rows = await query;
+  const page = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+
+  return {
+    success: true,
+    auditLogs: page.map(toAuditLogItem),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+  };
+};
+
+/**
+ * Every matching audit row, for download.
+ */
+const exportAuditLogs = async ({ filters = {}, order = 'desc', maxRows = MAX_EXPORT_ROWS }) => {
+  const rows = await buildQuery(filters, order).limit(maxRows + 1);
+
+  return {
+    success: true,
+    auditLogs: rows.slice(0, maxRows).map(toAuditLogItem),
+    truncated: rows.length > maxRows,
+  };
+};
+
+module.exports = {
+  listAuditLogs,
+  exportAuditLogs,
+};
@@ -0,0 +1,105 @@
+/**
+ * Breached Password Service
+ *
+ * Responsibility:
+ * - Load the bundled list of common / breached passwords (no live feed)
+ * - Answer "is this password on the list?"
+ *
+ * File format (BREACHED_PASSWORDS_FILE, default data/breachedPasswords.txt):
+ * - one SHA-1 hash per line (uppercase hex), split k-anonymity style as
+ *   `<5-char prefix>:<35-char suffix>`, the way the Pwned Passwords range
+ *   API serves them
+ * - blank lines and lines starting with # are ignored
+ * - build one from a plain-text list with scripts/buildBreachedPasswordList.js;
+ *   plain passwords are never stored
+ *
+ * Core rules:
+ * - a lookup only ever asks for the suffixes under one prefix (`range`),
+ *   so the list can be swapped for a remote range source without the
+ *   password or its full hash leaving the process
+ * - a password matches as typed or in lowercase, so "Password1!" counts
+ *   as "password1!"
+ * - the file is validated when loaded; one bad line rejects the whole file
+ *
+ * This file:
+ * - contains NO HTTP logic
+ * - does NOT talk to the database
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LIST_FILE = path.join(__dirname, '..', 'data', 'breachedPasswords.txt');
+const PREFIX_LENGTH = 5;
+const LINE_PATTERN = /^([0-9A-F]{5}):([0-9A-F]{35})$/;
+
+/**
+ * SHA-1 of a password, uppercase hex, split into { prefix, suffix }.
+ */
+const hashPassword = (password) => {
+  const hash = crypto.createHash('sha1').update(password, 'utf8').digest('hex').toUpperCase();
+  return { prefix: hash.slice(0, PREFIX_LENGTH), suffix: hash.slice(PREFIX_LENGTH) };
+};
+
+/**
+ * Build a list from the lines of a hashed-prefix file.
+ */
+const createBreachedPasswordList = (lines) => {
+  const ranges = new Map();
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (line === '' || line.startsWith('#')) return;
+
+    const match = LINE_PATTERN.exec(line.toUpperCase());
+    if (!match) throw new Error(`Invalid breached password hash on line ${index + 1}: ${line}`);
+
+    const [, prefix, suffix] = match;
+    if (!ranges.has(prefix)) ranges.set(prefix, new Set());
+    ranges.get(prefix).add(suffix);
+  });
+
+  const range = (prefix) => ranges.get(prefix) || new Set();
+
+  const isListed = (password) => {
+    const { prefix, suffix } = hashPassword(password);
+    return range(prefix).has(suffix);
+  };
+
+  return {
+    /** Suffixes listed under a 5-character hash prefix. */
+    range,
+    /** Whether the password (as typed or in lowercase) is on the list. */
+    isBreached: (password) => isListed(password) || isListed(password.toLowerCase()),
+  };
+};
+
+/**
+ * Read and validate a hashed-prefix file.
+ */
+const loadBreachedPasswordList = (filePath) => createBreachedPasswordList(
+  fs.readFileSync(filePath, 'utf8').split(/\r?\n/),
+);
+
+let defaultList = null;
+
+/**
+ * The list configured by BREACHED_PASSWORDS_FILE (or data/breachedPasswords.txt),
+ * loaded once per process.
+ */
+const getDefaultBreachedPasswordList = () => {
+  if (!defaultList) {
+    defaultList = loadBreachedPasswordList(
+      process.env.BREACHED_PASSWORDS_FILE || DEFAULT_LIST_FILE,
+    );
+  }
+  return defaultList;
+};
+
+module.exports = {
+  hashPassword,
+  createBreachedPasswordList,
+  loadBreachedPasswordList,
+  getDefaultBreachedPasswordList,
+};
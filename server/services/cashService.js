@@ -0,0 +1,383 @@
+/**
+ * Cash Service
+ *
+ * Responsibility:
+ * - Move money into (DEPOSIT) or out of (WITHDRAWAL) a single account
+ *   as one atomic unit of work
+ *
+ * Core rules (same as transferService):
+ * - ledger_entries is the source of truth
+ * - accounts.current_balance is a denormalized cache
+ * - balance update + ledger insert happen in the same DB transaction
+ * - idempotency enforced per (initiator_user_id, idempotency_key, type);
+ *   a replay with a different account or amount is refused
+ * - audit_logs are append-only and observational
+ *
+ * Shape rules (enforced by CHECK constraints on transactions):
+ * - DEPOSIT    -> to_account_id only, one positive ledger entry
+ * - WITHDRAWAL -> from_account_id only, one negative ledger entry
+ *
+ * This file:
+ * - contains NO HTTP logic
+ * - does NOT return HTTP responses
+ * - returns domain results only
+ */
+
+const knex = require('../db/knex');
+const CashSystemError = require('../errors/cashSystemError');
+const {
+  tryAcquireIdempotencyLock,
+  inProgressResult,
+  isIdempotencyConflict,
+} = require('../db/idempotencyLock');
+const { fingerprintRequest } = require('./requestFingerprint');
+const { isValidAmount } = require('../utils/money');
+const { recordAudit } = require('../db/auditLog');
+
+/**
+ * Per-type differences between a deposit and a withdrawal.
+ * Everything else about the flow is shared.
+ */
+const CASH_MOVEMENTS = {
+  DEPOSIT: {
+    accountColumn: 'to_account_id',
+    sign: 1,
+  },
+  WITHDRAWAL: {
+    accountColumn: 'from_account_id',
+    sign: -1,
+  },
+};
+
+const moveCash = async ({
+  type,
+  initiatorUserId,
+  accountId,
+  amount,
+  idempotencyKey,
+  auditContext = null, // { ipAddress, userAgent } of the HTTP request, if any
+  failpoint = null, // test-only: inject failures for integration tests
+}) => {
+  const { accountColumn, sign } = CASH_MOVEMENTS[type];
+
+  /**
+   * STEP 0 — Validate input shape (cheap, synchronous)
+   */
+  if (!isValidAmount(amount)) {
+    return {
+      success: false,
+      error: 'INVALID_AMOUNT',
+      message: 'Amount must be a positive integer number of cents',
+    };
+  }
+
+  if (!idempotencyKey) {
+    return {
+      success: false,
+      error: 'MISSING_IDEMPOTENCY_KEY',
+      message: `Idempotency key is required for ${type}`,
+    };
+  }
+
+  const requestFingerprint = fingerprintRequest({ accountId, amount });
+
+  try {
+    return await knex.transaction(async (trx) => {
+      /**
+       * STEP 1 — Idempotency check
+       * Replay the stored response_payload flagged as replayed, never
+       * re-apply side effects. The same key with a different account or
+       * amount is IDEMPOTENCY_KEY_REUSED; rows without a fingerprint replay.
+       * Concurrent requests with the same key get IN_PROGRESS.
+       */
+      const lockAcquired = await tryAcquireIdempotencyLock(trx, {
+        initiatorUserId,
+        type,
+        idempotencyKey,
+      });
+
+      if (!lockAcquired) {
+        return inProgressResult();
+      }
+
+      const existingTransaction = await trx('transactions')
+        .where({
+          initiator_user_id: initiatorUserId,
+          idempotency_key: idempotencyKey,
+          type,
+        })
+        .first();
+
+      if (existingTransaction) {
+        if (
+          existingTransaction.request_fingerprint
+          && existingTransaction.request_fingerprint !== requestFingerprint
+        ) {
+          return {
+            success: false,
+            error: 'IDEMPOTENCY_KEY_REUSED',
+            message: 'Idempotency key was already used with a different request',
+            transactionId: existingTransaction.transaction_id,
+          };
+        }
+
+        return { ...existingTransaction.response_payload, replayed: true };
+      }
+
+      /**
+       * STEP 2 — Create transaction row (PENDING) and audit ATTEMPT
+       */
+      const [transactionRow] = await trx('transactions')
+        .insert({
+          status: 'PENDING',
+          type,
+          initiator_user_id: initiatorUserId,
+          [accountColumn]: accountId,
+          amount,
+          idempotency_key: idempotencyKey,
+          request_fingerprint: requestFingerprint,
+        })
+        .returning('*');
+
+      const transactionId = transactionRow.transaction_id;
+
+      const auditCash = (outcome, reason = null) => recordAudit({
+        actorId: initiatorUserId,
+        action: type,
+        targetType: 'TRANSACTION',
+        targetId: transactionId,
+        outcome,
+        reason,
+        context: auditContext,
+      }, trx);
+
+      await auditCash('ATTEMPTED');
+
+      const reject = async (rejectionReason, currency) => {
+        const rejectionPayload = {
+          success: false,
+          transactionId,
+          status: 'REJECTED',
+          reason: rejectionReason,
+        };
+
+        await trx('transactions')
+          .where({ transaction_id: transactionId })
+          .update({
+            status: 'REJECTED',
+            failure_reason: rejectionReason,
+            response_payload: rejectionPayload,
+            ...(currency && { currency }),
+          });
+
+        await auditCash('REJECTED', rejectionReason);
+
+        return rejectionPayload;
+      };
+
+      /**
+       * STEP 3 — Business eligibility checks
+       * - account exists and belongs to the initiator
+       * - account is ACTIVE
+       */
+      const account = await trx('accounts')
+        .where({ account_id: accountId })
+        .first();
+
+      if (!account || account.user_id !== initiatorUserId) {
+        return reject('ACCOUNT_NOT_FOUND');
+      }
+      if (account.status !== 'ACTIVE') {
+        return reject('ACCOUNT_NOT_ACTIVE', account.currency);
+      }
+
+      /**
+       * STEP 4 — Conditional balance update
+       * Withdrawals only apply when the available balance
+       * (current_balance minus authorized holds) covers the amount.
+       */
+      const balanceUpdate = trx('accounts')
+        .where({ account_id: accountId, status: 'ACTIVE' });
+
+      if (sign < 0) {
+        balanceUpdate.whereRaw('available_balance >= ?', [amount]);
+      }
+
+      const rowsAffected = await balanceUpdate.update({
+        current_balance: trx.raw('current_balance + ?', [sign * amount]),
+      });
+
+      if (rowsAffected === 0) {
+        return reject(sign < 0 ? 'INSUFFICIENT_FUNDS' : 'ACCOUNT_NOT_ACTIVE', account.currency);
+      }
+
+      // TEST-ONLY: Failpoint injection for integration tests
+      if (failpoint === 'AFTER_BALANCE_UPDATE') {
+        throw new Error('LEDGER_WRITE_FAILED_ROLLBACK');
+      }
+
+      /**
+       * STEP 5 — Write the single ledger entry
+       * amount is always in the account's own currency.
+       */
+      await trx('ledger_entries').insert({
+        account_id: accountId,
+        transaction_id: transactionId,
+        amount: sign * amount,
+        currency: account.currency,
+      });
+
+      /**
+       * STEP 6 — Mark transaction SUCCEEDED and audit SUCCESS
+       */
+      const successPayload = {
+        success: true,
+        transactionId,
+        status: 'SUCCEEDED',
+        accountId,
+        amount,
+        currency: account.currency,
+      };
+
+      await trx('transactions')
+        .where({ transaction_id: transactionId })
+        .update({
+          status: 'SUCCEEDED',
+          response_payload: successPayload,
+          currency: account.currency,
+        });
+
+      await auditCash('SUCCEEDED');
+
+      return successPayload;
+    });
+  } catch (error) {
+    // Lost the race to a request with the same key that committed first
+    if (isIdempotencyConflict(error)) {
+      return inProgressResult();
+    }
+
+    console.error(`[CashService] System failure during ${type}:`, {
+      initiatorUserId,
+      accountId,
+      amount,
+      idempotencyKey,
+      error: error.message,
+    });
+
+    /**
+     * Record FAILED status and SYSTEM audit log
+     * The original transaction was rolled back, so a new one records the failure.
+     */
+    const failureReason = error.message || 'UNKNOWN_SYSTEM_FAILURE';
+
+    try {
+      await knex.transaction(async (trx) => {
+        const existingTx = await trx('transactions')
+          .where({
+            initiator_user_id: initiatorUserId,
+            idempotency_key: idempotencyKey,
+            type,
+          })
+          .first();
+
+        let transactionId;
+
+        if (existingTx && existingTx.status !== 'PENDING') {
+          // finished by another request: leave it untouched
+          transactionId = existingTx.transaction_id;
+        } else if (existingTx) {
+          transactionId = existingTx.transaction_id;
+          await trx('transactions')
+            .where({ transaction_id: transactionId })
+            .update({
+              status: 'FAILED',
+              failure_reason: failureReason,
+              response_payload: {
+                success: false,
+                transactionId,
+                status: 'FAILED',
+                reason: failureReason,
+              },
+            });
+        } else {
+          const [newTx] = await trx('transactions')
+            .insert({
+              status: 'FAILED',
+              type,
+              initiator_user_id: initiatorUserId,
+              [accountColumn]: accountId,
+              amount,
+              idempotency_key: idempotencyKey,
+              request_fingerprint: requestFingerprint,
+              failure_reason: failureReason,
+            })
+            .returning('*');
+          transactionId = newTx.transaction_id;
+        }
+
+        await recordAudit({
+          actorType: 'SYSTEM',
+          actorId: 'CASH_SERVICE',
+          action: type,
+          targetType: 'TRANSACTION',
+          targetId: transactionId,
+          outcome: 'FAILED',
+          reason: failureReason,
+          context: auditContext,
+        }, trx);
+      });
+    } catch (recordError) {
+      console.error('[CashService] Failed to record system failure:', recordError.message);
+    }
+
+    throw new CashSystemError(`${type}_SYSTEM_FAILURE: ${error.message}`, {
+      code: `${type}_SYSTEM_FAILURE`,
+    });
+  }
+};
+
+/**
+ * Credit an account the initiator owns.
+ */
+const depositFunds = async ({
+  initiatorUserId,
+  toAccountId,
+  amount,
+  idempotencyKey,
+  auditContext,
+  failpoint,
+}) => moveCash({
+  type: 'DEPOSIT',
+  initiatorUserId,
+  accountId: toAccountId,
+  amount,
+  idempotencyKey,
+  auditContext,
+  failpoint,
+});
+
+/**
+ * Debit an account the initiator owns.
+ */
+const withdrawFunds = async ({
+  initiatorUserId,
+  fromAccountId,
+  amount,
+  idempotencyKey,
+  auditContext,
+  failpoint,
+}) => moveCash({
+  type: 'WITHDRAWAL',
+  initiatorUserId,
+  accountId: fromAccountId,
+  amount,
+  idempotencyKey,
+  auditContext,
+  failpoint,
+});
+
+module.exports = {
+  depositFunds,
+  withdrawFunds,
+};
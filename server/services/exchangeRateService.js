@@ -0,0 +1,102 @@
+/**
+ * Exchange Rate Service
+ *
+ * Responsibility:
+ * - Load the locally stored exchange-rate table (no live feed)
+ * - Answer "what rate converts FROM into TO?"
+ *
+ * File formats (picked by extension):
+ * - .json  [{ "from": "USD", "to": "EUR", "rate": "0.92" }, ...]
+ * - .csv   header line `from,to,rate`, then one pair per line
+ *
+ * Core rules:
+ * - rates are directional: USD->EUR does not imply EUR->USD
+ * - a pair missing from the table means transfers between those
+ *   currencies are refused, never guessed
+ * - the file is validated when loaded; one bad line rejects the whole file
+ *
+ * This file:
+ * - contains NO HTTP logic
+ * - does NOT talk to the database
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_CURRENCY, isCurrencyCode, normalizeRate } = require('../utils/money');
+
+const DEFAULT_RATES_FILE = path.join(__dirname, '..', 'data', 'exchangeRates.json');
+
+const parseCsv = (contents) => {
+  const [header, ...lines] = contents.split(/\r?\n/).filter((line) => line.trim() !== '');
+
+  if (header.replace(/\s/g, '') !== 'from,to,rate') {
+    throw new Error('Exchange rate CSV must start with the header "from,to,rate"');
+  }
+
+  return lines.map((line) => {
+    const [from, to, rate] = line.split(',').map((cell) => cell.trim());
+    return { from, to, rate };
+  });
+};
+
+/**
+ * Build a rate table from a list of { from, to, rate } entries.
+ */
+const createRateTable = (entries) => {
+  const rates = new Map();
+  const currencies = new Set([DEFAULT_CURRENCY]);
+
+  entries.forEach((entry, index) => {
+    const rate = normalizeRate(entry.rate);
+
+    if (!isCurrencyCode(entry.from) || !isCurrencyCode(entry.to) || !rate) {
+      throw new Error(`Invalid exchange rate entry #${index + 1}: ${JSON.stringify(entry)}`);
+    }
+
+    rates.set(`${entry.from}:${entry.to}`, rate);
+    currencies.add(entry.from);
+    currencies.add(entry.to);
+  });
+
+  return {
+    /** Normalized rate string, or null when the pair is not in the table. */
+    getRate: (from, to) => rates.get(`${from}:${to}`) || null,
+    /** Currencies accounts may be opened in. */
+    supports: (currency) => currencies.has(currency),
+  };
+};
+
+/**
+ * Read and validate a rate file.
+ */
+const loadRateTable = (filePath) => {
+  const contents = fs.readFileSync(filePath, 'utf8');
+  const entries = path.extname(filePath).toLowerCase() === '.csv'
+    ? parseCsv(contents)
+    : JSON.parse(contents);
+
+  if (!Array.isArray(entries)) {
+    throw new Error(`Exchange rate file ${filePath} must contain a list of rates`);
+  }
+
+  return createRateTable(entries);
+};
+
+let defaultRateTable = null;
+
+/**
+ * The table configured by EXCHANGE_RATES_FILE (or data/exchangeRates.json),
+ * loaded once per process.
+ */
+const getDefaultRateTable = () => {
+  if (!defaultRateTable) {
+    defaultRateTable = loadRateTable(process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE);
+  }
+  return defaultRateTable;
+};
+
+module.exports = {
+  createRateTable,
+  loadRateTable,
+  getDefaultRateTable,
+};
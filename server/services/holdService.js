@@ -0,0 +1,841 @@
+/**
+ * Hold Service
+ *
+ * Responsibility:
+ * - Two-phase, card-style payments: AUTHORIZE a hold that reserves funds,
+ *   then CAPTURE it (fully or partially) or release it by VOID / expiry
+ *
+ * Lifecycle:
+ *   PENDING     --authorize-->  AUTHORIZED | REJECTED
+ *   AUTHORIZED  --capture-->    CAPTURED    (settling TRANSFER SUCCEEDED, or
+ *                                            UNDER_REVIEW if review_required)
+ *   AUTHORIZED  --void-->       VOIDED
+ *   AUTHORIZED  --expiry-->     EXPIRED
+ *
+ * Core rules:
+ * - a hold moves NO money: it only raises accounts.held_balance, which
+ *   lowers available_balance (= current_balance - held_balance)
+ * - available_balance >= 0 is a DB invariant, and every debit in the system
+ *   is conditional on available_balance, so holds cannot over-commit funds
+ * - capture settles through a TRANSFER transaction with ledger entries, in
+ *   the same DB transaction that releases the hold; a hold is captured at
+ *   most once, any uncaptured remainder is released
+ * - holds are same-currency only
+ * - transfer limits (see transferLimitService.js) apply when a hold is
+ *   authorized; an AUTHORIZED hold counts as outflow, so capturing it is not
+ *   checked again
+ * - the risk engine (see riskEngineService.js) screens a hold when it is
+ *   authorized, as it screens transfers: a REJECT hit rejects it with
+ *   RISK_REJECTED; REVIEW hits still reserve the funds but mark the hold
+ *   review_required, and capturing it settles into a TRANSFER held
+ *   UNDER_REVIEW for an admin (see transferReviewService.js) instead of
+ *   moving money
+ * - the initiator and the destination account's owner are the parties to a
+ *   hold: either may capture or void it; anyone else is told it does not exist
+ * - lock order is hold -> accounts (in account_id order), as in transferService
+ * - authorize is idempotent per (initiator_user_id, idempotency_key);
+ *   capture / void are serialized on the hold row and only apply once
+ * - every step is audited (ATTEMPTED -> SUCCEEDED / FLAGGED / REJECTED)
+ *
+ * This file:
+ * - contains NO HTTP logic
+ * - does NOT return HTTP responses
+ * - returns domain results only
+ */
+
+const knex = require('../db/knex');
+const retryTransaction = require('../db/retryTransaction');
+const {
+  tryAcquireIdempotencyLock,
+  inProgressResult,
+  isIdempotencyConflict,
+} = require('../db/idempotencyLock');
+const TransferSystemError = require('../errors/transferSystemError');
+const { defaultDebitPolicy } = require('../policies/accountAccessPolicy');
+const { fingerprintRequest } = require('./requestFingerprint');
+const { checkTransferLimits } = require('./transferLimitService');
+const { getDefaultRiskEngine } = require('./riskEngineService');
+const { isValidAmount, fromDbAmount } = require('../utils/money');
+const { recordAudit } = require('../db/auditLog');
+
+const DEFAULT_HOLD_TTL_MINUTES = 7 * 24 * 60;
+const DEFAULT_BATCH_SIZE = 100;
+
+const EXPIRY_ACTOR_ID = 'HOLD_EXPIRY_JOB';
+
+/**
+ * The hold work was rolled back: leave a SYSTEM trace of what failed.
+ */
+const recordSystemFailure = async (action, holdId, error, auditContext) => {
+  try {
+    await recordAudit({
+      actorType: 'SYSTEM',
+      actorId: 'HOLD_SERVICE',
+      action,
+      targetType: 'HOLD',
+      targetId: holdId,
+      outcome: 'FAILED',
+      reason: error.message || 'UNKNOWN_SYSTEM_FAILURE',
+      context: auditContext,
+    });
+  } catch (recordError) {
+    console.error('[HoldService] Failed to record system failure:', recordError.message);
+  }
+};
+
+const holdNotFound = () => ({
+  success: false,
+  error: 'HOLD_NOT_FOUND',
+  message: 'No hold with this id',
+});
+
+/**
+ * Maps a holds row to the API-facing shape.
+ */
+const toHoldResponse = (row) => ({
+  holdId: row.hold_id,
+  status: row.status,
+  fromAccountId: row.from_account_id,
+  toAccountId: row.to_account_id,
+  amount: fromDbAmount(row.amount),
+  currency: row.currency,
+  reviewRequired: row.review_required,
+  capturedAmount: row.captured_amount === null ? null : fromDbAmount(row.captured_amount),
+  captureTransactionId: row.capture_transaction_id,
+  expiresAt: row.expires_at,
+  createdAt: row.created_at,
+});
+
+const lockHold = (trx, holdId) => trx('holds')
+  .where({ hold_id: holdId })
+  .forNoKeyUpdate()
+  .first();
+
+/**
+ * True if the user initiated the hold or owns the account it pays into.
+ */
+const isParty = async (trx, hold, userId) => {
+  if (hold.initiator_user_id === userId) return true;
+
+  const toAccount = await trx('accounts')
+    .where({ account_id: hold.to_account_id })
+    .first();
+
+  return toAccount?.user_id === userId;
+};
+
+/**
+ * Give a hold's whole amount back to available_balance
+ * and move it to its final status.
+ */
+const releaseHold = async (trx, hold, status) => {
+  await trx('accounts')
+    .where({ account_id: hold.from_account_id })
+    .update({
+      held_balance: trx.raw('held_balance - ?', [hold.amount]),
+    });
+
+  const [updatedRow] = await trx('holds')
+    .where({ hold_id: hold.hold_id })
+    .update({ status, updated_at: trx.fn.now() })
+    .returning('*');
+
+  return updatedRow;
+};
+
+/**
+ * Reserve `amount` cents of fromAccount in favour of toAccount.
+ *
+ * @param {object} params
+ * @param {string} params.initiatorUserId
+ * @param {string} params.fromAccountId
+ * @param {string} params.toAccountId
+ * @param {number} params.amount              cents
+ * @param {string} params.idempotencyKey
+ * @param {number} [params.ttlMinutes]        minutes until the hold expires
+ * @param {Date}   [params.now]
+ * @param {Function} [params.debitPolicy]     who may reserve funds of fromAccount
+ * @param {object} [params.riskEngine]        fraud / velocity screening
+ * @param {object} [params.auditContext]      { ipAddress, userAgent } of the request
+ */
+const authorizeHold = async ({
+  initiatorUserId,
+  fromAccountId,
+  toAccountId,
+  amount,
+  idempotencyKey,
+  ttlMinutes = Number(process.env.HOLD_TTL_MINUTES) || DEFAULT_HOLD_TTL_MINUTES,
+  now = new Date(),
+  debitPolicy = defaultDebitPolicy,
+  riskEngine = getDefaultRiskEngine(),
+  auditContext = null, // { ipAddress, userAgent } of the HTTP request, if any
+}) => {
+  /**
+   * STEP 0 — Validate input shape (cheap, synchronous)
+   */
+  if (!isValidAmount(amount)) {
+    return {
+      success: false,
+      error: 'INVALID_AMOUNT',
+      message: 'Amount must be a positive integer number of cents',
+    };
+  }
+
+  if (fromAccountId === toAccountId) {
+    return {
+      success: false,
+      error: 'SAME_ACCOUNT',
+      message: 'Cannot hold funds for the same account',
+    };
+  }
+
+  if (!Number.isInteger(ttlMinutes) || ttlMinutes <= 0) {
+    return {
+      success: false,
+      error: 'INVALID_TTL',
+      message: 'ttlMinutes must be a positive integer',
+    };
+  }
+
+  if (!idempotencyKey) {
+    return {
+      success: false,
+      error: 'MISSING_IDEMPOTENCY_KEY',
+      message: 'Idempotency key is required for HOLD',
+    };
+  }
+
+  const requestFingerprint = fingerprintRequest({
+    fromAccountId,
+    toAccountId,
+    amount,
+    ttlMinutes,
+  });
+
+  try {
+    return await retryTransaction(async (trx) => {
+      /**
+       * STEP 1 — Idempotency check (same rules as transfers)
+       */
+      const lockAcquired = await tryAcquireIdempotencyLock(trx, {
+        initiatorUserId,
+        type: 'HOLD',
+        idempotencyKey,
+      });
+
+      if (!lockAcquired) {
+        return inProgressResult();
+      }
+
+      const existingHold = await trx('holds')
+        .where({ initiator_user_id: initiatorUserId, idempotency_key: idempotencyKey })
+        .first();
+
+      if (existingHold) {
+        if (existingHold.request_fingerprint !== requestFingerprint) {
+          return {
+            success: false,
+            error: 'IDEMPOTENCY_KEY_REUSED',
+            message: 'Idempotency key was already used with a different request',
+            holdId: existingHold.hold_id,
+          };
+        }
+
+        return { ...existingHold.response_payload, replayed: true };
+      }
+
+      /**
+       * STEP 2 — Lock both accounts in account_id order
+       * Unknown accounts are refused before a hold row exists
+       * (holds reference both accounts).
+       */
+      const lockAccount = (accountId) => trx('accounts')
+        .where({ account_id: accountId })
+        .forNoKeyUpdate()
+        .first();
+
+      const [firstId, secondId] = [fromAccountId, toAccountId].sort();
+      const firstLocked = await lockAccount(firstId);
+      const secondLocked = await lockAccount(secondId);
+
+      const fromAccount = firstId === fromAccountId ? firstLocked : secondLocked;
+      const toAccount = firstId === toAccountId ? firstLocked : secondLocked;
+
+      if (!fromAccount || !toAccount) {
+        return {
+          success: false,
+          error: fromAccount ? 'TO_ACCOUNT_NOT_FOUND' : 'FROM_ACCOUNT_NOT_FOUND',
+          message: 'Account not found',
+        };
+      }
+
+      /**
+       * STEP 3 — Create the hold row (PENDING) and audit ATTEMPT
+       */
+      const [holdRow] = await trx('holds')
+        .insert({
+          initiator_user_id: initiatorUserId,
+          from_account_id: fromAccountId,
+          to_account_id: toAccountId,
+          amount,
+          currency: fromAccount.currency,
+          expires_at: new Date(now.getTime() + ttlMinutes * 60 * 1000),
+          idempotency_key: idempotencyKey,
+          request_fingerprint: requestFingerprint,
+        })
+        .returning('*');
+
+      const holdId = holdRow.hold_id;
+
+      const auditHold = (outcome, reason = null) => recordAudit({
+        actorId: initiatorUserId,
+        action: 'HOLD_AUTHORIZE',
+        targetType: 'HOLD',
+        targetId: holdId,
+        outcome,
+        reason,
+        context: auditContext,
+      }, trx);
+
+      await auditHold('ATTEMPTED');
+
+      const reject = async (rejectionReason) => {
+        const rejectionPayload = {
+          success: false,
+          holdId,
+          status: 'REJECTED',
+          reason: rejectionReason,
+        };
+
+        await trx('holds')
+          .where({ hold_id: holdId })
+          .update({
+            status: 'REJECTED',
+            failure_reason: rejectionReason,
+            response_payload: rejectionPayload,
+            updated_at: trx.fn.now(),
+          });
+
+        await auditHold('REJECTED', rejectionReason);
+
+        return rejectionPayload;
+      };
+
+      /**
+       * STEP 4 — Eligibility
+       */
+      const mayDebit = await debitPolicy({ userId: initiatorUserId, account: fromAccount, trx });
+
+      if (!mayDebit) {
+        return reject('FROM_ACCOUNT_NOT_OWNED');
+      }
+      if (fromAccount.status !== 'ACTIVE') {
+        return reject('FROM_ACCOUNT_NOT_ACTIVE');
+      }
+      if (toAccount.status !== 'ACTIVE') {
+        return reject('TO_ACCOUNT_NOT_ACTIVE');
+      }
+      if (fromAccount.currency !== toAccount.currency) {
+        return reject('CURRENCY_MISMATCH');
+      }
+
+      const limitReason = await checkTransferLimits(trx, { account: fromAccount, amount, now });
+      if (limitReason) {
+        return reject(limitReason);
+      }
+
+      /**
+       * STEP 4b — Risk screening, as for transfers
+       * Every rule hit is audited against the hold. No transaction exists
+       * until capture, so rules see this hold as the transfer being made.
+       */
+      const { decision, hits } = await riskEngine.evaluate({
+        trx,
+        transactionId: null,
+        initiatorUserId,
+        fromAccount,
+        toAccount,
+        amount,
+        now,
+      });
+
+      if (hits.length > 0) {
+        await recordAudit(hits.map((hit) => ({
+          actorType: 'SYSTEM',
+          actorId: 'RISK_ENGINE',
+          action: 'RISK_RULE_HIT',
+          targetType: 'HOLD',
+          targetId: holdId,
+          outcome: hit.action === 'REJECT' ? 'REJECTED' : 'FLAGGED',
+          reason: `rule=${hit.ruleId} ${hit.detail}`,
+          context: auditContext,
+        })), trx);
+      }
+
+      if (decision === 'REJECT') {
+        return reject('RISK_REJECTED');
+      }
+      const reviewRequired = decision === 'REVIEW';
+
+      /**
+       * STEP 5 — Reserve the funds (conditional on available_balance)
+       */
+      const reservedRows = await trx('accounts')
+        .where({ account_id: fromAccountId, status: 'ACTIVE' })
+        .whereRaw('available_balance >= ?', [amount])
+        .update({
+          held_balance: trx.raw('held_balance + ?', [amount]),
+        });
+
+      if (reservedRows === 0) {
+        return reject('INSUFFICIENT_FUNDS');
+      }
+
+      /**
+       * STEP 6 — Mark AUTHORIZED and audit SUCCESS
+       */
+      const successPayload = {
+        success: true,
+        holdId,
+        status: 'AUTHORIZED',
+        fromAccountId,
+        toAccountId,
+        amount,
+        currency: fromAccount.currency,
+        expiresAt: holdRow.expires_at.toISOString(),
+        reviewRequired,
+      };
+
+      await trx('holds')
+        .where({ hold_id: holdId })
+        .update({
+          status: 'AUTHORIZED',
+          review_required: reviewRequired,
+          response_payload: successPayload,
+          updated_at: trx.fn.now(),
+        });
+
+      if (reviewRequired) {
+        // authorized, but its capture will wait for a reviewer
+        await auditHold('FLAGGED', 'REVIEW_REQUIRED');
+      } else {
+        await auditHold('SUCCEEDED');
+      }
+
+      return successPayload;
+    });
+  } catch (error) {
+    if (isIdempotencyConflict(error)) {
+      return inProgressResult();
+    }
+
+    console.error('[HoldService] System failure during authorization:', {
+      initiatorUserId,
+      fromAccountId,
+      toAccountId,
+      amount,
+      idempotencyKey,
+      error: error.message,
+    });
+
+    // the hold row was rolled back too, so there is no hold to point at
+    await recordSystemFailure('HOLD_AUTHORIZE', null, error, auditContext);
+
+    throw new TransferSystemError(`HOLD_SYSTEM_FAILURE: ${error.message}`);
+  }
+};
+
+/**
+ * Settle an AUTHORIZED hold: move `amount` (the whole hold if omitted)
+ * from the source to the destination and release the rest.
+ *
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.holdId
+ * @param {number} [params.amount]   cents, at most the held amount
+ * @param {Date}   [params.now]
+ * @param {object} [params.auditContext]
+ */
+const captureHold = async ({
+  userId,
+  holdId,
+  amount = null,
+  now = new Date(),
+  auditContext = null, // { ipAddress, userAgent } of the HTTP request, if any
+}) => {
+  if (amount !== null && !isValidAmount(amount)) {
+    return {
+      success: false,
+      error: 'INVALID_AMOUNT',
+      message: 'Amount must be a positive integer number of cents',
+    };
+  }
+
+  try {
+    return await retryTransaction(async (trx) => {
+      /**
+       * STEP 1 — Lock the hold, then both accounts in account_id order
+       */
+      const hold = await lockHold(trx, holdId);
+
+      if (!hold || !(await isParty(trx, hold, userId))) {
+        return holdNotFound();
+      }
+
+      const lockAccount = (accountId) => trx('accounts')
+        .where({ account_id: accountId })
+        .forNoKeyUpdate()
+        .first();
+
+      const [firstId, secondId] = [hold.from_account_id, hold.to_account_id].sort();
+      const firstLocked = await lockAccount(firstId);
+      const secondLocked = await lockAccount(secondId);
+
+      const fromAccount = firstId === hold.from_account_id ? firstLocked : secondLocked;
+      const toAccount = firstId === hold.to_account_id ? firstLocked : secondLocked;
+
+      const auditCapture = (outcome, reason = null) => recordAudit({
+        actorId: userId,
+        action: 'HOLD_CAPTURE',
+        targetType: 'HOLD',
+        targetId: holdId,
+        outcome,
+        reason,
+        context: auditContext,
+      }, trx);
+
+      await auditCapture('ATTEMPTED');
+
+      const reject = async (rejectionReason) => {
+        await auditCapture('REJECTED', rejectionReason);
+
+        return {
+          success: false,
+          holdId,
+          status: 'REJECTED',
+          reason: rejectionReason,
+        };
+      };
+
+      /**
+       * STEP 2 — Eligibility
+       * A hold found past its expiry is expired here rather than waiting
+       * for the job, so its funds are released at once.
+       */
+      const heldAmount = fromDbAmount(hold.amount);
+      const captureAmount = amount === null ? heldAmount : amount;
+
+      if (hold.status !== 'AUTHORIZED') {
+        return reject('HOLD_NOT_AUTHORIZED');
+      }
+      if (hold.expires_at <= now) {
+        await releaseHold(trx, hold, 'EXPIRED');
+        return reject('HOLD_EXPIRED');
+      }
+      if (captureAmount > heldAmount) {
+        return reject('CAPTURE_EXCEEDS_HOLD');
+      }
+      if (fromAccount.status !== 'ACTIVE') {
+        return reject('FROM_ACCOUNT_NOT_ACTIVE');
+      }
+      if (toAccount.status !== 'ACTIVE') {
+        return reject('TO_ACCOUNT_NOT_ACTIVE');
+      }
+
+      /**
+       * STEP 3 — Create the settling TRANSFER (PENDING)
+       */
+      const [transactionRow] = await trx('transactions')
+        .insert({
+          status: 'PENDING',
+          type: 'TRANSFER',
+          initiator_user_id: userId,
+          from_account_id: hold.from_account_id,
+          to_account_id: hold.to_account_id,
+          amount: captureAmount,
+          currency: hold.currency,
+        })
+        .returning('*');
+
+      const transactionId = transactionRow.transaction_id;
+
+      /**
+       * STEP 3b — Hold for review (the risk engine flagged the authorization)
+       * No money moves and no ledger entries are written. The captured
+       * amount stays reserved in held_balance, now for the held transfer,
+       * and the rest is released; the transfer then settles or is declined
+       * in the admin review queue, like a transfer held by transferService.
+       */
+      if (hold.review_required) {
+        const releasedAmount = heldAmount - captureAmount;
+
+        await trx('accounts')
+          .where({ account_id: hold.from_account_id })
+          .update({
+            held_balance: trx.raw('held_balance - ?', [releasedAmount]),
+          });
+
+        await trx('transactions')
+          .where({ transaction_id: transactionId })
+          .update({
+            status: 'UNDER_REVIEW',
+            response_payload: {
+              success: true,
+              transactionId,
+              status: 'UNDER_REVIEW',
+              fromAccountId: hold.from_account_id,
+              toAccountId: hold.to_account_id,
+              amount: captureAmount,
+              currency: hold.currency,
+              conversion: null,
+            },
+          });
+
+        await trx('holds')
+          .where({ hold_id: holdId })
+          .update({
+            status: 'CAPTURED',
+            captured_amount: captureAmount,
+            capture_transaction_id: transactionId,
+            updated_at: trx.fn.now(),
+          });
+
+        await auditCapture(
+          'FLAGGED',
+          `UNDER_REVIEW transaction=${transactionId} captured=${captureAmount} released=${releasedAmount}`,
+        );
+
+        return {
+          success: true,
+          holdId,
+          status: 'CAPTURED',
+          transactionId,
+          transactionStatus: 'UNDER_REVIEW',
+          amount: captureAmount,
+          releasedAmount,
+          currency: hold.currency,
+        };
+      }
+
+      /**
+       * STEP 4 — Balance updates
+       * The whole hold leaves held_balance while only the captured amount
+       * leaves current_balance, so available_balance cannot go negative:
+       * it was reserved at authorization.
+       */
+      await trx('accounts')
+        .where({ account_id: hold.from_account_id })
+        .update({
+          current_balance: trx.raw('current_balance - ?', [captureAmount]),
+          held_balance: trx.raw('held_balance - ?', [heldAmount]),
+        });
+
+      await trx('accounts')
+        .where({ account_id: hold.to_account_id })
+        .update({
+          current_balance: trx.raw('current_balance + ?', [captureAmount]),
+        });
+
+      /**
+       * STEP 5 — Ledger entries
+       */
+      await trx('ledger_entries').insert([
+        {
+          account_id: hold.from_account_id,
+          transaction_id: transactionId,
+          amount: -captureAmount,
+          currency: hold.currency,
+        },
+        {
+          account_id: hold.to_account_id,
+          transaction_id: transactionId,
+          amount: captureAmount,
+          currency: hold.currency,
+        },
+      ]);
+
+      /**
+       * STEP 6 — Mark the transfer SUCCEEDED and the hold CAPTURED, audit SUCCESS
+       */
+      await trx('transactions')
+        .where({ transaction_id: transactionId })
+        .update({
+          status: 'SUCCEEDED',
+          response_payload: {
+            success: true,
+            transactionId,
+            status: 'SUCCEEDED',
+            fromAccountId: hold.from_account_id,
+            toAccountId: hold.to_account_id,
+            amount: captureAmount,
+            currency: hold.currency,
+            conversion: null,
+          },
+        });
+
+      await trx('holds')
+        .where({ hold_id: holdId })
+        .update({
+          status: 'CAPTURED',
+          captured_amount: captureAmount,
+          capture_transaction_id: transactionId,
+          updated_at: trx.fn.now(),
+        });
+
+      const releasedAmount = heldAmount - captureAmount;
+
+      await auditCapture(
+        'SUCCEEDED',
+        `transaction=${transactionId} captured=${captureAmount} released=${releasedAmount}`,
+      );
+
+      return {
+        success: true,
+        holdId,
+        status: 'CAPTURED',
+        transactionId,
+        amount: captureAmount,
+        releasedAmount,
+        currency: hold.currency,
+      };
+    });
+  } catch (error) {
+    console.error('[HoldService] System failure during capture:', {
+      userId,
+      holdId,
+      amount,
+      error: error.message,
+    });
+
+    await recordSystemFailure('HOLD_CAPTURE', holdId, error, auditContext);
+
+    throw new TransferSystemError(`HOLD_SYSTEM_FAILURE: ${error.message}`);
+  }
+};
+
+/**
+ * Release an AUTHORIZED hold without moving money.
+ */
+const voidHold = async ({
+  userId,
+  holdId,
+  auditContext = null,
+}) => retryTransaction(async (trx) => {
+  const hold = await lockHold(trx, holdId);
+
+  if (!hold || !(await isParty(trx, hold, userId))) {
+    return holdNotFound();
+  }
+
+  const auditVoid = (outcome, reason = null) => recordAudit({
+    actorId: userId,
+    action: 'HOLD_VOID',
+    targetType: 'HOLD',
+    targetId: holdId,
+    outcome,
+    reason,
+    context: auditContext,
+  }, trx);
+
+  await auditVoid('ATTEMPTED');
+
+  if (hold.status !== 'AUTHORIZED') {
+    await auditVoid('REJECTED', 'HOLD_NOT_AUTHORIZED');
+
+    return {
+      success: false,
+      holdId,
+      status: 'REJECTED',
+      reason: 'HOLD_NOT_AUTHORIZED',
+    };
+  }
+
+  const updatedRow = await releaseHold(trx, hold, 'VOIDED');
+
+  await auditVoid('SUCCEEDED', `released=${fromDbAmount(hold.amount)}`);
+
+  return {
+    success: true,
+    hold: toHoldResponse(updatedRow),
+  };
+});
+
+/**
+ * Fetch a hold the user is a party to.
+ */
+const getHold = async ({ userId, holdId }) => {
+  const hold = await knex('holds').where({ hold_id: holdId }).first();
+
+  if (!hold || !(await isParty(knex, hold, userId))) {
+    return holdNotFound();
+  }
+
+  return {
+    success: true,
+    hold: toHoldResponse(hold),
+  };
+};
+
+/**
+ * Expire AUTHORIZED holds whose expires_at has passed, releasing their funds.
+ * One hold per DB transaction; holds being captured or voided right now
+ * are skipped (SKIP LOCKED) and re-checked on the next run.
+ *
+ * @param {object} [options]
+ * @param {Date}   [options.now]
+ * @param {number} [options.batchSize]
+ */
+const expireHolds = async ({ now = new Date(), batchSize = DEFAULT_BATCH_SIZE } = {}) => {
+  const dueRows = await knex('holds')
+    .select('hold_id')
+    .where({ status: 'AUTHORIZED' })
+    .where('expires_at', '<=', now)
+    .orderBy('expires_at', 'asc')
+    .limit(batchSize);
+
+  const expired = [];
+
+  await dueRows.reduce(async (previous, { hold_id: holdId }) => {
+    await previous;
+
+    const released = await knex.transaction(async (trx) => {
+      const hold = await trx('holds')
+        .where({ hold_id: holdId, status: 'AUTHORIZED' })
+        .where('expires_at', '<=', now)
+        .forNoKeyUpdate()
+        .skipLocked()
+        .first();
+
+      if (!hold) return false;
+
+      await releaseHold(trx, hold, 'EXPIRED');
+
+      await recordAudit({
+        actorType: 'SYSTEM',
+        actorId: EXPIRY_ACTOR_ID,
+        action: 'HOLD_EXPIRE',
+        targetType: 'HOLD',
+        targetId: holdId,
+        outcome: 'SUCCEEDED',
+        reason: `released=${fromDbAmount(hold.amount)}`,
+      }, trx);
+
+      return true;
+    });
+
+    if (released) expired.push(holdId);
+  }, Promise.resolve());
+
+  return {
+    scanned: dueRows.length,
+    expired,
+  };
+};
+
+module.exports = {
+  authorizeHold,
+  captureHold,
+  voidHold,
+  getHold,
+  expireHolds,
+};
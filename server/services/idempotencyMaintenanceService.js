@@ -0,0 +1,70 @@
+/**
+ * Idempotency Maintenance Service
+ *
+ * Responsibility:
+ * - Expire idempotency keys once they are older than the retention window,
+ *   so a client may legitimately reuse a key after that window
+ *
+ * Core rules:
+ * - only the key and its request fingerprint are cleared; the transaction,
+ *   its ledger entries and its response_payload are kept
+ * - PENDING rows are never touched: they are still owned by a request
+ *   or by the pending recovery worker
+ * - neither are UNDER_REVIEW rows: a retry must keep replaying the held
+ *   transfer until a reviewer decides it
+ * - the partial unique indexes ignore NULL keys, so cleared rows no longer
+ *   block a new transaction with the same key
+ * - every run is recorded in audit_logs as SYSTEM
+ *
+ * This file:
+ * - contains NO HTTP logic
+ * - returns a summary object only
+ */
+
+const knex = require('../db/knex');
+const { recordAudit } = require('../db/auditLog');
+
+const ACTOR_ID = 'IDEMPOTENCY_KEY_PURGE_JOB';
+const DEFAULT_RETENTION_HOURS = 24;
+
+/**
+ * Clear idempotency keys older than the retention window.
+ *
+ * @param {object} [options]
+ * @param {number} [options.retentionHours] keys younger than this are kept
+ *   (defaults to IDEMPOTENCY_KEY_RETENTION_HOURS, then 24)
+ */
+const purgeExpiredIdempotencyKeys = async ({
+  retentionHours = Number(process.env.IDEMPOTENCY_KEY_RETENTION_HOURS)
+    || DEFAULT_RETENTION_HOURS,
+} = {}) => knex.transaction(async (trx) => {
+  const purgedRows = await trx('transactions')
+    .whereNotNull('idempotency_key')
+    .whereNotIn('status', ['PENDING', 'UNDER_REVIEW'])
+    .whereRaw("created_at < NOW() - (? * INTERVAL '1 hour')", [retentionHours])
+    .update({
+      idempotency_key: null,
+      request_fingerprint: null,
+    })
+    .returning('transaction_id');
+
+  const summary = {
+    retentionHours,
+    purged: purgedRows.length,
+  };
+
+  await recordAudit({
+    actorType: 'SYSTEM',
+    actorId: ACTOR_ID,
+    action: 'IDEMPOTENCY_KEY_PURGE',
+    targetType: 'TRANSACTION',
+    outcome: 'SUCCEEDED',
+    reason: `purged=${summary.purged} retention_hours=${retentionHours}`,
+  }, trx);
+
+  return summary;
+});
+
+module.exports = {
+  purgeExpiredIdempotencyKeys,
+};
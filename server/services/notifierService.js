@@ -0,0 +1,65 @@
+/**
+ * Notifier Service
+ *
+ * Responsibility:
+ * - Deliver messages to users (e.g. password reset links)
+ *
+ * A notifier is any object with
+ *   send({ to, subject, text }) => Promise<void>
+ * where `to` is { userId, username }. Services take a notifier parameter,
+ * so a real transport (email, SMS) plugs in without touching them.
+ *
+ * Built in (NOTIFIER):
+ * - outbox (default): appends each message as a JSON line to
+ *   NOTIFIER_OUTBOX_FILE (default server/tmp/outbox.jsonl) instead of
+ *   sending it; for development and tests only
+ *
+ * This file:
+ * - contains NO HTTP logic
+ * - does NOT write to the database
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_OUTBOX_FILE = path.join(__dirname, '../tmp/outbox.jsonl');
+
+/**
+ * A notifier that writes messages to a local file.
+ */
+const createOutboxNotifier = (filePath) => ({
+  send: async ({ to, subject, text }) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, `${JSON.stringify({
+      to,
+      subject,
+      text,
+      sentAt: new Date().toISOString(),
+    })}\n`);
+  },
+});
+
+const NOTIFIERS = {
+  outbox: () => createOutboxNotifier(process.env.NOTIFIER_OUTBOX_FILE || DEFAULT_OUTBOX_FILE),
+};
+
+let defaultNotifier = null;
+
+/**
+ * The notifier configured by NOTIFIER (outbox when unset),
+ * created once per process.
+ */
+const getDefaultNotifier = () => {
+  if (!defaultNotifier) {
+    const name = process.env.NOTIFIER || 'outbox';
+    if (!NOTIFIERS[name]) throw new Error(`Unknown notifier: ${name}`);
+
+    defaultNotifier = NOTIFIERS[name]();
+  }
+  return defaultNotifier;
+};
+
+module.exports = {
+  createOutboxNotifier,
+  getDefaultNotifier,
+};
@@ -0,0 +1,249 @@
+/**
+ * Password Service
+ *
+ * Responsibility:
+ * - Change a password (the current password is required)
+ * - Forgot / reset: issue a single-use reset token, deliver it through a
+ *   notifier, and reset the password with it
+ *
+ * Reset tokens:
+ * - 32 random bytes (base64url); only their SHA-256 is stored
+ *   (password_reset_tokens.token_hash)
+ * - expire after PASSWORD_RESET_TOKEN_TTL_MINUTES (default 30)
+ * - are claimed with a single conditional UPDATE, so a token resets the
+ *   password at most once even when submitted twice at the same time
+ * - any password change or reset makes the user's outstanding tokens
+ *   unusable
+ *
+ * Core rules:
+ * - the new password must pass the password policy
+ *   (policies/passwordPolicy.js); a rejected reset leaves the token usable
+ * - a change signs out every other session; a reset signs out all of them
+ *   (User.updatePassword), in the same transaction as the new hash
+ * - asking for a reset answers the same whether or not the username
+ *   exists, so it cannot be used to discover accounts
+ * - every attempt is audited
+ *
+ * This file:
+ * - contains NO HTTP logic
+ * - does NOT return HTTP responses
+ * - returns domain results only
+ */
+
+const crypto = require('crypto');
+const knex = require('../db/knex');
+const User = require('../models/User');
+const { recordAudit, ANONYMOUS_ACTOR_ID } = require('../db/auditLog');
+const { getDefaultNotifier } = require('./notifierService');
+const {
+  checkPassword,
+  passwordPolicyError,
+  passwordPolicyReason,
+} = require('../policies/passwordPolicy');
+
+const DEFAULT_TOKEN_TTL_MINUTES = 30;
+const DEFAULT_RESET_URL = 'http://localhost:5173/reset-password';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Mark the user's unused reset tokens as used.
+ */
+const retireResetTokens = (db, userId, now) => db('password_reset_tokens')
+  .where({ user_id: userId })
+  .whereNull('used_at')
+  .update({ used_at: now });
+
+/**
+ * Change the password of a signed-in user.
+ */
+const changePassword = async ({
+  userId,
+  currentPassword,
+  newPassword,
+  currentSid = null,
+  auditContext = null,
+  now = new Date(),
+}) => {
+  const audit = (outcome, reason = null) => recordAudit({
+    actorId: userId,
+    action: 'PASSWORD_CHANGE',
+    targetType: 'USER',
+    targetId: userId,
+    outcome,
+    reason,
+    context: auditContext,
+  });
+
+  const user = await User.find(userId);
+  if (!user) {
+    await audit('REJECTED', 'USER_NOT_FOUND');
+    return { success: false, error: 'USER_NOT_FOUND' };
+  }
+
+  if (!await user.isValidPassword(currentPassword)) {
+    await audit('REJECTED', 'INVALID_CURRENT_PASSWORD');
+    return {
+      success: false,
+      error: 'INVALID_CURRENT_PASSWORD',
+      message: 'Current password is incorrect',
+    };
+  }
+
+  const violations = checkPassword(newPassword, { username: user.username });
+  if (violations.length) {
+    await audit('REJECTED', passwordPolicyReason(violations));
+    return passwordPolicyError(violations);
+  }
+
+  const { revokedSessions } = await knex.transaction(async (trx) => {
+    await retireResetTokens(trx, userId, now);
+    return User.updatePassword(userId, newPassword, { keepSid: currentSid, trx });
+  });
+
+  await audit('SUCCEEDED', `revoked_sessions=${revokedSessions}`);
+  return { success: true, revokedSessions };
+};
+
+/**
+ * Issue a reset token for the username and send it to its user.
+ * Succeeds whether or not the username exists.
+ */
+const requestPasswordReset = async ({
+  username,
+  notifier = getDefaultNotifier(),
+  auditContext = null,
+  now = new Date(),
+  ttlMinutes = Number(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || DEFAULT_TOKEN_TTL_MINUTES,
+}) => {
+  const user = await User.findByUsername(username);
+
+  if (!user) {
+    await recordAudit({
+      actorId: ANONYMOUS_ACTOR_ID,
+      action: 'PASSWORD_RESET_REQUEST',
+      targetType: 'USER',
+      outcome: 'REJECTED',
+      reason: 'UNKNOWN_USERNAME',
+      context: auditContext,
+    });
+    return { success: true };
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(now.getTime() + ttlMinutes * 60 * 1000);
+
+  await knex('password_reset_tokens').insert({
+    user_id: user.id,
+    token_hash: hashToken(token),
+    expires_at: expiresAt,
+  });
+
+  const resetUrl = `${process.env.PASSWORD_RESET_URL || DEFAULT_RESET_URL}?token=${token}`;
+  await notifier.send({
+    to: { userId: user.id, username: user.username },
+    subject: 'Reset your password',
+    text: `Use this link to choose a new password: ${resetUrl}\n`
+      + `It expires at ${expiresAt.toISOString()} and works once. `
+      + 'If you did not ask for it, ignore this message.',
+  });
+
+  await recordAudit({
+    actorId: ANONYMOUS_ACTOR_ID,
+    action: 'PASSWORD_RESET_REQUEST',
+    targetType: 'USER',
+    targetId: user.id,
+    outcome: 'SUCCEEDED',
+    context: auditContext,
+  });
+
+  return { success: true };
+};
+
+/**
+ * Set a new password with a reset token, signing out every session.
+ */
+const resetPassword = async ({
+  token,
+  newPassword,
+  auditContext = null,
+  now = new Date(),
+}) => {
+  const invalidToken = async () => {
+    await recordAudit({
+      actorId: ANONYMOUS_ACTOR_ID,
+      action: 'PASSWORD_RESET',
+      targetType: 'USER',
+      outcome: 'REJECTED',
+      reason: 'INVALID_RESET_TOKEN',
+      context: auditContext,
+    });
+    return {
+      success: false,
+      error: 'INVALID_RESET_TOKEN',
+      message: 'This reset link is invalid, expired or already used',
+    };
+  };
+
+  // check the policy before claiming, so the user can try another password
+  // with the same link; the claim below still decides whether it is usable
+  const pending = await knex('password_reset_tokens as t')
+    .join('users as u', 'u.user_id', 't.user_id')
+    .where({ 't.token_hash': hashToken(token) })
+    .whereNull('t.used_at')
+    .where('t.expires_at', '>', now)
+    .first('u.user_id', 'u.username');
+
+  if (!pending) return invalidToken();
+
+  const violations = checkPassword(newPassword, { username: pending.username });
+  if (violations.length) {
+    await recordAudit({
+      actorId: ANONYMOUS_ACTOR_ID,
+      action: 'PASSWORD_RESET',
+      targetType: 'USER',
+      targetId: pending.user_id,
+      outcome: 'REJECTED',
+      reason: passwordPolicyReason(violations),
+      context: auditContext,
+    });
+    return passwordPolicyError(violations);
+  }
+
+  const result = await knex.transaction(async (trx) => {
+    // claim the token: unused and unexpired, exactly once
+    const [claimed] = await trx('password_reset_tokens')
+      .where({ token_hash: hashToken(token) })
+      .whereNull('used_at')
+      .where('expires_at', '>', now)
+      .update({ used_at: now })
+      .returning('user_id');
+
+    if (!claimed) return null;
+
+    await retireResetTokens(trx, claimed.user_id, now);
+    const { revokedSessions } = await User.updatePassword(claimed.user_id, newPassword, { trx });
+
+    return { userId: claimed.user_id, revokedSessions };
+  });
+
+  if (!result) return invalidToken();
+
+  await recordAudit({
+    actorId: result.userId,
+    action: 'PASSWORD_RESET',
+    targetType: 'USER',
+    targetId: result.userId,
+    outcome: 'SUCCEEDED',
+    reason: `revoked_sessions=${result.revokedSessions}`,
+    context: auditContext,
+  });
+
+  return { success: true };
+};
+
+module.exports = {
+  changePassword,
+  requestPasswordReset,
+  resetPassword,
+};
@@ -0,0 +1,229 @@
+/**
+ * Pending Recovery Service
+ *
+ * Responsibility:
+ * - Resolve transactions left in PENDING past a configurable age
+ *   (e.g. the process died between the PENDING insert and the final update)
+ *
+ * Core rules:
+ * - ledger_entries decides the outcome, never the cached balances:
+ *   - complete ledger for the transaction  -> SUCCEEDED
+ *   - no ledger entries                    -> FAILED
+ *   - partial / mismatched ledger          -> left PENDING and flagged
+ *     (recovery_flagged_at), audited once for a human; later sweeps skip it
+ * - response_payload is written in the same shape the originating service
+ *   would have stored, so idempotent replays return it unchanged
+ * - rows are claimed with FOR UPDATE SKIP LOCKED: concurrent sweepers
+ *   split the work instead of double-processing it
+ *
+ * This file:
+ * - contains NO HTTP logic
+ * - returns a summary object only
+ */
+
+const knex = require('../db/knex');
+const { recordAudit } = require('../db/auditLog');
+const { fromDbAmount, normalizeRate } = require('../utils/money');
+
+const ACTOR_ID = 'PENDING_RECOVERY_WORKER';
+const DEFAULT_MAX_AGE_MINUTES = 15;
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * Ledger rows a fully applied transaction must have, keyed by account.
+ */
+const expectedLedger = (tx) => {
+  const amount = fromDbAmount(tx.amount);
+  switch (tx.type) {
+    case 'TRANSFER':
+      // the credit side is in the destination currency when it was converted
+      return {
+        [tx.from_account_id]: -amount,
+        [tx.to_account_id]: tx.converted_amount ? fromDbAmount(tx.converted_amount) : amount,
+      };
+    case 'REVERSAL':
+      return { [tx.from_account_id]: -amount, [tx.to_account_id]: amount };
+    case 'DEPOSIT':
+      return { [tx.to_account_id]: amount };
+    case 'WITHDRAWAL':
+      return { [tx.from_account_id]: -amount };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Success payload in the same shape transferService / cashService /
+ * reversalService store.
+ */
+const buildSuccessPayload = (tx) => {
+  const base = {
+    success: true,
+    transactionId: tx.transaction_id,
+    status: 'SUCCEEDED',
+  };
+
+  if (tx.type === 'REVERSAL') {
+    return {
+      ...base,
+      parentTransactionId: tx.parent_transaction_id,
+      fromAccountId: tx.from_account_id,
+      toAccountId: tx.to_account_id,
+      amount: fromDbAmount(tx.amount),
+      currency: tx.currency,
+    };
+  }
+
+  if (tx.type === 'TRANSFER') {
+    return {
+      ...base,
+      fromAccountId: tx.from_account_id,
+      toAccountId: tx.to_account_id,
+      amount: fromDbAmount(tx.amount),
+      currency: tx.currency,
+      conversion: tx.converted_amount
+        ? {
+          fromCurrency: tx.currency,
+          toCurrency: tx.converted_currency,
+          rate: normalizeRate(tx.exchange_rate),
+          convertedAmount: fromDbAmount(tx.converted_amount),
+        }
+        : null,
+    };
+  }
+
+  return {
+    ...base,
+    accountId: tx.to_account_id || tx.from_account_id,
+    amount: fromDbAmount(tx.amount),
+    currency: tx.currency,
+  };
+};
+
+/**
+ * Compare the ledger rows written for a transaction with what it should have.
+ * Returns 'COMPLETE', 'NONE' or 'INCONSISTENT'.
+ */
+const classifyLedger = (tx, ledgerRows) => {
+  if (ledgerRows.length === 0) return 'NONE';
+
+  const expected = expectedLedger(tx);
+  if (!expected) return 'INCONSISTENT';
+
+  const actual = {};
+  ledgerRows.forEach((row) => {
+    actual[row.account_id] = (actual[row.account_id] || 0) + fromDbAmount(row.amount);
+  });
+
+  const accounts = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  const matches = [...accounts].every((accountId) => expected[accountId] === actual[accountId]);
+
+  return matches ? 'COMPLETE' : 'INCONSISTENT';
+};
+
+/**
+ * Resolve a single claimed PENDING row inside the sweeper's transaction.
+ */
+const resolveTransaction = async (trx, tx) => {
+  const ledgerRows = await trx('ledger_entries')
+    .where({ transaction_id: tx.transaction_id });
+
+  const audit = (outcome, reason) => recordAudit({
+    actorType: 'SYSTEM',
+    actorId: ACTOR_ID,
+    action: tx.type,
+    targetType: 'TRANSACTION',
+    targetId: tx.transaction_id,
+    outcome,
+    reason,
+  }, trx);
+
+  const ledgerState = classifyLedger(tx, ledgerRows);
+
+  if (ledgerState === 'COMPLETE') {
+    await trx('transactions')
+      .where({ transaction_id: tx.transaction_id })
+      .update({
+        status: 'SUCCEEDED',
+        response_payload: buildSuccessPayload(tx),
+      });
+
+    await audit('SUCCEEDED', 'RECOVERED_FROM_LEDGER');
+
+    return 'SUCCEEDED';
+  }
+
+  if (ledgerState === 'NONE') {
+    const failureReason = 'RECOVERED_NO_LEDGER_ENTRIES';
+
+    await trx('transactions')
+      .where({ transaction_id: tx.transaction_id })
+      .update({
+        status: 'FAILED',
+        failure_reason: failureReason,
+        response_payload: {
+          success: false,
+          transactionId: tx.transaction_id,
+          status: 'FAILED',
+          reason: failureReason,
+        },
+      });
+
+    await audit('FAILED', failureReason);
+
+    return 'FAILED';
+  }
+
+  // Money partially moved: do not guess, flag it for manual review
+  await trx('transactions')
+    .where({ transaction_id: tx.transaction_id })
+    .update({ recovery_flagged_at: trx.fn.now() });
+
+  await audit('FAILED', 'RECOVERY_SKIPPED_LEDGER_INCONSISTENT');
+
+  return 'SKIPPED';
+};
+
+/**
+ * Sweep one batch of stuck PENDING transactions, oldest first.
+ * Rows already flagged for manual review are not scanned again.
+ *
+ * @param {object} [options]
+ * @param {number} [options.maxAgeMinutes] only rows older than this are touched
+ *   (defaults to PENDING_RECOVERY_MAX_AGE_MINUTES, then 15)
+ * @param {number} [options.batchSize=100] rows claimed per run
+ */
+const recoverStuckTransactions = async ({
+  maxAgeMinutes = Number(process.env.PENDING_RECOVERY_MAX_AGE_MINUTES)
+    || DEFAULT_MAX_AGE_MINUTES,
+  batchSize = DEFAULT_BATCH_SIZE,
+} = {}) => knex.transaction(async (trx) => {
+  const stuckTransactions = await trx('transactions')
+    .where({ status: 'PENDING' })
+    .whereNull('recovery_flagged_at')
+    .whereRaw("created_at < NOW() - (? * INTERVAL '1 minute')", [maxAgeMinutes])
+    .orderBy('created_at', 'asc')
+    .limit(batchSize)
+    .forUpdate()
+    .skipLocked();
+
+  const summary = {
+    scanned: stuckTransactions.length,
+    succeeded: [],
+    failed: [],
+    skipped: [],
+  };
+
+  // one connection per transaction: resolve the claimed rows one at a time
+  await stuckTransactions.reduce(async (previous, tx) => {
+    await previous;
+    const outcome = await resolveTransaction(trx, tx);
+    summary[outcome.toLowerCase()].push(tx.transaction_id);
+  }, Promise.resolve());
+
+  return summary;
+});
+
+module.exports = {
+  recoverStuckTransactions,
+};
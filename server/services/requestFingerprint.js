@@ -0,0 +1,29 @@
+/**
+ * Request Fingerprint
+ *
+ * A stable SHA-256 hex digest of the fields that define a money movement.
+ * Stored on transactions.request_fingerprint and compared on idempotent
+ * replays: same key + different fingerprint = the key was reused.
+ *
+ * Fields are serialized in a fixed key order and amounts as strings,
+ * so 3000 and "3000" or a different property order hash the same.
+ */
+
+const crypto = require('crypto');
+
+const normalize = (value) => (value === undefined || value === null ? null : String(value));
+
+const fingerprintRequest = (fields) => {
+  const canonical = Object.keys(fields)
+    .sort()
+    .map((key) => [key, normalize(fields[key])]);
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(canonical))
+    .digest('hex');
+};
+
+module.exports = {
+  fingerprintRequest,
+};
@@ -0,0 +1,361 @@
+/**
+ * Reversal Service
+ *
+ * Responsibility:
+ * - Undo all or part of a SUCCEEDED transfer
+ *
+ * Core rules:
+ * - the original transaction and its ledger entries are NEVER modified;
+ *   a reversal is a new REVERSAL transaction (parent_transaction_id = the
+ *   transfer) with its own compensating ledger entries
+ * - money moves back: debit the original destination, credit the original source
+ * - several partial reversals are allowed, but their SUCCEEDED total never
+ *   exceeds the original amount; the original row is locked while the total
+ *   is checked, so concurrent reversals cannot both pass the guard
+ * - only whoever may debit the original destination may reverse
+ *   (debitPolicy, owner-only by default), i.e. the recipient refunds;
+ *   anyone who is not a party to the transfer is told it does not exist
+ * - transfers converted between currencies are not reversible yet
+ * - idempotency, locking order and audit follow transferService
+ *
+ * This file:
+ * - contains NO HTTP logic
+ * - does NOT return HTTP responses
+ * - returns domain results only
+ */
+
+const retryTransaction = require('../db/retryTransaction');
+const {
+  tryAcquireIdempotencyLock,
+  inProgressResult,
+  isIdempotencyConflict,
+} = require('../db/idempotencyLock');
+const TransferSystemError = require('../errors/transferSystemError');
+const { defaultDebitPolicy } = require('../policies/accountAccessPolicy');
+const { fingerprintRequest } = require('./requestFingerprint');
+const { isValidAmount, fromDbAmount } = require('../utils/money');
+const { recordAudit } = require('../db/auditLog');
+
+/**
+ * Sum of SUCCEEDED reversals already made against a transfer.
+ */
+const reversedAmountOf = async (trx, transactionId) => {
+  const { total } = await trx('transactions')
+    .where({ parent_transaction_id: transactionId, type: 'REVERSAL', status: 'SUCCEEDED' })
+    .select(trx.raw('COALESCE(SUM(amount), 0) AS total'))
+    .first();
+
+  return fromDbAmount(total);
+};
+
+/**
+ * Reverse `amount` of a transfer (the whole original amount if omitted).
+ *
+ * @param {object} params
+ * @param {string} params.initiatorUserId
+ * @param {string} params.transactionId   the TRANSFER to reverse
+ * @param {number} [params.amount]        cents, at most what is not yet reversed
+ * @param {string} params.idempotencyKey
+ * @param {Function} [params.debitPolicy] who may take money back out of the destination
+ */
+const reverseTransfer = async ({
+  initiatorUserId,
+  transactionId: originalTransactionId,
+  amount = null,
+  idempotencyKey,
+  debitPolicy = defaultDebitPolicy,
+  auditContext = null, // { ipAddress, userAgent } of the HTTP request, if any
+  failpoint = null, // test-only: inject failures for integration tests
+}) => {
+  /**
+   * STEP 0 — Validate input shape (cheap, synchronous)
+   */
+  if (amount !== null && !isValidAmount(amount)) {
+    return {
+      success: false,
+      error: 'INVALID_AMOUNT',
+      message: 'Amount must be a positive integer number of cents',
+    };
+  }
+
+  if (!idempotencyKey) {
+    return {
+      success: false,
+      error: 'MISSING_IDEMPOTENCY_KEY',
+      message: 'Idempotency key is required for REVERSAL',
+    };
+  }
+
+  const requestFingerprint = fingerprintRequest({
+    transactionId: originalTransactionId,
+    amount: amount === null ? 'FULL' : amount,
+  });
+
+  try {
+    return await retryTransaction(async (trx) => {
+      /**
+       * STEP 1 — Idempotency check (same rules as transfers)
+       */
+      const lockAcquired = await tryAcquireIdempotencyLock(trx, {
+        initiatorUserId,
+        type: 'REVERSAL',
+        idempotencyKey,
+      });
+
+      if (!lockAcquired) {
+        return inProgressResult();
+      }
+
+      const existingTransaction = await trx('transactions')
+        .where({
+          initiator_user_id: initiatorUserId,
+          idempotency_key: idempotencyKey,
+          type: 'REVERSAL',
+        })
+        .first();
+
+      if (existingTransaction) {
+        if (existingTransaction.request_fingerprint !== requestFingerprint) {
+          return {
+            success: false,
+            error: 'IDEMPOTENCY_KEY_REUSED',
+            message: 'Idempotency key was already used with a different request',
+            transactionId: existingTransaction.transaction_id,
+          };
+        }
+
+        return { ...existingTransaction.response_payload, replayed: true };
+      }
+
+      /**
+       * STEP 2 — Lock the original transfer and both accounts
+       * The transfer is locked FOR NO KEY UPDATE: nothing on it changes, but
+       * concurrent reversals of it queue here until the running total below
+       * is committed. Accounts are locked in account_id order, as in
+       * transferService. Money flows back: from the original destination
+       * to the original source.
+       */
+      const original = await trx('transactions')
+        .where({ transaction_id: originalTransactionId, type: 'TRANSFER' })
+        .forNoKeyUpdate()
+        .first();
+
+      const notFound = {
+        success: false,
+        error: 'TRANSACTION_NOT_FOUND',
+        message: 'No transfer with this id',
+      };
+
+      if (!original) {
+        return notFound;
+      }
+
+      const fromAccountId = original.to_account_id;
+      const toAccountId = original.from_account_id;
+
+      const lockAccount = (accountId) => trx('accounts')
+        .where({ account_id: accountId })
+        .forNoKeyUpdate()
+        .first();
+
+      const [firstId, secondId] = [fromAccountId, toAccountId].sort();
+      const firstLocked = await lockAccount(firstId);
+      const secondLocked = await lockAccount(secondId);
+
+      const fromAccount = firstId === fromAccountId ? firstLocked : secondLocked;
+      const toAccount = firstId === toAccountId ? firstLocked : secondLocked;
+
+      const mayDebit = await debitPolicy({ userId: initiatorUserId, account: fromAccount, trx });
+
+      // Not a party to the transfer: do not reveal that it exists
+      if (!mayDebit && original.initiator_user_id !== initiatorUserId) {
+        return notFound;
+      }
+
+      const originalAmount = fromDbAmount(original.amount);
+      const reversalAmount = amount === null ? originalAmount : amount;
+      const reversedSoFar = await reversedAmountOf(trx, originalTransactionId);
+
+      /**
+       * STEP 3 — Create the REVERSAL row (PENDING) and audit ATTEMPT
+       */
+      const [transactionRow] = await trx('transactions')
+        .insert({
+          status: 'PENDING',
+          type: 'REVERSAL',
+          initiator_user_id: initiatorUserId,
+          from_account_id: fromAccountId,
+          to_account_id: toAccountId,
+          parent_transaction_id: originalTransactionId,
+          amount: reversalAmount,
+          currency: original.currency,
+          idempotency_key: idempotencyKey,
+          request_fingerprint: requestFingerprint,
+        })
+        .returning('*');
+
+      const transactionId = transactionRow.transaction_id;
+
+      const auditReversal = (outcome, reason) => recordAudit({
+        actorId: initiatorUserId,
+        action: 'REVERSAL',
+        targetType: 'TRANSACTION',
+        targetId: transactionId,
+        outcome,
+        reason,
+        context: auditContext,
+      }, trx);
+
+      await auditReversal('ATTEMPTED', `parent=${originalTransactionId}`);
+
+      const reject = async (rejectionReason) => {
+        const rejectionPayload = {
+          success: false,
+          transactionId,
+          status: 'REJECTED',
+          reason: rejectionReason,
+        };
+
+        await trx('transactions')
+          .where({ transaction_id: transactionId })
+          .update({
+            status: 'REJECTED',
+            failure_reason: rejectionReason,
+            response_payload: rejectionPayload,
+          });
+
+        await auditReversal('REJECTED', rejectionReason);
+
+        return rejectionPayload;
+      };
+
+      /**
+       * STEP 4 — Eligibility
+       */
+      if (!mayDebit) {
+        return reject('REVERSAL_NOT_PERMITTED');
+      }
+      if (original.status !== 'SUCCEEDED') {
+        return reject('ORIGINAL_NOT_SUCCEEDED');
+      }
+      if (original.converted_amount !== null) {
+        return reject('CONVERTED_TRANSFER_NOT_REVERSIBLE');
+      }
+      if (reversedSoFar + reversalAmount > originalAmount) {
+        return reject('REVERSAL_EXCEEDS_ORIGINAL');
+      }
+      if (fromAccount.status !== 'ACTIVE') {
+        return reject('FROM_ACCOUNT_NOT_ACTIVE');
+      }
+      if (toAccount.status !== 'ACTIVE') {
+        return reject('TO_ACCOUNT_NOT_ACTIVE');
+      }
+
+      /**
+       * STEP 5 — Balance updates (the destination must still hold the money)
+       */
+      const debitRowsAffected = await trx('accounts')
+        .where({ account_id: fromAccountId, status: 'ACTIVE' })
+        .whereRaw('available_balance >= ?', [reversalAmount])
+        .update({
+          current_balance: trx.raw('current_balance - ?', [reversalAmount]),
+        });
+
+      if (debitRowsAffected === 0) {
+        return reject('INSUFFICIENT_FUNDS');
+      }
+
+      // TEST-ONLY: Failpoint injection for integration tests
+      if (failpoint === 'AFTER_DEBIT_BEFORE_CREDIT') {
+        throw new Error('CREDIT_FAILED_ROLLBACK');
+      }
+
+      await trx('accounts')
+        .where({ account_id: toAccountId })
+        .update({
+          current_balance: trx.raw('current_balance + ?', [reversalAmount]),
+        });
+
+      /**
+       * STEP 6 — Compensating ledger entries
+       */
+      await trx('ledger_entries').insert([
+        {
+          account_id: fromAccountId,
+          transaction_id: transactionId,
+          amount: -reversalAmount,
+          currency: original.currency,
+        },
+        {
+          account_id: toAccountId,
+          transaction_id: transactionId,
+          amount: reversalAmount,
+          currency: original.currency,
+        },
+      ]);
+
+      /**
+       * STEP 7 — Mark SUCCEEDED and audit SUCCESS
+       */
+      const successPayload = {
+        success: true,
+        transactionId,
+        status: 'SUCCEEDED',
+        parentTransactionId: originalTransactionId,
+        fromAccountId,
+        toAccountId,
+        amount: reversalAmount,
+        currency: original.currency,
+      };
+
+      await trx('transactions')
+        .where({ transaction_id: transactionId })
+        .update({
+          status: 'SUCCEEDED',
+          response_payload: successPayload,
+        });
+
+      await auditReversal(
+        'SUCCEEDED',
+        `parent=${originalTransactionId} reversed=${reversedSoFar + reversalAmount}`,
+      );
+
+      return successPayload;
+    });
+  } catch (error) {
+    if (isIdempotencyConflict(error)) {
+      return inProgressResult();
+    }
+
+    console.error('[ReversalService] System failure during reversal:', {
+      initiatorUserId,
+      originalTransactionId,
+      amount,
+      idempotencyKey,
+      error: error.message,
+    });
+
+    // The REVERSAL row rolled back with everything else; the audit trail
+    // points at the transfer that could not be reversed.
+    try {
+      await recordAudit({
+        actorType: 'SYSTEM',
+        actorId: 'REVERSAL_SERVICE',
+        action: 'REVERSAL',
+        targetType: 'TRANSACTION',
+        targetId: originalTransactionId,
+        outcome: 'FAILED',
+        reason: error.message || 'UNKNOWN_SYSTEM_FAILURE',
+        context: auditContext,
+      });
+    } catch (recordError) {
+      console.error('[ReversalService] Failed to record system failure:', recordError.message);
+    }
+
+    throw new TransferSystemError(`REVERSAL_SYSTEM_FAILURE: ${error.message}`);
+  }
+};
+
+module.exports = {
+  reverseTransfer,
+};
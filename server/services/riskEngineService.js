@@ -0,0 +1,193 @@
+/**
+ * Risk Engine Service
+ *
+ * Responsibility:
+ * - Screen a transfer (or a hold, when it is authorized) against
+ *   configurable fraud / velocity rules before any money moves
+ * - Answer ALLOW, REJECT or REVIEW, with every rule that fired
+ *
+ * Rule file (RISK_RULES_FILE, JSON list; see data/riskRules.example.json):
+ *   { "id": "...", "type": "<rule type>", "action": "REJECT" | "REVIEW", ...params }
+ *
+ * Rule types:
+ * - NEW_PAYEE_OVER        { amount }: first transfer from the account to this
+ *                         destination, above `amount` cents
+ * - VELOCITY              { maxTransfers, windowMinutes }: more than
+ *                         `maxTransfers` transfers out of the account within
+ *                         the window, this one included
+ * - AMOUNT_ABOVE_AVERAGE  { multiplier, minHistory }: more than `multiplier`
+ *                         times the account's average SUCCEEDED transfer,
+ *                         once it has at least `minHistory` of them
+ *
+ * Core rules:
+ * - any REJECT hit rejects; otherwise any REVIEW hit holds for review
+ * - rules only read, inside the caller's DB transaction, after the source
+ *   account is locked; the caller records the hits and the decision
+ * - the file is validated when loaded; one bad rule rejects the whole file
+ * - without RISK_RULES_FILE no rules run and every transfer is allowed
+ *
+ * This file:
+ * - contains NO HTTP logic
+ * - does NOT write to the database
+ */
+
+const fs = require('fs');
+const { isValidAmount, fromDbAmount } = require('../utils/money');
+
+const ACTIONS = ['REJECT', 'REVIEW'];
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Rule types: which params they need, and how they are evaluated.
+ * evaluate(rule, context) resolves to a short detail string on a hit,
+ * or null when the rule does not fire.
+ */
+const RULE_TYPES = {
+  NEW_PAYEE_OVER: {
+    isValid: (rule) => isValidAmount(rule.amount),
+    evaluate: async (rule, { trx, transactionId, fromAccount, toAccount, amount }) => {
+      if (amount <= rule.amount) return null;
+
+      const previous = await trx('transactions')
+        .where({
+          type: 'TRANSFER',
+          status: 'SUCCEEDED',
+          from_account_id: fromAccount.account_id,
+          to_account_id: toAccount.account_id,
+        })
+        .whereNot({ transaction_id: transactionId })
+        .first();
+
+      return previous ? null : `new payee amount=${amount} over=${rule.amount}`;
+    },
+  },
+
+  VELOCITY: {
+    isValid: (rule) => isPositiveInteger(rule.maxTransfers)
+      && isPositiveInteger(rule.windowMinutes),
+    evaluate: async (rule, { trx, transactionId, fromAccount, now }) => {
+      const windowStart = new Date(now.getTime() - rule.windowMinutes * 60 * 1000);
+
+      const [{ count }] = await trx('transactions')
+        .where({ type: 'TRANSFER', from_account_id: fromAccount.account_id })
+        .where('created_at', '>', windowStart)
+        .whereNot({ transaction_id: transactionId })
+        .count('* as count');
+
+      const transfers = Number(count) + 1;
+      return transfers > rule.maxTransfers
+        ? `transfers=${transfers} window_minutes=${rule.windowMinutes}`
+        : null;
+    },
+  },
+
+  AMOUNT_ABOVE_AVERAGE: {
+    isValid: (rule) => typeof rule.multiplier === 'number'
+      && rule.multiplier > 0
+      && isPositiveInteger(rule.minHistory),
+    evaluate: async (rule, { trx, fromAccount, amount }) => {
+      const history = await trx('transactions')
+        .where({
+          type: 'TRANSFER',
+          status: 'SUCCEEDED',
+          from_account_id: fromAccount.account_id,
+        })
+        .select(trx.raw('COUNT(*) AS count, COALESCE(FLOOR(AVG(amount)), 0) AS average'))
+        .first();
+
+      if (Number(history.count) < rule.minHistory) return null;
+
+      const average = fromDbAmount(history.average);
+      return amount > average * rule.multiplier
+        ? `amount=${amount} average=${average} multiplier=${rule.multiplier}`
+        : null;
+    },
+  },
+};
+
+/**
+ * Build an engine from a list of rules.
+ */
+const createRiskEngine = (rules) => {
+  const ids = new Set();
+
+  rules.forEach((rule, index) => {
+    const ruleType = RULE_TYPES[rule?.type];
+
+    if (
+      typeof rule?.id !== 'string'
+      || ids.has(rule.id)
+      || !ruleType
+      || !ACTIONS.includes(rule.action)
+      || !ruleType.isValid(rule)
+    ) {
+      throw new Error(`Invalid risk rule #${index + 1}: ${JSON.stringify(rule)}`);
+    }
+
+    ids.add(rule.id);
+  });
+
+  return {
+    /**
+     * @param {object} context  { trx, transactionId, initiatorUserId,
+     *                            fromAccount, toAccount, amount, now }
+     *                            transactionId is null when screening a hold
+     * @returns {Promise<{ decision: 'ALLOW'|'REJECT'|'REVIEW', hits: object[] }>}
+     */
+    evaluate: async (context) => {
+      const hits = [];
+
+      // one rule at a time: they share the caller's transaction
+      await rules.reduce(async (previous, rule) => {
+        await previous;
+
+        const detail = await RULE_TYPES[rule.type].evaluate(rule, context);
+        if (detail) hits.push({ ruleId: rule.id, action: rule.action, detail });
+      }, Promise.resolve());
+
+      let decision = 'ALLOW';
+      if (hits.some((hit) => hit.action === 'REJECT')) {
+        decision = 'REJECT';
+      } else if (hits.length > 0) {
+        decision = 'REVIEW';
+      }
+
+      return { decision, hits };
+    },
+  };
+};
+
+/**
+ * Read and validate a rule file.
+ */
+const loadRiskRules = (filePath) => {
+  const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (!Array.isArray(rules)) {
+    throw new Error(`Risk rule file ${filePath} must contain a list of rules`);
+  }
+
+  return createRiskEngine(rules);
+};
+
+let defaultRiskEngine = null;
+
+/**
+ * The engine configured by RISK_RULES_FILE (no rules when unset),
+ * loaded once per process.
+ */
+const getDefaultRiskEngine = () => {
+  if (!defaultRiskEngine) {
+    defaultRiskEngine = process.env.RISK_RULES_FILE
+      ? loadRiskRules(process.env.RISK_RULES_FILE)
+      : createRiskEngine([]);
+  }
+  return defaultRiskEngine;
+};
+
+module.exports = {
+  createRiskEngine,
+  loadRiskRules,
+  getDefaultRiskEngine,
+};
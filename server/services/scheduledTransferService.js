@@ -0,0 +1,489 @@
+/**
+ * Scheduled Transfer Service
+ *
+ * Responsibility:
+ * - Let users schedule a transfer once, weekly or monthly
+ * - Execute due occurrences through transferFunds (the worker)
+ *
+ * Recurrence:
+ *   ONCE     run at next_run_at, then COMPLETED
+ *   WEEKLY   every 7 days after the first run
+ *   MONTHLY  on day_of_month, clamped to the last day of shorter months
+ *   A schedule past ends_at is COMPLETED.
+ *
+ * Core rules:
+ * - schedules never move money themselves: every run is a normal
+ *   transferFunds call, so ownership, limits and the ledger rules apply
+ * - each attempt uses an idempotency key derived from
+ *   (schedule, occurrence, attempt), so a worker that crashes after the
+ *   transfer and re-runs the same attempt replays instead of paying twice
+ * - an occurrence REJECTED for INSUFFICIENT_FUNDS (or FAILED) is retried
+ *   after a delay up to maxAttempts, then skipped; any other rejection
+ *   skips the occurrence immediately; one held UNDER_REVIEW by the risk
+ *   engine is left to the reviewer and the schedule moves on
+ * - schedules are claimed with FOR UPDATE SKIP LOCKED: concurrent workers
+ *   split the work instead of double-processing it
+ * - every user change and every execution is recorded in audit_logs
+ *
+ * This file:
+ * - contains NO HTTP logic
+ * - returns domain results only
+ */
+
+const crypto = require('crypto');
+const knex = require('../db/knex');
+const { recordAudit } = require('../db/auditLog');
+const { fromDbAmount } = require('../utils/money');
+const { transferFunds } = require('./transferService');
+
+const ACTOR_ID = 'SCHEDULED_TRANSFER_WORKER';
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MINUTES = 60;
+const DEFAULT_BATCH_SIZE = 100;
+
+const RETRYABLE_REASONS = ['INSUFFICIENT_FUNDS'];
+
+/**
+ * Maps a scheduled_transfers row to the API-facing shape.
+ */
+const toScheduledTransferResponse = (row) => ({
+  scheduledTransferId: row.scheduled_transfer_id,
+  fromAccountId: row.from_account_id,
+  toAccountId: row.to_account_id,
+  amount: fromDbAmount(row.amount),
+  frequency: row.frequency,
+  dayOfMonth: row.day_of_month,
+  status: row.status,
+  nextRunAt: row.next_run_at,
+  endsAt: row.ends_at,
+  attempts: row.attempts,
+  retryAt: row.retry_at,
+  lastRunAt: row.last_run_at,
+  lastTransactionId: row.last_transaction_id,
+  lastResult: row.last_result,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * Occurrence after `occurrence` for a recurring schedule, or null for ONCE.
+ * Times are kept in UTC.
+ */
+const nextOccurrence = (schedule, occurrence) => {
+  const current = new Date(occurrence);
+
+  if (schedule.frequency === 'WEEKLY') {
+    return new Date(current.getTime() + 7 * 24 * 60 * 60 * 1000);
+  }
+
+  if (schedule.frequency === 'MONTHLY') {
+    const year = current.getUTCFullYear();
+    const month = current.getUTCMonth() + 1;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+    return new Date(Date.UTC(
+      year,
+      month,
+      Math.min(schedule.day_of_month, lastDay),
+      current.getUTCHours(),
+      current.getUTCMinutes(),
+      current.getUTCSeconds(),
+    ));
+  }
+
+  return null;
+};
+
+/**
+ * Deterministic UUID idempotency key for one attempt of one occurrence.
+ * Formatted as an RFC 9562 version 8 (custom) UUID.
+ */
+const occurrenceIdempotencyKey = (scheduledTransferId, occurrence, attempt) => {
+  const hex = crypto
+    .createHash('sha256')
+    .update(`${scheduledTransferId}:${new Date(occurrence).toISOString()}:${attempt}`)
+    .digest('hex');
+
+  const variant = ((parseInt(hex[16], 16) % 4) + 8).toString(16);
+
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    `8${hex.slice(13, 16)}`,
+    `${variant}${hex.slice(17, 20)}`,
+    hex.slice(20, 32),
+  ].join('-');
+};
+
+/**
+ * Audit a user's change to a schedule (ATTEMPTED -> SUCCEEDED / REJECTED).
+ */
+const auditScheduleChange = async (trx, {
+  userId,
+  action,
+  scheduledTransferId,
+  rejection,
+  auditContext,
+}) => {
+  const audit = (outcome, reason = null) => recordAudit({
+    actorId: userId,
+    action,
+    targetType: 'SCHEDULED_TRANSFER',
+    targetId: scheduledTransferId,
+    outcome,
+    reason,
+    context: auditContext,
+  }, trx);
+
+  await audit('ATTEMPTED');
+  await (rejection ? audit('REJECTED', rejection) : audit('SUCCEEDED'));
+};
+
+/**
+ * Create a schedule on an account the user owns.
+ */
+const createScheduledTransfer = async ({
+  userId,
+  fromAccountId,
+  toAccountId,
+  amount,
+  frequency,
+  startAt,
+  dayOfMonth = null,
+  endsAt = null,
+  auditContext = null, // { ipAddress, userAgent } of the HTTP request, if any
+}) => knex.transaction(async (trx) => {
+  const fromAccount = await trx('accounts')
+    .where({ account_id: fromAccountId, user_id: userId })
+    .first();
+  const toAccount = await trx('accounts')
+    .where({ account_id: toAccountId })
+    .first();
+
+  let rejectionReason = null;
+
+  if (!fromAccount) {
+    rejectionReason = 'FROM_ACCOUNT_NOT_FOUND';
+  } else if (!toAccount) {
+    rejectionReason = 'TO_ACCOUNT_NOT_FOUND';
+  }
+
+  if (rejectionReason) {
+    await auditScheduleChange(trx, {
+      userId,
+      action: 'SCHEDULED_TRANSFER_CREATE',
+      scheduledTransferId: null,
+      rejection: rejectionReason,
+      auditContext,
+    });
+    return { success: false, reason: rejectionReason };
+  }
+
+  const [row] = await trx('scheduled_transfers')
+    .insert({
+      user_id: userId,
+      from_account_id: fromAccountId,
+      to_account_id: toAccountId,
+      amount,
+      frequency,
+      // MONTHLY defaults to the day of the first run
+      day_of_month: frequency === 'MONTHLY'
+        ? dayOfMonth || new Date(startAt).getUTCDate()
+        : null,
+      next_run_at: startAt,
+      ends_at: endsAt,
+    })
+    .returning('*');
+
+  await auditScheduleChange(trx, {
+    userId,
+    action: 'SCHEDULED_TRANSFER_CREATE',
+    scheduledTransferId: row.scheduled_transfer_id,
+    auditContext,
+  });
+
+  return { success: true, scheduledTransfer: toScheduledTransferResponse(row) };
+});
+
+/**
+ * Every schedule the user created, newest first.
+ */
+const listScheduledTransfers = async ({ userId }) => {
+  const rows = await knex('scheduled_transfers')
+    .where({ user_id: userId })
+    .orderBy('created_at', 'desc');
+
+  return {
+    success: true,
+    scheduledTransfers: rows.map(toScheduledTransferResponse),
+  };
+};
+
+/**
+ * A single schedule. Other users' schedules are reported as not found.
+ */
+const getScheduledTransfer = async ({ userId, scheduledTransferId }) => {
+  const row = await knex('scheduled_transfers')
+    .where({ scheduled_transfer_id: scheduledTransferId, user_id: userId })
+    .first();
+
+  if (!row) {
+    return { success: false, reason: 'SCHEDULED_TRANSFER_NOT_FOUND' };
+  }
+
+  return { success: true, scheduledTransfer: toScheduledTransferResponse(row) };
+};
+
+/**
+ * Lock an ACTIVE schedule the user owns and apply `columns` to it.
+ */
+const changeScheduledTransfer = async ({
+  userId,
+  scheduledTransferId,
+  action,
+  columns,
+  auditContext = null,
+}) => (
+  knex.transaction(async (trx) => {
+    const row = await trx('scheduled_transfers')
+      .where({ scheduled_transfer_id: scheduledTransferId })
+      .forUpdate()
+      .first();
+
+    let rejectionReason = null;
+
+    if (!row || row.user_id !== userId) {
+      rejectionReason = 'SCHEDULED_TRANSFER_NOT_FOUND';
+    } else if (row.status !== 'ACTIVE') {
+      rejectionReason = 'SCHEDULED_TRANSFER_NOT_ACTIVE';
+    }
+
+    await auditScheduleChange(trx, {
+      userId,
+      action,
+      scheduledTransferId,
+      rejection: rejectionReason,
+      auditContext,
+    });
+
+    if (rejectionReason) {
+      return { success: false, reason: rejectionReason };
+    }
+
+    const [updatedRow] = await trx('scheduled_transfers')
+      .where({ scheduled_transfer_id: scheduledTransferId })
+      .update({ ...columns, updated_at: trx.fn.now() })
+      .returning('*');
+
+    return { success: true, scheduledTransfer: toScheduledTransferResponse(updatedRow) };
+  })
+);
+
+/**
+ * Change the amount, next run or end of an ACTIVE schedule.
+ * Moving nextRunAt starts a fresh occurrence (pending retries are dropped).
+ */
+const updateScheduledTransfer = async ({
+  userId,
+  scheduledTransferId,
+  changes,
+  auditContext,
+}) => {
+  const columns = {};
+
+  if (changes.amount !== undefined) columns.amount = changes.amount;
+  if (changes.endsAt !== undefined) columns.ends_at = changes.endsAt;
+  if (changes.nextRunAt !== undefined) {
+    columns.next_run_at = changes.nextRunAt;
+    columns.attempts = 0;
+    columns.retry_at = null;
+  }
+
+  return changeScheduledTransfer({
+    userId,
+    scheduledTransferId,
+    action: 'SCHEDULED_TRANSFER_UPDATE',
+    columns,
+    auditContext,
+  });
+};
+
+/**
+ * Stop a schedule. Transfers it already made are not affected.
+ */
+const cancelScheduledTransfer = async ({ userId, scheduledTransferId, auditContext }) => (
+  changeScheduledTransfer({
+    userId,
+    scheduledTransferId,
+    action: 'SCHEDULED_TRANSFER_CANCEL',
+    columns: { status: 'CANCELLED', retry_at: null },
+    auditContext,
+  })
+);
+
+/**
+ * Run transferFunds for the schedule's current attempt.
+ * A thrown system failure is reported like the FAILED payload it stored.
+ */
+const executeOccurrence = async (schedule) => {
+  const idempotencyKey = occurrenceIdempotencyKey(
+    schedule.scheduled_transfer_id,
+    schedule.next_run_at,
+    schedule.attempts,
+  );
+
+  try {
+    return await transferFunds({
+      initiatorUserId: schedule.user_id,
+      fromAccountId: schedule.from_account_id,
+      toAccountId: schedule.to_account_id,
+      amount: fromDbAmount(schedule.amount),
+      idempotencyKey,
+    });
+  } catch (error) {
+    return { success: false, status: 'FAILED', reason: error.code || error.message };
+  }
+};
+
+/**
+ * Execute one claimed schedule and move it to its next state.
+ * Returns 'SUCCEEDED', 'REVIEWING', 'RETRYING', 'SKIPPED' or 'DEFERRED'.
+ */
+const runSchedule = async (trx, schedule, { now, maxAttempts, retryDelayMinutes }) => {
+  const result = await executeOccurrence(schedule);
+  const attempt = schedule.attempts + 1;
+
+  // The same attempt is still running elsewhere: look again next sweep
+  if (result.error === 'IDEMPOTENCY_REQUEST_IN_PROGRESS') {
+    return 'DEFERRED';
+  }
+
+  // Refusals made before any transaction existed count as rejections
+  const status = result.status || 'REJECTED';
+  const reason = result.reason || result.error;
+
+  const retryable = status === 'FAILED'
+    || (status === 'REJECTED' && RETRYABLE_REASONS.includes(reason));
+
+  let outcome;
+  let columns;
+
+  if (retryable && attempt < maxAttempts) {
+    outcome = 'RETRYING';
+    columns = {
+      attempts: attempt,
+      retry_at: new Date(now.getTime() + retryDelayMinutes * 60 * 1000),
+    };
+  } else {
+    // a transfer held for risk review is decided by a person, never retried
+    if (status === 'SUCCEEDED') {
+      outcome = 'SUCCEEDED';
+    } else if (status === 'UNDER_REVIEW') {
+      outcome = 'REVIEWING';
+    } else {
+      outcome = 'SKIPPED';
+    }
+
+    const following = nextOccurrence(schedule, schedule.next_run_at);
+    const finished = !following || (schedule.ends_at && following > schedule.ends_at);
+
+    columns = {
+      attempts: 0,
+      retry_at: null,
+      ...(finished ? { status: 'COMPLETED' } : { next_run_at: following }),
+    };
+  }
+
+  const lastResult = reason ? `${status}:${reason}` : status;
+
+  await trx('scheduled_transfers')
+    .where({ scheduled_transfer_id: schedule.scheduled_transfer_id })
+    .update({
+      ...columns,
+      last_run_at: now,
+      last_transaction_id: result.transactionId || null,
+      last_result: lastResult,
+      updated_at: trx.fn.now(),
+    });
+
+  await recordAudit({
+    actorType: 'SYSTEM',
+    actorId: ACTOR_ID,
+    action: 'SCHEDULED_TRANSFER_RUN',
+    targetType: 'SCHEDULED_TRANSFER',
+    targetId: schedule.scheduled_transfer_id,
+    outcome: status === 'UNDER_REVIEW' ? 'FLAGGED' : status,
+    reason: `transaction=${result.transactionId || 'none'} `
+      + `occurrence=${new Date(schedule.next_run_at).toISOString()} `
+      + `attempt=${attempt} result=${lastResult} next=${outcome}`,
+  }, trx);
+
+  return outcome;
+};
+
+/**
+ * Sweep one batch of due schedules.
+ *
+ * @param {object} [options]
+ * @param {Date} [options.now] clock used for due checks (injectable for tests)
+ * @param {number} [options.maxAttempts] attempts per occurrence
+ *   (defaults to SCHEDULED_TRANSFER_MAX_ATTEMPTS, then 3)
+ * @param {number} [options.retryDelayMinutes] wait between attempts
+ *   (defaults to SCHEDULED_TRANSFER_RETRY_MINUTES, then 60)
+ * @param {number} [options.batchSize=100] schedules claimed per run
+ */
+const runDueScheduledTransfers = async ({
+  now = new Date(),
+  maxAttempts = Number(process.env.SCHEDULED_TRANSFER_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+  retryDelayMinutes = Number(process.env.SCHEDULED_TRANSFER_RETRY_MINUTES)
+    || DEFAULT_RETRY_DELAY_MINUTES,
+  batchSize = DEFAULT_BATCH_SIZE,
+} = {}) => {
+  const dueRows = await knex('scheduled_transfers')
+    .select('scheduled_transfer_id')
+    .where({ status: 'ACTIVE' })
+    .whereRaw('COALESCE(retry_at, next_run_at) <= ?', [now])
+    .orderByRaw('COALESCE(retry_at, next_run_at) ASC')
+    .limit(batchSize);
+
+  const summary = {
+    scanned: dueRows.length,
+    succeeded: [],
+    reviewing: [],
+    retrying: [],
+    skipped: [],
+    deferred: [],
+  };
+
+  // one schedule per transaction, so a slow transfer only holds its own row
+  await dueRows.reduce(async (previous, { scheduled_transfer_id: id }) => {
+    await previous;
+
+    const outcome = await knex.transaction(async (trx) => {
+      const schedule = await trx('scheduled_transfers')
+        .where({ scheduled_transfer_id: id, status: 'ACTIVE' })
+        .whereRaw('COALESCE(retry_at, next_run_at) <= ?', [now])
+        .forUpdate()
+        .skipLocked()
+        .first();
+
+      // claimed by another worker, or changed since the scan
+      if (!schedule) return null;
+
+      return runSchedule(trx, schedule, { now, maxAttempts, retryDelayMinutes });
+    });
+
+    if (outcome) summary[outcome.toLowerCase()].push(id);
+  }, Promise.resolve());
+
+  return summary;
+};
+
+module.exports = {
+  createScheduledTransfer,
+  listScheduledTransfers,
+  getScheduledTransfer,
+  updateScheduledTransfer,
+  cancelScheduledTransfer,
+  runDueScheduledTransfers,
+};
@@ -0,0 +1,108 @@
+/**
+ * Session Service
+ *
+ * Responsibility:
+ * - List a user's active sessions (their signed-in devices)
+ * - Revoke one of them, or all but the current one ("sign out everywhere")
+ *
+ * Core rules:
+ * - users only ever see and revoke their own sessions
+ * - sessions are identified by their public sessionId; the sid stays
+ *   server-side
+ * - a session past its absolute timeout is not listed, even if it has
+ *   not idled out yet (middleware/handleSessions.js ends it on its next
+ *   request)
+ * - every revocation is audited
+ *
+ * This file:
+ * - contains NO HTTP logic
+ * - does NOT return HTTP responses
+ * - returns domain results only
+ */
+
+const { findUserSessions, deleteUserSession, deleteUserSessions } = require('../db/sessions');
+const { recordAudit } = require('../db/auditLog');
+
+/**
+ * Maps a session row to the API-facing shape.
+ */
+const toSessionItem = (row, currentSid) => ({
+  sessionId: row.sess.sessionId,
+  current: row.sid === currentSid,
+  createdAt: row.sess.createdAt,
+  expiresAt: row.expired,
+  absoluteExpiresAt: row.sess.absoluteExpiresAt,
+  ipAddress: row.sess.ipAddress,
+  userAgent: row.sess.userAgent,
+});
+
+/**
+ * The user's active sessions, most recently active first.
+ */
+const listSessions = async ({ userId, currentSid = null, now = new Date() }) => {
+  const rows = await findUserSessions(userId);
+
+  return {
+    success: true,
+    sessions: rows
+      .filter((row) => now.getTime() < Date.parse(row.sess.absoluteExpiresAt))
+      .map((row) => toSessionItem(row, currentSid)),
+  };
+};
+
+/**
+ * Sign one session out.
+ */
+const revokeSession = async ({ userId, sessionId, auditContext = null }) => {
+  const revoked = await deleteUserSession(userId, sessionId);
+
+  await recordAudit({
+    actorId: userId,
+    action: 'SESSION_REVOKE',
+    targetType: 'SESSION',
+    targetId: sessionId,
+    outcome: revoked ? 'SUCCEEDED' : 'REJECTED',
+    reason: revoked ? null : 'SESSION_NOT_FOUND',
+    context: auditContext,
+  });
+
+  if (!revoked) {
+    return {
+      success: false,
+      error: 'SESSION_NOT_FOUND',
+      message: 'No active session with this id',
+    };
+  }
+
+  return { success: true, sessionId };
+};
+
+/**
+ * Sign every session of the user out, except the one making the request.
+ */
+const signOutEverywhere = async ({
+  userId,
+  currentSid = null,
+  reason = null,
+  auditContext = null,
+}) => {
+  const revokedSessions = await deleteUserSessions(userId, { exceptSid: currentSid });
+
+  await recordAudit({
+    actorId: userId,
+    action: 'SESSION_REVOKE_ALL',
+    targetType: 'USER',
+    targetId: userId,
+    outcome: 'SUCCEEDED',
+    reason: reason || `revoked=${revokedSessions}`,
+    context: auditContext,
+  });
+
+  return { success: true, revokedSessions };
+};
+
+module.exports = {
+  listSessions,
+  revokeSession,
+  signOutEverywhere,
+};
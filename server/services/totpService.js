@@ -0,0 +1,305 @@
+/**
+ * TOTP Service
+ *
+ * Responsibility:
+ * - Enroll a TOTP authenticator (RFC 6238, see utils/totp.js): issue a
+ *   secret and provisioning URI, confirm it with a first code, hand out
+ *   recovery codes
+ * - Verify a second factor at login (TOTP code or recovery code)
+ * - Step-up: require a TOTP code for transfers, holds and scheduled
+ *   transfers above TRANSFER_STEP_UP_THRESHOLD (cents of the source
+ *   account; blank = off)
+ *
+ * Lifecycle:
+ *   (none)  --begin-->  PENDING  --confirm with a valid code-->  ENABLED
+ *   ENABLED  --disable with a valid code-->  (none)
+ *
+ * Core rules:
+ * - only a confirmed factor is enforced
+ * - a TOTP code is accepted at most once: its time step must be later than
+ *   the last accepted one, claimed with a single conditional UPDATE
+ * - recovery codes are random (80 bits), shown once, stored as SHA-256,
+ *   and each works once; confirming again replaces them
+ * - step-up takes TOTP codes only; users who have not enrolled cannot make
+ *   transfers above the threshold
+ * - a retry whose idempotency key already has a stored request needs no
+ *   new code: it is answered from the stored response and moves no money
+ * - every time argument is explicit (`now`), so codes can be verified
+ *   against a fixed clock
+ *
+ * This file:
+ * - contains NO HTTP logic
+ * - does NOT return HTTP responses
+ * - returns domain results only
+ */
+
+const crypto = require('crypto');
+const knex = require('../db/knex');
+const User = require('../models/User');
+const { recordAudit } = require('../db/auditLog');
+const {
+  base32Encode,
+  generateTotpSecret,
+  verifyTotpCode,
+  totpProvisioningUri,
+} = require('../utils/totp');
+
+const DEFAULT_ISSUER = 'React/Express Auth';
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_BYTES = 10;
+
+const normalizeRecoveryCode = (code) => code.toUpperCase().replace(/[^A-Z2-7]/g, '');
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(normalizeRecoveryCode(code))
+  .digest('hex');
+
+// XXXX-XXXX-XXXX-XXXX
+const generateRecoveryCode = () => base32Encode(crypto.randomBytes(RECOVERY_CODE_BYTES))
+  .match(/.{4}/g)
+  .join('-');
+
+const findConfirmedFactor = (db, userId) => db('totp_factors')
+  .where({ user_id: userId })
+  .whereNotNull('confirmed_at')
+  .first();
+
+/**
+ * Whether login and step-up require a second factor from this user.
+ */
+const isTotpEnabled = async (userId, db = knex) => Boolean(await findConfirmedFactor(db, userId));
+
+/**
+ * Start (or restart) enrollment: a new secret, not enforced until confirmed.
+ */
+const beginTotpEnrollment = async ({
+  userId,
+  issuer = process.env.TOTP_ISSUER || DEFAULT_ISSUER,
+}) => {
+  const user = await User.find(userId);
+  if (!user) return { success: false, error: 'USER_NOT_FOUND' };
+
+  if (await isTotpEnabled(userId)) {
+    return {
+      success: false,
+      error: 'TOTP_ALREADY_ENABLED',
+      message: 'Disable the current authenticator before enrolling a new one',
+    };
+  }
+
+  const secret = generateTotpSecret();
+  await knex('totp_factors')
+    .insert({ user_id: userId, secret })
+    .onConflict('user_id')
+    .merge({ secret, created_at: knex.fn.now(), last_used_step: null });
+
+  return {
+    success: true,
+    secret,
+    otpauthUri: totpProvisioningUri({ secret, accountName: user.username, issuer }),
+  };
+};
+
+/**
+ * Claim a TOTP code for the user's factor. Resolves to true when the code
+ * is valid and newer than any code accepted before.
+ */
+const claimTotpCode = async (db, factor, code, now) => {
+  const step = verifyTotpCode(factor.secret, code, { now });
+  if (step === null) return false;
+
+  const claimed = await db('totp_factors')
+    .where({ user_id: factor.user_id })
+    .where((query) => query.whereNull('last_used_step').orWhere('last_used_step', '<', step))
+    .update({ last_used_step: step });
+
+  return claimed === 1;
+};
+
+/**
+ * Finish enrollment with a first code from the authenticator.
+ * Returns the recovery codes; they are not retrievable later.
+ */
+const confirmTotpEnrollment = async ({
+  userId,
+  code,
+  auditContext = null,
+  now = new Date(),
+}) => {
+  const audit = (outcome, reason = null) => recordAudit({
+    actorId: userId,
+    action: 'TOTP_ENABLE',
+    targetType: 'USER',
+    targetId: userId,
+    outcome,
+    reason,
+    context: auditContext,
+  });
+
+  const recoveryCodes = await knex.transaction(async (trx) => {
+    const factor = await trx('totp_factors')
+      .where({ user_id: userId })
+      .whereNull('confirmed_at')
+      .forUpdate()
+      .first();
+
+    if (!factor || !await claimTotpCode(trx, factor, code, now)) return null;
+
+    await trx('totp_factors')
+      .where({ user_id: userId })
+      .update({ confirmed_at: now });
+
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+    await trx('totp_recovery_codes').where({ user_id: userId }).del();
+    await trx('totp_recovery_codes').insert(codes.map((recoveryCode) => ({
+      user_id: userId,
+      code_hash: hashRecoveryCode(recoveryCode),
+    })));
+
+    return codes;
+  });
+
+  if (!recoveryCodes) {
+    await audit('REJECTED', 'INVALID_TOTP_CODE');
+    return {
+      success: false,
+      error: 'INVALID_TOTP_CODE',
+      message: 'The code does not match a pending enrollment',
+    };
+  }
+
+  await audit('SUCCEEDED');
+  return { success: true, recoveryCodes };
+};
+
+/**
+ * Check a second factor: a TOTP code or, if allowed, a recovery code.
+ * Either is spent when it matches.
+ */
+const verifySecondFactor = async ({
+  userId,
+  code = null,
+  recoveryCode = null,
+  allowRecoveryCode = true,
+  now = new Date(),
+}) => {
+  const factor = await findConfirmedFactor(knex, userId);
+  if (!factor) return { success: false, error: 'TOTP_NOT_ENABLED' };
+
+  if (code) {
+    return await claimTotpCode(knex, factor, String(code), now)
+      ? { success: true, method: 'TOTP' }
+      : { success: false, error: 'INVALID_TOTP_CODE' };
+  }
+
+  if (recoveryCode && allowRecoveryCode) {
+    const spent = await knex('totp_recovery_codes')
+      .where({ user_id: userId, code_hash: hashRecoveryCode(String(recoveryCode)) })
+      .whereNull('used_at')
+      .update({ used_at: now });
+
+    return spent === 1
+      ? { success: true, method: 'RECOVERY_CODE' }
+      : { success: false, error: 'INVALID_RECOVERY_CODE' };
+  }
+
+  return { success: false, error: 'TOTP_REQUIRED' };
+};
+
+/**
+ * Remove the authenticator; needs a valid code or recovery code.
+ */
+const disableTotp = async ({
+  userId,
+  code = null,
+  recoveryCode = null,
+  auditContext = null,
+  now = new Date(),
+}) => {
+  const verified = await verifySecondFactor({ userId, code, recoveryCode, now });
+
+  if (verified.success) {
+    await knex.transaction(async (trx) => {
+      await trx('totp_recovery_codes').where({ user_id: userId }).del();
+      await trx('totp_factors').where({ user_id: userId }).del();
+    });
+  }
+
+  await recordAudit({
+    actorId: userId,
+    action: 'TOTP_DISABLE',
+    targetType: 'USER',
+    targetId: userId,
+    outcome: verified.success ? 'SUCCEEDED' : 'REJECTED',
+    reason: verified.success ? `method=${verified.method}` : verified.error,
+    context: auditContext,
+  });
+
+  return verified.success ? { success: true } : verified;
+};
+
+// idempotency keys are uuid columns; anything else cannot have been stored
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// where each idempotent request type is stored, by initiator and key
+const IDEMPOTENT_REQUESTS = {
+  TRANSFER: () => knex('transactions').where({ type: 'TRANSFER' }),
+  HOLD: () => knex('holds'),
+};
+
+/**
+ * Step-up for a transfer: above the threshold, a fresh TOTP code is needed.
+ * With an idempotency type and key, a retry of a request already stored
+ * under that key is let through without one.
+ */
+const checkTransferStepUp = async ({
+  userId,
+  amount,
+  code = null,
+  idempotencyType = null, // TRANSFER | HOLD
+  idempotencyKey = null,
+  auditContext = null,
+  now = new Date(),
+  threshold = Number(process.env.TRANSFER_STEP_UP_THRESHOLD) || null,
+}) => {
+  if (!threshold || amount <= threshold) return { success: true, required: false };
+
+  if (idempotencyType && UUID_PATTERN.test(idempotencyKey)) {
+    const stored = await IDEMPOTENT_REQUESTS[idempotencyType]()
+      .where({ initiator_user_id: userId, idempotency_key: idempotencyKey })
+      .first('initiator_user_id');
+
+    if (stored) return { success: true, required: false };
+  }
+
+  const verified = await verifySecondFactor({
+    userId,
+    code,
+    allowRecoveryCode: false,
+    now,
+  });
+  const error = verified.error === 'TOTP_NOT_ENABLED' ? 'STEP_UP_ENROLLMENT_REQUIRED' : verified.error;
+
+  await recordAudit({
+    actorId: userId,
+    action: 'TRANSFER_STEP_UP',
+    targetType: 'USER',
+    targetId: userId,
+    outcome: verified.success ? 'SUCCEEDED' : 'REJECTED',
+    reason: verified.success ? `amount=${amount}` : `${error} amount=${amount}`,
+    context: auditContext,
+  });
+
+  if (!verified.success) return { success: false, error };
+  return { success: true, required: true };
+};
+
+module.exports = {
+  isTotpEnabled,
+  beginTotpEnrollment,
+  confirmTotpEnrollment,
+  verifySecondFactor,
+  disableTotp,
+  checkTransferStepUp,
+};
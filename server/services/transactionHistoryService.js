@@ -0,0 +1,219 @@
+/**
+ * Transaction History Service
+ *
+ * Responsibility:
+ * - Read past money movement for a user, one ledger entry per row,
+ *   joined to the transaction that produced it
+ * - List transfers held UNDER_REVIEW alongside, as pending debits of the
+ *   source account
+ *
+ * Core rules:
+ * - settled rows come from ledger_entries (source of truth); a held
+ *   transfer has moved no money yet, so it has no ledgerEntryId and no
+ *   runningBalance
+ * - a user only ever sees rows of accounts they own
+ * - runningBalance is the account's ledger balance right after the entry,
+ *   stored with it (ledger_entries.balance_after), so filters never change
+ *   it and a page never reads the account's older entries
+ * - pagination is keyset on (created_at, row id) DESC, where the row id is
+ *   the ledger entry (or, for a held transfer, the transaction); each source
+ *   applies the keyset and filters itself, so pages walk
+ *   idx_ledger_account_created_at / idx_transactions_under_review instead
+ *   of OFFSET scans
+ * - a cursor that does not decode to a timestamp and a UUID is refused
+ *   (INVALID_CURSOR) before it reaches the database
+ *
+ * This file:
+ * - contains NO HTTP logic
+ * - returns domain results only
+ */
+
+const knex = require('../db/knex');
+const { fromDbAmount } = require('../utils/money');
+const { isTimestampText } = require('../utils/timestamps');
+
+const DEFAULT_LIMIT = 25;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Cursors are opaque to clients: base64url JSON of the last row's sort key.
+ * created_at is kept as Postgres text so microseconds survive the round trip.
+ */
+const encodeCursor = (row) => Buffer
+  .from(JSON.stringify({ createdAt: row.cursor_created_at, id: row.row_id }))
+  .toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { createdAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!isTimestampText(createdAt) || typeof id !== 'string' || !UUID_PATTERN.test(id)) return null;
+    return { createdAt, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Maps a joined row to the API-facing shape.
+ */
+const toHistoryItem = (row) => {
+  const amount = fromDbAmount(row.amount);
+
+  return {
+    ledgerEntryId: row.ledger_entry_id,
+    transactionId: row.transaction_id,
+    accountId: row.account_id,
+    type: row.type,
+    status: row.status,
+    direction: amount < 0 ? 'DEBIT' : 'CREDIT',
+    amount,
+    currency: row.currency,
+    // set only on the credit side of a cross-currency transfer
+    originalAmount: row.original_amount === null ? null : fromDbAmount(row.original_amount),
+    originalCurrency: row.original_currency,
+    runningBalance: row.running_balance === null ? null : fromDbAmount(row.running_balance),
+    counterpartyAccountId: amount < 0 ? row.to_account_id : row.from_account_id,
+    createdAt: row.created_at,
+  };
+};
+
+/**
+ * @param {object} params
+ * @param {string} params.userId          owner; always applied
+ * @param {string} [params.accountId]     limit to one account
+ * @param {object} [params.filters]       { from, to, type, status, minAmount, maxAmount }
+ * @param {string} [params.cursor]        nextCursor from a previous page
+ * @param {number} [params.limit]
+ */
+const queryHistory = async ({
+  userId,
+  accountId = null,
+  filters = {},
+  cursor = null,
+  limit = DEFAULT_LIMIT,
+}) => {
+  let after = null;
+  if (cursor) {
+    after = decodeCursor(cursor);
+    if (!after) return { success: false, reason: 'INVALID_CURSOR' };
+  }
+
+  // filters and the keyset, applied to each source on its own columns
+  const narrow = (query, { createdAt, rowId }) => {
+    if (filters.from) query.where(createdAt, '>=', filters.from);
+    if (filters.to) query.where(createdAt, '<', filters.to);
+    if (filters.type) query.where('t.type', filters.type);
+    if (filters.status) query.where('t.status', filters.status);
+    if (filters.minAmount !== undefined) query.where('t.amount', '>=', filters.minAmount);
+    if (filters.maxAmount !== undefined) query.where('t.amount', '<=', filters.maxAmount);
+
+    if (after) {
+      query.whereRaw(
+        `(${createdAt}, ${rowId}) < (?::timestamptz, ?::uuid)`,
+        [after.createdAt, after.id],
+      );
+    }
+
+    return query
+      .orderBy([
+        { column: createdAt, order: 'desc' },
+        { column: rowId, order: 'desc' },
+      ])
+      .limit(limit + 1); // one extra row tells us whether another page exists
+  };
+
+  const ledgerRows = knex('ledger_entries as l')
+    .join('accounts as a', 'a.account_id', 'l.account_id')
+    .join('transactions as t', 't.transaction_id', 'l.transaction_id')
+    .where('a.user_id', userId)
+    .select(
+      'l.ledger_entry_id as row_id',
+      'l.ledger_entry_id',
+      'l.account_id',
+      'l.transaction_id',
+      'l.amount',
+      'l.currency',
+      'l.original_amount',
+      'l.original_currency',
+      'l.balance_after as running_balance',
+      'l.created_at',
+      't.type',
+      't.status',
+      't.from_account_id',
+      't.to_account_id',
+    );
+  if (accountId) ledgerRows.where('l.account_id', accountId);
+
+  const heldRows = knex('transactions as t')
+    .join('accounts as a', 'a.account_id', 't.from_account_id')
+    .where({ 'a.user_id': userId, 't.status': 'UNDER_REVIEW' })
+    .select(
+      't.transaction_id as row_id',
+      knex.raw('NULL::uuid AS ledger_entry_id'),
+      't.from_account_id as account_id',
+      't.transaction_id',
+      knex.raw('-t.amount AS amount'),
+      't.currency',
+      knex.raw('NULL::bigint AS original_amount'),
+      knex.raw('NULL::varchar AS original_currency'),
+      knex.raw('NULL::bigint AS running_balance'),
+      't.created_at',
+      't.type',
+      't.status',
+      't.from_account_id',
+      't.to_account_id',
+    );
+  if (accountId) heldRows.where('t.from_account_id', accountId);
+
+  const query = knex
+    .from(knex.raw('(? UNION ALL ?) AS h', [
+      narrow(ledgerRows, { createdAt: 'l.created_at', rowId: 'l.ledger_entry_id' }),
+      narrow(heldRows, { createdAt: 't.created_at', rowId: 't.transaction_id' }),
+    ]))
+    .select('h.*', knex.raw('h.created_at::text AS cursor_created_at'))
+    .orderBy([
+      { column: 'h.created_at', order: 'desc' },
+      { column: 'h.row_id', order: 'desc' },
+    ])
+    .limit(limit + 1);
+
+  const rows = await query;
+  const page = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+
+  return {
+    success: true,
+    transactions: page.map(toHistoryItem),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+  };
+};
+
+/**
+ * History of a single account the user owns.
+ */
+const listAccountTransactions = async ({ userId, accountId, filters, cursor, limit }) => {
+  const account = await knex('accounts')
+    .where({ account_id: accountId, user_id: userId })
+    .first();
+
+  if (!account) {
+    return { success: false, reason: 'ACCOUNT_NOT_FOUND' };
+  }
+
+  return queryHistory({ userId, accountId, filters, cursor, limit });
+};
+
+/**
+ * History across every account the user owns.
+ */
+const listUserTransactions = async ({ userId, filters, cursor, limit }) => queryHistory({
+  userId,
+  filters,
+  cursor,
+  limit,
+});
+
+module.exports = {
+  listAccountTransactions,
+  listUserTransactions,
+};
@@ -0,0 +1,216 @@
+/**
+ * Transfer Limit Service
+ *
+ * Responsibility:
+ * - Decide whether a transfer (or a hold, see holdService.js) stays within
+ *   the money limits of the source account and of the user who owns it
+ *
+ * Limits (integer cents in the source account's currency, NULL = none):
+ * - max_single_amount  largest single transfer
+ * - daily_amount       outflow over the rolling last 24 hours
+ * - monthly_amount     outflow since the start of the calendar month (UTC)
+ *
+ * Scopes:
+ * - account: transfer_limits row for the account, else the
+ *   TRANSFER_LIMIT_* env defaults
+ * - user: transfer_limits row for the account's owner, applied to the
+ *   outflow of all of the owner's accounts in the same currency
+ *
+ * Outflow (what already counts against the limits):
+ * - debit legs of TRANSFER and WITHDRAWAL transactions in ledger_entries
+ *   (source of truth), captured holds included
+ * - TRANSFER transactions held UNDER_REVIEW: no money moved yet, but it
+ *   will once approved
+ * - AUTHORIZED holds: reserved, and capturable without another check
+ *
+ * Core rules:
+ * - runs inside the caller's DB transaction, after the source account is
+ *   locked, so concurrent transfers from one account see each other's debits;
+ *   user-wide limits additionally take a transaction-scoped advisory lock on
+ *   the owner so transfers from their other accounts queue as well
+ * - the first limit exceeded is returned as the rejection reason; the caller
+ *   records and audits it like any other rejection
+ *
+ * This file:
+ * - contains NO HTTP logic
+ * - does NOT write to the database
+ */
+
+const { isValidAmount, fromDbAmount } = require('../utils/money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ENV_DEFAULTS = {
+  maxSingleAmount: 'TRANSFER_LIMIT_MAX_SINGLE',
+  dailyAmount: 'TRANSFER_LIMIT_DAILY',
+  monthlyAmount: 'TRANSFER_LIMIT_MONTHLY',
+};
+
+const NO_LIMITS = {
+  maxSingleAmount: null,
+  dailyAmount: null,
+  monthlyAmount: null,
+};
+
+/**
+ * Account-scope limits for accounts without their own row.
+ * Unset / empty env values mean no limit; anything else must be cents.
+ */
+const getDefaultTransferLimits = (env = process.env) => Object.fromEntries(
+  Object.entries(ENV_DEFAULTS).map(([key, name]) => {
+    if (env[name] === undefined || env[name] === '') return [key, null];
+
+    const value = Number(env[name]);
+    if (!isValidAmount(value)) {
+      throw new Error(`${name} must be a positive integer number of cents`);
+    }
+
+    return [key, value];
+  }),
+);
+
+const toLimits = (row) => ({
+  maxSingleAmount: row.max_single_amount === null ? null : fromDbAmount(row.max_single_amount),
+  dailyAmount: row.daily_amount === null ? null : fromDbAmount(row.daily_amount),
+  monthlyAmount: row.monthly_amount === null ? null : fromDbAmount(row.monthly_amount),
+});
+
+/**
+ * Outflow already spent in both windows, for one scope (an account, or a
+ * user's accounts in one currency). `excludeTransactionId` leaves out the
+ * held transfer being approved, which would otherwise count against itself.
+ */
+const outflowSince = async (trx, scope, { dayStart, monthStart }, excludeTransactionId) => {
+  const since = dayStart < monthStart ? dayStart : monthStart;
+
+  // restrict a source to the scope through its debited account column
+  const scoped = (query, accountColumn) => {
+    if (scope.accountId) return query.where(accountColumn, scope.accountId);
+
+    return query
+      .join('accounts as a', 'a.account_id', accountColumn)
+      .where({ 'a.user_id': scope.userId, 'a.currency': scope.currency });
+  };
+
+  const ledgerDebits = scoped(
+    trx('ledger_entries as l')
+      .join('transactions as t', 't.transaction_id', 'l.transaction_id')
+      .select(trx.raw('-l.amount AS amount'), 'l.created_at')
+      .where('l.amount', '<', 0)
+      .whereIn('t.type', ['TRANSFER', 'WITHDRAWAL'])
+      .where('l.created_at', '>=', since),
+    'l.account_id',
+  );
+
+  const heldTransfers = scoped(
+    trx('transactions as t')
+      .select('t.amount', 't.created_at')
+      .where({ 't.type': 'TRANSFER', 't.status': 'UNDER_REVIEW' })
+      .where('t.created_at', '>=', since),
+    't.from_account_id',
+  );
+  if (excludeTransactionId) heldTransfers.whereNot('t.transaction_id', excludeTransactionId);
+
+  const authorizedHolds = scoped(
+    trx('holds as h')
+      .select('h.amount', 'h.created_at')
+      .where('h.status', 'AUTHORIZED')
+      .where('h.created_at', '>=', since),
+    'h.from_account_id',
+  );
+
+  const { daily, monthly } = await trx
+    .from(trx.raw('(? UNION ALL ? UNION ALL ?) AS o', [ledgerDebits, heldTransfers, authorizedHolds]))
+    .select(
+      trx.raw('COALESCE(SUM(o.amount) FILTER (WHERE o.created_at > ?), 0) AS daily', [dayStart]),
+      trx.raw('COALESCE(SUM(o.amount) FILTER (WHERE o.created_at >= ?), 0) AS monthly', [monthStart]),
+    )
+    .first();
+
+  return { daily: fromDbAmount(daily), monthly: fromDbAmount(monthly) };
+};
+
+/**
+ * First limit the transfer would exceed, or null.
+ */
+const exceededLimit = (limits, amount, outflow) => {
+  if (limits.maxSingleAmount !== null && amount > limits.maxSingleAmount) {
+    return 'SINGLE_TRANSFER_LIMIT_EXCEEDED';
+  }
+  if (limits.dailyAmount !== null && outflow.daily + amount > limits.dailyAmount) {
+    return 'DAILY_LIMIT_EXCEEDED';
+  }
+  if (limits.monthlyAmount !== null && outflow.monthly + amount > limits.monthlyAmount) {
+    return 'MONTHLY_LIMIT_EXCEEDED';
+  }
+  return null;
+};
+
+const hasOutflowLimit = (limits) => limits.dailyAmount !== null || limits.monthlyAmount !== null;
+
+/**
+ * Check a transfer of `amount` out of `account` against every limit.
+ *
+ * @param {object} trx                the caller's DB transaction
+ * @param {object} params
+ * @param {object} params.account     the locked source accounts row
+ * @param {number} params.amount      cents, in the account's currency
+ * @param {Date}   [params.now]
+ * @param {object} [params.defaults]  account-scope limits when the account has no row
+ * @param {string} [params.excludeTransactionId]  held transfer being approved
+ * @returns {Promise<string|null>}    rejection reason, or null if within limits
+ */
+const checkTransferLimits = async (trx, {
+  account,
+  amount,
+  excludeTransactionId = null,
+  now = new Date(),
+  defaults = getDefaultTransferLimits(),
+}) => {
+  const rows = await trx('transfer_limits')
+    .where({ account_id: account.account_id })
+    .orWhere({ user_id: account.user_id });
+
+  const accountRow = rows.find((row) => row.account_id === account.account_id);
+  const userRow = rows.find((row) => row.user_id === account.user_id);
+
+  const accountLimits = accountRow ? toLimits(accountRow) : defaults;
+  const userLimits = userRow ? toLimits(userRow) : NO_LIMITS;
+
+  const windows = {
+    dayStart: new Date(now.getTime() - DAY_MS),
+    monthStart: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+  };
+
+  const noOutflow = { daily: 0, monthly: 0 };
+
+  const accountOutflow = hasOutflowLimit(accountLimits)
+    ? await outflowSince(trx, { accountId: account.account_id }, windows, excludeTransactionId)
+    : noOutflow;
+
+  const accountReason = exceededLimit(accountLimits, amount, accountOutflow);
+  if (accountReason) return accountReason;
+
+  if (hasOutflowLimit(userLimits)) {
+    await trx.raw(
+      'SELECT pg_advisory_xact_lock(hashtextextended(?, 0))',
+      [`transfer-limits:${account.user_id}`],
+    );
+  }
+
+  const userOutflow = hasOutflowLimit(userLimits)
+    ? await outflowSince(
+      trx,
+      { userId: account.user_id, currency: account.currency },
+      windows,
+      excludeTransactionId,
+    )
+    : noOutflow;
+
+  return exceededLimit(userLimits, amount, userOutflow);
+};
+
+module.exports = {
+  checkTransferLimits,
+  getDefaultTransferLimits,
+};
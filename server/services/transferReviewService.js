@@ -0,0 +1,339 @@
+/**
+ * Transfer Review Service
+ *
+ * Responsibility:
+ * - The admin queue of transfers the risk engine held UNDER_REVIEW,
+ *   including captures of holds it flagged for review (see holdService.js)
+ * - Approve (settle) or decline them
+ *
+ * Lifecycle:
+ *   UNDER_REVIEW  --approve-->  SUCCEEDED   (or REJECTED if it can no longer settle)
+ *   UNDER_REVIEW  --decline-->  REJECTED    (REVIEW_DECLINED)
+ *
+ * Core rules:
+ * - the amount of a transfer under review is reserved in the source
+ *   account's held_balance; deciding it always releases that reservation
+ * - approval performs the balance updates and ledger writes transferFunds
+ *   would have made, at the conversion stored when the transfer was held
+ * - the transaction row is locked, then both accounts in account_id order,
+ *   so a transfer is decided exactly once
+ * - response_payload is replaced with the final outcome, so the initiator's
+ *   idempotent retries replay the decision
+ * - the reviewing admin is the actor in audit_logs and in reviewed_by
+ * - an admin may not approve a transfer they initiated
+ *   (SELF_REVIEW_NOT_PERMITTED); it stays UNDER_REVIEW for another admin
+ * - approval re-checks the transfer limits (transferLimitService.js), since
+ *   other outflow may have used them up while the transfer waited
+ *
+ * This file:
+ * - contains NO HTTP logic
+ * - does NOT return HTTP responses
+ * - returns domain results only
+ */
+
+const knex = require('../db/knex');
+const retryTransaction = require('../db/retryTransaction');
+const { recordAudit } = require('../db/auditLog');
+const { fromDbAmount, normalizeRate } = require('../utils/money');
+const { checkTransferLimits } = require('./transferLimitService');
+
+const DEFAULT_LIMIT = 50;
+
+const reviewNotFound = () => ({
+  success: false,
+  error: 'REVIEW_NOT_FOUND',
+  message: 'No transfer awaiting review with this id',
+});
+
+const selfReviewNotPermitted = () => ({
+  success: false,
+  error: 'SELF_REVIEW_NOT_PERMITTED',
+  message: 'A transfer must be approved by an admin other than its initiator',
+});
+
+/**
+ * Maps a held transaction (and its rule hits) to the API-facing shape.
+ */
+const toReviewItem = (row, ruleHits) => ({
+  transactionId: row.transaction_id,
+  initiatorUserId: row.initiator_user_id,
+  fromAccountId: row.from_account_id,
+  toAccountId: row.to_account_id,
+  amount: fromDbAmount(row.amount),
+  currency: row.currency,
+  convertedAmount: row.converted_amount === null ? null : fromDbAmount(row.converted_amount),
+  convertedCurrency: row.converted_currency,
+  ruleHits,
+  createdAt: row.created_at,
+});
+
+/**
+ * Transfers awaiting review, oldest first, with the rule hits that held them.
+ */
+const listPendingReviews = async ({ limit = DEFAULT_LIMIT } = {}) => {
+  const rows = await knex('transactions')
+    .where({ status: 'UNDER_REVIEW' })
+    .orderBy('created_at', 'asc')
+    .limit(limit);
+
+  // a transfer captured from a hold was screened as the hold: its hits are the hold's
+  const capturedHolds = rows.length === 0 ? [] : await knex('holds')
+    .select('hold_id', 'capture_transaction_id')
+    .whereIn('capture_transaction_id', rows.map((row) => row.transaction_id));
+
+  const transactionOf = new Map(rows.map((row) => [row.transaction_id, row.transaction_id]));
+  capturedHolds.forEach((hold) => transactionOf.set(hold.hold_id, hold.capture_transaction_id));
+
+  const hits = rows.length === 0 ? [] : await knex('audit_logs')
+    .select('target_id', 'reason')
+    .where({ action: 'RISK_RULE_HIT' })
+    .whereIn('target_id', [...transactionOf.keys()])
+    .orderBy('created_at', 'asc');
+
+  return {
+    success: true,
+    reviews: rows.map((row) => toReviewItem(
+      row,
+      hits
+        .filter((hit) => transactionOf.get(hit.target_id) === row.transaction_id)
+        .map((hit) => hit.reason),
+    )),
+  };
+};
+
+/**
+ * Lock a held transfer and both of its accounts.
+ * Returns null when there is no transfer UNDER_REVIEW with this id.
+ */
+const lockReview = async (trx, transactionId) => {
+  const transaction = await trx('transactions')
+    .where({ transaction_id: transactionId, type: 'TRANSFER', status: 'UNDER_REVIEW' })
+    .forNoKeyUpdate()
+    .first();
+
+  if (!transaction) return null;
+
+  const lockAccount = (accountId) => trx('accounts')
+    .where({ account_id: accountId })
+    .forNoKeyUpdate()
+    .first();
+
+  const { from_account_id: fromAccountId, to_account_id: toAccountId } = transaction;
+  const [firstId, secondId] = [fromAccountId, toAccountId].sort();
+  const firstLocked = await lockAccount(firstId);
+  const secondLocked = await lockAccount(secondId);
+
+  return {
+    transaction,
+    fromAccount: firstId === fromAccountId ? firstLocked : secondLocked,
+    toAccount: firstId === toAccountId ? firstLocked : secondLocked,
+  };
+};
+
+/**
+ * Audit writer for one decision: the reviewing admin acting on the transfer.
+ */
+const reviewAuditor = (trx, { adminUserId, action, transactionId, auditContext }) => (
+  outcome,
+  reason = null,
+) => recordAudit({
+  actorId: adminUserId,
+  action,
+  targetType: 'TRANSACTION',
+  targetId: transactionId,
+  outcome,
+  reason,
+  context: auditContext,
+}, trx);
+
+/**
+ * Release the reservation and close the transfer as REJECTED.
+ */
+const rejectReviewed = async (trx, {
+  transaction,
+  adminUserId,
+  audit,
+  declined = false,
+  rejectionReason,
+}) => {
+  const transactionId = transaction.transaction_id;
+
+  await trx('accounts')
+    .where({ account_id: transaction.from_account_id })
+    .update({
+      held_balance: trx.raw('held_balance - ?', [transaction.amount]),
+    });
+
+  const rejectionPayload = {
+    success: false,
+    transactionId,
+    status: 'REJECTED',
+    reason: rejectionReason,
+  };
+
+  await trx('transactions')
+    .where({ transaction_id: transactionId })
+    .update({
+      status: 'REJECTED',
+      failure_reason: rejectionReason,
+      response_payload: rejectionPayload,
+      reviewed_by: adminUserId,
+      reviewed_at: trx.fn.now(),
+    });
+
+  // a decline is a successful decision; an approval that could not settle is not
+  await audit(declined ? 'SUCCEEDED' : 'REJECTED', rejectionReason);
+
+  return rejectionPayload;
+};
+
+/**
+ * Settle a held transfer.
+ */
+const approveTransfer = async ({
+  adminUserId,
+  transactionId,
+  auditContext = null, // { ipAddress, userAgent } of the HTTP request, if any
+}) => retryTransaction(async (trx) => {
+  const locked = await lockReview(trx, transactionId);
+  if (!locked) return reviewNotFound();
+
+  const { transaction, fromAccount, toAccount } = locked;
+
+  const audit = reviewAuditor(trx, {
+    adminUserId,
+    action: 'TRANSFER_REVIEW_APPROVE',
+    transactionId,
+    auditContext,
+  });
+
+  await audit('ATTEMPTED');
+
+  // Four eyes: the transfer stays held for another admin
+  if (transaction.initiator_user_id === adminUserId) {
+    await audit('REJECTED', 'SELF_REVIEW_NOT_PERMITTED');
+    return selfReviewNotPermitted();
+  }
+
+  const amount = fromDbAmount(transaction.amount);
+
+  // Accounts and limit usage may have changed while the transfer waited
+  let rejectionReason = null;
+  if (fromAccount.status !== 'ACTIVE') {
+    rejectionReason = 'FROM_ACCOUNT_NOT_ACTIVE';
+  } else if (toAccount.status !== 'ACTIVE') {
+    rejectionReason = 'TO_ACCOUNT_NOT_ACTIVE';
+  } else {
+    rejectionReason = await checkTransferLimits(trx, {
+      account: fromAccount,
+      amount,
+      excludeTransactionId: transactionId,
+    });
+  }
+
+  if (rejectionReason) {
+    return rejectReviewed(trx, { transaction, adminUserId, audit, rejectionReason });
+  }
+
+  const conversion = transaction.converted_amount === null ? null : {
+    fromCurrency: transaction.currency,
+    toCurrency: transaction.converted_currency,
+    rate: normalizeRate(transaction.exchange_rate),
+    convertedAmount: fromDbAmount(transaction.converted_amount),
+  };
+  const creditAmount = conversion ? conversion.convertedAmount : amount;
+
+  /**
+   * Balance updates
+   * The reservation covers the debit, so available_balance cannot go negative.
+   */
+  await trx('accounts')
+    .where({ account_id: fromAccount.account_id })
+    .update({
+      current_balance: trx.raw('current_balance - ?', [amount]),
+      held_balance: trx.raw('held_balance - ?', [amount]),
+    });
+
+  await trx('accounts')
+    .where({ account_id: toAccount.account_id })
+    .update({
+      current_balance: trx.raw('current_balance + ?', [creditAmount]),
+    });
+
+  await trx('ledger_entries').insert([
+    {
+      account_id: fromAccount.account_id,
+      transaction_id: transactionId,
+      amount: -amount,
+      currency: fromAccount.currency,
+    },
+    {
+      account_id: toAccount.account_id,
+      transaction_id: transactionId,
+      amount: creditAmount,
+      currency: toAccount.currency,
+      original_amount: conversion ? amount : null,
+      original_currency: conversion ? fromAccount.currency : null,
+    },
+  ]);
+
+  // same shape as a transfer that succeeded straight away
+  const successPayload = {
+    success: true,
+    transactionId,
+    status: 'SUCCEEDED',
+    fromAccountId: fromAccount.account_id,
+    toAccountId: toAccount.account_id,
+    amount,
+    currency: transaction.currency,
+    conversion,
+  };
+
+  await trx('transactions')
+    .where({ transaction_id: transactionId })
+    .update({
+      status: 'SUCCEEDED',
+      response_payload: successPayload,
+      reviewed_by: adminUserId,
+      reviewed_at: trx.fn.now(),
+    });
+
+  await audit('SUCCEEDED');
+
+  return successPayload;
+});
+
+/**
+ * Refuse a held transfer; no money moves.
+ */
+const declineTransfer = async ({
+  adminUserId,
+  transactionId,
+  auditContext = null,
+}) => retryTransaction(async (trx) => {
+  const locked = await lockReview(trx, transactionId);
+  if (!locked) return reviewNotFound();
+
+  const audit = reviewAuditor(trx, {
+    adminUserId,
+    action: 'TRANSFER_REVIEW_DECLINE',
+    transactionId,
+    auditContext,
+  });
+
+  await audit('ATTEMPTED');
+
+  return rejectReviewed(trx, {
+    transaction: locked.transaction,
+    adminUserId,
+    audit,
+    declined: true,
+    rejectionReason: 'REVIEW_DECLINED',
+  });
+});
+
+module.exports = {
+  listPendingReviews,
+  approveTransfer,
+  declineTransfer,
+};
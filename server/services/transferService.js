@@ -9,7 +9,7 @@
  * - accounts.current_balance is a denormalized cache
  * - balance updates + ledger inserts happen in the same DB transaction
  * - idempotency enforced for TRANSFER only
- * - audit_logs are append-only and observational
+ * - audit_logs are append-only and observational, written via db/auditLog.js
  *
  * This file:
  * - contains NO HTTP logic
@@ -18,7 +18,20 @@
  */
 
 const knex = require('../db/knex');
+const retryTransaction = require('../db/retryTransaction');
+const { recordAudit } = require('../db/auditLog');
+const {
+  tryAcquireIdempotencyLock,
+  inProgressResult,
+  isIdempotencyConflict,
+} = require('../db/idempotencyLock');
 const TransferSystemError = require('../errors/transferSystemError');
+const { defaultDebitPolicy } = require('../policies/accountAccessPolicy');
+const { fingerprintRequest } = require('./requestFingerprint');
+const { isValidAmount, convertAmount } = require('../utils/money');
+const { getDefaultRateTable } = require('./exchangeRateService');
+const { checkTransferLimits } = require('./transferLimitService');
+const { getDefaultRiskEngine } = require('./riskEngineService');
 
 async function transferFunds({
   initiatorUserId,
@@ -26,22 +39,26 @@ async function transferFunds({
   toAccountId,
   amount,
   idempotencyKey,
+  debitPolicy = defaultDebitPolicy, // who may move money out of fromAccount
+  rateTable = getDefaultRateTable(), // rates for transfers across currencies
+  riskEngine = getDefaultRiskEngine(), // fraud / velocity screening
+  auditContext = null, // { ipAddress, userAgent } of the HTTP request, if any
   failpoint = null, // test-only: inject failures for integration tests
 }) {
   /**
    * STEP 0 — Validate input shape (cheap, synchronous)
    * --------------------------------------------------
-   * - amount > 0
+   * - amount is a positive, safe integer number of cents (utils/money.js)
    * - fromAccountId !== toAccountId
    * - idempotencyKey present (required for TRANSFER)
    *
    * Fail fast before opening a DB transaction.
    */
-  if (amount <= 0) {
+  if (!isValidAmount(amount)) {
     return { // pre-transaction validation
       success: false,
       error: 'INVALID_AMOUNT',
-      message: 'Amount must be greater than 0',
+      message: 'Amount must be a positive integer number of cents',
     };
   }
 
@@ -61,6 +78,8 @@ async function transferFunds({
     };
   }
 
+  const requestFingerprint = fingerprintRequest({ fromAccountId, toAccountId, amount });
+
   /**
    * STEP 1 — Open DB transaction
    * ----------------------------
@@ -70,10 +89,13 @@ async function transferFunds({
    * - the DB transaction is rolled back
    * - no balances change
    * - no ledger entries exist
+   *
+   * Deadlocks / serialization failures roll back and re-run the whole
+   * transaction with bounded backoff (see db/retryTransaction.js).
    */
 
   try {
-    return await knex.transaction(async (trx) => { // this line is how we enforce atomicity
+    return await retryTransaction(async (trx) => { // this line is how we enforce atomicity
       /**
          * Every query that uses trx(...):
 
@@ -89,10 +111,27 @@ async function transferFunds({
      * Look up existing transaction by:
      * (initiator_user_id, idempotency_key, type = TRANSFER)
      *
-     * If found:
-     * - return the stored response_payload
+     * If found with the same request fingerprint:
+     * - return the stored response_payload, flagged as replayed
      * - DO NOT re-apply side effects
+     *
+     * If found with a different fingerprint (same key, different
+     * from/to/amount), the key was reused: refuse without side effects.
+     * Rows created before fingerprints existed replay as before.
+     *
+     * A concurrent request holding the same key's lock gets
+     * IDEMPOTENCY_REQUEST_IN_PROGRESS (see db/idempotencyLock.js).
      */
+      const lockAcquired = await tryAcquireIdempotencyLock(trx, {
+        initiatorUserId,
+        type: 'TRANSFER',
+        idempotencyKey,
+      });
+
+      if (!lockAcquired) {
+        return inProgressResult();
+      }
+
       const existingTransaction = await trx('transactions')
         .where({
           initiator_user_id: initiatorUserId,
@@ -102,8 +141,20 @@ async function transferFunds({
         .first(); // give me only the first row, not an array of rows
 
       if (existingTransaction) {
-      // Return stored response_payload for idempotent replay
-        return existingTransaction.response_payload;
+        if (
+          existingTransaction.request_fingerprint
+          && existingTransaction.request_fingerprint !== requestFingerprint
+        ) {
+          return {
+            success: false,
+            error: 'IDEMPOTENCY_KEY_REUSED',
+            message: 'Idempotency key was already used with a different request',
+            transactionId: existingTransaction.transaction_id,
+          };
+        }
+
+        // Return stored response_payload for idempotent replay
+        return { ...existingTransaction.response_payload, replayed: true };
       }
 
       /**
@@ -127,6 +178,7 @@ async function transferFunds({
           to_account_id: toAccountId,
           amount,
           idempotency_key: idempotencyKey,
+          request_fingerprint: requestFingerprint,
         })
         .returning('*'); // after inserting the row, give me back the full row
 
@@ -143,39 +195,67 @@ async function transferFunds({
      * - target_id = transaction_id
      * - outcome = ATTEMPTED
      */
-      await trx('audit_logs').insert({
-        actor_type: 'USER',
-        actor_id: initiatorUserId,
+      const auditTransfer = (outcome, reason = null) => recordAudit({
+        actorId: initiatorUserId,
         action: 'TRANSFER',
-        target_type: 'TRANSACTION',
-        target_id: transactionId,
-        outcome: 'ATTEMPTED',
-      });
+        targetType: 'TRANSACTION',
+        targetId: transactionId,
+        outcome,
+        reason,
+        context: auditContext,
+      }, trx);
+
+      await auditTransfer('ATTEMPTED');
 
       /**
      * STEP 5 — Business eligibility checks
      * ------------------------------------
-     * - from_account exists and is ACTIVE
+     * - from_account exists
+     * - initiator may debit from_account (debitPolicy, owner-only by default)
+     * - from_account is ACTIVE
      * - to_account exists and is ACTIVE
+     * - both accounts share a currency, or the rate table converts between them
+     * - the amount is within the transfer limits
+     * - the risk engine does not reject it
      *
      * If NOT eligible:
      * - update transaction status = REJECTED
      * - write audit_log with outcome = REJECTED
      * - COMMIT transaction
      * - return rejection result
+     *
+     * Both account rows are read with SELECT ... FOR NO KEY UPDATE, always
+     * in account_id order. Opposing transfers (A->B and B->A) then queue on
+     * the same first row instead of deadlocking, and the status checked
+     * here cannot change before the balance updates in STEP 6.
+     *
+     * NO KEY UPDATE (not plain FOR UPDATE) is the lock our own UPDATE takes
+     * anyway; it does not conflict with the FOR KEY SHARE locks that the
+     * transactions -> accounts foreign keys take on every insert, which
+     * would otherwise deadlock concurrent transfers on the same accounts.
      */
-      const fromAccount = await trx('accounts')
-        .where({ account_id: fromAccountId })
+      const lockAccount = (accountId) => trx('accounts')
+        .where({ account_id: accountId })
+        .forNoKeyUpdate()
         .first();
 
-      const toAccount = await trx('accounts')
-        .where({ account_id: toAccountId })
-        .first();
+      const [firstId, secondId] = [fromAccountId, toAccountId].sort();
+      const firstLocked = await lockAccount(firstId);
+      const secondLocked = await lockAccount(secondId);
+
+      const fromAccount = firstId === fromAccountId ? firstLocked : secondLocked;
+      const toAccount = firstId === toAccountId ? firstLocked : secondLocked;
+
+      const mayDebit = fromAccount
+        ? await debitPolicy({ userId: initiatorUserId, account: fromAccount, trx })
+        : false;
 
       let rejectionReason = null;
       // set the correct rejection_reason
       if (!fromAccount) {
         rejectionReason = 'FROM_ACCOUNT_NOT_FOUND';
+      } else if (!mayDebit) {
+        rejectionReason = 'FROM_ACCOUNT_NOT_OWNED';
       } else if (fromAccount.status !== 'ACTIVE') {
         rejectionReason = 'FROM_ACCOUNT_NOT_ACTIVE';
       } else if (!toAccount) {
@@ -183,6 +263,84 @@ async function transferFunds({
       } else if (toAccount.status !== 'ACTIVE') {
         rejectionReason = 'TO_ACCOUNT_NOT_ACTIVE';
       }
+
+      /**
+       * Currency check
+       * amount is in the source account's currency. Across currencies it is
+       * converted with the local rate table; a pair without a rate is refused.
+       * The rate used is stored on the transaction and in response_payload,
+       * so a replay returns exactly the conversion that was applied.
+       */
+      let conversion = null;
+
+      if (!rejectionReason && fromAccount.currency !== toAccount.currency) {
+        const rate = rateTable.getRate(fromAccount.currency, toAccount.currency);
+
+        if (!rate) {
+          rejectionReason = 'CURRENCY_MISMATCH';
+        } else {
+          conversion = {
+            fromCurrency: fromAccount.currency,
+            toCurrency: toAccount.currency,
+            rate,
+            convertedAmount: convertAmount(amount, rate),
+          };
+
+          if (conversion.convertedAmount <= 0) {
+            rejectionReason = 'CONVERTED_AMOUNT_TOO_SMALL';
+          }
+        }
+      }
+
+      /**
+       * Money limits (single transfer, rolling 24h, calendar month) of the
+       * source account and its owner, computed from the ledger while the
+       * source account is locked (see services/transferLimitService.js).
+       */
+      if (!rejectionReason) {
+        rejectionReason = await checkTransferLimits(trx, { account: fromAccount, amount });
+      }
+
+      /**
+       * Risk screening (see services/riskEngineService.js)
+       * Every rule hit is audited against this transaction. A REJECT hit
+       * rejects with RISK_REJECTED; REVIEW hits hold the transfer for review
+       * (STEP 5b) instead of moving money.
+       */
+      let riskDecision = 'ALLOW';
+
+      if (!rejectionReason) {
+        const { decision, hits } = await riskEngine.evaluate({
+          trx,
+          transactionId,
+          initiatorUserId,
+          fromAccount,
+          toAccount,
+          amount,
+          now: new Date(),
+        });
+
+        if (hits.length > 0) {
+          await recordAudit(hits.map((hit) => ({
+            actorType: 'SYSTEM',
+            actorId: 'RISK_ENGINE',
+            action: 'RISK_RULE_HIT',
+            targetType: 'TRANSACTION',
+            targetId: transactionId,
+            outcome: hit.action === 'REJECT' ? 'REJECTED' : 'FLAGGED',
+            reason: `rule=${hit.ruleId} ${hit.detail}`,
+            context: auditContext,
+          })), trx);
+        }
+
+        if (decision === 'REJECT') {
+          rejectionReason = 'RISK_REJECTED';
+        }
+        riskDecision = decision;
+      }
+
+      const currency = fromAccount ? fromAccount.currency : undefined;
+      const creditAmount = conversion ? conversion.convertedAmount : amount;
       // if there is a rejection reason then mark transactions and audit log as rejected
       if (rejectionReason) {
         const rejectionPayload = {
@@ -198,22 +356,85 @@ async function transferFunds({
             status: 'REJECTED',
             failure_reason: rejectionReason,
             response_payload: rejectionPayload,
+            ...(currency && { currency }),
           });
 
-        await trx('audit_logs').insert({
-          actor_type: 'USER',
-          actor_id: initiatorUserId,
-          action: 'TRANSFER',
-          target_type: 'TRANSACTION',
-          target_id: transactionId,
-          outcome: 'REJECTED',
-          reason: rejectionReason,
-        });
+        await auditTransfer('REJECTED', rejectionReason);
 
         // COMMIT transaction (implicit via return) and return rejection result
         return rejectionPayload;
       }
 
+      // Insufficient funds or account state changed
+      const rejectInsufficientFunds = async () => {
+        const rejectionPayload = {
+          success: false,
+          transactionId,
+          status: 'REJECTED',
+          reason: 'INSUFFICIENT_FUNDS',
+        };
+
+        await trx('transactions')
+          .where({ transaction_id: transactionId })
+          .update({
+            status: 'REJECTED',
+            failure_reason: 'INSUFFICIENT_FUNDS',
+            response_payload: rejectionPayload,
+            currency,
+          });
+
+        await auditTransfer('REJECTED', 'INSUFFICIENT_FUNDS');
+
+        return rejectionPayload;
+      };
+
+      /**
+     * STEP 5b — Hold for review (risk decision REVIEW)
+     * ------------------------------------------------
+     * No money moves and no ledger entries are written. The amount is
+     * reserved in held_balance, exactly like an authorized hold, so the
+     * transfer can still settle if a reviewer approves it. The conversion
+     * (if any) is stored now so approval settles at the quoted rate.
+     */
+      if (riskDecision === 'REVIEW') {
+        const reservedRows = await trx('accounts')
+          .where({ account_id: fromAccountId, status: 'ACTIVE' })
+          .whereRaw('available_balance >= ?', [amount])
+          .update({
+            held_balance: trx.raw('held_balance + ?', [amount]),
+          });
+
+        if (reservedRows === 0) {
+          return rejectInsufficientFunds();
+        }
+
+        const reviewPayload = {
+          success: true,
+          transactionId,
+          status: 'UNDER_REVIEW',
+          fromAccountId,
+          toAccountId,
+          amount,
+          currency,
+          conversion,
+        };
+
+        await trx('transactions')
+          .where({ transaction_id: transactionId })
+          .update({
+            status: 'UNDER_REVIEW',
+            response_payload: reviewPayload,
+            currency,
+            converted_amount: conversion ? conversion.convertedAmount : null,
+            converted_currency: conversion ? conversion.toCurrency : null,
+            exchange_rate: conversion ? conversion.rate : null,
+          });
+
+        await auditTransfer('FLAGGED', 'UNDER_REVIEW');
+
+        return reviewPayload;
+      }
+
       /**
      * STEP 6 — Atomic balance updates
      * -------------------------------
@@ -223,12 +444,12 @@ async function transferFunds({
      * UPDATE accounts
      * SET current_balance = current_balance - amount
      * WHERE account_id = fromAccountId
-     *   AND current_balance >= amount
+     *   AND available_balance >= amount   (current_balance minus holds)
      *   AND status = 'ACTIVE'
      *
-     * 2) Credit:
+     * 2) Credit (converted amount across currencies):
      * UPDATE accounts
-     * SET current_balance = current_balance + amount
+     * SET current_balance = current_balance + creditAmount
      * WHERE account_id = toAccountId
      *   AND status = 'ACTIVE'
      *
@@ -238,39 +459,13 @@ async function transferFunds({
      */
       const debitRowsAffected = await trx('accounts')
         .where({ account_id: fromAccountId, status: 'ACTIVE' })
-        .whereRaw('current_balance >= ?', [amount])
+        .whereRaw('available_balance >= ?', [amount])
         .update({ // update in knex library returns the number of affected rows by default
           current_balance: trx.raw('current_balance - ?', [amount]),
         });
 
       if (debitRowsAffected === 0) {
-      // Insufficient funds or account state changed
-        const rejectionPayload = {
-          success: false,
-          transactionId,
-          status: 'REJECTED',
-          reason: 'INSUFFICIENT_FUNDS',
-        };
-
-        await trx('transactions')
-          .where({ transaction_id: transactionId })
-          .update({
-            status: 'REJECTED',
-            failure_reason: 'INSUFFICIENT_FUNDS',
-            response_payload: rejectionPayload,
-          });
-
-        await trx('audit_logs').insert({
-          actor_type: 'USER',
-          actor_id: initiatorUserId,
-          action: 'TRANSFER',
-          target_type: 'TRANSACTION',
-          target_id: transactionId,
-          outcome: 'REJECTED',
-          reason: 'INSUFFICIENT_FUNDS',
-        });
-
-        return rejectionPayload;
+        return rejectInsufficientFunds();
       }
 
       // TEST-ONLY: Failpoint injection for integration tests
@@ -281,7 +476,7 @@ async function transferFunds({
       const creditRowsAffected = await trx('accounts')
         .where({ account_id: toAccountId, status: 'ACTIVE' })
         .update({
-          current_balance: trx.raw('current_balance + ?', [amount]),
+          current_balance: trx.raw('current_balance + ?', [creditAmount]),
         });
 
       if (creditRowsAffected === 0) {
@@ -291,26 +486,32 @@ async function transferFunds({
         throw new Error('CREDIT_FAILED_ROLLBACK');
       // NOTE:
       // This represents a system failure.
-      // Transaction remains PENDING and may be marked FAILED by a recovery process.
+      // Transaction remains PENDING and may be marked FAILED by a recovery process
+      // (see services/pendingRecoveryService.js).
       }
 
       /**
      * STEP 7 — Write ledger entries (ONLY if balance updates succeeded)
      * -----------------------------------------------------------------
-     * Insert two rows into ledger_entries:
+     * Insert two rows into ledger_entries, each in its account's currency:
      * - debit entry (negative amount)
-     * - credit entry (positive amount)
+     * - credit entry (positive amount, converted if currencies differ;
+     *   the pre-conversion amount is kept in original_amount)
      */
       await trx('ledger_entries').insert([
         {
           account_id: fromAccountId,
           transaction_id: transactionId,
           amount: -amount, // debit entry (negative)
+          currency: fromAccount.currency,
         },
         {
           account_id: toAccountId,
           transaction_id: transactionId,
-          amount, // credit entry (positive)
+          amount: creditAmount, // credit entry (positive)
+          currency: toAccount.currency,
+          original_amount: conversion ? amount : null,
+          original_currency: conversion ? fromAccount.currency : null,
         },
       ]);
 
@@ -327,6 +528,8 @@ async function transferFunds({
         fromAccountId,
         toAccountId,
         amount,
+        currency,
+        conversion,
       };
 
       await trx('transactions')
@@ -334,6 +537,10 @@ async function transferFunds({
         .update({
           status: 'SUCCEEDED',
           response_payload: successPayload,
+          currency,
+          converted_amount: conversion ? conversion.convertedAmount : null,
+          converted_currency: conversion ? conversion.toCurrency : null,
+          exchange_rate: conversion ? conversion.rate : null,
         });
 
       /**
@@ -343,14 +550,7 @@ async function transferFunds({
      * - action = TRANSFER
      * - outcome = SUCCEEDED
      */
-      await trx('audit_logs').insert({
-        actor_type: 'USER',
-        actor_id: initiatorUserId,
-        action: 'TRANSFER',
-        target_type: 'TRANSACTION',
-        target_id: transactionId,
-        outcome: 'SUCCEEDED',
-      });
+      await auditTransfer('SUCCEEDED');
 
       /**
      * STEP 10 — Commit DB transaction
@@ -373,6 +573,12 @@ async function transferFunds({
       return successPayload;
     });
   } catch (error) {
+    // Lost the race to a request with the same key that committed first:
+    // not a system failure, and its row must not be marked FAILED.
+    if (isIdempotencyConflict(error)) {
+      return inProgressResult();
+    }
+
     // Log system failure (transaction is already rolled back by Knex)
     console.error('[TransferService] System failure during transfer:', {
       initiatorUserId,
@@ -395,6 +601,7 @@ async function transferFunds({
       await knex.transaction(async (trx) => {
         // The main transaction rolled back, so the PENDING row may not exist.
         // If it exists (rare), update it. Otherwise create a FAILED record.
+        // A row another request already finished is left untouched.
         const existingTx = await trx('transactions')
           .where({
             initiator_user_id: initiatorUserId,
@@ -405,7 +612,9 @@ async function transferFunds({
 
         let transactionId;
 
-        if (existingTx) {
+        if (existingTx && existingTx.status !== 'PENDING') {
+          transactionId = existingTx.transaction_id;
+        } else if (existingTx) {
           // Update existing transaction to FAILED
           transactionId = existingTx.transaction_id;
           await trx('transactions')
@@ -431,6 +640,7 @@ async function transferFunds({
               to_account_id: toAccountId,
               amount,
               idempotency_key: idempotencyKey,
+              request_fingerprint: requestFingerprint,
               failure_reason: failureReason,
             })
             .returning('*');
@@ -438,15 +648,16 @@ async function transferFunds({
         }
 
         // Record SYSTEM audit log for the failure
-        await trx('audit_logs').insert({
-          actor_type: 'SYSTEM',
-          actor_id: 'TRANSFER_SERVICE',
+        await recordAudit({
+          actorType: 'SYSTEM',
+          actorId: 'TRANSFER_SERVICE',
           action: 'TRANSFER',
-          target_type: 'TRANSACTION',
-          target_id: transactionId,
+          targetType: 'TRANSACTION',
+          targetId: transactionId,
           outcome: 'FAILED',
           reason: failureReason,
-        });
+          context: auditContext,
+        }, trx);
       });
     } catch (recordError) {
       console.error('[TransferService] Failed to record system failure:', recordError.message);
@@ -0,0 +1,122 @@
+/**
+ * Access Control — Roles and permissions on routes
+ *
+ * This test verifies that:
+ * - requirePermission lets a request through only when the user's stored
+ *   role carries the permission, and answers 403 otherwise
+ * - allowSelf lets users reach their own record without the permission
+ * - requireRole matches the stored role exactly
+ * - ADMIN_USER_IDS users are treated as admins whatever their stored role
+ * - the database refuses unknown roles
+ *
+ * This test calls the middleware directly with a minimal req / res
+ * (no HTTP server).
+ */
+
+const knex = require('../../db/knex');
+const { requireRole, requirePermission } = require('../../middleware/requireRole');
+
+describe('Access Control — Roles and permissions on routes', () => {
+  const userIds = {};
+
+  /**
+   * Run one middleware and report what it did:
+   * 'next', 'error' or the HTTP status it answered with.
+   */
+  const run = async (middleware, userId, params = {}) => {
+    const req = { session: { userId }, params };
+    let outcome = null;
+    const res = {
+      sendStatus: (status) => {
+        outcome = status;
+        return res;
+      },
+    };
+
+    await middleware(req, res, (error) => {
+      outcome = error ? 'error' : 'next';
+    });
+
+    return outcome;
+  };
+
+  beforeAll(async () => {
+    const users = await knex('users')
+      .insert(['customer', 'support', 'admin', 'auditor'].map((role) => ({
+        username: `testuser_access_${role}`,
+        password_hash: 'TEST_ONLY_HASH',
+        role,
+      })))
+      .returning('*');
+
+    users.forEach((user) => {
+      userIds[user.role] = user.user_id;
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_USER_IDS;
+  });
+
+  test('Permissions follow the role stored on the user', async () => {
+    // ==================== ACT ====================
+    const listUsers = requirePermission('users:list');
+    const readAuditLogs = requirePermission('audit_logs:read');
+    const review = requirePermission('transfers:review');
+
+    const outcomes = {
+      listUsers: {
+        customer: await run(listUsers, userIds.customer),
+        support: await run(listUsers, userIds.support),
+        admin: await run(listUsers, userIds.admin),
+        auditor: await run(listUsers, userIds.auditor),
+      },
+      readAuditLogs: {
+        customer: await run(readAuditLogs, userIds.customer),
+        admin: await run(readAuditLogs, userIds.admin),
+        auditor: await run(readAuditLogs, userIds.auditor),
+      },
+      review: {
+        support: await run(review, userIds.support),
+        admin: await run(review, userIds.admin),
+      },
+    };
+
+    // ==================== ASSERT ====================
+    expect(outcomes).toEqual({
+      listUsers: { customer: 403, support: 'next', admin: 'next', auditor: 403 },
+      readAuditLogs: { customer: 403, admin: 403, auditor: 'next' },
+      review: { support: 403, admin: 'next' },
+    });
+  });
+
+  test('Users reach their own record without the permission when allowSelf is set', async () => {
+    const readUser = requirePermission('users:read', { allowSelf: true });
+
+    expect(await run(readUser, userIds.customer, { id: userIds.customer })).toBe('next');
+    expect(await run(readUser, userIds.customer, { id: userIds.support })).toBe(403);
+    expect(await run(readUser, userIds.support, { id: userIds.customer })).toBe('next');
+  });
+
+  test('requireRole matches the stored role', async () => {
+    const staffOnly = requireRole('support', 'admin');
+
+    expect(await run(staffOnly, userIds.support)).toBe('next');
+    expect(await run(staffOnly, userIds.auditor)).toBe(403);
+  });
+
+  test('ADMIN_USER_IDS bootstraps admins; unknown users are refused', async () => {
+    process.env.ADMIN_USER_IDS = ` ${userIds.customer} `;
+
+    expect(await run(requireRole('admin'), userIds.customer)).toBe('next');
+    expect(await run(requireRole('admin'), '00000000-0000-0000-0000-000000000000')).toBe(403);
+  });
+
+  test('The database refuses unknown roles', async () => {
+    await expect(knex('users').insert({
+      username: 'testuser_access_unknown',
+      password_hash: 'TEST_ONLY_HASH',
+      role: 'superuser',
+    })).rejects.toThrow(/chk_users_role/);
+  });
+});
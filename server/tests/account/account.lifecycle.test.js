@@ -0,0 +1,168 @@
+/**
+ * Account Service — Lifecycle
+ *
+ * This test verifies that:
+ * - a new account opens ACTIVE with a zero balance
+ * - freeze / unfreeze / terminate set status and timestamps
+ * - invalid transitions are REJECTED and leave the row unchanged
+ * - the owner can only lift a freeze the owner placed
+ * - every transition writes ATTEMPTED and SUCCEEDED/REJECTED audit logs
+ *   with target_type = ACCOUNT
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const knex = require('../../db/knex');
+const {
+  openAccount,
+  freezeAccount,
+  unfreezeAccount,
+  terminateAccount,
+} = require('../../services/accountService');
+
+describe('Account Service — Lifecycle', () => {
+  let testUserId;
+
+  beforeAll(async () => {
+    const [user] = await knex('users')
+      .insert({
+        username: 'testuser_account_lifecycle',
+        password_hash: 'TEST_ONLY_HASH',
+      })
+      .returning('*');
+    testUserId = user.user_id;
+  });
+
+  const auditOutcomesFor = async (accountId, action) => {
+    const auditLogs = await knex('audit_logs')
+      .where({ target_id: accountId, target_type: 'ACCOUNT', action })
+      .orderBy('created_at', 'asc');
+
+    auditLogs.forEach((log) => {
+      expect(log.actor_type).toBe('USER');
+      expect(log.actor_id).toBe(testUserId);
+    });
+
+    return auditLogs.map((log) => log.outcome).sort();
+  };
+
+  test('Open → freeze → unfreeze → terminate updates status, timestamps and audit logs', async () => {
+    // ==================== OPEN ====================
+    const opened = await openAccount({ userId: testUserId });
+
+    expect(opened.success).toBe(true);
+    expect(opened.account.status).toBe('ACTIVE');
+    expect(opened.account.currentBalance).toBe(0);
+    expect(opened.account.userId).toBe(testUserId);
+
+    const { accountId } = opened.account;
+    expect(await auditOutcomesFor(accountId, 'ACCOUNT_OPEN')).toEqual(['ATTEMPTED', 'SUCCEEDED']);
+
+    // ==================== FREEZE ====================
+    const frozen = await freezeAccount({ userId: testUserId, accountId });
+
+    expect(frozen.success).toBe(true);
+    expect(frozen.account.status).toBe('FROZEN');
+    expect(frozen.account.frozenAt).not.toBeNull();
+    expect(frozen.account.frozenByRole).toBe('OWNER');
+    expect(await auditOutcomesFor(accountId, 'ACCOUNT_FREEZE')).toEqual(['ATTEMPTED', 'SUCCEEDED']);
+
+    // ==================== UNFREEZE ====================
+    const unfrozen = await unfreezeAccount({ userId: testUserId, accountId });
+
+    expect(unfrozen.success).toBe(true);
+    expect(unfrozen.account.status).toBe('ACTIVE');
+    expect(unfrozen.account.frozenAt).toBeNull();
+    expect(await auditOutcomesFor(accountId, 'ACCOUNT_UNFREEZE')).toEqual(['ATTEMPTED', 'SUCCEEDED']);
+
+    // ==================== TERMINATE ====================
+    const terminated = await terminateAccount({ userId: testUserId, accountId });
+
+    expect(terminated.success).toBe(true);
+    expect(terminated.account.status).toBe('TERMINATED');
+    expect(terminated.account.terminatedAt).not.toBeNull();
+    expect(await auditOutcomesFor(accountId, 'ACCOUNT_TERMINATE')).toEqual(['ATTEMPTED', 'SUCCEEDED']);
+
+    const row = await knex('accounts').where({ account_id: accountId }).first();
+    expect(row.status).toBe('TERMINATED');
+    expect(row.terminated_at).not.toBeNull();
+  });
+
+  test('Invalid transitions are REJECTED and audited', async () => {
+    // ==================== ARRANGE ====================
+    const { account } = await openAccount({ userId: testUserId });
+    const { accountId } = account;
+
+    // ==================== ACT ====================
+    // ACTIVE accounts cannot be unfrozen
+    const result = await unfreezeAccount({ userId: testUserId, accountId });
+
+    // ==================== ASSERT ====================
+    expect(result.success).toBe(false);
+    expect(result.reason).toBe('INVALID_STATUS_TRANSITION');
+
+    const row = await knex('accounts').where({ account_id: accountId }).first();
+    expect(row.status).toBe('ACTIVE');
+
+    const auditLogs = await knex('audit_logs')
+      .where({ target_id: accountId, target_type: 'ACCOUNT', action: 'ACCOUNT_UNFREEZE' });
+
+    expect(auditLogs).toHaveLength(2);
+    const rejectedLog = auditLogs.find((log) => log.outcome === 'REJECTED');
+    expect(rejectedLog.reason).toBe('INVALID_STATUS_TRANSITION');
+  });
+
+  test('A freeze the owner did not place cannot be lifted by the owner', async () => {
+    // ==================== ARRANGE ====================
+    // frozen by an operator, e.g. for compliance
+    const [accountRow] = await knex('accounts')
+      .insert({
+        user_id: testUserId,
+        status: 'FROZEN',
+        frozen_at: knex.fn.now(),
+        frozen_by_role: 'ADMIN',
+      })
+      .returning('*');
+
+    // ==================== ACT ====================
+    const result = await unfreezeAccount({ userId: testUserId, accountId: accountRow.account_id });
+
+    // ==================== ASSERT ====================
+    expect(result.success).toBe(false);
+    expect(result.reason).toBe('FREEZE_NOT_PLACED_BY_OWNER');
+
+    const row = await knex('accounts').where({ account_id: accountRow.account_id }).first();
+    expect(row.status).toBe('FROZEN');
+    expect(row.frozen_by_role).toBe('ADMIN');
+
+    const rejectedLog = await knex('audit_logs')
+      .where({ target_id: accountRow.account_id, action: 'ACCOUNT_UNFREEZE', outcome: 'REJECTED' })
+      .first();
+    expect(rejectedLog.reason).toBe('FREEZE_NOT_PLACED_BY_OWNER');
+  });
+
+  test('Terminating an account with a non-zero balance is REJECTED', async () => {
+    // ==================== ARRANGE ====================
+    const [accountRow] = await knex('accounts')
+      .insert({
+        user_id: testUserId,
+        status: 'ACTIVE',
+        current_balance: 2500,
+      })
+      .returning('*');
+
+    // ==================== ACT ====================
+    const result = await terminateAccount({
+      userId: testUserId,
+      accountId: accountRow.account_id,
+    });
+
+    // ==================== ASSERT ====================
+    expect(result.success).toBe(false);
+    expect(result.reason).toBe('ACCOUNT_BALANCE_NOT_ZERO');
+
+    const row = await knex('accounts').where({ account_id: accountRow.account_id }).first();
+    expect(row.status).toBe('ACTIVE');
+    expect(row.terminated_at).toBeNull();
+  });
+});
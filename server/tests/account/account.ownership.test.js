@@ -0,0 +1,79 @@
+/**
+ * Account Service — Ownership
+ *
+ * This test verifies that:
+ * - listAccounts returns only the caller's accounts
+ * - getAccount reports another user's account as ACCOUNT_NOT_FOUND
+ * - status transitions on another user's account are REJECTED
+ *   and leave the account untouched
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const knex = require('../../db/knex');
+const {
+  openAccount,
+  listAccounts,
+  getAccount,
+  freezeAccount,
+} = require('../../services/accountService');
+
+describe('Account Service — Ownership', () => {
+  let ownerId;
+  let otherUserId;
+  let ownerAccountId;
+
+  beforeAll(async () => {
+    const [owner] = await knex('users')
+      .insert({ username: 'testuser_account_owner', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+    const [other] = await knex('users')
+      .insert({ username: 'testuser_account_other', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+    ownerId = owner.user_id;
+    otherUserId = other.user_id;
+
+    const { account } = await openAccount({ userId: ownerId });
+    ownerAccountId = account.accountId;
+    await openAccount({ userId: otherUserId });
+  });
+
+  test('listAccounts only returns accounts owned by the caller', async () => {
+    const result = await listAccounts({ userId: ownerId });
+
+    expect(result.success).toBe(true);
+    expect(result.accounts).toHaveLength(1);
+    expect(result.accounts[0].accountId).toBe(ownerAccountId);
+  });
+
+  test("getAccount hides another user's account", async () => {
+    const ownResult = await getAccount({ userId: ownerId, accountId: ownerAccountId });
+    expect(ownResult.success).toBe(true);
+
+    const otherResult = await getAccount({ userId: otherUserId, accountId: ownerAccountId });
+    expect(otherResult.success).toBe(false);
+    expect(otherResult.reason).toBe('ACCOUNT_NOT_FOUND');
+  });
+
+  test("Freezing another user's account is REJECTED and audited", async () => {
+    const result = await freezeAccount({ userId: otherUserId, accountId: ownerAccountId });
+
+    expect(result.success).toBe(false);
+    expect(result.reason).toBe('ACCOUNT_NOT_FOUND');
+
+    const row = await knex('accounts').where({ account_id: ownerAccountId }).first();
+    expect(row.status).toBe('ACTIVE');
+    expect(row.frozen_at).toBeNull();
+
+    const rejectedLog = await knex('audit_logs')
+      .where({
+        target_id: ownerAccountId,
+        action: 'ACCOUNT_FREEZE',
+        outcome: 'REJECTED',
+      })
+      .first();
+
+    expect(rejectedLog.actor_id).toBe(otherUserId);
+    expect(rejectedLog.reason).toBe('ACCOUNT_NOT_FOUND');
+  });
+});
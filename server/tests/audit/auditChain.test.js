@@ -0,0 +1,114 @@
+/**
+ * Audit Logs — Tamper-evident hash chain
+ *
+ * This test verifies that:
+ * - rows are sealed into the chain when their transaction commits,
+ *   including rows committed concurrently
+ * - UPDATE, DELETE and TRUNCATE of audit_logs are refused, and inserts
+ *   cannot supply their own chain values
+ * - the verifier recomputes the same hashes as the database and reports
+ *   the first broken link when a row is edited behind the triggers' back
+ *
+ * This test talks directly to the database and the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const { verifyAuditChain } = require('../../services/auditChainService');
+
+describe('Audit Logs — Tamper-evident hash chain', () => {
+  const actorId = `testuser_chain_${crypto.randomUUID()}`;
+
+  const auditRow = (outcome) => ({
+    actor_type: 'USER',
+    actor_id: actorId,
+    action: 'TRANSFER',
+    target_type: 'TRANSACTION',
+    target_id: crypto.randomUUID(),
+    outcome,
+  });
+
+  beforeAll(async () => {
+    // concurrent committers must still form a single chain
+    await Promise.all([1, 2, 3, 4].map(() => knex.transaction(async (trx) => {
+      await trx('audit_logs').insert(auditRow('ATTEMPTED'));
+      await trx('audit_logs').insert(auditRow('SUCCEEDED'));
+    })));
+
+    // JSON escaping must agree between Postgres and Node
+    await knex('audit_logs').insert({
+      ...auditRow('REJECTED'),
+      reason: 'say "hi"\\ \n\t\u0001 – ünïcødé ✓',
+    });
+  });
+
+  test('Committed rows are sealed and the chain verifies', async () => {
+    const rows = await knex('audit_logs').where({ actor_id: actorId });
+    expect(rows).toHaveLength(9);
+    rows.forEach((row) => {
+      expect(row.chain_position).not.toBeNull();
+      expect(row.row_hash).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    const report = await verifyAuditChain({ batchSize: 7 });
+    expect(report).toMatchObject({ valid: true, unsealedRows: 0, brokenLink: null });
+    expect(report.head.chainPosition).toBe(report.checkedRows);
+
+    const [{ max }] = await knex('audit_logs').max('chain_position as max');
+    expect(report.checkedRows).toBe(Number(max));
+  });
+
+  test('Rows cannot be changed, removed or pre-sealed', async () => {
+    const [row] = await knex('audit_logs').where({ actor_id: actorId }).limit(1);
+
+    await expect(knex('audit_logs')
+      .where({ audit_log_id: row.audit_log_id })
+      .update({ outcome: 'FAILED' })).rejects.toThrow(/append-only: UPDATE refused/);
+
+    await expect(knex('audit_logs')
+      .where({ audit_log_id: row.audit_log_id })
+      .del()).rejects.toThrow(/append-only: DELETE refused/);
+
+    await expect(knex.raw('TRUNCATE audit_logs')).rejects.toThrow(/append-only: TRUNCATE refused/);
+
+    // a writer cannot choose where its row lands in the chain
+    const [forged] = await knex('audit_logs')
+      .insert({ ...auditRow('SUCCEEDED'), chain_position: 1, row_hash: 'f'.repeat(64) })
+      .returning('audit_log_id');
+    const sealed = await knex('audit_logs').where({ audit_log_id: forged.audit_log_id }).first();
+    expect(Number(sealed.chain_position)).toBeGreaterThan(1);
+    expect(sealed.row_hash).not.toBe('f'.repeat(64));
+  });
+
+  test('An edit made behind the triggers is reported as the first broken link', async () => {
+    // ==================== ARRANGE ====================
+    const row = await knex('audit_logs')
+      .where({ actor_id: actorId })
+      .orderBy('chain_position', 'asc')
+      .first();
+
+    // ==================== ACT ====================
+    // what someone with table-owner rights could do: bypass the guard
+    await knex.raw('ALTER TABLE audit_logs DISABLE TRIGGER trg_audit_logs_append_only');
+    let report;
+    try {
+      await knex('audit_logs').where({ audit_log_id: row.audit_log_id }).update({ outcome: 'FAILED' });
+      report = await verifyAuditChain();
+    } finally {
+      await knex('audit_logs').where({ audit_log_id: row.audit_log_id }).update({ outcome: row.outcome });
+      await knex.raw('ALTER TABLE audit_logs ENABLE TRIGGER trg_audit_logs_append_only');
+    }
+
+    // ==================== ASSERT ====================
+    expect(report.valid).toBe(false);
+    expect(report.brokenLink).toEqual({
+      problem: 'ROW_HASH_MISMATCH',
+      chainPosition: Number(row.chain_position),
+      auditLogId: row.audit_log_id,
+    });
+    expect(report.checkedRows).toBe(Number(row.chain_position) - 1);
+
+    // restored: the chain holds again
+    expect((await verifyAuditChain()).valid).toBe(true);
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Audit — Authentication and user-management events
+ *
+ * This test verifies that:
+ * - register, login (success and each failure reason), logout and
+ *   username changes each write one audit row
+ * - rows carry the actor, the IP address and the user agent of the request
+ * - the chain still verifies with the request context in the hash input
+ *
+ * This test calls the controllers directly with a minimal req / res
+ * (no HTTP server).
+ */
+
+const knex = require('../../db/knex');
+const { ANONYMOUS_ACTOR_ID } = require('../../db/auditLog');
+const authControllers = require('../../controllers/authControllers');
+const userControllers = require('../../controllers/userControllers');
+const { verifyAuditChain } = require('../../services/auditChainService');
+
+describe('Audit — Authentication and user-management events', () => {
+  const username = 'testuser_audit_auth';
+  const renamed = 'testuser_audit_auth_renamed';
+  const auditContext = { ipAddress: '203.0.113.7', userAgent: 'jest-audit/1.0' };
+  let userId = null;
+
+  /**
+   * An express-session stand-in: regenerate empties it, destroy drops it.
+   */
+  const fakeSession = (req, data) => Object.assign(Object.create({
+    regenerate(callback) {
+      req.session = fakeSession(req, {});
+      callback();
+    },
+    destroy(callback) {
+      delete req.session;
+      callback();
+    },
+  }), data);
+
+  /**
+   * Run one controller and report the HTTP status it answered with.
+   */
+  const run = async (controller, { body = {}, params = {}, session = {} } = {}) => {
+    const req = { body, params, auditContext };
+    req.session = fakeSession(req, session);
+    let status = 200;
+    const res = {
+      status: (code) => {
+        status = code;
+        return res;
+      },
+      send: () => res,
+      clearCookie: () => res,
+    };
+
+    await controller(req, res, (error) => {
+      throw error;
+    });
+
+    return { status, session: req.session };
+  };
+
+  const latestAudit = async (action) => knex('audit_logs')
+    .where({ action })
+    .orderBy('sequence_number', 'desc')
+    .first();
+
+  afterAll(async () => {
+    await knex('users').whereIn('username', [username, renamed]).del();
+  });
+
+  it('audits a registration with the new user as actor and target', async () => {
+    const { status, session } = await run(authControllers.registerUser, {
+      body: { username, password: 'Correct Horse 42' },
+    });
+
+    expect(status).toBe(200);
+    userId = session.userId;
+
+    const row = await latestAudit('USER_REGISTER');
+    expect(row).toMatchObject({
+      actor_type: 'USER',
+      actor_id: userId,
+      target_type: 'USER',
+      target_id: userId,
+      outcome: 'SUCCEEDED',
+      ip_address: '203.0.113.7',
+      user_agent: 'jest-audit/1.0',
+    });
+  });
+
+  it('audits a taken username as REJECTED', async () => {
+    const { status } = await run(authControllers.registerUser, {
+      body: { username, password: 'Another Passphrase 7' },
+    });
+
+    expect(status).toBe(409);
+    expect(await latestAudit('USER_REGISTER')).toMatchObject({
+      actor_id: ANONYMOUS_ACTOR_ID,
+      outcome: 'REJECTED',
+      reason: 'USERNAME_TAKEN',
+    });
+  });
+
+  it('audits failed logins with their reason', async () => {
+    const unknown = await run(authControllers.loginUser, {
+      body: { username: 'testuser_audit_nobody', password: 'x' },
+    });
+    expect(unknown.status).toBe(404);
+    expect(await latestAudit('LOGIN')).toMatchObject({
+      actor_id: ANONYMOUS_ACTOR_ID,
+      target_type: 'SESSION',
+      outcome: 'REJECTED',
+      reason: 'UNKNOWN_USERNAME',
+    });
+
+    const wrongPassword = await run(authControllers.loginUser, {
+      body: { username, password: 'wrong password' },
+    });
+    expect(wrongPassword.status).toBe(401);
+    expect(await latestAudit('LOGIN')).toMatchObject({
+      actor_id: userId,
+      outcome: 'REJECTED',
+      reason: 'INVALID_PASSWORD',
+      ip_address: '203.0.113.7',
+    });
+  });
+
+  it('audits a successful login and the logout', async () => {
+    const { status } = await run(authControllers.loginUser, {
+      body: { username, password: 'Correct Horse 42' },
+    });
+    expect(status).toBe(200);
+    expect(await latestAudit('LOGIN')).toMatchObject({
+      actor_id: userId,
+      outcome: 'SUCCEEDED',
+      reason: null,
+    });
+
+    await run(authControllers.logoutUser, { session: { userId } });
+    expect(await latestAudit('LOGOUT')).toMatchObject({
+      actor_id: userId,
+      target_type: 'SESSION',
+      outcome: 'SUCCEEDED',
+      user_agent: 'jest-audit/1.0',
+    });
+  });
+
+  it('audits username changes, refused and applied', async () => {
+    const refused = await run(userControllers.updateUser, {
+      body: { username: renamed },
+      params: { id: userId },
+      session: { userId: '00000000-0000-0000-0000-000000000000' },
+    });
+    expect(refused.status).toBe(403);
+    expect(await latestAudit('USERNAME_CHANGE')).toMatchObject({
+      target_id: userId,
+      outcome: 'REJECTED',
+      reason: 'NOT_OWN_USER',
+    });
+
+    const applied = await run(userControllers.updateUser, {
+      body: { username: renamed },
+      params: { id: userId },
+      session: { userId },
+    });
+    expect(applied.status).toBe(200);
+    expect(await latestAudit('USERNAME_CHANGE')).toMatchObject({
+      actor_id: userId,
+      target_id: userId,
+      outcome: 'SUCCEEDED',
+      reason: `from=${username} to=${renamed}`,
+    });
+  });
+
+  it('keeps the hash chain valid over rows with request context', async () => {
+    const report = await verifyAuditChain();
+
+    expect(report.valid).toBe(true);
+    expect(await latestAudit('USERNAME_CHANGE')).toMatchObject({ hash_version: 2 });
+  });
+});
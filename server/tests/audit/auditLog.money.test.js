@@ -0,0 +1,124 @@
+/**
+ * Audit — Request context on account and money-movement events
+ *
+ * This test verifies that:
+ * - account, cash, hold, transfer and reversal requests record the IP
+ *   address and user agent of the request on every audit row they write
+ *   (ATTEMPTED as well as the outcome)
+ * - the chain still verifies
+ *
+ * This test calls the controllers directly with a minimal req / res
+ * (no HTTP server).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const accountController = require('../../controllers/accountController');
+const cashController = require('../../controllers/cashController');
+const holdController = require('../../controllers/holdController');
+const transferController = require('../../controllers/transferController');
+const { verifyAuditChain } = require('../../services/auditChainService');
+
+describe('Audit — Request context on account and money-movement events', () => {
+  const auditContext = { ipAddress: '198.51.100.23', userAgent: 'jest-audit-money/1.0' };
+  let userId;
+
+  /**
+   * Run one controller and return the HTTP status and JSON body it answered with.
+   */
+  const run = async (controller, { body = {}, params = {} } = {}) => {
+    const headers = { 'idempotency-key': crypto.randomUUID() };
+    const req = {
+      body,
+      params,
+      auditContext,
+      session: { userId },
+      header: (name) => headers[name.toLowerCase()],
+    };
+    const answer = { status: 200, body: null };
+    const res = {
+      status: (code) => {
+        answer.status = code;
+        return res;
+      },
+      json: (payload) => {
+        answer.body = payload;
+        return res;
+      },
+      set: () => res,
+    };
+
+    await controller(req, res, (error) => {
+      throw error;
+    });
+
+    return answer;
+  };
+
+  const auditRowsFor = (targetId) => knex('audit_logs')
+    .where({ target_id: targetId })
+    .orderBy('sequence_number', 'asc');
+
+  beforeAll(async () => {
+    const [user] = await knex('users')
+      .insert({ username: 'testuser_audit_money', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+    userId = user.user_id;
+  });
+
+  test('Every row of a request carries its IP address and user agent', async () => {
+    // ==================== ACT ====================
+    const opened = await run(accountController.openAccount);
+    const payee = await run(accountController.openAccount);
+    const sourceId = opened.body.account.accountId;
+    const payeeId = payee.body.account.accountId;
+
+    const deposit = await run(cashController.createDeposit, {
+      body: { toAccountId: sourceId, amount: 10000 },
+    });
+    const hold = await run(holdController.authorizeHold, {
+      body: { fromAccountId: sourceId, toAccountId: payeeId, amount: 1000 },
+    });
+    const voided = await run(holdController.voidHold, { params: { id: hold.body.holdId } });
+    const transfer = await run(transferController.createTransfer, {
+      body: { fromAccountId: sourceId, toAccountId: payeeId, amount: 2000 },
+    });
+    const reversal = await run(transferController.reverseTransfer, {
+      params: { id: transfer.body.transactionId },
+    });
+    const frozen = await run(accountController.freezeAccount, { params: { id: payeeId } });
+
+    // ==================== ASSERT ====================
+    expect([opened, deposit, hold, voided, transfer, reversal, frozen].map((a) => a.status))
+      .toEqual([201, 201, 201, 200, 201, 201, 200]);
+
+    const targets = [
+      sourceId,
+      payeeId,
+      deposit.body.transactionId,
+      hold.body.holdId,
+      transfer.body.transactionId,
+      reversal.body.transactionId,
+    ];
+    const rows = (await Promise.all(targets.map(auditRowsFor))).flat();
+
+    expect(new Set(rows.map((row) => row.action))).toEqual(new Set([
+      'ACCOUNT_OPEN',
+      'ACCOUNT_FREEZE',
+      'DEPOSIT',
+      'HOLD_AUTHORIZE',
+      'HOLD_VOID',
+      'TRANSFER',
+      'REVERSAL',
+    ]));
+    rows.forEach((row) => {
+      expect(row).toMatchObject({
+        actor_id: userId,
+        ip_address: '198.51.100.23',
+        user_agent: 'jest-audit-money/1.0',
+      });
+    });
+
+    expect((await verifyAuditChain()).valid).toBe(true);
+  });
+});
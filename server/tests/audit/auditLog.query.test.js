@@ -0,0 +1,163 @@
+/**
+ * Audit Logs — Investigation queries and export
+ *
+ * This test verifies that:
+ * - rows written in one DB transaction come back in the order they were
+ *   written, so a transaction's ATTEMPTED → outcome lifecycle reads in order
+ * - filters by actor, target, action, outcome and time range combine
+ * - keyset pagination walks every row exactly once, in both directions,
+ *   and refuses a tampered cursor
+ * - exports return all matching rows and flag a cut-short export
+ * - CSV output quotes and defuses values safely
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const { listAuditLogs, exportAuditLogs } = require('../../services/auditLogService');
+const { toCsv } = require('../../utils/csv');
+
+describe('Audit Logs — Investigation queries and export', () => {
+  const transactionId = crypto.randomUUID();
+  const otherTransactionId = crypto.randomUUID();
+  const actorId = crypto.randomUUID();
+
+  beforeAll(async () => {
+    // one DB transaction per lifecycle, as the services write them
+    await knex.transaction(async (trx) => {
+      const row = {
+        actor_type: 'USER',
+        actor_id: actorId,
+        action: 'TRANSFER',
+        target_type: 'TRANSACTION',
+        target_id: transactionId,
+      };
+      await trx('audit_logs').insert({ ...row, outcome: 'ATTEMPTED' });
+      await trx('audit_logs').insert({
+        ...row,
+        actor_type: 'SYSTEM',
+        actor_id: 'RISK_ENGINE',
+        action: 'RISK_RULE_HIT',
+        outcome: 'FLAGGED',
+        reason: 'rule=NEW_PAYEE',
+      });
+      await trx('audit_logs').insert({ ...row, outcome: 'FLAGGED', reason: 'UNDER_REVIEW' });
+    });
+
+    await knex.transaction(async (trx) => {
+      const row = {
+        actor_type: 'USER',
+        actor_id: actorId,
+        action: 'TRANSFER',
+        target_type: 'TRANSACTION',
+        target_id: otherTransactionId,
+      };
+      await trx('audit_logs').insert({ ...row, outcome: 'ATTEMPTED' });
+      await trx('audit_logs').insert({ ...row, outcome: 'REJECTED', reason: 'INSUFFICIENT_FUNDS' });
+    });
+  });
+
+  test('A transaction trace reads in the order it was written', async () => {
+    const result = await listAuditLogs({
+      filters: { targetType: 'TRANSACTION', targetId: transactionId },
+      order: 'asc',
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.auditLogs.map((log) => `${log.action}:${log.outcome}`)).toEqual([
+      'TRANSFER:ATTEMPTED',
+      'RISK_RULE_HIT:FLAGGED',
+      'TRANSFER:FLAGGED',
+    ]);
+    expect(result.nextCursor).toBeNull();
+
+    // the three rows share one created_at; newest first is the exact reverse
+    const newestFirst = await listAuditLogs({ filters: { targetId: transactionId } });
+    expect(newestFirst.auditLogs.map((log) => log.auditLogId))
+      .toEqual(result.auditLogs.map((log) => log.auditLogId).reverse());
+  });
+
+  test('Filters combine', async () => {
+    const byActor = await listAuditLogs({ filters: { actorType: 'USER', actorId } });
+    expect(byActor.auditLogs).toHaveLength(4);
+
+    const rejected = await listAuditLogs({ filters: { actorId, outcome: 'REJECTED' } });
+    expect(rejected.auditLogs).toHaveLength(1);
+    expect(rejected.auditLogs[0]).toMatchObject({
+      targetId: otherTransactionId,
+      reason: 'INSUFFICIENT_FUNDS',
+    });
+
+    const ruleHits = await listAuditLogs({
+      filters: { action: 'RISK_RULE_HIT', targetId: transactionId },
+    });
+    expect(ruleHits.auditLogs).toHaveLength(1);
+
+    const future = await listAuditLogs({
+      filters: { actorId, from: new Date(Date.now() + 60 * 60 * 1000) },
+    });
+    expect(future.auditLogs).toHaveLength(0);
+
+    const past = await listAuditLogs({
+      filters: { actorId, to: new Date(Date.now() - 60 * 60 * 1000) },
+    });
+    expect(past.auditLogs).toHaveLength(0);
+  });
+
+  test('Keyset pagination visits every row once, in both directions', async () => {
+    const walk = async (order) => {
+      const seen = [];
+      let cursor = null;
+      do {
+        // eslint-disable-next-line no-await-in-loop
+        const page = await listAuditLogs({ filters: { actorId }, order, cursor, limit: 1 });
+        seen.push(...page.auditLogs.map((log) => log.auditLogId));
+        cursor = page.nextCursor;
+      } while (cursor);
+      return seen;
+    };
+
+    const newestFirst = await walk('desc');
+    const oldestFirst = await walk('asc');
+
+    expect(newestFirst).toHaveLength(4);
+    expect(new Set(newestFirst).size).toBe(4);
+    expect(oldestFirst).toEqual([...newestFirst].reverse());
+
+    const tampered = [
+      'not-a-cursor',
+      ...[
+        { createdAt: 'yesterday', seq: '1' },
+        { createdAt: '2026-02-30 10:00:00+00', seq: '1' },
+        { createdAt: '2026-10-19 10:00:00+00', seq: '99999999999999999999' },
+      ].map((payload) => Buffer.from(JSON.stringify(payload)).toString('base64url')),
+    ];
+    await Promise.all(tampered.map(async (cursor) => {
+      expect(await listAuditLogs({ cursor })).toEqual({ success: false, reason: 'INVALID_CURSOR' });
+    }));
+  });
+
+  test('Exports return every matching row and flag truncation', async () => {
+    const full = await exportAuditLogs({ filters: { actorId }, order: 'asc' });
+    expect(full.auditLogs).toHaveLength(4);
+    expect(full.truncated).toBe(false);
+
+    const cut = await exportAuditLogs({ filters: { actorId }, maxRows: 3 });
+    expect(cut.auditLogs).toHaveLength(3);
+    expect(cut.truncated).toBe(true);
+  });
+
+  test('CSV values are quoted and defused', () => {
+    const csv = toCsv(['a', 'b', 'c'], [
+      { a: 'plain', b: 'with, comma', c: 'say "hi"' },
+      { a: '=SUM(A1)', b: null, c: 'line\nbreak' },
+    ]);
+
+    expect(csv.split('\r\n')).toEqual([
+      'a,b,c',
+      'plain,"with, comma","say ""hi"""',
+      '\'=SUM(A1),,"line\nbreak"',
+    ]);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Cash Service — SYSTEM FAILURE after balance update
+ *
+ * This test verifies that:
+ * - a failure after the balance update rolls the whole deposit back
+ * - the transaction is recorded as FAILED
+ * - a SYSTEM audit log entry is recorded
+ *
+ * Failure injection strategy:
+ * - use a test-only failpoint: { failpoint: 'AFTER_BALANCE_UPDATE' }
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const { depositFunds } = require('../../services/cashService');
+
+describe('Cash Service — SYSTEM FAILURE after balance update', () => {
+  const initialBalance = 1000;
+
+  test('Rollback occurs if the ledger write fails after the balance update', async () => {
+    // ==================== ARRANGE ====================
+    const [user] = await knex('users')
+      .insert({ username: 'testuser_deposit_fail', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+
+    const [account] = await knex('accounts')
+      .insert({ user_id: user.user_id, status: 'ACTIVE', current_balance: initialBalance })
+      .returning('*');
+
+    const idempotencyKey = crypto.randomUUID();
+
+    // ==================== ACT ====================
+    await expect(
+      depositFunds({
+        initiatorUserId: user.user_id,
+        toAccountId: account.account_id,
+        amount: 300,
+        idempotencyKey,
+        failpoint: 'AFTER_BALANCE_UPDATE',
+      }),
+    ).rejects.toThrow('DEPOSIT_SYSTEM_FAILURE: LEDGER_WRITE_FAILED_ROLLBACK');
+
+    // ==================== ASSERT ====================
+    const updatedAccount = await knex('accounts')
+      .where({ account_id: account.account_id })
+      .first();
+    expect(Number(updatedAccount.current_balance)).toBe(initialBalance);
+
+    const transactions = await knex('transactions')
+      .where({ idempotency_key: idempotencyKey, type: 'DEPOSIT' });
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0].status).toBe('FAILED');
+    expect(transactions[0].failure_reason).toBe('LEDGER_WRITE_FAILED_ROLLBACK');
+
+    const auditLogs = await knex('audit_logs')
+      .where({ target_id: transactions[0].transaction_id, action: 'DEPOSIT' });
+    expect(auditLogs).toHaveLength(1);
+    expect(auditLogs[0].actor_type).toBe('SYSTEM');
+    expect(auditLogs[0].actor_id).toBe('CASH_SERVICE');
+    expect(auditLogs[0].outcome).toBe('FAILED');
+  });
+});
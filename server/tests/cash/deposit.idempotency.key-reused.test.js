@@ -0,0 +1,138 @@
+/**
+ * Cash Service — Idempotency Key Reuse
+ *
+ * This test verifies that:
+ * - the request fingerprint is stored with the deposit
+ * - replaying the same request is flagged as replayed, and the controller
+ *   answers it with the Idempotent-Replayed header
+ * - reusing the key with a different amount or account returns
+ *   IDEMPOTENCY_KEY_REUSED (422) instead of the stored response
+ * - a reused key causes no side effects (no new rows, balances unchanged)
+ *
+ * This test talks to the service layer, and calls the controller directly
+ * with a minimal req / res (no HTTP server).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const { depositFunds } = require('../../services/cashService');
+const cashController = require('../../controllers/cashController');
+
+describe('Cash Service — Idempotency Key Reuse', () => {
+  let testUserId;
+  let accountId;
+  let otherAccountId;
+
+  /**
+   * Run createDeposit and return the status, headers and JSON body it answered with.
+   */
+  const postDeposit = async (body, idempotencyKey) => {
+    const req = {
+      body,
+      session: { userId: testUserId },
+      header: (name) => (name === 'Idempotency-Key' ? idempotencyKey : undefined),
+    };
+    const answer = { status: 200, headers: {}, body: null };
+    const res = {
+      status: (code) => {
+        answer.status = code;
+        return res;
+      },
+      json: (payload) => {
+        answer.body = payload;
+        return res;
+      },
+      set: (name, value) => {
+        answer.headers[name] = value;
+        return res;
+      },
+    };
+
+    await cashController.createDeposit(req, res, (error) => {
+      throw error;
+    });
+
+    return answer;
+  };
+
+  beforeAll(async () => {
+    const [user] = await knex('users')
+      .insert({ username: 'testuser_cash_idempotency_reuse', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+    testUserId = user.user_id;
+
+    const accounts = await knex('accounts')
+      .insert([
+        { user_id: testUserId, status: 'ACTIVE', current_balance: 0 },
+        { user_id: testUserId, status: 'ACTIVE', current_balance: 0 },
+      ])
+      .returning('*');
+    [accountId, otherAccountId] = accounts.map((a) => a.account_id);
+  });
+
+  test('A reused key with a different payload is refused without side effects', async () => {
+    // ==================== ARRANGE ====================
+    const idempotencyKey = crypto.randomUUID();
+    const request = {
+      initiatorUserId: testUserId,
+      toAccountId: accountId,
+      amount: 3000,
+      idempotencyKey,
+    };
+
+    // ==================== ACT ====================
+    const first = await depositFunds(request);
+    const replay = await depositFunds(request);
+    const differentAmount = await depositFunds({ ...request, amount: 3001 });
+    const differentAccount = await depositFunds({ ...request, toAccountId: otherAccountId });
+
+    const replayedOverHttp = await postDeposit(
+      { toAccountId: accountId, amount: 3000 },
+      idempotencyKey,
+    );
+    const reusedOverHttp = await postDeposit(
+      { toAccountId: accountId, amount: 3001 },
+      idempotencyKey,
+    );
+
+    // ==================== ASSERT ====================
+
+    // 1) First call succeeds and stores the fingerprint
+    expect(first.success).toBe(true);
+    expect(first.replayed).toBeUndefined();
+
+    const transactions = await knex('transactions')
+      .where({ idempotency_key: idempotencyKey, type: 'DEPOSIT' });
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0].request_fingerprint).toMatch(/^[0-9a-f]{64}$/);
+
+    // 2) Identical request replays the stored response
+    expect(replay.replayed).toBe(true);
+    expect(replay.transactionId).toBe(first.transactionId);
+
+    expect(replayedOverHttp.status).toBe(201);
+    expect(replayedOverHttp.headers['Idempotent-Replayed']).toBe('true');
+    expect(replayedOverHttp.body.transactionId).toBe(first.transactionId);
+
+    // 3) Different payloads are refused
+    [differentAmount, differentAccount].forEach((result) => {
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('IDEMPOTENCY_KEY_REUSED');
+      expect(result.transactionId).toBe(first.transactionId);
+    });
+
+    expect(reusedOverHttp.status).toBe(422);
+    expect(reusedOverHttp.body.error).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(reusedOverHttp.headers['Idempotent-Replayed']).toBeUndefined();
+
+    // 4) No side effects from the refused calls
+    const account = await knex('accounts').where({ account_id: accountId }).first();
+    const otherAccount = await knex('accounts').where({ account_id: otherAccountId }).first();
+    expect(Number(account.current_balance)).toBe(3000);
+    expect(Number(otherAccount.current_balance)).toBe(0);
+
+    const ledgerEntries = await knex('ledger_entries')
+      .whereIn('account_id', [accountId, otherAccountId]);
+    expect(ledgerEntries).toHaveLength(1);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Cash Service — Successful Deposit
+ *
+ * This test verifies that:
+ * - a deposit into an ACTIVE owned account succeeds
+ * - the balance increases by the amount
+ * - exactly ONE positive ledger entry is written
+ * - the transaction row has the DEPOSIT shape (to_account_id only)
+ * - audit logs record ATTEMPTED and SUCCEEDED outcomes
+ * - replaying the idempotency key has no further side effects
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const { depositFunds } = require('../../services/cashService');
+
+describe('Cash Service — Successful Deposit', () => {
+  const initialBalance = 1000;
+  const depositAmount = 2500;
+
+  test('Deposit updates balance, ledger, transactions and audit logs; replays are idempotent', async () => {
+    // ==================== ARRANGE ====================
+    const [user] = await knex('users')
+      .insert({ username: 'testuser_deposit', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+
+    const [account] = await knex('accounts')
+      .insert({ user_id: user.user_id, status: 'ACTIVE', current_balance: initialBalance })
+      .returning('*');
+
+    const idempotencyKey = crypto.randomUUID();
+    const request = {
+      initiatorUserId: user.user_id,
+      toAccountId: account.account_id,
+      amount: depositAmount,
+      idempotencyKey,
+    };
+
+    // ==================== ACT ====================
+    const result = await depositFunds(request);
+    const replay = await depositFunds(request);
+
+    // ==================== ASSERT ====================
+
+    // 1) Result indicates success and the replay returns the same transaction
+    expect(result.success).toBe(true);
+    expect(result.status).toBe('SUCCEEDED');
+    expect(result.accountId).toBe(account.account_id);
+    expect(result.amount).toBe(depositAmount);
+    expect(replay.transactionId).toBe(result.transactionId);
+
+    const { transactionId } = result;
+
+    // 2) Transactions table: DEPOSIT shape
+    const transactions = await knex('transactions')
+      .where({ idempotency_key: idempotencyKey, type: 'DEPOSIT' });
+
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0].status).toBe('SUCCEEDED');
+    expect(transactions[0].from_account_id).toBeNull();
+    expect(transactions[0].to_account_id).toBe(account.account_id);
+
+    // 3) Balance applied exactly once
+    const updatedAccount = await knex('accounts')
+      .where({ account_id: account.account_id })
+      .first();
+    expect(Number(updatedAccount.current_balance)).toBe(initialBalance + depositAmount);
+
+    // 4) Exactly ONE positive ledger entry
+    const ledgerEntries = await knex('ledger_entries').where({ transaction_id: transactionId });
+    expect(ledgerEntries).toHaveLength(1);
+    expect(Number(ledgerEntries[0].amount)).toBe(depositAmount);
+    expect(ledgerEntries[0].account_id).toBe(account.account_id);
+
+    // 5) Audit logs: ATTEMPTED and SUCCEEDED
+    const auditLogs = await knex('audit_logs')
+      .where({ target_id: transactionId, target_type: 'TRANSACTION', action: 'DEPOSIT' });
+
+    expect(auditLogs.map((log) => log.outcome).sort()).toEqual(['ATTEMPTED', 'SUCCEEDED']);
+    auditLogs.forEach((log) => {
+      expect(log.actor_type).toBe('USER');
+      expect(log.actor_id).toBe(user.user_id);
+    });
+  });
+});
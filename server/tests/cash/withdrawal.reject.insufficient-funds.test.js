@@ -0,0 +1,79 @@
+/**
+ * Cash Service — Withdrawal INSUFFICIENT_FUNDS Rejection
+ *
+ * This test verifies that:
+ * - a withdrawal larger than the balance is REJECTED
+ * - the balance is unchanged and no ledger entry is written
+ * - audit logs record ATTEMPTED and REJECTED outcomes
+ * - a covered withdrawal then succeeds with ONE negative ledger entry
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const { withdrawFunds } = require('../../services/cashService');
+
+describe('Cash Service — Withdrawal INSUFFICIENT_FUNDS Rejection', () => {
+  const initialBalance = 500;
+
+  test('Withdrawal is REJECTED when amount exceeds balance', async () => {
+    // ==================== ARRANGE ====================
+    const [user] = await knex('users')
+      .insert({ username: 'testuser_withdraw_insufficient', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+
+    const [account] = await knex('accounts')
+      .insert({ user_id: user.user_id, status: 'ACTIVE', current_balance: initialBalance })
+      .returning('*');
+
+    // ==================== ACT ====================
+    const rejected = await withdrawFunds({
+      initiatorUserId: user.user_id,
+      fromAccountId: account.account_id,
+      amount: 1000,
+      idempotencyKey: crypto.randomUUID(),
+    });
+
+    const succeeded = await withdrawFunds({
+      initiatorUserId: user.user_id,
+      fromAccountId: account.account_id,
+      amount: 200,
+      idempotencyKey: crypto.randomUUID(),
+    });
+
+    // ==================== ASSERT ====================
+
+    // 1) Rejected withdrawal
+    expect(rejected.success).toBe(false);
+    expect(rejected.status).toBe('REJECTED');
+    expect(rejected.reason).toBe('INSUFFICIENT_FUNDS');
+
+    const rejectedTx = await knex('transactions')
+      .where({ transaction_id: rejected.transactionId })
+      .first();
+    expect(rejectedTx.type).toBe('WITHDRAWAL');
+    expect(rejectedTx.failure_reason).toBe('INSUFFICIENT_FUNDS');
+
+    const rejectedLedger = await knex('ledger_entries')
+      .where({ transaction_id: rejected.transactionId });
+    expect(rejectedLedger).toHaveLength(0);
+
+    const auditLogs = await knex('audit_logs')
+      .where({ target_id: rejected.transactionId, action: 'WITHDRAWAL' });
+    expect(auditLogs.map((log) => log.outcome).sort()).toEqual(['ATTEMPTED', 'REJECTED']);
+
+    // 2) Covered withdrawal
+    expect(succeeded.success).toBe(true);
+
+    const ledgerEntries = await knex('ledger_entries')
+      .where({ transaction_id: succeeded.transactionId });
+    expect(ledgerEntries).toHaveLength(1);
+    expect(Number(ledgerEntries[0].amount)).toBe(-200);
+
+    const updatedAccount = await knex('accounts')
+      .where({ account_id: account.account_id })
+      .first();
+    expect(Number(updatedAccount.current_balance)).toBe(initialBalance - 200);
+  });
+});
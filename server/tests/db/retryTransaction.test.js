@@ -0,0 +1,65 @@
+/**
+ * retryTransaction — Deadlock / serialization retries
+ *
+ * This test verifies that:
+ * - work aborted with 40001 / 40P01 is rolled back and re-run
+ * - writes from the aborted attempt do not survive
+ * - non-retryable errors are rethrown immediately
+ * - retries stop after maxAttempts
+ */
+
+const knex = require('../../db/knex');
+const retryTransaction = require('../../db/retryTransaction');
+
+const pgError = (code) => Object.assign(new Error(`pg error ${code}`), { code });
+
+describe('retryTransaction — Deadlock / serialization retries', () => {
+  let testUserId;
+
+  beforeAll(async () => {
+    const [user] = await knex('users')
+      .insert({ username: 'testuser_retry_transaction', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+    testUserId = user.user_id;
+  });
+
+  test('Retryable failures roll back and run the work again', async () => {
+    let attempts = 0;
+
+    const result = await retryTransaction(async (trx) => {
+      attempts += 1;
+      await trx('accounts').insert({ user_id: testUserId });
+      if (attempts < 3) throw pgError(attempts === 1 ? '40P01' : '40001');
+      return 'done';
+    }, { baseDelayMs: 1 });
+
+    expect(result).toBe('done');
+    expect(attempts).toBe(3);
+
+    // only the successful attempt's insert was committed
+    const accounts = await knex('accounts').where({ user_id: testUserId });
+    expect(accounts).toHaveLength(1);
+  });
+
+  test('Non-retryable errors are not retried', async () => {
+    let attempts = 0;
+
+    await expect(retryTransaction(async () => {
+      attempts += 1;
+      throw pgError('23505');
+    })).rejects.toThrow('pg error 23505');
+
+    expect(attempts).toBe(1);
+  });
+
+  test('Retries stop after maxAttempts', async () => {
+    let attempts = 0;
+
+    await expect(retryTransaction(async () => {
+      attempts += 1;
+      throw pgError('40P01');
+    }, { maxAttempts: 3, baseDelayMs: 1 })).rejects.toThrow('pg error 40P01');
+
+    expect(attempts).toBe(3);
+  });
+});
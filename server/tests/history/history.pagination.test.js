@@ -0,0 +1,160 @@
+/**
+ * Transaction History Service — Listing, filters and cursor pagination
+ *
+ * This test verifies that:
+ * - an account's history lists its ledger entries newest first,
+ *   joined to their transactions, with a correct running balance
+ * - keyset cursors walk every entry exactly once; tampered cursors are
+ *   refused as INVALID_CURSOR instead of reaching the database
+ * - type / amount filters narrow the result
+ * - another user's account is reported as ACCOUNT_NOT_FOUND
+ * - the user-wide history spans all of the user's accounts and no one else's
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const { depositFunds, withdrawFunds } = require('../../services/cashService');
+const { transferFunds } = require('../../services/transferService');
+const {
+  listAccountTransactions,
+  listUserTransactions,
+} = require('../../services/transactionHistoryService');
+
+describe('Transaction History Service — Listing, filters and cursor pagination', () => {
+  let userId;
+  let otherUserId;
+  let checkingId;
+  let savingsId;
+
+  const newKey = () => crypto.randomUUID();
+
+  beforeAll(async () => {
+    const [user] = await knex('users')
+      .insert({ username: 'testuser_history', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+    const [other] = await knex('users')
+      .insert({ username: 'testuser_history_other', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+    userId = user.user_id;
+    otherUserId = other.user_id;
+
+    const [checking] = await knex('accounts').insert({ user_id: userId }).returning('*');
+    const [savings] = await knex('accounts').insert({ user_id: userId }).returning('*');
+    const [otherAccount] = await knex('accounts').insert({ user_id: otherUserId }).returning('*');
+    checkingId = checking.account_id;
+    savingsId = savings.account_id;
+
+    // checking: +1000, -200, -300 (transfer to savings), +50
+    await depositFunds({
+      initiatorUserId: userId, toAccountId: checkingId, amount: 1000, idempotencyKey: newKey(),
+    });
+    await withdrawFunds({
+      initiatorUserId: userId, fromAccountId: checkingId, amount: 200, idempotencyKey: newKey(),
+    });
+    await transferFunds({
+      initiatorUserId: userId,
+      fromAccountId: checkingId,
+      toAccountId: savingsId,
+      amount: 300,
+      idempotencyKey: newKey(),
+    });
+    await depositFunds({
+      initiatorUserId: userId, toAccountId: checkingId, amount: 50, idempotencyKey: newKey(),
+    });
+
+    // noise on someone else's account
+    await depositFunds({
+      initiatorUserId: otherUserId,
+      toAccountId: otherAccount.account_id,
+      amount: 999,
+      idempotencyKey: newKey(),
+    });
+  });
+
+  test('Account history is newest first with running balances', async () => {
+    const result = await listAccountTransactions({ userId, accountId: checkingId });
+
+    expect(result.success).toBe(true);
+    expect(result.nextCursor).toBeNull();
+    expect(result.transactions.map((t) => t.amount)).toEqual([50, -300, -200, 1000]);
+    expect(result.transactions.map((t) => t.runningBalance)).toEqual([550, 500, 800, 1000]);
+    expect(result.transactions.map((t) => t.type))
+      .toEqual(['DEPOSIT', 'TRANSFER', 'WITHDRAWAL', 'DEPOSIT']);
+
+    const transfer = result.transactions[1];
+    expect(transfer.direction).toBe('DEBIT');
+    expect(transfer.counterpartyAccountId).toBe(savingsId);
+    expect(transfer.status).toBe('SUCCEEDED');
+  });
+
+  test('Cursor pagination visits every entry exactly once', async () => {
+    const firstPage = await listAccountTransactions({ userId, accountId: checkingId, limit: 3 });
+    expect(firstPage.transactions).toHaveLength(3);
+    expect(firstPage.nextCursor).not.toBeNull();
+
+    const secondPage = await listAccountTransactions({
+      userId, accountId: checkingId, limit: 3, cursor: firstPage.nextCursor,
+    });
+    expect(secondPage.transactions).toHaveLength(1);
+    expect(secondPage.nextCursor).toBeNull();
+
+    const ids = [...firstPage.transactions, ...secondPage.transactions].map((t) => t.ledgerEntryId);
+    expect(new Set(ids).size).toBe(4);
+
+    const badCursor = await listAccountTransactions({
+      userId, accountId: checkingId, cursor: 'not-a-cursor',
+    });
+    expect(badCursor.success).toBe(false);
+    expect(badCursor.reason).toBe('INVALID_CURSOR');
+
+    const { id } = JSON.parse(Buffer.from(firstPage.nextCursor, 'base64url').toString('utf8'));
+    const tampered = [
+      { createdAt: 'yesterday', id },
+      { createdAt: '2026-02-30 10:00:00+00', id },
+      { createdAt: '2026-10-19 10:00:00+00', id: 'not-a-uuid' },
+    ];
+    await Promise.all(tampered.map(async (payload) => {
+      const result = await listAccountTransactions({
+        userId,
+        accountId: checkingId,
+        cursor: Buffer.from(JSON.stringify(payload)).toString('base64url'),
+      });
+      expect(result).toEqual({ success: false, reason: 'INVALID_CURSOR' });
+    }));
+  });
+
+  test('Filters narrow the result', async () => {
+    const deposits = await listAccountTransactions({
+      userId, accountId: checkingId, filters: { type: 'DEPOSIT' },
+    });
+    expect(deposits.transactions.map((t) => t.amount)).toEqual([50, 1000]);
+    // running balance ignores filters
+    expect(deposits.transactions.map((t) => t.runningBalance)).toEqual([550, 1000]);
+
+    const large = await listAccountTransactions({
+      userId, accountId: checkingId, filters: { minAmount: 250, maxAmount: 1000 },
+    });
+    expect(large.transactions.map((t) => t.amount)).toEqual([-300, 1000]);
+
+    const future = await listAccountTransactions({
+      userId, accountId: checkingId, filters: { from: new Date(Date.now() + 60 * 60 * 1000) },
+    });
+    expect(future.transactions).toHaveLength(0);
+  });
+
+  test('History is scoped to accounts the user owns', async () => {
+    const hidden = await listAccountTransactions({ userId: otherUserId, accountId: checkingId });
+    expect(hidden.success).toBe(false);
+    expect(hidden.reason).toBe('ACCOUNT_NOT_FOUND');
+
+    const userWide = await listUserTransactions({ userId });
+    expect(userWide.success).toBe(true);
+    // 4 checking entries + 1 savings credit
+    expect(userWide.transactions).toHaveLength(5);
+    userWide.transactions.forEach((t) => {
+      expect([checkingId, savingsId]).toContain(t.accountId);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Hold Service — Authorize, capture, void and expiry
+ *
+ * This test verifies that:
+ * - an authorization lowers available_balance without moving money
+ * - holds cannot over-commit funds, neither through more holds nor through
+ *   other debits; the DB itself refuses held_balance > current_balance
+ * - a partial capture moves the captured amount through a TRANSFER with
+ *   ledger entries and releases the rest; a hold is captured only once
+ * - void and expiry release the reserved funds
+ * - people who are not a party to a hold cannot see it
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const {
+  authorizeHold,
+  captureHold,
+  voidHold,
+  getHold,
+  expireHolds,
+} = require('../../services/holdService');
+const { transferFunds } = require('../../services/transferService');
+
+describe('Hold Service — Authorize, capture, void and expiry', () => {
+  let payerId;
+  let merchantId;
+  let strangerId;
+  let payerAccountId;
+  let merchantAccountId;
+
+  const balancesOf = async (accountId) => {
+    const account = await knex('accounts').where({ account_id: accountId }).first();
+    return {
+      current: Number(account.current_balance),
+      held: Number(account.held_balance),
+      available: Number(account.available_balance),
+    };
+  };
+
+  const authorize = (amount, options = {}) => authorizeHold({
+    initiatorUserId: payerId,
+    fromAccountId: payerAccountId,
+    toAccountId: merchantAccountId,
+    amount,
+    idempotencyKey: crypto.randomUUID(),
+    ...options,
+  });
+
+  beforeAll(async () => {
+    const users = await knex('users')
+      .insert([
+        { username: 'testuser_hold_payer', password_hash: 'TEST_ONLY_HASH' },
+        { username: 'testuser_hold_merchant', password_hash: 'TEST_ONLY_HASH' },
+        { username: 'testuser_hold_stranger', password_hash: 'TEST_ONLY_HASH' },
+      ])
+      .returning('*');
+    [payerId, merchantId, strangerId] = users.map((u) => u.user_id);
+
+    const accounts = await knex('accounts')
+      .insert([
+        { user_id: payerId, status: 'ACTIVE', current_balance: 10000 },
+        { user_id: merchantId, status: 'ACTIVE', current_balance: 0 },
+      ])
+      .returning('*');
+    [payerAccountId, merchantAccountId] = accounts.map((a) => a.account_id);
+  });
+
+  test('Holds reserve funds, and a partial capture releases the rest', async () => {
+    // ==================== ACT ====================
+    const hold = await authorize(6000);
+    const afterAuthorize = await balancesOf(payerAccountId);
+
+    const overHold = await authorize(5000);
+    const overTransfer = await transferFunds({
+      initiatorUserId: payerId,
+      fromAccountId: payerAccountId,
+      toAccountId: merchantAccountId,
+      amount: 5000,
+      idempotencyKey: crypto.randomUUID(),
+    });
+
+    const capture = await captureHold({ userId: merchantId, holdId: hold.holdId, amount: 2500 });
+    const secondCapture = await captureHold({ userId: payerId, holdId: hold.holdId });
+
+    // ==================== ASSERT ====================
+
+    // 1) Authorization reserves without moving money
+    expect(hold.status).toBe('AUTHORIZED');
+    expect(afterAuthorize).toEqual({ current: 10000, held: 6000, available: 4000 });
+
+    // 2) Neither another hold nor a transfer can spend reserved funds
+    expect(overHold.status).toBe('REJECTED');
+    expect(overHold.reason).toBe('INSUFFICIENT_FUNDS');
+    expect(overTransfer.status).toBe('REJECTED');
+    expect(overTransfer.reason).toBe('INSUFFICIENT_FUNDS');
+
+    // 3) Capture settles 2500 through a TRANSFER and releases 3500
+    expect(capture).toMatchObject({
+      success: true,
+      status: 'CAPTURED',
+      amount: 2500,
+      releasedAmount: 3500,
+    });
+    expect(await balancesOf(payerAccountId)).toEqual({ current: 7500, held: 0, available: 7500 });
+    expect((await balancesOf(merchantAccountId)).current).toBe(2500);
+
+    const settlement = await knex('transactions')
+      .where({ transaction_id: capture.transactionId })
+      .first();
+    expect(settlement.type).toBe('TRANSFER');
+    expect(settlement.status).toBe('SUCCEEDED');
+
+    const settlementLedger = await knex('ledger_entries')
+      .where({ transaction_id: capture.transactionId })
+      .orderBy('amount', 'asc');
+    expect(settlementLedger.map((e) => Number(e.amount))).toEqual([-2500, 2500]);
+
+    // 4) A hold is captured only once
+    expect(secondCapture.status).toBe('REJECTED');
+    expect(secondCapture.reason).toBe('HOLD_NOT_AUTHORIZED');
+
+    const captureAudit = await knex('audit_logs')
+      .where({ action: 'HOLD_CAPTURE', target_id: hold.holdId })
+      .orderBy('created_at', 'asc');
+    expect(captureAudit.map((log) => log.outcome))
+      .toEqual(['ATTEMPTED', 'SUCCEEDED', 'ATTEMPTED', 'REJECTED']);
+  });
+
+  test('Void and expiry release reserved funds', async () => {
+    // ==================== ARRANGE ====================
+    const before = await balancesOf(payerAccountId);
+    const now = new Date();
+
+    // ==================== ACT ====================
+    const toVoid = await authorize(1000);
+    const voided = await voidHold({ userId: payerId, holdId: toVoid.holdId });
+
+    const toExpire = await authorize(1000, { ttlMinutes: 1, now });
+    const beforeExpiry = await balancesOf(payerAccountId);
+    const summary = await expireHolds({ now: new Date(now.getTime() + 2 * 60 * 1000) });
+    const lateCapture = await captureHold({ userId: merchantId, holdId: toExpire.holdId });
+
+    // ==================== ASSERT ====================
+    expect(voided.success).toBe(true);
+    expect(voided.hold.status).toBe('VOIDED');
+
+    expect(beforeExpiry.held).toBe(before.held + 1000);
+    expect(summary.expired).toContain(toExpire.holdId);
+    expect(lateCapture.reason).toBe('HOLD_NOT_AUTHORIZED');
+
+    expect(await balancesOf(payerAccountId)).toEqual(before);
+
+    const expiryAudit = await knex('audit_logs')
+      .where({ action: 'HOLD_EXPIRE', target_id: toExpire.holdId })
+      .first();
+    expect(expiryAudit.actor_type).toBe('SYSTEM');
+    expect(expiryAudit.outcome).toBe('SUCCEEDED');
+  });
+
+  test('Strangers cannot see holds and the DB refuses over-commitment', async () => {
+    // ==================== ARRANGE ====================
+    const hold = await authorize(100);
+
+    // ==================== ACT ====================
+    const seenByStranger = await getHold({ userId: strangerId, holdId: hold.holdId });
+    const voidedByStranger = await voidHold({ userId: strangerId, holdId: hold.holdId });
+    const seenByMerchant = await getHold({ userId: merchantId, holdId: hold.holdId });
+
+    // ==================== ASSERT ====================
+    expect(seenByStranger.error).toBe('HOLD_NOT_FOUND');
+    expect(voidedByStranger.error).toBe('HOLD_NOT_FOUND');
+    expect(seenByMerchant.hold.status).toBe('AUTHORIZED');
+
+    await expect(
+      knex('accounts')
+        .where({ account_id: payerAccountId })
+        .update({ held_balance: knex.raw('current_balance + 1') }),
+    ).rejects.toThrow(/chk_accounts_available_balance/);
+  });
+});
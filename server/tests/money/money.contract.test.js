@@ -0,0 +1,68 @@
+/**
+ * Money — Minor-unit contract
+ *
+ * This test verifies that:
+ * - only positive, safe integer amounts of cents are accepted
+ * - decimals are refused instead of being truncated by bigint columns
+ * - bigint column values round-trip to numbers, and unsafe ones throw
+ * - transferFunds refuses a decimal amount before touching the database
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const { validateAmount, fromDbAmount, MAX_AMOUNT } = require('../../utils/money');
+const { transferFunds } = require('../../services/transferService');
+
+describe('Money — Minor-unit contract', () => {
+  test('validateAmount accepts integer cents and explains every refusal', () => {
+    expect(validateAmount(1)).toBeNull();
+    expect(validateAmount(1234)).toBeNull();
+    expect(validateAmount(MAX_AMOUNT)).toBeNull();
+
+    expect(validateAmount('1234').error).toBe('INVALID_TYPE');
+    expect(validateAmount(NaN).error).toBe('INVALID_TYPE');
+    expect(validateAmount(Infinity).error).toBe('INVALID_TYPE');
+    expect(validateAmount(12.34).error).toBe('INVALID_AMOUNT_PRECISION');
+    expect(validateAmount(0).error).toBe('INVALID_AMOUNT');
+    expect(validateAmount(-5).error).toBe('INVALID_AMOUNT');
+    expect(validateAmount(MAX_AMOUNT + 1).error).toBe('AMOUNT_OUT_OF_RANGE');
+  });
+
+  test('fromDbAmount converts bigint strings and refuses unsafe values', () => {
+    expect(fromDbAmount('1234')).toBe(1234);
+    expect(fromDbAmount('-500')).toBe(-500);
+    expect(fromDbAmount(String(MAX_AMOUNT))).toBe(MAX_AMOUNT);
+
+    expect(() => fromDbAmount('9007199254740993')).toThrow(RangeError);
+  });
+
+  test('transferFunds refuses a decimal amount without side effects', async () => {
+    // ==================== ARRANGE ====================
+    const [user] = await knex('users')
+      .insert({ username: 'testuser_money_contract', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+    const accounts = await knex('accounts')
+      .insert([
+        { user_id: user.user_id, status: 'ACTIVE', current_balance: 10000 },
+        { user_id: user.user_id, status: 'ACTIVE', current_balance: 0 },
+      ])
+      .returning('*');
+    const [fromAccountId, toAccountId] = accounts.map((a) => a.account_id);
+
+    // ==================== ACT ====================
+    const result = await transferFunds({
+      initiatorUserId: user.user_id,
+      fromAccountId,
+      toAccountId,
+      amount: 12.34,
+      idempotencyKey: crypto.randomUUID(),
+    });
+
+    // ==================== ASSERT ====================
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('INVALID_AMOUNT');
+
+    const transactions = await knex('transactions').where({ initiator_user_id: user.user_id });
+    expect(transactions).toHaveLength(0);
+  });
+});
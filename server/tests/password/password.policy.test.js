@@ -0,0 +1,214 @@
+/**
+ * Passwords — Policy and breached-password list
+ *
+ * This test verifies that:
+ * - each rule (length, character classes, username, breached list) is
+ *   reported separately, with nothing reported for a good password
+ * - the hashed-prefix list matches passwords as typed or in lowercase,
+ *   looks up by prefix only, and rejects malformed files
+ * - registration, password change and reset all apply the policy, answer
+ *   with every violation, and audit the broken rules
+ * - a rejected reset leaves the token usable
+ * - passwords that are not strings are refused with 400, never a 500
+ *
+ * Registration and the non-string checks call the controllers with a
+ * minimal req / res (no HTTP server); change and reset talk to the
+ * service layer.
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const User = require('../../models/User');
+const authControllers = require('../../controllers/authControllers');
+const { checkPassword } = require('../../policies/passwordPolicy');
+const {
+  hashPassword,
+  createBreachedPasswordList,
+  getDefaultBreachedPasswordList,
+} = require('../../services/breachedPasswordService');
+const {
+  changePassword,
+  requestPasswordReset,
+  resetPassword,
+} = require('../../services/passwordService');
+
+describe('Passwords — Policy and breached-password list', () => {
+  const GOOD_PASSWORD = 'Tr0ub4dor & Co';
+
+  const latestAudit = (action) => knex('audit_logs')
+    .where({ action })
+    .orderBy('sequence_number', 'desc')
+    .first();
+
+  describe('Rules', () => {
+    const rules = (password, options) => checkPassword(password, options).map(({ rule }) => rule);
+
+    test('A long, mixed password passes', () => {
+      expect(checkPassword(GOOD_PASSWORD, { username: 'alice' })).toEqual([]);
+    });
+
+    test.each([
+      ['Sh0rt!', ['MIN_LENGTH']],
+      ['all lowercase words', ['CHARACTER_CLASSES']],
+      ['111111111111', ['CHARACTER_CLASSES', 'BREACHED']],
+      [`Aa1!${'x'.repeat(70)}`, ['MAX_LENGTH']],
+      ['Password123!', ['BREACHED']],
+      ['pw1', ['MIN_LENGTH', 'CHARACTER_CLASSES']],
+    ])('%s breaks %j', (password, expected) => {
+      expect(rules(password, { username: 'alice' })).toEqual(expected);
+    });
+
+    test('The username may not appear in any case; very short usernames are ignored', () => {
+      expect(rules('My-ALICE-pass-42', { username: 'alice' })).toEqual(['CONTAINS_USERNAME']);
+      expect(rules('My-ALICE-pass-42', { username: 'al' })).toEqual([]);
+    });
+
+    test('Each violation carries a message for the form', () => {
+      const [violation] = checkPassword('Sh0rt!', { minLength: 8 });
+      expect(violation).toEqual({ rule: 'MIN_LENGTH', message: 'Use at least 8 characters.' });
+    });
+  });
+
+  describe('Breached-password list', () => {
+    test('Matches by prefix and suffix, as typed or in lowercase', () => {
+      const { prefix, suffix } = hashPassword('hunter22hunter');
+      const list = createBreachedPasswordList(['# comment', '', `${prefix}:${suffix}`]);
+
+      expect(list.range(prefix)).toEqual(new Set([suffix]));
+      expect(list.range('00000').size).toBe(0);
+      expect(list.isBreached('hunter22hunter')).toBe(true);
+      expect(list.isBreached('Hunter22Hunter')).toBe(true);
+      expect(list.isBreached('hunter22hunter!')).toBe(false);
+    });
+
+    test('A malformed line rejects the file', () => {
+      expect(() => createBreachedPasswordList(['5BAA6:not-a-hash'])).toThrow(/line 1/);
+    });
+
+    test('The bundled list holds hashes, not passwords', () => {
+      const list = getDefaultBreachedPasswordList();
+      // SHA-1("password") = 5BAA61E4C9B93F3F0682250B6CF8331B7EE68FD8
+      expect(list.range('5BAA6').has('1E4C9B93F3F0682250B6CF8331B7EE68FD8')).toBe(true);
+      expect(list.isBreached('P@ssw0rd123!')).toBe(true);
+      expect(list.isBreached(GOOD_PASSWORD)).toBe(false);
+    });
+  });
+
+  describe('Registration, change and reset', () => {
+    let user;
+
+    beforeEach(async () => {
+      user = await User.create(`testuser_policy_${crypto.randomUUID()}`, 'old passphrase');
+    });
+
+    test('Registration answers with every violation and creates no user', async () => {
+      const username = `testuser_policy_${crypto.randomUUID()}`;
+      const req = {
+        body: { username, password: 'secret' },
+        auditContext: null,
+        session: {},
+      };
+      let status = 200;
+      let sent = null;
+      const res = {
+        status: (code) => {
+          status = code;
+          return res;
+        },
+        send: (payload) => {
+          sent = payload;
+          return res;
+        },
+      };
+
+      await authControllers.registerUser(req, res, (error) => {
+        throw error;
+      });
+
+      expect(status).toBe(400);
+      expect(sent.error).toBe('PASSWORD_POLICY_VIOLATION');
+      expect(sent.violations.map(({ rule }) => rule)).toEqual(['MIN_LENGTH', 'CHARACTER_CLASSES']);
+      expect(await User.findByUsername(username)).toBeNull();
+      expect(await latestAudit('USER_REGISTER')).toMatchObject({
+        outcome: 'REJECTED',
+        reason: 'PASSWORD_POLICY_VIOLATION rules=MIN_LENGTH,CHARACTER_CLASSES',
+      });
+    });
+
+    test('A change to a weak password is refused and audited', async () => {
+      const result = await changePassword({
+        userId: user.id,
+        currentPassword: 'old passphrase',
+        newPassword: 'password1234',
+      });
+
+      expect(result).toMatchObject({ success: false, error: 'PASSWORD_POLICY_VIOLATION' });
+      expect(result.violations.map(({ rule }) => rule)).toEqual(['CHARACTER_CLASSES', 'BREACHED']);
+      expect(await (await User.find(user.id)).isValidPassword('old passphrase')).toBe(true);
+      expect(await latestAudit('PASSWORD_CHANGE')).toMatchObject({
+        actor_id: user.id,
+        outcome: 'REJECTED',
+        reason: 'PASSWORD_POLICY_VIOLATION rules=CHARACTER_CLASSES,BREACHED',
+      });
+    });
+
+    test('A weak reset is refused without spending the token', async () => {
+      const messages = [];
+      await requestPasswordReset({
+        username: user.username,
+        notifier: { send: async (message) => messages.push(message) },
+      });
+      const token = new URL(/https?:\S+/.exec(messages[0].text)[0]).searchParams.get('token');
+
+      const weak = await resetPassword({ token, newPassword: `${user.username}A1` });
+      expect(weak).toMatchObject({ success: false, error: 'PASSWORD_POLICY_VIOLATION' });
+      expect(weak.violations.map(({ rule }) => rule)).toEqual(['CONTAINS_USERNAME']);
+      expect(await latestAudit('PASSWORD_RESET')).toMatchObject({
+        target_id: user.id,
+        outcome: 'REJECTED',
+        reason: 'PASSWORD_POLICY_VIOLATION rules=CONTAINS_USERNAME',
+      });
+
+      expect(await resetPassword({ token, newPassword: GOOD_PASSWORD })).toEqual({ success: true });
+      expect(await (await User.find(user.id)).isValidPassword(GOOD_PASSWORD)).toBe(true);
+    });
+
+    test('Passwords that are not strings are a 400, not a server error', async () => {
+      const run = async (controller, body) => {
+        const req = { body, auditContext: null, session: { userId: user.id } };
+        let status = 200;
+        const res = {
+          status: (code) => {
+            status = code;
+            return res;
+          },
+          send: () => res,
+          json: () => res,
+          sendStatus: (code) => {
+            status = code;
+            return res;
+          },
+        };
+
+        await authControllers[controller](req, res, (error) => {
+          throw error;
+        });
+
+        return status;
+      };
+
+      const username = `testuser_policy_${crypto.randomUUID()}`;
+      const statuses = await Promise.all([
+        run('registerUser', { username, password: 123456789012 }),
+        run('registerUser', { username, password: [GOOD_PASSWORD] }),
+        run('loginUser', { username: user.username, password: { length: 20 } }),
+        run('changePassword', { currentPassword: 'old passphrase', newPassword: 123456789012 }),
+        run('resetPassword', { token: 'not-a-real-token', newPassword: [GOOD_PASSWORD] }),
+      ]);
+
+      expect(statuses).toEqual([400, 400, 400, 400, 400]);
+      expect(await User.findByUsername(username)).toBeNull();
+      expect(await (await User.find(user.id)).isValidPassword('old passphrase')).toBe(true);
+    });
+  });
+});
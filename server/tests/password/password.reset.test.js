@@ -0,0 +1,186 @@
+/**
+ * Passwords — Change, and reset with single-use tokens
+ *
+ * This test verifies that:
+ * - a change needs the current password and signs out every other session
+ * - a reset request sends a link through the notifier and stores only the
+ *   token's hash; unknown usernames get the same answer and no message
+ * - a reset token works once, not after it expires, and not after a newer
+ *   password change
+ * - a reset signs out every session
+ * - the outbox notifier writes messages to its file
+ * - every attempt is audited
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const knex = require('../../db/knex');
+const User = require('../../models/User');
+const { createOutboxNotifier } = require('../../services/notifierService');
+const {
+  changePassword,
+  requestPasswordReset,
+  resetPassword,
+} = require('../../services/passwordService');
+
+describe('Passwords — Change, and reset with single-use tokens', () => {
+  let user;
+  let messages;
+
+  const notifier = {
+    send: async (message) => {
+      messages.push(message);
+    },
+  };
+
+  const addSession = async (userId) => {
+    const sid = crypto.randomBytes(16).toString('hex');
+    await knex('sessions').insert({
+      sid,
+      expired: new Date(Date.now() + 60 * 60 * 1000),
+      sess: JSON.stringify({ userId, sessionId: crypto.randomUUID() }),
+    });
+    return sid;
+  };
+
+  const sessionSids = (userId) => knex('sessions').where({ user_id: userId }).pluck('sid');
+
+  // the token from the reset link in the last message
+  const sentToken = () => new URL(/https?:\S+/.exec(messages.at(-1).text)[0])
+    .searchParams.get('token');
+
+  const latestAudit = (action) => knex('audit_logs')
+    .where({ action })
+    .orderBy('sequence_number', 'desc')
+    .first();
+
+  beforeEach(async () => {
+    messages = [];
+    user = await User.create(`testuser_password_${crypto.randomUUID()}`, 'old passphrase');
+  });
+
+  test('A change needs the current password and keeps only the current session', async () => {
+    const currentSid = await addSession(user.id);
+    await addSession(user.id);
+
+    const wrong = await changePassword({
+      userId: user.id,
+      currentPassword: 'not it',
+      newPassword: 'New passphrase 1',
+      currentSid,
+    });
+    expect(wrong).toMatchObject({ success: false, error: 'INVALID_CURRENT_PASSWORD' });
+    expect(await sessionSids(user.id)).toHaveLength(2);
+
+    const changed = await changePassword({
+      userId: user.id,
+      currentPassword: 'old passphrase',
+      newPassword: 'New passphrase 1',
+      currentSid,
+    });
+    expect(changed).toEqual({ success: true, revokedSessions: 1 });
+    expect(await sessionSids(user.id)).toEqual([currentSid]);
+    expect(await (await User.find(user.id)).isValidPassword('New passphrase 1')).toBe(true);
+
+    expect(await latestAudit('PASSWORD_CHANGE')).toMatchObject({
+      actor_id: user.id,
+      outcome: 'SUCCEEDED',
+    });
+  });
+
+  test('A reset request sends a link and stores only the token hash', async () => {
+    const result = await requestPasswordReset({ username: user.username, notifier });
+
+    expect(result).toEqual({ success: true });
+    expect(messages).toHaveLength(1);
+    expect(messages[0].to).toEqual({ userId: user.id, username: user.username });
+
+    const token = sentToken();
+    const [row] = await knex('password_reset_tokens').where({ user_id: user.id });
+    expect(row.token_hash).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+  });
+
+  test('Unknown usernames get the same answer and no message', async () => {
+    const result = await requestPasswordReset({ username: 'testuser_password_nobody', notifier });
+
+    expect(result).toEqual({ success: true });
+    expect(messages).toHaveLength(0);
+    expect(await latestAudit('PASSWORD_RESET_REQUEST')).toMatchObject({
+      outcome: 'REJECTED',
+      reason: 'UNKNOWN_USERNAME',
+    });
+  });
+
+  test('A reset token works once and signs out every session', async () => {
+    await addSession(user.id);
+    await addSession(user.id);
+    await requestPasswordReset({ username: user.username, notifier });
+    const token = sentToken();
+
+    const first = await resetPassword({ token, newPassword: 'Reset passphrase 2' });
+    expect(first).toEqual({ success: true });
+    expect(await sessionSids(user.id)).toEqual([]);
+    expect(await (await User.find(user.id)).isValidPassword('Reset passphrase 2')).toBe(true);
+    expect(await latestAudit('PASSWORD_RESET')).toMatchObject({
+      actor_id: user.id,
+      target_id: user.id,
+      outcome: 'SUCCEEDED',
+      reason: 'revoked_sessions=2',
+    });
+
+    const again = await resetPassword({ token, newPassword: 'second try' });
+    expect(again).toMatchObject({ success: false, error: 'INVALID_RESET_TOKEN' });
+    expect(await (await User.find(user.id)).isValidPassword('Reset passphrase 2')).toBe(true);
+  });
+
+  test('Expired tokens, and tokens older than a password change, are refused', async () => {
+    const issuedAt = new Date('2026-10-19T08:00:00.000Z');
+    await requestPasswordReset({
+      username: user.username,
+      notifier,
+      now: issuedAt,
+      ttlMinutes: 30,
+    });
+
+    const expired = await resetPassword({
+      token: sentToken(),
+      newPassword: 'too late',
+      now: new Date('2026-10-19T08:31:00.000Z'),
+    });
+    expect(expired).toMatchObject({ success: false, error: 'INVALID_RESET_TOKEN' });
+
+    await requestPasswordReset({ username: user.username, notifier });
+    const token = sentToken();
+    await changePassword({
+      userId: user.id,
+      currentPassword: 'old passphrase',
+      newPassword: 'Changed meanwhile 3',
+    });
+
+    const retired = await resetPassword({ token, newPassword: 'stale link' });
+    expect(retired).toMatchObject({ success: false, error: 'INVALID_RESET_TOKEN' });
+    expect(await latestAudit('PASSWORD_RESET')).toMatchObject({
+      outcome: 'REJECTED',
+      reason: 'INVALID_RESET_TOKEN',
+    });
+  });
+
+  test('The outbox notifier appends messages to its file', async () => {
+    const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    const outboxFile = path.join(outboxDir, 'nested', 'outbox.jsonl');
+    const outbox = createOutboxNotifier(outboxFile);
+
+    await outbox.send({ to: { username: 'a' }, subject: 'One', text: 'first' });
+    await outbox.send({ to: { username: 'b' }, subject: 'Two', text: 'second' });
+
+    const lines = fs.readFileSync(outboxFile, 'utf8').trim().split('\n').map(JSON.parse);
+    expect(lines.map((line) => line.subject)).toEqual(['One', 'Two']);
+    expect(lines[1]).toMatchObject({ to: { username: 'b' }, text: 'second' });
+
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+});
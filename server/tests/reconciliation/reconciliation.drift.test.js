@@ -0,0 +1,130 @@
+/**
+ * Reconciliation Service — Ledger vs Balance Drift
+ *
+ * This test verifies that:
+ * - accounts whose ledger matches current_balance are not reported
+ * - drift is reported with cached/ledger balances and the offending transaction
+ * - the run and each mismatch are recorded in audit_logs as SYSTEM
+ * - repair rewrites current_balance from the ledger without touching the ledger
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const { depositFunds } = require('../../services/cashService');
+const { reconcileLedger } = require('../../services/reconciliationService');
+
+describe('Reconciliation Service — Ledger vs Balance Drift', () => {
+  let cleanAccountId;
+  let driftedAccountId;
+  let orphanTransactionId;
+
+  beforeAll(async () => {
+    const [user] = await knex('users')
+      .insert({ username: 'testuser_reconciliation', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+
+    const [cleanAccount] = await knex('accounts')
+      .insert({ user_id: user.user_id, status: 'ACTIVE' })
+      .returning('*');
+    const [driftedAccount] = await knex('accounts')
+      .insert({ user_id: user.user_id, status: 'ACTIVE' })
+      .returning('*');
+    cleanAccountId = cleanAccount.account_id;
+    driftedAccountId = driftedAccount.account_id;
+
+    // Money that went through the ledger on both accounts
+    await depositFunds({
+      initiatorUserId: user.user_id,
+      toAccountId: cleanAccountId,
+      amount: 1000,
+      idempotencyKey: crypto.randomUUID(),
+    });
+    await depositFunds({
+      initiatorUserId: user.user_id,
+      toAccountId: driftedAccountId,
+      amount: 1000,
+      idempotencyKey: crypto.randomUUID(),
+    });
+
+    // A SUCCEEDED deposit whose ledger entry and balance update never happened,
+    // plus a hand-edited cache: the drifted account is now off by +500
+    const [orphan] = await knex('transactions')
+      .insert({
+        status: 'SUCCEEDED',
+        type: 'DEPOSIT',
+        initiator_user_id: user.user_id,
+        to_account_id: driftedAccountId,
+        amount: 500,
+        idempotency_key: crypto.randomUUID(),
+      })
+      .returning('*');
+    orphanTransactionId = orphan.transaction_id;
+
+    await knex('accounts')
+      .where({ account_id: driftedAccountId })
+      .update({ current_balance: 1500 });
+  });
+
+  test('Drift is reported with the offending transaction and audited', async () => {
+    // ==================== ACT ====================
+    const report = await reconcileLedger({ accountIds: [cleanAccountId, driftedAccountId] });
+
+    // ==================== ASSERT ====================
+    expect(report.checkedAccounts).toBe(2);
+    expect(report.mismatchedAccounts).toBe(1);
+    expect(report.repairedAccounts).toBe(0);
+
+    const [mismatch] = report.mismatches;
+    expect(mismatch.accountId).toBe(driftedAccountId);
+    expect(mismatch.cachedBalance).toBe(1500);
+    expect(mismatch.ledgerBalance).toBe(1000);
+    expect(mismatch.drift).toBe(500);
+    expect(mismatch.transactionIds).toEqual([orphanTransactionId]);
+
+    // Cache untouched without the repair flag
+    const account = await knex('accounts').where({ account_id: driftedAccountId }).first();
+    expect(Number(account.current_balance)).toBe(1500);
+
+    const mismatchLog = await knex('audit_logs')
+      .where({ action: 'RECONCILIATION_MISMATCH', target_id: driftedAccountId })
+      .first();
+    expect(mismatchLog.actor_type).toBe('SYSTEM');
+    expect(mismatchLog.target_type).toBe('ACCOUNT');
+    expect(mismatchLog.outcome).toBe('FAILED');
+
+    const runLogs = await knex('audit_logs')
+      .where({ action: 'RECONCILIATION_RUN', actor_type: 'SYSTEM' });
+    expect(runLogs.map((log) => log.outcome)).toEqual(
+      expect.arrayContaining(['ATTEMPTED', 'SUCCEEDED']),
+    );
+  });
+
+  test('Repair rewrites current_balance from the ledger', async () => {
+    // ==================== ACT ====================
+    const report = await reconcileLedger({
+      repair: true,
+      accountIds: [cleanAccountId, driftedAccountId],
+    });
+
+    // ==================== ASSERT ====================
+    expect(report.mismatchedAccounts).toBe(1);
+    expect(report.repairedAccounts).toBe(1);
+
+    const account = await knex('accounts').where({ account_id: driftedAccountId }).first();
+    expect(Number(account.current_balance)).toBe(1000);
+
+    const ledgerEntries = await knex('ledger_entries').where({ account_id: driftedAccountId });
+    expect(ledgerEntries).toHaveLength(1);
+
+    const repairLog = await knex('audit_logs')
+      .where({ action: 'RECONCILIATION_REPAIR', target_id: driftedAccountId })
+      .first();
+    expect(repairLog.outcome).toBe('SUCCEEDED');
+
+    // A follow-up run finds nothing
+    const followUp = await reconcileLedger({ accountIds: [cleanAccountId, driftedAccountId] });
+    expect(followUp.mismatchedAccounts).toBe(0);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Pending Recovery Service — Stuck PENDING transactions
+ *
+ * This test verifies that:
+ * - a stuck PENDING transfer with a complete ledger is marked SUCCEEDED
+ * - a stuck PENDING deposit with no ledger entries is marked FAILED
+ * - rows younger than the max age are left alone
+ * - a stuck row with a partial ledger stays PENDING, is flagged and audited
+ *   once, and later sweeps skip it instead of starving newer rows
+ * - the stored response_payload is what an idempotent replay returns
+ * - concurrent sweepers never process the same row twice
+ * - every resolution writes a SYSTEM audit log
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const { recoverStuckTransactions } = require('../../services/pendingRecoveryService');
+const { transferFunds } = require('../../services/transferService');
+
+describe('Pending Recovery Service — Stuck PENDING transactions', () => {
+  let testUserId;
+  let fromAccountId;
+  let toAccountId;
+
+  const insertPending = async ({ type, from = null, to = null, amount, ageMinutes }) => {
+    const [row] = await knex('transactions')
+      .insert({
+        status: 'PENDING',
+        type,
+        initiator_user_id: testUserId,
+        from_account_id: from,
+        to_account_id: to,
+        amount,
+        idempotency_key: crypto.randomUUID(),
+        created_at: knex.raw("NOW() - (? * INTERVAL '1 minute')", [ageMinutes]),
+      })
+      .returning('*');
+    return row;
+  };
+
+  beforeAll(async () => {
+    const [user] = await knex('users')
+      .insert({ username: 'testuser_pending_recovery', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+    testUserId = user.user_id;
+
+    const [fromAccount] = await knex('accounts')
+      .insert({ user_id: testUserId, status: 'ACTIVE', current_balance: 7000 })
+      .returning('*');
+    const [toAccount] = await knex('accounts')
+      .insert({ user_id: testUserId, status: 'ACTIVE', current_balance: 8000 })
+      .returning('*');
+    fromAccountId = fromAccount.account_id;
+    toAccountId = toAccount.account_id;
+  });
+
+  test('Stuck rows are resolved from the ledger and replays return the stored payload', async () => {
+    // ==================== ARRANGE ====================
+    // Transfer whose money moved but whose final status update never committed
+    const movedTransfer = await insertPending({
+      type: 'TRANSFER', from: fromAccountId, to: toAccountId, amount: 3000, ageMinutes: 60,
+    });
+    await knex('ledger_entries').insert([
+      { account_id: fromAccountId, transaction_id: movedTransfer.transaction_id, amount: -3000 },
+      { account_id: toAccountId, transaction_id: movedTransfer.transaction_id, amount: 3000 },
+    ]);
+
+    // Deposit that never reached the ledger
+    const lostDeposit = await insertPending({
+      type: 'DEPOSIT', to: toAccountId, amount: 500, ageMinutes: 60,
+    });
+
+    // Still in flight: too young to touch
+    const freshTransfer = await insertPending({
+      type: 'TRANSFER', from: fromAccountId, to: toAccountId, amount: 100, ageMinutes: 0,
+    });
+
+    // ==================== ACT ====================
+    const summary = await recoverStuckTransactions({ maxAgeMinutes: 15 });
+
+    // ==================== ASSERT ====================
+    expect(summary.succeeded).toContain(movedTransfer.transaction_id);
+    expect(summary.failed).toContain(lostDeposit.transaction_id);
+
+    const recoveredTransfer = await knex('transactions')
+      .where({ transaction_id: movedTransfer.transaction_id })
+      .first();
+    expect(recoveredTransfer.status).toBe('SUCCEEDED');
+    expect(recoveredTransfer.response_payload).toEqual({
+      success: true,
+      transactionId: movedTransfer.transaction_id,
+      status: 'SUCCEEDED',
+      fromAccountId,
+      toAccountId,
+      amount: 3000,
+      currency: 'USD',
+      conversion: null,
+    });
+
+    const recoveredDeposit = await knex('transactions')
+      .where({ transaction_id: lostDeposit.transaction_id })
+      .first();
+    expect(recoveredDeposit.status).toBe('FAILED');
+    expect(recoveredDeposit.failure_reason).toBe('RECOVERED_NO_LEDGER_ENTRIES');
+
+    const untouched = await knex('transactions')
+      .where({ transaction_id: freshTransfer.transaction_id })
+      .first();
+    expect(untouched.status).toBe('PENDING');
+
+    // Idempotent replay returns the recovered payload without side effects
+    const replay = await transferFunds({
+      initiatorUserId: testUserId,
+      fromAccountId,
+      toAccountId,
+      amount: 3000,
+      idempotencyKey: movedTransfer.idempotency_key,
+    });
+    expect(replay).toEqual({ ...recoveredTransfer.response_payload, replayed: true });
+
+    // SYSTEM audit logs
+    const auditLogs = await knex('audit_logs')
+      .whereIn('target_id', [movedTransfer.transaction_id, lostDeposit.transaction_id])
+      .where({ actor_type: 'SYSTEM', actor_id: 'PENDING_RECOVERY_WORKER' });
+    expect(auditLogs).toHaveLength(2);
+
+    // leave nothing PENDING for other suites
+    await knex('transactions')
+      .where({ transaction_id: freshTransfer.transaction_id })
+      .update({ status: 'FAILED', failure_reason: 'TEST_CLEANUP' });
+  });
+
+  test('Concurrent sweepers process each stuck row exactly once', async () => {
+    // ==================== ARRANGE ====================
+    const stuck = await Promise.all(Array.from({ length: 10 }, () => insertPending({
+      type: 'DEPOSIT', to: toAccountId, amount: 100, ageMinutes: 60,
+    })));
+    const stuckIds = stuck.map((row) => row.transaction_id);
+
+    // ==================== ACT ====================
+    const summaries = await Promise.all([
+      recoverStuckTransactions({ maxAgeMinutes: 15, batchSize: 4 }),
+      recoverStuckTransactions({ maxAgeMinutes: 15, batchSize: 4 }),
+      recoverStuckTransactions({ maxAgeMinutes: 15, batchSize: 4 }),
+    ]);
+
+    // ==================== ASSERT ====================
+    const processed = summaries.flatMap((summary) => summary.failed);
+    expect(new Set(processed).size).toBe(processed.length);
+    expect(processed.sort()).toEqual([...stuckIds].sort());
+
+    const auditLogs = await knex('audit_logs')
+      .whereIn('target_id', stuckIds)
+      .where({ actor_id: 'PENDING_RECOVERY_WORKER' });
+    expect(auditLogs).toHaveLength(stuckIds.length);
+  });
+
+  test('A partial ledger is flagged and audited once, and does not block later rows', async () => {
+    // ==================== ARRANGE ====================
+    // Transfer that debited the source but never credited the destination
+    const partialTransfer = await insertPending({
+      type: 'TRANSFER', from: fromAccountId, to: toAccountId, amount: 200, ageMinutes: 120,
+    });
+    await knex('ledger_entries').insert({
+      account_id: fromAccountId, transaction_id: partialTransfer.transaction_id, amount: -200,
+    });
+
+    const lostDeposit = await insertPending({
+      type: 'DEPOSIT', to: toAccountId, amount: 100, ageMinutes: 60,
+    });
+
+    // ==================== ACT ====================
+    const first = await recoverStuckTransactions({ maxAgeMinutes: 15, batchSize: 1 });
+    const second = await recoverStuckTransactions({ maxAgeMinutes: 15, batchSize: 1 });
+    const third = await recoverStuckTransactions({ maxAgeMinutes: 15, batchSize: 1 });
+
+    // ==================== ASSERT ====================
+    expect(first.skipped).toEqual([partialTransfer.transaction_id]);
+    expect(second.failed).toEqual([lostDeposit.transaction_id]);
+    expect(third.scanned).toBe(0);
+
+    const flagged = await knex('transactions')
+      .where({ transaction_id: partialTransfer.transaction_id })
+      .first();
+    expect(flagged.status).toBe('PENDING');
+    expect(flagged.recovery_flagged_at).not.toBeNull();
+
+    const auditLogs = await knex('audit_logs')
+      .where({ target_id: partialTransfer.transaction_id, actor_id: 'PENDING_RECOVERY_WORKER' });
+    expect(auditLogs).toHaveLength(1);
+    expect(auditLogs[0]).toMatchObject({
+      outcome: 'FAILED',
+      reason: 'RECOVERY_SKIPPED_LEDGER_INCONSISTENT',
+    });
+
+    // leave nothing PENDING for other suites
+    await knex('transactions')
+      .where({ transaction_id: partialTransfer.transaction_id })
+      .update({ status: 'FAILED', failure_reason: 'TEST_CLEANUP' });
+  });
+});
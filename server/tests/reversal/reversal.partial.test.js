@@ -0,0 +1,159 @@
+/**
+ * Reversal Service — Partial and full reversals
+ *
+ * This test verifies that:
+ * - the recipient can reverse part of a transfer, then the rest
+ * - a reversal is a new REVERSAL transaction linked to the transfer, with
+ *   compensating ledger entries; the original rows are never modified
+ * - reversals can never add up to more than the original amount,
+ *   even when they race
+ * - the sender gets REVERSAL_NOT_PERMITTED and strangers TRANSACTION_NOT_FOUND
+ * - every reversal is audited
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const { transferFunds } = require('../../services/transferService');
+const { reverseTransfer } = require('../../services/reversalService');
+
+describe('Reversal Service — Partial and full reversals', () => {
+  let senderId;
+  let recipientId;
+  let strangerId;
+  let senderAccountId;
+  let recipientAccountId;
+
+  const balanceOf = async (accountId) => {
+    const account = await knex('accounts').where({ account_id: accountId }).first();
+    return Number(account.current_balance);
+  };
+
+  const sendTransfer = (amount) => transferFunds({
+    initiatorUserId: senderId,
+    fromAccountId: senderAccountId,
+    toAccountId: recipientAccountId,
+    amount,
+    idempotencyKey: crypto.randomUUID(),
+  });
+
+  const reverse = (initiatorUserId, transactionId, amount) => reverseTransfer({
+    initiatorUserId,
+    transactionId,
+    amount,
+    idempotencyKey: crypto.randomUUID(),
+  });
+
+  beforeAll(async () => {
+    const users = await knex('users')
+      .insert([
+        { username: 'testuser_reversal_sender', password_hash: 'TEST_ONLY_HASH' },
+        { username: 'testuser_reversal_recipient', password_hash: 'TEST_ONLY_HASH' },
+        { username: 'testuser_reversal_stranger', password_hash: 'TEST_ONLY_HASH' },
+      ])
+      .returning('*');
+    [senderId, recipientId, strangerId] = users.map((u) => u.user_id);
+
+    const accounts = await knex('accounts')
+      .insert([
+        { user_id: senderId, status: 'ACTIVE', current_balance: 10000 },
+        { user_id: recipientId, status: 'ACTIVE', current_balance: 0 },
+      ])
+      .returning('*');
+    [senderAccountId, recipientAccountId] = accounts.map((a) => a.account_id);
+  });
+
+  test('A transfer is reversed in two parts and never beyond its amount', async () => {
+    // ==================== ARRANGE ====================
+    const transfer = await sendTransfer(3000);
+    const originalBefore = await knex('transactions')
+      .where({ transaction_id: transfer.transactionId })
+      .first();
+
+    // ==================== ACT ====================
+    const partial = await reverse(recipientId, transfer.transactionId, 1000);
+    const tooMuch = await reverse(recipientId, transfer.transactionId, 2500);
+    const bySender = await reverse(senderId, transfer.transactionId, 100);
+    const byStranger = await reverse(strangerId, transfer.transactionId, 100);
+    const rest = await reverse(recipientId, transfer.transactionId, 2000);
+    const afterFull = await reverse(recipientId, transfer.transactionId, undefined);
+
+    // ==================== ASSERT ====================
+
+    // 1) Partial reversal succeeds and is linked to the transfer
+    expect(partial.success).toBe(true);
+    expect(partial.parentTransactionId).toBe(transfer.transactionId);
+    expect(partial.fromAccountId).toBe(recipientAccountId);
+    expect(partial.toAccountId).toBe(senderAccountId);
+
+    const reversalRow = await knex('transactions')
+      .where({ transaction_id: partial.transactionId })
+      .first();
+    expect(reversalRow.type).toBe('REVERSAL');
+    expect(reversalRow.parent_transaction_id).toBe(transfer.transactionId);
+
+    const reversalLedger = await knex('ledger_entries')
+      .where({ transaction_id: partial.transactionId })
+      .orderBy('amount', 'asc');
+    expect(reversalLedger.map((e) => [e.account_id, Number(e.amount)])).toEqual([
+      [recipientAccountId, -1000],
+      [senderAccountId, 1000],
+    ]);
+
+    // 2) Over-reversal, the sender and strangers are refused
+    expect(tooMuch.status).toBe('REJECTED');
+    expect(tooMuch.reason).toBe('REVERSAL_EXCEEDS_ORIGINAL');
+    expect(bySender.status).toBe('REJECTED');
+    expect(bySender.reason).toBe('REVERSAL_NOT_PERMITTED');
+    expect(byStranger.success).toBe(false);
+    expect(byStranger.error).toBe('TRANSACTION_NOT_FOUND');
+    expect(byStranger.transactionId).toBeUndefined();
+
+    // 3) The remainder can be reversed; nothing is left afterwards
+    expect(rest.success).toBe(true);
+    expect(afterFull.reason).toBe('REVERSAL_EXCEEDS_ORIGINAL');
+
+    expect(await balanceOf(recipientAccountId)).toBe(0);
+    expect(await balanceOf(senderAccountId)).toBe(10000);
+
+    // 4) The original transfer and its ledger entries are untouched
+    const originalAfter = await knex('transactions')
+      .where({ transaction_id: transfer.transactionId })
+      .first();
+    expect(originalAfter).toEqual(originalBefore);
+
+    const originalLedger = await knex('ledger_entries')
+      .where({ transaction_id: transfer.transactionId });
+    expect(originalLedger).toHaveLength(2);
+
+    // 5) Each reversal is audited
+    const auditLogs = await knex('audit_logs')
+      .where({ action: 'REVERSAL', target_id: partial.transactionId })
+      .orderBy('created_at', 'asc');
+    expect(auditLogs.map((log) => log.outcome)).toEqual(['ATTEMPTED', 'SUCCEEDED']);
+  });
+
+  test('Racing reversals cannot exceed the original amount', async () => {
+    // ==================== ARRANGE ====================
+    const transfer = await sendTransfer(2000);
+
+    // ==================== ACT ====================
+    const results = await Promise.all([
+      reverse(recipientId, transfer.transactionId, 1500),
+      reverse(recipientId, transfer.transactionId, 1500),
+    ]);
+
+    // ==================== ASSERT ====================
+    const statuses = results.map((r) => r.status).sort();
+    expect(statuses).toEqual(['REJECTED', 'SUCCEEDED']);
+    expect(results.find((r) => r.status === 'REJECTED').reason)
+      .toBe('REVERSAL_EXCEEDS_ORIGINAL');
+
+    const { total } = await knex('transactions')
+      .where({ parent_transaction_id: transfer.transactionId, status: 'SUCCEEDED' })
+      .sum('amount as total')
+      .first();
+    expect(Number(total)).toBe(1500);
+  });
+});
@@ -0,0 +1,324 @@
+/**
+ * Transfer Review — Admins deciding transfers held by the risk engine
+ *
+ * This test verifies that:
+ * - held transfers are listed oldest first with the rule hits that held them
+ * - approving settles the transfer: balances move, the reservation is
+ *   released and both ledger entries are written
+ * - declining releases the reservation and moves no money
+ * - a transfer can only be decided once
+ * - the reviewing admin is recorded in reviewed_by and audit_logs, and the
+ *   initiator's idempotent retry replays the decision
+ * - an admin cannot approve a transfer they initiated, and approval
+ *   rejects a transfer that no longer fits the source account's limits
+ * - a held transfer shows in the initiator's history as a pending debit and
+ *   can be filtered by status UNDER_REVIEW
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const { transferFunds } = require('../../services/transferService');
+const { withdrawFunds } = require('../../services/cashService');
+const { createRiskEngine } = require('../../services/riskEngineService');
+const {
+  listPendingReviews,
+  approveTransfer,
+  declineTransfer,
+} = require('../../services/transferReviewService');
+const { listAccountTransactions } = require('../../services/transactionHistoryService');
+
+describe('Transfer Review — Admins deciding held transfers', () => {
+  let userId;
+  let adminUserId;
+  let sourceAccountId;
+  let payeeAccountId;
+
+  // every first transfer over 50.00 to a payee is held
+  const riskEngine = createRiskEngine([
+    { id: 'NEW_PAYEE', type: 'NEW_PAYEE_OVER', amount: 5000, action: 'REVIEW' },
+  ]);
+
+  const send = (amount, {
+    toAccountId = payeeAccountId,
+    idempotencyKey = crypto.randomUUID(),
+  } = {}) => transferFunds({
+    initiatorUserId: userId,
+    fromAccountId: sourceAccountId,
+    toAccountId,
+    amount,
+    idempotencyKey,
+    riskEngine,
+  });
+
+  const balances = async (accountId) => {
+    const account = await knex('accounts').where({ account_id: accountId }).first();
+    return {
+      current: Number(account.current_balance),
+      held: Number(account.held_balance),
+    };
+  };
+
+  beforeAll(async () => {
+    const [user, admin] = await knex('users')
+      .insert([
+        { username: 'testuser_review_customer', password_hash: 'TEST_ONLY_HASH' },
+        { username: 'testuser_review_admin', password_hash: 'TEST_ONLY_HASH', role: 'admin' },
+      ])
+      .returning('*');
+    userId = user.user_id;
+    adminUserId = admin.user_id;
+
+    const accounts = await knex('accounts')
+      .insert([
+        { user_id: userId, status: 'ACTIVE', current_balance: 100000 },
+        { user_id: userId, status: 'ACTIVE', current_balance: 0 },
+      ])
+      .returning('*');
+    [sourceAccountId, payeeAccountId] = accounts.map((a) => a.account_id);
+  });
+
+  test('Approving settles a held transfer exactly once', async () => {
+    // ==================== ARRANGE ====================
+    const idempotencyKey = crypto.randomUUID();
+    const held = await send(6000, { idempotencyKey });
+    expect(held.status).toBe('UNDER_REVIEW');
+
+    const { reviews } = await listPendingReviews();
+    const listed = reviews.find((review) => review.transactionId === held.transactionId);
+
+    // ==================== ACT ====================
+    const approved = await approveTransfer({ adminUserId, transactionId: held.transactionId });
+    const again = await approveTransfer({ adminUserId, transactionId: held.transactionId });
+    const declinedAfter = await declineTransfer({ adminUserId, transactionId: held.transactionId });
+    const replay = await send(6000, { idempotencyKey });
+
+    // ==================== ASSERT ====================
+
+    // 1) The queue showed the transfer and why it was held
+    expect(listed).toMatchObject({
+      fromAccountId: sourceAccountId,
+      toAccountId: payeeAccountId,
+      amount: 6000,
+    });
+    expect(listed.ruleHits).toEqual([expect.stringContaining('rule=NEW_PAYEE')]);
+
+    // 2) Money moved and the reservation is released
+    expect(approved).toMatchObject({
+      success: true,
+      transactionId: held.transactionId,
+      status: 'SUCCEEDED',
+      amount: 6000,
+    });
+    expect(await balances(sourceAccountId)).toEqual({ current: 94000, held: 0 });
+    expect(await balances(payeeAccountId)).toEqual({ current: 6000, held: 0 });
+
+    const ledger = await knex('ledger_entries')
+      .where({ transaction_id: held.transactionId })
+      .orderBy('amount', 'asc');
+    expect(ledger.map((entry) => Number(entry.amount))).toEqual([-6000, 6000]);
+
+    // 3) The reviewer is recorded
+    const row = await knex('transactions').where({ transaction_id: held.transactionId }).first();
+    expect(row.status).toBe('SUCCEEDED');
+    expect(row.reviewed_by).toBe(adminUserId);
+    expect(row.reviewed_at).not.toBeNull();
+
+    const audit = await knex('audit_logs')
+      .where({ action: 'TRANSFER_REVIEW_APPROVE', target_id: held.transactionId })
+      .orderBy('created_at', 'asc');
+    expect(audit.map((log) => log.outcome)).toEqual(['ATTEMPTED', 'SUCCEEDED']);
+    expect(audit.every((log) => log.actor_type === 'USER' && log.actor_id === adminUserId))
+      .toBe(true);
+
+    // 4) It cannot be decided again, and the initiator's retry sees the outcome
+    expect(again.error).toBe('REVIEW_NOT_FOUND');
+    expect(declinedAfter.error).toBe('REVIEW_NOT_FOUND');
+    expect(replay).toMatchObject({ transactionId: held.transactionId, status: 'SUCCEEDED' });
+
+    const { reviews: after } = await listPendingReviews();
+    expect(after.map((review) => review.transactionId)).not.toContain(held.transactionId);
+  });
+
+  test('Declining releases the reservation without moving money', async () => {
+    // ==================== ARRANGE ====================
+    const [newPayee] = await knex('accounts')
+      .insert({ user_id: userId, status: 'ACTIVE', current_balance: 0 })
+      .returning('*');
+    const sourceBefore = await balances(sourceAccountId);
+    const held = await send(7000, { toAccountId: newPayee.account_id });
+    expect(held.status).toBe('UNDER_REVIEW');
+    expect((await balances(sourceAccountId)).held).toBe(7000);
+
+    // ==================== ACT ====================
+    const declined = await declineTransfer({ adminUserId, transactionId: held.transactionId });
+
+    // ==================== ASSERT ====================
+    expect(declined).toMatchObject({
+      success: false,
+      transactionId: held.transactionId,
+      status: 'REJECTED',
+      reason: 'REVIEW_DECLINED',
+    });
+
+    expect(await balances(sourceAccountId)).toEqual(sourceBefore);
+    expect(await balances(newPayee.account_id)).toEqual({ current: 0, held: 0 });
+
+    const ledger = await knex('ledger_entries').where({ transaction_id: held.transactionId });
+    expect(ledger).toHaveLength(0);
+
+    const row = await knex('transactions').where({ transaction_id: held.transactionId }).first();
+    expect(row).toMatchObject({ status: 'REJECTED', failure_reason: 'REVIEW_DECLINED' });
+    expect(row.reviewed_by).toBe(adminUserId);
+
+    const audit = await knex('audit_logs')
+      .where({ action: 'TRANSFER_REVIEW_DECLINE', target_id: held.transactionId })
+      .orderBy('created_at', 'asc');
+    expect(audit.map((log) => log.outcome)).toEqual(['ATTEMPTED', 'SUCCEEDED']);
+  });
+
+  test('A held transfer whose payee account was frozen is rejected on approval', async () => {
+    // ==================== ARRANGE ====================
+    const [frozenPayee] = await knex('accounts')
+      .insert({ user_id: userId, status: 'ACTIVE', current_balance: 0 })
+      .returning('*');
+    const held = await send(8000, { toAccountId: frozenPayee.account_id });
+    expect(held.status).toBe('UNDER_REVIEW');
+
+    await knex('accounts').where({ account_id: frozenPayee.account_id }).update({ status: 'FROZEN' });
+    const sourceBefore = await balances(sourceAccountId);
+
+    // ==================== ACT ====================
+    const result = await approveTransfer({ adminUserId, transactionId: held.transactionId });
+
+    // ==================== ASSERT ====================
+    expect(result).toMatchObject({ status: 'REJECTED', reason: 'TO_ACCOUNT_NOT_ACTIVE' });
+    expect(await balances(sourceAccountId)).toEqual({
+      current: sourceBefore.current,
+      held: sourceBefore.held - 8000,
+    });
+  });
+
+  test('A held transfer is listed in history until it is decided', async () => {
+    // ==================== ARRANGE ====================
+    const [historyPayee] = await knex('accounts')
+      .insert({ user_id: userId, status: 'ACTIVE', current_balance: 0 })
+      .returning('*');
+    const held = await send(9000, { toAccountId: historyPayee.account_id });
+    expect(held.status).toBe('UNDER_REVIEW');
+
+    // ==================== ACT ====================
+    const pending = await listAccountTransactions({
+      userId,
+      accountId: sourceAccountId,
+      filters: { status: 'UNDER_REVIEW' },
+    });
+    const payeeHistory = await listAccountTransactions({
+      userId,
+      accountId: historyPayee.account_id,
+    });
+    await declineTransfer({ adminUserId, transactionId: held.transactionId });
+    const afterDecline = await listAccountTransactions({
+      userId,
+      accountId: sourceAccountId,
+      filters: { status: 'UNDER_REVIEW' },
+    });
+
+    // ==================== ASSERT ====================
+    expect(pending.success).toBe(true);
+    expect(pending.transactions).toHaveLength(1);
+    expect(pending.transactions[0]).toMatchObject({
+      ledgerEntryId: null,
+      transactionId: held.transactionId,
+      accountId: sourceAccountId,
+      type: 'TRANSFER',
+      status: 'UNDER_REVIEW',
+      direction: 'DEBIT',
+      amount: -9000,
+      runningBalance: null,
+      counterpartyAccountId: historyPayee.account_id,
+    });
+
+    // the payee sees nothing until money moves
+    expect(payeeHistory.transactions).toHaveLength(0);
+    expect(afterDecline.transactions).toHaveLength(0);
+  });
+
+  test('An admin cannot approve their own held transfer', async () => {
+    // ==================== ARRANGE ====================
+    const [adminSource, adminPayee] = await knex('accounts')
+      .insert([
+        { user_id: adminUserId, status: 'ACTIVE', current_balance: 100000 },
+        { user_id: adminUserId, status: 'ACTIVE', current_balance: 0 },
+      ])
+      .returning('*');
+    const held = await transferFunds({
+      initiatorUserId: adminUserId,
+      fromAccountId: adminSource.account_id,
+      toAccountId: adminPayee.account_id,
+      amount: 6000,
+      idempotencyKey: crypto.randomUUID(),
+      riskEngine,
+    });
+    expect(held.status).toBe('UNDER_REVIEW');
+
+    // ==================== ACT ====================
+    const result = await approveTransfer({ adminUserId, transactionId: held.transactionId });
+
+    // ==================== ASSERT ====================
+    expect(result).toMatchObject({ success: false, error: 'SELF_REVIEW_NOT_PERMITTED' });
+
+    const row = await knex('transactions').where({ transaction_id: held.transactionId }).first();
+    expect(row.status).toBe('UNDER_REVIEW');
+    expect(row.reviewed_by).toBeNull();
+    expect(await balances(adminSource.account_id)).toEqual({ current: 100000, held: 6000 });
+
+    const audit = await knex('audit_logs')
+      .where({ action: 'TRANSFER_REVIEW_APPROVE', target_id: held.transactionId })
+      .orderBy('sequence_number', 'asc');
+    expect(audit.map((log) => [log.outcome, log.reason])).toEqual([
+      ['ATTEMPTED', null],
+      ['REJECTED', 'SELF_REVIEW_NOT_PERMITTED'],
+    ]);
+
+    // leave nothing held for the tests below
+    await declineTransfer({ adminUserId: userId, transactionId: held.transactionId });
+  });
+
+  test('Approval rejects a held transfer that no longer fits the limits', async () => {
+    // ==================== ARRANGE ====================
+    const [limitedSource, limitedPayee] = await knex('accounts')
+      .insert([
+        { user_id: userId, status: 'ACTIVE', current_balance: 100000 },
+        { user_id: userId, status: 'ACTIVE', current_balance: 0 },
+      ])
+      .returning('*');
+    const held = await transferFunds({
+      initiatorUserId: userId,
+      fromAccountId: limitedSource.account_id,
+      toAccountId: limitedPayee.account_id,
+      amount: 6000,
+      idempotencyKey: crypto.randomUUID(),
+      riskEngine,
+    });
+    expect(held.status).toBe('UNDER_REVIEW');
+
+    // a limit set and spent while the transfer waited: 5000 + 6000 > 10000
+    await knex('transfer_limits').insert({ account_id: limitedSource.account_id, daily_amount: 10000 });
+    await withdrawFunds({
+      initiatorUserId: userId,
+      fromAccountId: limitedSource.account_id,
+      amount: 5000,
+      idempotencyKey: crypto.randomUUID(),
+    });
+
+    // ==================== ACT ====================
+    const result = await approveTransfer({ adminUserId, transactionId: held.transactionId });
+
+    // ==================== ASSERT ====================
+    expect(result).toMatchObject({ status: 'REJECTED', reason: 'DAILY_LIMIT_EXCEEDED' });
+    expect(await balances(limitedSource.account_id)).toEqual({ current: 95000, held: 0 });
+    expect(await balances(limitedPayee.account_id)).toEqual({ current: 0, held: 0 });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Risk Engine — Screening holds when they are authorized
+ *
+ * This test verifies that:
+ * - a REJECT hit rejects the hold with RISK_REJECTED and reserves nothing
+ * - a REVIEW hit still authorizes the hold and reserves the funds, but
+ *   marks it reviewRequired
+ * - capturing a flagged hold moves no money: it settles into a TRANSFER
+ *   held UNDER_REVIEW, keeps the captured amount reserved and releases the rest
+ * - the held capture is in the admin review queue with the hold's rule hits,
+ *   and approving it settles the transfer
+ * - every rule hit is recorded in audit_logs against the hold
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const { authorizeHold, captureHold } = require('../../services/holdService');
+const { createRiskEngine } = require('../../services/riskEngineService');
+const {
+  listPendingReviews,
+  approveTransfer,
+} = require('../../services/transferReviewService');
+
+describe('Risk Engine — Screening holds when they are authorized', () => {
+  let userId;
+  let adminUserId;
+  let sourceAccountId;
+  let payeeAccountId;
+
+  const authorize = (amount, riskEngine) => authorizeHold({
+    initiatorUserId: userId,
+    fromAccountId: sourceAccountId,
+    toAccountId: payeeAccountId,
+    amount,
+    idempotencyKey: crypto.randomUUID(),
+    riskEngine,
+  });
+
+  const balances = async (accountId) => {
+    const account = await knex('accounts').where({ account_id: accountId }).first();
+    return {
+      current: Number(account.current_balance),
+      held: Number(account.held_balance),
+    };
+  };
+
+  const ruleHits = (holdId) => knex('audit_logs')
+    .where({ action: 'RISK_RULE_HIT', target_type: 'HOLD', target_id: holdId });
+
+  beforeAll(async () => {
+    const [user, admin] = await knex('users')
+      .insert([
+        { username: 'testuser_risk_holds', password_hash: 'TEST_ONLY_HASH' },
+        { username: 'testuser_risk_holds_admin', password_hash: 'TEST_ONLY_HASH', role: 'admin' },
+      ])
+      .returning('*');
+    userId = user.user_id;
+    adminUserId = admin.user_id;
+
+    const accounts = await knex('accounts')
+      .insert([
+        { user_id: userId, status: 'ACTIVE', current_balance: 100000 },
+        { user_id: userId, status: 'ACTIVE', current_balance: 0 },
+      ])
+      .returning('*');
+    [sourceAccountId, payeeAccountId] = accounts.map((a) => a.account_id);
+  });
+
+  test('A REJECT hit rejects the hold without reserving funds', async () => {
+    // ==================== ARRANGE ====================
+    const riskEngine = createRiskEngine([
+      { id: 'NEW_PAYEE', type: 'NEW_PAYEE_OVER', amount: 5000, action: 'REJECT' },
+    ]);
+
+    // ==================== ACT ====================
+    const rejected = await authorize(6000, riskEngine);
+
+    // ==================== ASSERT ====================
+    expect(rejected).toMatchObject({
+      success: false,
+      status: 'REJECTED',
+      reason: 'RISK_REJECTED',
+    });
+
+    const hold = await knex('holds').where({ hold_id: rejected.holdId }).first();
+    expect(hold.status).toBe('REJECTED');
+    expect(await balances(sourceAccountId)).toEqual({ current: 100000, held: 0 });
+
+    const hits = await ruleHits(rejected.holdId);
+    expect(hits).toHaveLength(1);
+    expect(hits[0]).toMatchObject({ actor_id: 'RISK_ENGINE', outcome: 'REJECTED' });
+    expect(hits[0].reason).toMatch(/^rule=NEW_PAYEE /);
+  });
+
+  test('A REVIEW hit authorizes the hold, and its capture waits for a reviewer', async () => {
+    // ==================== ARRANGE ====================
+    const riskEngine = createRiskEngine([
+      { id: 'NEW_PAYEE', type: 'NEW_PAYEE_OVER', amount: 5000, action: 'REVIEW' },
+    ]);
+
+    // ==================== ACT ====================
+    const flagged = await authorize(8000, riskEngine);
+    const afterAuthorize = await balances(sourceAccountId);
+
+    const captured = await captureHold({ userId, holdId: flagged.holdId, amount: 6000 });
+    const afterCapture = await balances(sourceAccountId);
+    const heldLedger = await knex('ledger_entries')
+      .where({ transaction_id: captured.transactionId });
+    const { reviews } = await listPendingReviews();
+
+    const approved = await approveTransfer({
+      adminUserId,
+      transactionId: captured.transactionId,
+    });
+
+    // ==================== ASSERT ====================
+
+    // 1) Authorized and reserved, but flagged for review
+    expect(flagged).toMatchObject({ success: true, status: 'AUTHORIZED', reviewRequired: true });
+    expect(afterAuthorize).toEqual({ current: 100000, held: 8000 });
+
+    const hits = await ruleHits(flagged.holdId);
+    expect(hits).toHaveLength(1);
+    expect(hits[0].outcome).toBe('FLAGGED');
+
+    // 2) The capture is held: no money moved, only the captured amount stays reserved
+    expect(captured).toMatchObject({
+      success: true,
+      status: 'CAPTURED',
+      transactionStatus: 'UNDER_REVIEW',
+      amount: 6000,
+      releasedAmount: 2000,
+    });
+    expect(afterCapture).toEqual({ current: 100000, held: 6000 });
+    expect(heldLedger).toHaveLength(0);
+
+    // 3) Listed for review with the hold's rule hits, then settled on approval
+    const review = reviews.find((item) => item.transactionId === captured.transactionId);
+    expect(review).toMatchObject({ amount: 6000, ruleHits: [hits[0].reason] });
+
+    expect(approved).toMatchObject({ success: true, status: 'SUCCEEDED', amount: 6000 });
+    expect(await balances(sourceAccountId)).toEqual({ current: 94000, held: 0 });
+    expect(await balances(payeeAccountId)).toEqual({ current: 6000, held: 0 });
+  });
+});
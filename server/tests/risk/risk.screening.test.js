@@ -0,0 +1,137 @@
+/**
+ * Risk Engine — Screening transfers before they commit
+ *
+ * This test verifies that:
+ * - a REVIEW hit leaves the transfer UNDER_REVIEW: no money moves, no ledger
+ *   entries are written, and the amount is reserved in held_balance
+ * - a REJECT hit rejects the transfer with RISK_REJECTED
+ * - every rule hit is recorded in audit_logs against the transaction
+ * - invalid rule files are refused when loaded
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const { transferFunds } = require('../../services/transferService');
+const { createRiskEngine } = require('../../services/riskEngineService');
+
+describe('Risk Engine — Screening transfers before they commit', () => {
+  let userId;
+  let sourceAccountId;
+  let historyAccountId;
+  let payeeAccountId;
+  let otherPayeeAccountId;
+
+  const send = (fromAccountId, toAccountId, amount, riskEngine) => transferFunds({
+    initiatorUserId: userId,
+    fromAccountId,
+    toAccountId,
+    amount,
+    idempotencyKey: crypto.randomUUID(),
+    riskEngine,
+  });
+
+  const ruleHits = (transactionId) => knex('audit_logs')
+    .where({ action: 'RISK_RULE_HIT', target_id: transactionId });
+
+  beforeAll(async () => {
+    const [user] = await knex('users')
+      .insert({ username: 'testuser_risk', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+    userId = user.user_id;
+
+    const accounts = await knex('accounts')
+      .insert([
+        { user_id: userId, status: 'ACTIVE', current_balance: 100000 },
+        { user_id: userId, status: 'ACTIVE', current_balance: 100000 },
+        { user_id: userId, status: 'ACTIVE', current_balance: 0 },
+        { user_id: userId, status: 'ACTIVE', current_balance: 0 },
+      ])
+      .returning('*');
+    [
+      sourceAccountId,
+      historyAccountId,
+      payeeAccountId,
+      otherPayeeAccountId,
+    ] = accounts.map((a) => a.account_id);
+  });
+
+  test('New payee and velocity rules hold and reject transfers', async () => {
+    // ==================== ARRANGE ====================
+    const riskEngine = createRiskEngine([
+      { id: 'NEW_PAYEE', type: 'NEW_PAYEE_OVER', amount: 5000, action: 'REVIEW' },
+      { id: 'BURST', type: 'VELOCITY', maxTransfers: 3, windowMinutes: 10, action: 'REJECT' },
+    ]);
+
+    // ==================== ACT ====================
+    const held = await send(sourceAccountId, payeeAccountId, 6000, riskEngine);
+    const second = await send(sourceAccountId, otherPayeeAccountId, 1000, riskEngine);
+    const third = await send(sourceAccountId, otherPayeeAccountId, 1000, riskEngine);
+    const fourth = await send(sourceAccountId, otherPayeeAccountId, 1000, riskEngine);
+
+    // ==================== ASSERT ====================
+
+    // 1) The large transfer to a new payee is held, with funds reserved
+    expect(held).toMatchObject({ success: true, status: 'UNDER_REVIEW', amount: 6000 });
+
+    const heldRow = await knex('transactions').where({ transaction_id: held.transactionId }).first();
+    expect(heldRow.status).toBe('UNDER_REVIEW');
+
+    const heldLedger = await knex('ledger_entries').where({ transaction_id: held.transactionId });
+    expect(heldLedger).toHaveLength(0);
+
+    const source = await knex('accounts').where({ account_id: sourceAccountId }).first();
+    expect(Number(source.current_balance)).toBe(98000);
+    expect(Number(source.held_balance)).toBe(6000);
+
+    const payee = await knex('accounts').where({ account_id: payeeAccountId }).first();
+    expect(Number(payee.current_balance)).toBe(0);
+
+    const [newPayeeHit] = await ruleHits(held.transactionId);
+    expect(newPayeeHit.actor_type).toBe('SYSTEM');
+    expect(newPayeeHit.outcome).toBe('FLAGGED');
+    expect(newPayeeHit.reason).toContain('rule=NEW_PAYEE');
+
+    // 2) Small transfers pass until the velocity rule fires
+    expect(second.status).toBe('SUCCEEDED');
+    expect(third.status).toBe('SUCCEEDED');
+    expect(fourth.status).toBe('REJECTED');
+    expect(fourth.reason).toBe('RISK_REJECTED');
+
+    const [burstHit] = await ruleHits(fourth.transactionId);
+    expect(burstHit.outcome).toBe('REJECTED');
+    expect(burstHit.reason).toContain('rule=BURST transfers=4');
+  });
+
+  test('Amounts far above the account average are held for review', async () => {
+    // ==================== ARRANGE ====================
+    const riskEngine = createRiskEngine([
+      { id: 'ABOVE_AVERAGE', type: 'AMOUNT_ABOVE_AVERAGE', multiplier: 3, minHistory: 2, action: 'REVIEW' },
+    ]);
+
+    // ==================== ACT ====================
+    const first = await send(historyAccountId, payeeAccountId, 1000, riskEngine);
+    const second = await send(historyAccountId, payeeAccountId, 1000, riskEngine);
+    const spike = await send(historyAccountId, payeeAccountId, 5000, riskEngine);
+
+    // ==================== ASSERT ====================
+    expect(first.status).toBe('SUCCEEDED');
+    expect(second.status).toBe('SUCCEEDED');
+    expect(spike.status).toBe('UNDER_REVIEW');
+
+    const [hit] = await ruleHits(spike.transactionId);
+    expect(hit.reason).toBe('rule=ABOVE_AVERAGE amount=5000 average=1000 multiplier=3');
+  });
+
+  test('Invalid rules are refused', () => {
+    expect(() => createRiskEngine([{ id: 'X', type: 'UNKNOWN', action: 'REJECT' }]))
+      .toThrow(/Invalid risk rule #1/);
+    expect(() => createRiskEngine([
+      { id: 'X', type: 'VELOCITY', maxTransfers: 0, windowMinutes: 5, action: 'REJECT' },
+    ])).toThrow(/Invalid risk rule #1/);
+    expect(() => createRiskEngine([
+      { id: 'X', type: 'NEW_PAYEE_OVER', amount: 100, action: 'ALLOW' },
+    ])).toThrow(/Invalid risk rule #1/);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Scheduled Transfers — Request validation
+ *
+ * This test verifies that:
+ * - account ids that are not UUIDs are refused with 400 before any query
+ *   runs (Postgres would otherwise fail the uuid cast with a 500)
+ * - a well-formed request is normalized into req.scheduledTransfer
+ *
+ * This test calls the middleware directly with a minimal req / res
+ * (no HTTP server, no database).
+ */
+
+const crypto = require('crypto');
+const validateScheduledTransferRequest = require('../../middleware/validateScheduledTransferRequest');
+
+describe('Scheduled Transfers — Request validation', () => {
+  const validate = validateScheduledTransferRequest();
+
+  /**
+   * Run the validator and return the status and JSON body it answered with,
+   * or { next: true } when it passed the request on.
+   */
+  const run = (body) => {
+    const req = { body };
+    const answer = { status: null, body: null, next: false, req };
+    const res = {
+      status: (code) => {
+        answer.status = code;
+        return res;
+      },
+      json: (payload) => {
+        answer.body = payload;
+        return res;
+      },
+    };
+
+    validate(req, res, () => {
+      answer.next = true;
+    });
+
+    return answer;
+  };
+
+  const validBody = () => ({
+    fromAccountId: crypto.randomUUID(),
+    toAccountId: crypto.randomUUID(),
+    amount: 2500,
+    frequency: 'WEEKLY',
+    startAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+  });
+
+  test('Account ids that are not UUIDs are refused with 400', () => {
+    // ==================== ACT ====================
+    const badFrom = run({ ...validBody(), fromAccountId: 'not-a-uuid' });
+    const badTo = run({ ...validBody(), toAccountId: '12345' });
+
+    // ==================== ASSERT ====================
+    [badFrom, badTo].forEach((answer) => {
+      expect(answer.next).toBe(false);
+      expect(answer.status).toBe(400);
+      expect(answer.body).toMatchObject({ success: false, error: 'INVALID_REQUEST' });
+    });
+  });
+
+  test('A well-formed request is passed on', () => {
+    // ==================== ARRANGE ====================
+    const body = validBody();
+
+    // ==================== ACT ====================
+    const answer = run(body);
+
+    // ==================== ASSERT ====================
+    expect(answer.next).toBe(true);
+    expect(answer.req.scheduledTransfer).toMatchObject({
+      fromAccountId: body.fromAccountId,
+      toAccountId: body.toAccountId,
+      amount: 2500,
+      frequency: 'WEEKLY',
+    });
+  });
+});
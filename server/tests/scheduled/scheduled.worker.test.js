@@ -0,0 +1,178 @@
+/**
+ * Scheduled Transfers — Worker
+ *
+ * This test verifies that:
+ * - a due occurrence is executed through transferFunds and the schedule
+ *   moves to its next occurrence (or COMPLETED for ONCE)
+ * - re-running an attempt that already ran (worker crash) replays the
+ *   transfer instead of paying twice
+ * - INSUFFICIENT_FUNDS is retried after the delay, then the occurrence is skipped
+ * - every execution is recorded in audit_logs
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const knex = require('../../db/knex');
+const {
+  createScheduledTransfer,
+  runDueScheduledTransfers,
+} = require('../../services/scheduledTransferService');
+
+const MINUTE = 60 * 1000;
+
+describe('Scheduled Transfers — Worker', () => {
+  let testUserId;
+  let fromAccountId;
+  let toAccountId;
+
+  const balanceOf = async (accountId) => {
+    const account = await knex('accounts').where({ account_id: accountId }).first();
+    return Number(account.current_balance);
+  };
+
+  const scheduleRow = (id) => knex('scheduled_transfers')
+    .where({ scheduled_transfer_id: id })
+    .first();
+
+  beforeAll(async () => {
+    const [user] = await knex('users')
+      .insert({ username: 'testuser_scheduled_worker', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+    testUserId = user.user_id;
+
+    const accounts = await knex('accounts')
+      .insert([
+        { user_id: testUserId, status: 'ACTIVE', current_balance: 1000 },
+        { user_id: testUserId, status: 'ACTIVE', current_balance: 0 },
+      ])
+      .returning('*');
+    [fromAccountId, toAccountId] = accounts.map((a) => a.account_id);
+  });
+
+  test('A weekly occurrence runs once and the schedule advances a week', async () => {
+    // ==================== ARRANGE ====================
+    const now = new Date();
+    const startAt = new Date(now.getTime() - MINUTE);
+    const { scheduledTransfer } = await createScheduledTransfer({
+      userId: testUserId,
+      fromAccountId,
+      toAccountId,
+      amount: 100,
+      frequency: 'WEEKLY',
+      startAt,
+    });
+    const id = scheduledTransfer.scheduledTransferId;
+
+    // ==================== ACT ====================
+    const first = await runDueScheduledTransfers({ now });
+    const afterFirst = await scheduleRow(id);
+
+    // Simulate a worker that crashed before saving the schedule: same attempt again
+    await knex('scheduled_transfers')
+      .where({ scheduled_transfer_id: id })
+      .update({ next_run_at: startAt });
+    const rerun = await runDueScheduledTransfers({ now });
+
+    // ==================== ASSERT ====================
+
+    // 1) Executed and advanced by 7 days
+    expect(first.succeeded).toContain(id);
+    expect(afterFirst.status).toBe('ACTIVE');
+    expect(afterFirst.next_run_at.getTime()).toBe(startAt.getTime() + 7 * 24 * 60 * MINUTE);
+    expect(afterFirst.last_result).toBe('SUCCEEDED');
+
+    // 2) The re-run replayed the same transaction: money moved once
+    expect(rerun.succeeded).toContain(id);
+    const afterRerun = await scheduleRow(id);
+    expect(afterRerun.last_transaction_id).toBe(afterFirst.last_transaction_id);
+    expect(await balanceOf(toAccountId)).toBe(100);
+
+    // 3) Each execution is audited against the schedule
+    const runLogs = await knex('audit_logs')
+      .where({ action: 'SCHEDULED_TRANSFER_RUN', target_id: id });
+    expect(runLogs).toHaveLength(2);
+    runLogs.forEach((log) => {
+      expect(log.actor_type).toBe('SYSTEM');
+      expect(log.outcome).toBe('SUCCEEDED');
+      expect(log.reason).toContain(`transaction=${afterFirst.last_transaction_id}`);
+    });
+  });
+
+  test('INSUFFICIENT_FUNDS is retried, then the occurrence is skipped', async () => {
+    // ==================== ARRANGE ====================
+    const now = new Date();
+    const startAt = new Date(now.getTime() - MINUTE);
+    const { scheduledTransfer } = await createScheduledTransfer({
+      userId: testUserId,
+      fromAccountId,
+      toAccountId,
+      amount: 1000000,
+      frequency: 'MONTHLY',
+      startAt,
+    });
+    const id = scheduledTransfer.scheduledTransferId;
+    const options = { maxAttempts: 2, retryDelayMinutes: 30 };
+
+    // ==================== ACT ====================
+    const firstRun = await runDueScheduledTransfers({ ...options, now });
+    const afterFirst = await scheduleRow(id);
+
+    const tooEarly = await runDueScheduledTransfers({
+      ...options,
+      now: new Date(now.getTime() + MINUTE),
+    });
+
+    const secondRun = await runDueScheduledTransfers({
+      ...options,
+      now: new Date(now.getTime() + 31 * MINUTE),
+    });
+    const afterSecond = await scheduleRow(id);
+
+    // ==================== ASSERT ====================
+
+    // 1) First rejection schedules a retry
+    expect(firstRun.retrying).toContain(id);
+    expect(afterFirst.attempts).toBe(1);
+    expect(afterFirst.retry_at.getTime()).toBe(now.getTime() + 30 * MINUTE);
+    expect(afterFirst.last_result).toBe('REJECTED:INSUFFICIENT_FUNDS');
+
+    // 2) Nothing runs before the retry is due
+    expect(tooEarly.scanned).toBe(0);
+
+    // 3) Last attempt rejected: occurrence skipped, schedule moves to next month
+    expect(secondRun.skipped).toContain(id);
+    expect(afterSecond.status).toBe('ACTIVE');
+    expect(afterSecond.attempts).toBe(0);
+    expect(afterSecond.retry_at).toBeNull();
+    expect(afterSecond.next_run_at.getTime())
+      .toBeGreaterThan(startAt.getTime() + 27 * 24 * 60 * MINUTE);
+
+    // 4) Two distinct REJECTED transactions, one per attempt
+    const runLogs = await knex('audit_logs')
+      .where({ action: 'SCHEDULED_TRANSFER_RUN', target_id: id })
+      .orderBy('created_at', 'asc');
+    expect(runLogs.map((log) => log.outcome)).toEqual(['REJECTED', 'REJECTED']);
+    expect(runLogs[0].reason).not.toBe(runLogs[1].reason);
+  });
+
+  test('A ONCE schedule completes after its run', async () => {
+    // ==================== ARRANGE ====================
+    const now = new Date();
+    const { scheduledTransfer } = await createScheduledTransfer({
+      userId: testUserId,
+      fromAccountId,
+      toAccountId,
+      amount: 50,
+      frequency: 'ONCE',
+      startAt: new Date(now.getTime() - MINUTE),
+    });
+
+    // ==================== ACT ====================
+    await runDueScheduledTransfers({ now });
+
+    // ==================== ASSERT ====================
+    const row = await scheduleRow(scheduledTransfer.scheduledTransferId);
+    expect(row.status).toBe('COMPLETED');
+    expect(row.last_result).toBe('SUCCEEDED');
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Sessions — Listing and revoking server-side sessions
+ *
+ * This test verifies that:
+ * - logging in issues a new session carrying the user, a public sessionId
+ *   and its absolute expiry
+ * - only the user's sessions that are within both timeouts are listed,
+ *   with the current one flagged
+ * - a session can only be revoked by its own user
+ * - "sign out everywhere" keeps the current session only
+ * - changing the password signs out every other session
+ * - revocations are audited
+ *
+ * This test writes session rows the way the session store does and talks
+ * directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const User = require('../../models/User');
+const { startSession } = require('../../utils/sessions');
+const {
+  listSessions,
+  revokeSession,
+  signOutEverywhere,
+} = require('../../services/sessionService');
+
+describe('Sessions — Listing and revoking server-side sessions', () => {
+  const HOUR = 60 * 60 * 1000;
+  let userId;
+  let otherUserId;
+
+  /**
+   * Store a session row; returns its sid and public sessionId.
+   */
+  const addSession = async (forUserId, {
+    idleExpiresIn = HOUR,
+    absoluteExpiresIn = 12 * HOUR,
+    userAgent = 'jest-session/1.0',
+  } = {}) => {
+    const sid = crypto.randomBytes(16).toString('hex');
+    const sessionId = crypto.randomUUID();
+    const now = Date.now();
+
+    await knex('sessions').insert({
+      sid,
+      expired: new Date(now + idleExpiresIn),
+      sess: JSON.stringify({
+        cookie: { httpOnly: true },
+        userId: forUserId,
+        sessionId,
+        createdAt: new Date(now).toISOString(),
+        absoluteExpiresAt: new Date(now + absoluteExpiresIn).toISOString(),
+        ipAddress: '198.51.100.4',
+        userAgent,
+      }),
+    });
+
+    return { sid, sessionId };
+  };
+
+  const sessionCount = async (forUserId) => {
+    const [{ count }] = await knex('sessions').where({ user_id: forUserId }).count('* as count');
+    return Number(count);
+  };
+
+  beforeEach(async () => {
+    const [user, other] = await knex('users')
+      .insert([
+        { username: `testuser_session_${crypto.randomUUID()}`, password_hash: 'TEST_ONLY_HASH' },
+        { username: `testuser_session_${crypto.randomUUID()}`, password_hash: 'TEST_ONLY_HASH' },
+      ])
+      .returning('user_id');
+
+    userId = user.user_id;
+    otherUserId = other.user_id;
+  });
+
+  test('Logging in starts a fresh session', async () => {
+    const req = {
+      auditContext: { ipAddress: '198.51.100.4', userAgent: 'jest-session/1.0' },
+      session: {
+        userId: 'someone-else',
+        regenerate(callback) {
+          req.session = {};
+          callback();
+        },
+      },
+    };
+    const now = new Date('2026-10-19T08:00:00.000Z');
+
+    await startSession(req, userId, now);
+
+    expect(req.session).toMatchObject({
+      userId,
+      createdAt: '2026-10-19T08:00:00.000Z',
+      absoluteExpiresAt: '2026-10-19T20:00:00.000Z',
+      ipAddress: '198.51.100.4',
+      userAgent: 'jest-session/1.0',
+    });
+    expect(req.session.sessionId).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('Lists only active sessions of the user, flagging the current one', async () => {
+    const current = await addSession(userId);
+    const phone = await addSession(userId, { userAgent: 'jest-phone/2.0' });
+    await addSession(userId, { idleExpiresIn: -1000 });
+    await addSession(userId, { absoluteExpiresIn: -1000 });
+    await addSession(otherUserId);
+
+    const { sessions } = await listSessions({ userId, currentSid: current.sid });
+
+    expect(sessions).toHaveLength(2);
+    expect(sessions.find((s) => s.sessionId === current.sessionId)).toMatchObject({
+      current: true,
+      ipAddress: '198.51.100.4',
+    });
+    expect(sessions.find((s) => s.sessionId === phone.sessionId)).toMatchObject({
+      current: false,
+      userAgent: 'jest-phone/2.0',
+    });
+  });
+
+  test("A session can only be revoked by its own user", async () => {
+    const { sessionId } = await addSession(userId);
+
+    const byOther = await revokeSession({ userId: otherUserId, sessionId });
+    expect(byOther).toMatchObject({ success: false, error: 'SESSION_NOT_FOUND' });
+    expect(await sessionCount(userId)).toBe(1);
+
+    const byOwner = await revokeSession({ userId, sessionId });
+    expect(byOwner).toEqual({ success: true, sessionId });
+    expect(await sessionCount(userId)).toBe(0);
+
+    const audit = await knex('audit_logs')
+      .where({ action: 'SESSION_REVOKE', target_id: sessionId })
+      .orderBy('sequence_number');
+    expect(audit.map((row) => [row.actor_id, row.outcome])).toEqual([
+      [otherUserId, 'REJECTED'],
+      [userId, 'SUCCEEDED'],
+    ]);
+  });
+
+  test('Sign out everywhere keeps only the current session', async () => {
+    const current = await addSession(userId);
+    await addSession(userId);
+    await addSession(userId);
+    await addSession(otherUserId);
+
+    const result = await signOutEverywhere({ userId, currentSid: current.sid });
+
+    expect(result).toEqual({ success: true, revokedSessions: 2 });
+    expect(await knex('sessions').where({ user_id: userId }).pluck('sid')).toEqual([current.sid]);
+    expect(await sessionCount(otherUserId)).toBe(1);
+  });
+
+  test('Changing the password signs out every other session', async () => {
+    const current = await addSession(userId);
+    await addSession(userId);
+
+    const { user, revokedSessions } = await User.updatePassword(userId, 'a new passphrase', {
+      keepSid: current.sid,
+    });
+
+    expect(revokedSessions).toBe(1);
+    expect(await user.isValidPassword('a new passphrase')).toBe(true);
+    expect(await knex('sessions').where({ user_id: userId }).pluck('sid')).toEqual([current.sid]);
+
+    // with no session to keep (e.g. a reset), every session goes
+    await User.updatePassword(userId, 'another passphrase');
+    expect(await sessionCount(userId)).toBe(0);
+  });
+});
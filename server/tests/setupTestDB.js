@@ -1,6 +1,21 @@
 const knex = require('../db/knex');
 
+/**
+ * Every run starts from an empty schema.
+ *
+ * Down migrations refuse to throw away ledger or audit history, so the
+ * rows a previous run left behind cannot be rolled back. The test
+ * database's public schema is recreated instead; then every migration is
+ * applied, rolled back (running each down() on empty tables) and applied
+ * again.
+ */
 module.exports = async () => {
+  if (process.env.NODE_ENV !== 'test') {
+    throw new Error('Refusing to reset a database outside NODE_ENV=test');
+  }
+
+  await knex.raw('DROP SCHEMA public CASCADE; CREATE SCHEMA public;');
+  await knex.migrate.latest();
   await knex.migrate.rollback(undefined, true);
   await knex.migrate.latest();
 };
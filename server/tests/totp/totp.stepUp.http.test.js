@@ -0,0 +1,180 @@
+/**
+ * Transfer Step-Up — requireTransferStepUp over HTTP
+ *
+ * This test verifies that:
+ * - transfers up to TRANSFER_STEP_UP_THRESHOLD go through without a code;
+ *   above it they are refused with 403 until a TOTP-Code is sent
+ * - an idempotent retry of a stepped-up transfer replays the stored
+ *   response without a new code (the first code is already spent)
+ * - holds and scheduled transfers above the threshold need a code too,
+ *   on create and when a schedule's amount is raised
+ *
+ * This test runs the real transfer, hold and scheduled-transfer routers on
+ * an ephemeral HTTP server; only the session is stubbed.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const knex = require('../../db/knex');
+const User = require('../../models/User');
+const auditContext = require('../../middleware/auditContext');
+const errorHandler = require('../../middleware/errorHandler');
+const transferRoutes = require('../../routes/transferRoutes');
+const holdRoutes = require('../../routes/holdRoutes');
+const scheduledTransferRoutes = require('../../routes/scheduledTransferRoutes');
+const { totpCode } = require('../../utils/totp');
+const { beginTotpEnrollment, confirmTotpEnrollment } = require('../../services/totpService');
+
+describe('Transfer Step-Up — requireTransferStepUp over HTTP', () => {
+  const THRESHOLD = 50000;
+  const previousThreshold = process.env.TRANSFER_STEP_UP_THRESHOLD;
+
+  let server;
+  let baseUrl;
+  let user;
+  let secret;
+  let sourceAccountId;
+  let payeeAccountId;
+
+  const request = async (method, path, { body, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: await response.json(),
+    };
+  };
+
+  const transfer = (amount, headers) => request('POST', '/api/transfers', {
+    body: { fromAccountId: sourceAccountId, toAccountId: payeeAccountId, amount },
+    headers: { 'Idempotency-Key': crypto.randomUUID(), ...headers },
+  });
+
+  beforeAll(async () => {
+    process.env.TRANSFER_STEP_UP_THRESHOLD = String(THRESHOLD);
+
+    user = await User.create(`testuser_stepup_${crypto.randomUUID()}`, 'passphrase');
+    // confirm one time step back, so the current step's code is still unused
+    const stepBack = new Date(Date.now() - 30 * 1000);
+    ({ secret } = await beginTotpEnrollment({ userId: user.id }));
+    await confirmTotpEnrollment({
+      userId: user.id,
+      code: totpCode(secret, stepBack),
+      now: stepBack,
+    });
+
+    const accounts = await knex('accounts')
+      .insert([
+        { user_id: user.id, status: 'ACTIVE', current_balance: 1000000 },
+        { user_id: user.id, status: 'ACTIVE', current_balance: 0 },
+      ])
+      .returning('*');
+    [sourceAccountId, payeeAccountId] = accounts.map((a) => a.account_id);
+
+    const app = express();
+    app.use(auditContext);
+    app.use((req, res, next) => {
+      req.session = { userId: user.id };
+      next();
+    });
+    app.use(express.json());
+    app.use('/api/transfers/scheduled', scheduledTransferRoutes);
+    app.use('/api/transfers', transferRoutes);
+    app.use('/api/holds', holdRoutes);
+    app.use(errorHandler);
+
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => {
+      server.close(resolve);
+    });
+
+    if (previousThreshold === undefined) {
+      delete process.env.TRANSFER_STEP_UP_THRESHOLD;
+    } else {
+      process.env.TRANSFER_STEP_UP_THRESHOLD = previousThreshold;
+    }
+  });
+
+  test('Transfers above the threshold need a code; a retry replays without one', async () => {
+    // ==================== ACT ====================
+    const atThreshold = await transfer(THRESHOLD);
+    const withoutCode = await transfer(THRESHOLD + 1);
+    const wrongCode = await transfer(THRESHOLD + 1, { 'TOTP-Code': '000000' });
+
+    const idempotencyKey = crypto.randomUUID();
+    const code = totpCode(secret, new Date());
+    const stepped = await transfer(THRESHOLD + 1, { 'Idempotency-Key': idempotencyKey, 'TOTP-Code': code });
+    const retried = await transfer(THRESHOLD + 1, { 'Idempotency-Key': idempotencyKey, 'TOTP-Code': code });
+    const retriedWithoutCode = await transfer(THRESHOLD + 1, { 'Idempotency-Key': idempotencyKey });
+
+    // ==================== ASSERT ====================
+    expect(atThreshold.status).toBe(201);
+    expect(withoutCode).toMatchObject({ status: 403, body: { error: 'TOTP_REQUIRED' } });
+    expect(wrongCode).toMatchObject({ status: 403, body: { error: 'INVALID_TOTP_CODE' } });
+
+    expect(stepped).toMatchObject({ status: 201, body: { status: 'SUCCEEDED' } });
+    [retried, retriedWithoutCode].forEach((retry) => {
+      expect(retry.status).toBe(201);
+      expect(retry.body).toEqual(stepped.body);
+      expect(retry.headers.get('Idempotent-Replayed')).toBe('true');
+    });
+
+    // the replay spent no code, and moved money only once
+    const steppedUp = await knex('audit_logs')
+      .where({ action: 'TRANSFER_STEP_UP', actor_id: user.id, outcome: 'SUCCEEDED' });
+    expect(steppedUp).toHaveLength(1);
+
+    const debits = await knex('ledger_entries')
+      .where({ transaction_id: stepped.body.transactionId })
+      .where('amount', '<', 0);
+    expect(debits).toHaveLength(1);
+  });
+
+  test('Holds and scheduled transfers above the threshold need a code', async () => {
+    // ==================== ACT ====================
+    const hold = await request('POST', '/api/holds', {
+      body: { fromAccountId: sourceAccountId, toAccountId: payeeAccountId, amount: THRESHOLD + 1 },
+      headers: { 'Idempotency-Key': crypto.randomUUID() },
+    });
+
+    const schedule = (amount) => request('POST', '/api/transfers/scheduled', {
+      body: {
+        fromAccountId: sourceAccountId,
+        toAccountId: payeeAccountId,
+        amount,
+        frequency: 'WEEKLY',
+        startAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+      },
+    });
+    const largeSchedule = await schedule(THRESHOLD + 1);
+    const smallSchedule = await schedule(THRESHOLD);
+
+    const scheduleId = smallSchedule.body.scheduledTransfer?.scheduledTransferId;
+    const raised = await request('PATCH', `/api/transfers/scheduled/${scheduleId}`, {
+      body: { amount: THRESHOLD + 1 },
+    });
+    const extended = await request('PATCH', `/api/transfers/scheduled/${scheduleId}`, {
+      body: { endsAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString() },
+    });
+
+    // ==================== ASSERT ====================
+    expect(hold).toMatchObject({ status: 403, body: { error: 'TOTP_REQUIRED' } });
+    expect(largeSchedule).toMatchObject({ status: 403, body: { error: 'TOTP_REQUIRED' } });
+    expect(smallSchedule.status).toBe(201);
+    expect(raised).toMatchObject({ status: 403, body: { error: 'TOTP_REQUIRED' } });
+    expect(extended.status).toBe(200);
+
+    expect(await knex('holds').where({ initiator_user_id: user.id })).toHaveLength(0);
+  });
+});
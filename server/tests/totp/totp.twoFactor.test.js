@@ -0,0 +1,252 @@
+/**
+ * Two-Factor Authentication — TOTP enrollment, login and transfer step-up
+ *
+ * This test verifies that:
+ * - codes match the RFC 6238 reference values (SHA-1), within one step
+ *   of clock drift
+ * - enrollment is only enforced once confirmed with a valid code, and
+ *   yields single-use recovery codes stored as hashes
+ * - a code is accepted at most once
+ * - login requires a second factor once enrolled
+ * - transfers above the step-up threshold need a fresh TOTP code
+ * - disabling needs a valid code
+ *
+ * Codes are computed and checked against fixed clocks; the login check
+ * calls the controller with a minimal req / res (no HTTP server).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const User = require('../../models/User');
+const authControllers = require('../../controllers/authControllers');
+const {
+  base32Encode,
+  base32Decode,
+  totpCode,
+  verifyTotpCode,
+} = require('../../utils/totp');
+const {
+  isTotpEnabled,
+  beginTotpEnrollment,
+  confirmTotpEnrollment,
+  verifySecondFactor,
+  disableTotp,
+  checkTransferStepUp,
+} = require('../../services/totpService');
+
+describe('Two-Factor Authentication — TOTP', () => {
+  const T0 = new Date('2026-01-01T00:00:00.000Z');
+  const stepsAfter = (steps) => new Date(T0.getTime() + steps * 30 * 1000);
+
+  let user;
+
+  // enroll the user and confirm at T0
+  const enroll = async () => {
+    const { secret } = await beginTotpEnrollment({ userId: user.id });
+    const { recoveryCodes } = await confirmTotpEnrollment({
+      userId: user.id,
+      code: totpCode(secret, T0),
+      now: T0,
+    });
+    return { secret, recoveryCodes };
+  };
+
+  describe('Codes', () => {
+    // RFC 6238 Appendix B, SHA-1 seed, last 6 of the 8 digits
+    const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+    test.each([
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037'],
+      [20000000000, '353130'],
+    ])('at %i seconds the code is %s', (seconds, expected) => {
+      expect(totpCode(secret, new Date(seconds * 1000))).toBe(expected);
+    });
+
+    test('base32 round-trips and matches the RFC 4648 alphabet', () => {
+      expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+      expect(base32Decode(secret).toString()).toBe('12345678901234567890');
+    });
+
+    test('one step of drift either way is accepted, two are not', () => {
+      const code = totpCode(secret, T0);
+
+      expect(verifyTotpCode(secret, code, { now: stepsAfter(-1) })).not.toBeNull();
+      expect(verifyTotpCode(secret, code, { now: stepsAfter(1) })).not.toBeNull();
+      expect(verifyTotpCode(secret, code, { now: stepsAfter(2) })).toBeNull();
+      expect(verifyTotpCode(secret, 'abcdef', { now: T0 })).toBeNull();
+    });
+  });
+
+  describe('Enrollment, login and step-up', () => {
+    beforeEach(async () => {
+      user = await User.create(`testuser_totp_${crypto.randomUUID()}`, 'passphrase');
+    });
+
+    test('Enrollment is enforced only once confirmed, with hashed recovery codes', async () => {
+      const enrollment = await beginTotpEnrollment({ userId: user.id, issuer: 'Test Bank' });
+      expect(enrollment.otpauthUri).toBe(
+        `otpauth://totp/Test%20Bank:${user.username}?secret=${enrollment.secret}`
+        + '&issuer=Test+Bank&algorithm=SHA1&digits=6&period=30',
+      );
+      expect(await isTotpEnabled(user.id)).toBe(false);
+
+      const wrong = await confirmTotpEnrollment({ userId: user.id, code: '000000', now: T0 });
+      expect(wrong).toMatchObject({ success: false, error: 'INVALID_TOTP_CODE' });
+
+      const confirmed = await confirmTotpEnrollment({
+        userId: user.id,
+        code: totpCode(enrollment.secret, T0),
+        now: T0,
+      });
+      expect(confirmed.success).toBe(true);
+      expect(confirmed.recoveryCodes).toHaveLength(10);
+      expect(await isTotpEnabled(user.id)).toBe(true);
+
+      const stored = await knex('totp_recovery_codes').where({ user_id: user.id }).pluck('code_hash');
+      expect(stored).toHaveLength(10);
+      confirmed.recoveryCodes.forEach((code) => expect(stored).not.toContain(code));
+
+      const again = await beginTotpEnrollment({ userId: user.id });
+      expect(again).toMatchObject({ success: false, error: 'TOTP_ALREADY_ENABLED' });
+    });
+
+    test('A code is accepted once; recovery codes work once', async () => {
+      const { secret, recoveryCodes } = await enroll();
+
+      // the confirming code is already spent
+      const replay = await verifySecondFactor({
+        userId: user.id,
+        code: totpCode(secret, T0),
+        now: T0,
+      });
+      expect(replay).toEqual({ success: false, error: 'INVALID_TOTP_CODE' });
+
+      const next = await verifySecondFactor({
+        userId: user.id,
+        code: totpCode(secret, stepsAfter(1)),
+        now: stepsAfter(1),
+      });
+      expect(next).toEqual({ success: true, method: 'TOTP' });
+
+      const recovery = await verifySecondFactor({
+        userId: user.id,
+        recoveryCode: recoveryCodes[0].toLowerCase(),
+        now: stepsAfter(2),
+      });
+      expect(recovery).toEqual({ success: true, method: 'RECOVERY_CODE' });
+
+      const recoveryAgain = await verifySecondFactor({
+        userId: user.id,
+        recoveryCode: recoveryCodes[0],
+        now: stepsAfter(2),
+      });
+      expect(recoveryAgain).toEqual({ success: false, error: 'INVALID_RECOVERY_CODE' });
+    });
+
+    test('Login requires the second factor once enrolled', async () => {
+      const { secret } = await enroll();
+
+      const login = async (body) => {
+        const req = {
+          body: { username: user.username, password: 'passphrase', ...body },
+          auditContext: null,
+        };
+        req.session = {
+          regenerate(callback) {
+            req.session = {};
+            callback();
+          },
+        };
+        let status = 200;
+        let sent = null;
+        const res = {
+          status: (code) => {
+            status = code;
+            return res;
+          },
+          send: (payload) => {
+            sent = payload;
+            return res;
+          },
+        };
+
+        await authControllers.loginUser(req, res, (error) => {
+          throw error;
+        });
+        return { status, sent, session: req.session };
+      };
+
+      const withoutCode = await login({});
+      expect(withoutCode.status).toBe(401);
+      expect(withoutCode.sent.error).toBe('TOTP_REQUIRED');
+      expect(withoutCode.session.userId).toBeUndefined();
+
+      const wrongCode = await login({ totpCode: '000000' });
+      expect(wrongCode.sent.error).toBe('INVALID_TOTP_CODE');
+
+      const withCode = await login({ totpCode: totpCode(secret, new Date()) });
+      expect(withCode.status).toBe(200);
+      expect(withCode.session.userId).toBe(user.id);
+
+      const audit = await knex('audit_logs')
+        .where({ action: 'LOGIN', actor_id: user.id })
+        .orderBy('sequence_number')
+        .pluck('reason');
+      expect(audit).toEqual(['TOTP_REQUIRED', 'INVALID_TOTP_CODE', null]);
+    });
+
+    test('Transfers above the threshold need a fresh TOTP code', async () => {
+      const threshold = 100000;
+      const stepUp = (amount, code, now = T0) => checkTransferStepUp({
+        userId: user.id,
+        amount,
+        code,
+        now,
+        threshold,
+      });
+
+      expect(await stepUp(threshold, null)).toEqual({ success: true, required: false });
+      expect(await stepUp(threshold + 1, null)).toEqual({
+        success: false,
+        error: 'STEP_UP_ENROLLMENT_REQUIRED',
+      });
+
+      const { secret, recoveryCodes } = await enroll();
+      const later = stepsAfter(10);
+
+      expect(await stepUp(threshold + 1, null, later)).toEqual({ success: false, error: 'TOTP_REQUIRED' });
+      expect(await stepUp(threshold + 1, recoveryCodes[0], later)).toEqual({
+        success: false,
+        error: 'INVALID_TOTP_CODE',
+      });
+
+      const code = totpCode(secret, later);
+      expect(await stepUp(threshold + 1, code, later)).toEqual({ success: true, required: true });
+      expect(await stepUp(threshold + 1, code, later)).toEqual({
+        success: false,
+        error: 'INVALID_TOTP_CODE',
+      });
+    });
+
+    test('Disabling needs a valid code', async () => {
+      const { secret } = await enroll();
+
+      const refused = await disableTotp({ userId: user.id, code: '000000', now: stepsAfter(1) });
+      expect(refused).toMatchObject({ success: false, error: 'INVALID_TOTP_CODE' });
+      expect(await isTotpEnabled(user.id)).toBe(true);
+
+      const disabled = await disableTotp({
+        userId: user.id,
+        code: totpCode(secret, stepsAfter(1)),
+        now: stepsAfter(1),
+      });
+      expect(disabled).toEqual({ success: true });
+      expect(await isTotpEnabled(user.id)).toBe(false);
+      expect(await knex('totp_recovery_codes').where({ user_id: user.id })).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Transfer Service — Concurrent Transfers
+ *
+ * This test verifies that under hundreds of parallel transfers
+ * (including opposing A->B / B->A pairs):
+ * - no transfer FAILS (no deadlocks leak out as system failures)
+ * - money is conserved across the accounts
+ * - every account's current_balance equals its ledger sum
+ * - no balance goes negative
+ * - every SUCCEEDED transfer has exactly two ledger entries
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const { transferFunds } = require('../../services/transferService');
+const { depositFunds } = require('../../services/cashService');
+
+describe('Transfer Service — Concurrent Transfers', () => {
+  const accountCount = 4;
+  const initialBalance = 5000;
+  const transferCount = 300;
+
+  let testUserId;
+  let accountIds;
+
+  beforeAll(async () => {
+    const [user] = await knex('users')
+      .insert({ username: 'testuser_concurrency', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+    testUserId = user.user_id;
+
+    const accounts = await knex('accounts')
+      .insert(Array.from({ length: accountCount }, () => ({ user_id: testUserId })))
+      .returning('*');
+    accountIds = accounts.map((account) => account.account_id);
+
+    // fund through the ledger so balance === ledger sum from the start
+    await Promise.all(accountIds.map((accountId) => depositFunds({
+      initiatorUserId: testUserId,
+      toAccountId: accountId,
+      amount: initialBalance,
+      idempotencyKey: crypto.randomUUID(),
+    })));
+  });
+
+  test('Parallel transfers keep balances and ledger consistent', async () => {
+    // ==================== ARRANGE ====================
+    // deterministic mix of pairs, every pair in both directions
+    const requests = Array.from({ length: transferCount }, (_, i) => {
+      const from = accountIds[i % accountCount];
+      const to = accountIds[(i + 1 + Math.floor(i / accountCount)) % accountCount];
+      return {
+        initiatorUserId: testUserId,
+        fromAccountId: from,
+        toAccountId: to === from ? accountIds[(i + 1) % accountCount] : to,
+        amount: 100 + (i % 7) * 150,
+        idempotencyKey: crypto.randomUUID(),
+      };
+    });
+
+    // ==================== ACT ====================
+    const results = await Promise.allSettled(requests.map((request) => transferFunds(request)));
+
+    // ==================== ASSERT ====================
+
+    // 1) No system failures; only SUCCEEDED or INSUFFICIENT_FUNDS rejections
+    const failures = results.filter((r) => r.status === 'rejected');
+    expect(failures).toHaveLength(0);
+
+    const outcomes = results.map((r) => r.value);
+    outcomes.forEach((outcome) => {
+      if (outcome.success) {
+        expect(outcome.status).toBe('SUCCEEDED');
+      } else {
+        expect(outcome.reason).toBe('INSUFFICIENT_FUNDS');
+      }
+    });
+
+    // 2) Money is conserved and never negative
+    const accounts = await knex('accounts').whereIn('account_id', accountIds);
+    const total = accounts.reduce((sum, account) => sum + Number(account.current_balance), 0);
+    expect(total).toBe(accountCount * initialBalance);
+    accounts.forEach((account) => {
+      expect(Number(account.current_balance)).toBeGreaterThanOrEqual(0);
+    });
+
+    // 3) Cached balance matches the ledger for every account
+    const ledgerSums = await knex('ledger_entries')
+      .whereIn('account_id', accountIds)
+      .groupBy('account_id')
+      .select('account_id')
+      .sum('amount as total');
+    const ledgerByAccount = Object.fromEntries(
+      ledgerSums.map((row) => [row.account_id, Number(row.total)]),
+    );
+    accounts.forEach((account) => {
+      expect(Number(account.current_balance)).toBe(ledgerByAccount[account.account_id]);
+    });
+
+    // 4) Exactly two ledger entries per SUCCEEDED transfer
+    const succeededIds = outcomes.filter((o) => o.success).map((o) => o.transactionId);
+    const entryCounts = await knex('ledger_entries')
+      .whereIn('transaction_id', succeededIds)
+      .groupBy('transaction_id')
+      .select('transaction_id')
+      .count('* as count');
+    expect(entryCounts).toHaveLength(succeededIds.length);
+    entryCounts.forEach((row) => expect(Number(row.count)).toBe(2));
+  }, 120000);
+});
@@ -0,0 +1,145 @@
+/**
+ * Transfer Service — Multi-currency
+ *
+ * This test verifies that:
+ * - a transfer across currencies is converted with the rate table
+ * - the credit ledger entry records both converted and original amounts
+ * - the rate used is captured in response_payload and replays exactly,
+ *   even after the rate table changes
+ * - a currency pair without a rate is REJECTED with CURRENCY_MISMATCH
+ *   and moves no money
+ * - rate tables load from CSV as well as JSON
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const knex = require('../../db/knex');
+const { transferFunds } = require('../../services/transferService');
+const { createRateTable, loadRateTable } = require('../../services/exchangeRateService');
+
+describe('Transfer Service — Multi-currency', () => {
+  let testUserId;
+  let usdAccountId;
+  let eurAccountId;
+  let gbpAccountId;
+
+  const rateTable = createRateTable([{ from: 'USD', to: 'EUR', rate: '0.92' }]);
+
+  beforeAll(async () => {
+    const [user] = await knex('users')
+      .insert({ username: 'testuser_multi_currency', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+    testUserId = user.user_id;
+
+    const accounts = await knex('accounts')
+      .insert([
+        { user_id: testUserId, status: 'ACTIVE', current_balance: 10000, currency: 'USD' },
+        { user_id: testUserId, status: 'ACTIVE', current_balance: 0, currency: 'EUR' },
+        { user_id: testUserId, status: 'ACTIVE', current_balance: 0, currency: 'GBP' },
+      ])
+      .returning('*');
+    [usdAccountId, eurAccountId, gbpAccountId] = accounts.map((a) => a.account_id);
+  });
+
+  test('A transfer across currencies is converted and replays with the same rate', async () => {
+    // ==================== ARRANGE ====================
+    const request = {
+      initiatorUserId: testUserId,
+      fromAccountId: usdAccountId,
+      toAccountId: eurAccountId,
+      amount: 1005,
+      idempotencyKey: crypto.randomUUID(),
+    };
+
+    // ==================== ACT ====================
+    const result = await transferFunds({ ...request, rateTable });
+    const replay = await transferFunds({
+      ...request,
+      rateTable: createRateTable([{ from: 'USD', to: 'EUR', rate: '0.5' }]),
+    });
+
+    // ==================== ASSERT ====================
+
+    // 1) 1005 USD cents * 0.92 = 924.6 -> 925 EUR cents (half up)
+    expect(result.success).toBe(true);
+    expect(result.currency).toBe('USD');
+    expect(result.conversion).toEqual({
+      fromCurrency: 'USD',
+      toCurrency: 'EUR',
+      rate: '0.92',
+      convertedAmount: 925,
+    });
+
+    const usdAccount = await knex('accounts').where({ account_id: usdAccountId }).first();
+    const eurAccount = await knex('accounts').where({ account_id: eurAccountId }).first();
+    expect(Number(usdAccount.current_balance)).toBe(10000 - 1005);
+    expect(Number(eurAccount.current_balance)).toBe(925);
+
+    // 2) Ledger keeps each side in its own currency, plus the original amount
+    const ledgerEntries = await knex('ledger_entries')
+      .where({ transaction_id: result.transactionId })
+      .orderBy('amount', 'asc');
+    expect(ledgerEntries.map((e) => [Number(e.amount), e.currency])).toEqual([
+      [-1005, 'USD'],
+      [925, 'EUR'],
+    ]);
+    expect(ledgerEntries[0].original_amount).toBeNull();
+    expect(Number(ledgerEntries[1].original_amount)).toBe(1005);
+    expect(ledgerEntries[1].original_currency).toBe('USD');
+
+    // 3) Transaction row records the conversion
+    const transaction = await knex('transactions')
+      .where({ transaction_id: result.transactionId })
+      .first();
+    expect(transaction.currency).toBe('USD');
+    expect(Number(transaction.converted_amount)).toBe(925);
+    expect(transaction.converted_currency).toBe('EUR');
+    expect(Number(transaction.exchange_rate)).toBe(0.92);
+
+    // 4) Replay returns the stored conversion, not the new rate
+    expect(replay.replayed).toBe(true);
+    expect(replay.conversion).toEqual(result.conversion);
+  });
+
+  test('A currency pair without a rate is rejected with no side effects', async () => {
+    // ==================== ACT ====================
+    const result = await transferFunds({
+      initiatorUserId: testUserId,
+      fromAccountId: usdAccountId,
+      toAccountId: gbpAccountId,
+      amount: 500,
+      idempotencyKey: crypto.randomUUID(),
+      rateTable,
+    });
+
+    // ==================== ASSERT ====================
+    expect(result.success).toBe(false);
+    expect(result.status).toBe('REJECTED');
+    expect(result.reason).toBe('CURRENCY_MISMATCH');
+
+    const gbpAccount = await knex('accounts').where({ account_id: gbpAccountId }).first();
+    expect(Number(gbpAccount.current_balance)).toBe(0);
+
+    const ledgerEntries = await knex('ledger_entries').where({ transaction_id: result.transactionId });
+    expect(ledgerEntries).toHaveLength(0);
+  });
+
+  test('Rate tables load from CSV files', () => {
+    const csvPath = path.join(os.tmpdir(), `rates-${crypto.randomUUID()}.csv`);
+    fs.writeFileSync(csvPath, 'from,to,rate\nUSD,GBP,0.790\nGBP,USD,1.265\n');
+
+    try {
+      const csvTable = loadRateTable(csvPath);
+      expect(csvTable.getRate('USD', 'GBP')).toBe('0.79');
+      expect(csvTable.getRate('GBP', 'USD')).toBe('1.265');
+      expect(csvTable.getRate('USD', 'EUR')).toBeNull();
+      expect(csvTable.supports('GBP')).toBe(true);
+    } finally {
+      fs.unlinkSync(csvPath);
+    }
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Transfer Service — Idempotency Key Expiry
+ *
+ * This test verifies that:
+ * - keys older than the retention window are released by the purge job
+ * - keys inside the window are kept and still replay
+ * - a released key can be reused for a brand new transfer
+ * - the purge is recorded in audit_logs
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const { transferFunds } = require('../../services/transferService');
+const { purgeExpiredIdempotencyKeys } = require('../../services/idempotencyMaintenanceService');
+
+describe('Transfer Service — Idempotency Key Expiry', () => {
+  let testUserId;
+  let fromAccountId;
+  let toAccountId;
+
+  beforeAll(async () => {
+    const [user] = await knex('users')
+      .insert({ username: 'testuser_idempotency_expiry', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+    testUserId = user.user_id;
+
+    const accounts = await knex('accounts')
+      .insert([
+        { user_id: testUserId, status: 'ACTIVE', current_balance: 10000 },
+        { user_id: testUserId, status: 'ACTIVE', current_balance: 0 },
+      ])
+      .returning('*');
+    [fromAccountId, toAccountId] = accounts.map((a) => a.account_id);
+  });
+
+  test('An expired key is released and can be reused for a new transfer', async () => {
+    // ==================== ARRANGE ====================
+    const expiredKey = crypto.randomUUID();
+    const freshKey = crypto.randomUUID();
+    const request = {
+      initiatorUserId: testUserId,
+      fromAccountId,
+      toAccountId,
+      amount: 1000,
+    };
+
+    const expired = await transferFunds({ ...request, idempotencyKey: expiredKey });
+    const fresh = await transferFunds({ ...request, idempotencyKey: freshKey });
+
+    // Age the first transaction past the retention window
+    await knex('transactions')
+      .where({ transaction_id: expired.transactionId })
+      .update({ created_at: knex.raw("NOW() - INTERVAL '25 hours'") });
+
+    // ==================== ACT ====================
+    const summary = await purgeExpiredIdempotencyKeys({ retentionHours: 24 });
+    const reused = await transferFunds({ ...request, idempotencyKey: expiredKey });
+    const replayed = await transferFunds({ ...request, idempotencyKey: freshKey });
+
+    // ==================== ASSERT ====================
+
+    // 1) The old key was cleared, the transaction itself kept
+    expect(summary.purged).toBeGreaterThanOrEqual(1);
+
+    const purgedTx = await knex('transactions')
+      .where({ transaction_id: expired.transactionId })
+      .first();
+    expect(purgedTx.status).toBe('SUCCEEDED');
+    expect(purgedTx.idempotency_key).toBeNull();
+    expect(purgedTx.request_fingerprint).toBeNull();
+
+    // 2) Reusing the expired key creates a new transfer
+    expect(reused.success).toBe(true);
+    expect(reused.replayed).toBeUndefined();
+    expect(reused.transactionId).not.toBe(expired.transactionId);
+
+    // 3) The key inside the window still replays
+    expect(replayed.replayed).toBe(true);
+    expect(replayed.transactionId).toBe(fresh.transactionId);
+
+    // 4) Money moved three times, not four
+    const fromAccount = await knex('accounts').where({ account_id: fromAccountId }).first();
+    expect(Number(fromAccount.current_balance)).toBe(7000);
+
+    // 5) The run is audited
+    const auditLog = await knex('audit_logs')
+      .where({ action: 'IDEMPOTENCY_KEY_PURGE', actor_type: 'SYSTEM' })
+      .orderBy('created_at', 'desc')
+      .first();
+    expect(auditLog.outcome).toBe('SUCCEEDED');
+    expect(auditLog.reason).toBe(`purged=${summary.purged} retention_hours=24`);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Transfer Service — Idempotency Key In Flight
+ *
+ * This test verifies that:
+ * - a request whose key is held by another in-flight request gets
+ *   IDEMPOTENCY_REQUEST_IN_PROGRESS without any side effects
+ * - concurrent requests with the same key apply the transfer exactly once
+ * - losing a race never marks the winning transaction FAILED
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const { transferFunds } = require('../../services/transferService');
+const { tryAcquireIdempotencyLock } = require('../../db/idempotencyLock');
+
+describe('Transfer Service — Idempotency Key In Flight', () => {
+  let testUserId;
+  let fromAccountId;
+  let toAccountId;
+
+  beforeAll(async () => {
+    const [user] = await knex('users')
+      .insert({ username: 'testuser_idempotency_in_flight', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+    testUserId = user.user_id;
+
+    const accounts = await knex('accounts')
+      .insert([
+        { user_id: testUserId, status: 'ACTIVE', current_balance: 10000 },
+        { user_id: testUserId, status: 'ACTIVE', current_balance: 0 },
+      ])
+      .returning('*');
+    [fromAccountId, toAccountId] = accounts.map((a) => a.account_id);
+  });
+
+  test('A key held by an in-flight request is reported IN_PROGRESS', async () => {
+    // ==================== ARRANGE ====================
+    const idempotencyKey = crypto.randomUUID();
+    const holder = await knex.transaction();
+
+    try {
+      const acquired = await tryAcquireIdempotencyLock(holder, {
+        initiatorUserId: testUserId,
+        type: 'TRANSFER',
+        idempotencyKey,
+      });
+      expect(acquired).toBe(true);
+
+      // ==================== ACT ====================
+      const result = await transferFunds({
+        initiatorUserId: testUserId,
+        fromAccountId,
+        toAccountId,
+        amount: 1000,
+        idempotencyKey,
+      });
+
+      // ==================== ASSERT ====================
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+
+      const transactions = await knex('transactions')
+        .where({ idempotency_key: idempotencyKey });
+      expect(transactions).toHaveLength(0);
+    } finally {
+      await holder.rollback();
+    }
+
+    // Once the holder is gone the key is usable again
+    const retry = await transferFunds({
+      initiatorUserId: testUserId,
+      fromAccountId,
+      toAccountId,
+      amount: 1000,
+      idempotencyKey,
+    });
+    expect(retry.success).toBe(true);
+  });
+
+  test('Concurrent requests with the same key move money exactly once', async () => {
+    // ==================== ARRANGE ====================
+    const idempotencyKey = crypto.randomUUID();
+    const request = {
+      initiatorUserId: testUserId,
+      fromAccountId,
+      toAccountId,
+      amount: 500,
+      idempotencyKey,
+    };
+    const before = await knex('accounts').where({ account_id: fromAccountId }).first();
+
+    // ==================== ACT ====================
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => transferFunds(request)),
+    );
+
+    // ==================== ASSERT ====================
+
+    // 1) Every caller got either the transfer or IN_PROGRESS, never a system error
+    results.forEach((result) => {
+      expect(
+        result.status === 'SUCCEEDED' || result.error === 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+      ).toBe(true);
+    });
+    expect(results.some((result) => result.status === 'SUCCEEDED')).toBe(true);
+
+    // 2) Exactly one SUCCEEDED transaction, nothing marked FAILED
+    const transactions = await knex('transactions')
+      .where({ idempotency_key: idempotencyKey, type: 'TRANSFER' });
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0].status).toBe('SUCCEEDED');
+
+    // 3) Balance moved once
+    const after = await knex('accounts').where({ account_id: fromAccountId }).first();
+    expect(Number(after.current_balance)).toBe(Number(before.current_balance) - 500);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Transfer Service — Idempotency Key Reuse
+ *
+ * This test verifies that:
+ * - the request fingerprint is stored with the transaction
+ * - replaying the same request is flagged as replayed
+ * - reusing the key with a different amount or destination returns
+ *   IDEMPOTENCY_KEY_REUSED instead of the stored response
+ * - a reused key causes no side effects (no new rows, balances unchanged)
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const { transferFunds } = require('../../services/transferService');
+
+describe('Transfer Service — Idempotency Key Reuse', () => {
+  let testUserId;
+  let fromAccountId;
+  let toAccountId;
+  let otherAccountId;
+
+  beforeAll(async () => {
+    const [user] = await knex('users')
+      .insert({ username: 'testuser_idempotency_reuse', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+    testUserId = user.user_id;
+
+    const accounts = await knex('accounts')
+      .insert([
+        { user_id: testUserId, status: 'ACTIVE', current_balance: 10000 },
+        { user_id: testUserId, status: 'ACTIVE', current_balance: 0 },
+        { user_id: testUserId, status: 'ACTIVE', current_balance: 0 },
+      ])
+      .returning('*');
+    [fromAccountId, toAccountId, otherAccountId] = accounts.map((a) => a.account_id);
+  });
+
+  test('A reused key with a different payload is refused without side effects', async () => {
+    // ==================== ARRANGE ====================
+    const idempotencyKey = crypto.randomUUID();
+    const request = {
+      initiatorUserId: testUserId,
+      fromAccountId,
+      toAccountId,
+      amount: 3000,
+      idempotencyKey,
+    };
+
+    // ==================== ACT ====================
+    const first = await transferFunds(request);
+    const replay = await transferFunds(request);
+    const differentAmount = await transferFunds({ ...request, amount: 3001 });
+    const differentDestination = await transferFunds({ ...request, toAccountId: otherAccountId });
+
+    // ==================== ASSERT ====================
+
+    // 1) First call succeeds and stores the fingerprint
+    expect(first.success).toBe(true);
+    expect(first.replayed).toBeUndefined();
+
+    const transactions = await knex('transactions')
+      .where({ idempotency_key: idempotencyKey, type: 'TRANSFER' });
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0].request_fingerprint).toMatch(/^[0-9a-f]{64}$/);
+
+    // 2) Identical request replays the stored response
+    expect(replay.replayed).toBe(true);
+    expect(replay.transactionId).toBe(first.transactionId);
+
+    // 3) Different payloads are refused
+    [differentAmount, differentDestination].forEach((result) => {
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('IDEMPOTENCY_KEY_REUSED');
+      expect(result.transactionId).toBe(first.transactionId);
+    });
+
+    // 4) No side effects from the refused calls
+    const fromAccount = await knex('accounts').where({ account_id: fromAccountId }).first();
+    const otherAccount = await knex('accounts').where({ account_id: otherAccountId }).first();
+    expect(Number(fromAccount.current_balance)).toBe(7000);
+    expect(Number(otherAccount.current_balance)).toBe(0);
+
+    const ledgerEntries = await knex('ledger_entries')
+      .whereIn('account_id', [fromAccountId, toAccountId, otherAccountId]);
+    expect(ledgerEntries).toHaveLength(2);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Transfer Service — FROM_ACCOUNT_NOT_OWNED Rejection
+ *
+ * This test verifies that:
+ * - a transfer is REJECTED when the initiator does not own fromAccount
+ * - balances remain unchanged and no ledger entries are written
+ * - audit logs record ATTEMPTED and REJECTED outcomes
+ * - a custom debitPolicy (e.g. delegated access) can allow the same transfer
+ *
+ * Business rule:
+ * - Only users allowed by the debit policy (owner by default) may move
+ *   money out of an account
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const { transferFunds } = require('../../services/transferService');
+const { anyOf, ownerOnly } = require('../../policies/accountAccessPolicy');
+
+describe('Transfer Service — FROM_ACCOUNT_NOT_OWNED Rejection', () => {
+  let ownerId;
+  let attackerId;
+  let fromAccountId;
+  let toAccountId;
+
+  const initialFromBalance = 5000;
+  const initialToBalance = 0;
+  const transferAmount = 1000;
+
+  beforeAll(async () => {
+    const [owner] = await knex('users')
+      .insert({ username: 'testuser_not_owned_owner', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+    const [attacker] = await knex('users')
+      .insert({ username: 'testuser_not_owned_attacker', password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+    ownerId = owner.user_id;
+    attackerId = attacker.user_id;
+
+    // victim account owned by owner, destination owned by attacker
+    const [fromAccount] = await knex('accounts')
+      .insert({ user_id: ownerId, status: 'ACTIVE', current_balance: initialFromBalance })
+      .returning('*');
+    const [toAccount] = await knex('accounts')
+      .insert({ user_id: attackerId, status: 'ACTIVE', current_balance: initialToBalance })
+      .returning('*');
+    fromAccountId = fromAccount.account_id;
+    toAccountId = toAccount.account_id;
+  });
+
+  test('Transfer is REJECTED when initiator does not own fromAccount', async () => {
+    // ==================== ACT ====================
+    const result = await transferFunds({
+      initiatorUserId: attackerId,
+      fromAccountId,
+      toAccountId,
+      amount: transferAmount,
+      idempotencyKey: crypto.randomUUID(),
+    });
+
+    // ==================== ASSERT ====================
+    expect(result.success).toBe(false);
+    expect(result.status).toBe('REJECTED');
+    expect(result.reason).toBe('FROM_ACCOUNT_NOT_OWNED');
+
+    const { transactionId } = result;
+
+    const transaction = await knex('transactions')
+      .where({ transaction_id: transactionId })
+      .first();
+    expect(transaction.status).toBe('REJECTED');
+    expect(transaction.failure_reason).toBe('FROM_ACCOUNT_NOT_OWNED');
+
+    const updatedFromAccount = await knex('accounts').where({ account_id: fromAccountId }).first();
+    const updatedToAccount = await knex('accounts').where({ account_id: toAccountId }).first();
+    expect(Number(updatedFromAccount.current_balance)).toBe(initialFromBalance);
+    expect(Number(updatedToAccount.current_balance)).toBe(initialToBalance);
+
+    const ledgerEntries = await knex('ledger_entries').where({ transaction_id: transactionId });
+    expect(ledgerEntries).toHaveLength(0);
+
+    const auditLogs = await knex('audit_logs')
+      .where({ target_id: transactionId, target_type: 'TRANSACTION', action: 'TRANSFER' });
+    expect(auditLogs).toHaveLength(2);
+
+    const rejectedLog = auditLogs.find((log) => log.outcome === 'REJECTED');
+    expect(rejectedLog.actor_type).toBe('USER');
+    expect(rejectedLog.actor_id).toBe(attackerId);
+    expect(rejectedLog.reason).toBe('FROM_ACCOUNT_NOT_OWNED');
+  });
+
+  test('A custom debitPolicy can grant access without changing the service', async () => {
+    // ==================== ARRANGE ====================
+    // delegated access: the owner has granted attackerId access to fromAccount
+    const delegated = async ({ userId, account }) => (
+      userId === attackerId && account.account_id === fromAccountId
+    );
+
+    // ==================== ACT ====================
+    const result = await transferFunds({
+      initiatorUserId: attackerId,
+      fromAccountId,
+      toAccountId,
+      amount: transferAmount,
+      idempotencyKey: crypto.randomUUID(),
+      debitPolicy: anyOf(ownerOnly, delegated),
+    });
+
+    // ==================== ASSERT ====================
+    expect(result.success).toBe(true);
+    expect(result.status).toBe('SUCCEEDED');
+
+    const updatedFromAccount = await knex('accounts').where({ account_id: fromAccountId }).first();
+    expect(Number(updatedFromAccount.current_balance)).toBe(initialFromBalance - transferAmount);
+  });
+});
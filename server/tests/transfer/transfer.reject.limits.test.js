@@ -0,0 +1,209 @@
+/**
+ * Transfer Service — Money limits
+ *
+ * This test verifies that:
+ * - a transfer above the account's single-transfer limit is REJECTED
+ * - the rolling 24h limit counts the account's earlier outflow from the
+ *   ledger, and stops counting it once it is older than 24 hours
+ * - a user-wide limit adds up outflow across all of the owner's accounts
+ * - the calendar-month limit counts the whole month and resets with it
+ * - withdrawals, transfers held for review and authorized holds count as
+ *   outflow, and holds are checked against the limits when authorized
+ * - limit rejections are audited like any other rejection
+ *
+ * This test talks directly to the service layer (no HTTP).
+ */
+
+const crypto = require('crypto');
+const knex = require('../../db/knex');
+const { transferFunds } = require('../../services/transferService');
+const { withdrawFunds } = require('../../services/cashService');
+const { authorizeHold } = require('../../services/holdService');
+const { createRiskEngine } = require('../../services/riskEngineService');
+const { checkTransferLimits } = require('../../services/transferLimitService');
+
+describe('Transfer Service — Money limits', () => {
+  let recipientAccountId;
+
+  const createUserWithAccounts = async (username, count) => {
+    const [user] = await knex('users')
+      .insert({ username, password_hash: 'TEST_ONLY_HASH' })
+      .returning('*');
+
+    const accounts = await knex('accounts')
+      .insert(Array.from({ length: count }, () => ({
+        user_id: user.user_id,
+        status: 'ACTIVE',
+        current_balance: 100000,
+      })))
+      .returning('*');
+
+    return { userId: user.user_id, accountIds: accounts.map((a) => a.account_id) };
+  };
+
+  const send = (userId, fromAccountId, amount) => transferFunds({
+    initiatorUserId: userId,
+    fromAccountId,
+    toAccountId: recipientAccountId,
+    amount,
+    idempotencyKey: crypto.randomUUID(),
+  });
+
+  const backdateLedger = (transactionId, createdAt) => knex('ledger_entries')
+    .where({ transaction_id: transactionId })
+    .update({ created_at: createdAt });
+
+  beforeAll(async () => {
+    const recipient = await createUserWithAccounts('testuser_limits_recipient', 1);
+    [recipientAccountId] = recipient.accountIds;
+  });
+
+  test('Account limits: single transfer and rolling 24 hours', async () => {
+    // ==================== ARRANGE ====================
+    const { userId, accountIds: [accountId] } = await createUserWithAccounts(
+      'testuser_limits_account',
+      1,
+    );
+    await knex('transfer_limits').insert({
+      account_id: accountId,
+      max_single_amount: 5000,
+      daily_amount: 8000,
+    });
+
+    // ==================== ACT ====================
+    const tooLarge = await send(userId, accountId, 6000);
+    const first = await send(userId, accountId, 5000);
+    const overDaily = await send(userId, accountId, 4000);
+
+    await backdateLedger(first.transactionId, new Date(Date.now() - 25 * 60 * 60 * 1000));
+    const afterWindow = await send(userId, accountId, 4000);
+
+    // ==================== ASSERT ====================
+    expect(tooLarge.status).toBe('REJECTED');
+    expect(tooLarge.reason).toBe('SINGLE_TRANSFER_LIMIT_EXCEEDED');
+    expect(first.status).toBe('SUCCEEDED');
+    expect(overDaily.status).toBe('REJECTED');
+    expect(overDaily.reason).toBe('DAILY_LIMIT_EXCEEDED');
+    expect(afterWindow.status).toBe('SUCCEEDED');
+
+    const rejectedTx = await knex('transactions')
+      .where({ transaction_id: overDaily.transactionId })
+      .first();
+    expect(rejectedTx.failure_reason).toBe('DAILY_LIMIT_EXCEEDED');
+
+    const audit = await knex('audit_logs')
+      .where({ target_id: overDaily.transactionId, outcome: 'REJECTED' })
+      .first();
+    expect(audit.reason).toBe('DAILY_LIMIT_EXCEEDED');
+  });
+
+  test('User limits add up outflow across the owner\'s accounts', async () => {
+    // ==================== ARRANGE ====================
+    const { userId, accountIds: [firstAccountId, secondAccountId] } = await createUserWithAccounts(
+      'testuser_limits_user',
+      2,
+    );
+    await knex('transfer_limits').insert({ user_id: userId, daily_amount: 3000 });
+
+    // ==================== ACT ====================
+    const fromFirst = await send(userId, firstAccountId, 2000);
+    const fromSecond = await send(userId, secondAccountId, 2000);
+    const withinLimit = await send(userId, secondAccountId, 1000);
+
+    // ==================== ASSERT ====================
+    expect(fromFirst.status).toBe('SUCCEEDED');
+    expect(fromSecond.status).toBe('REJECTED');
+    expect(fromSecond.reason).toBe('DAILY_LIMIT_EXCEEDED');
+    expect(withinLimit.status).toBe('SUCCEEDED');
+  });
+
+  test('Monthly limit counts the calendar month only', async () => {
+    // ==================== ARRANGE ====================
+    const { userId, accountIds: [accountId] } = await createUserWithAccounts(
+      'testuser_limits_monthly',
+      1,
+    );
+    const earlier = await send(userId, accountId, 2000);
+    await backdateLedger(earlier.transactionId, new Date('2026-01-10T12:00:00Z'));
+
+    await knex('transfer_limits').insert({ account_id: accountId, monthly_amount: 3000 });
+    const account = await knex('accounts').where({ account_id: accountId }).first();
+
+    // ==================== ACT ====================
+    const sameMonth = await checkTransferLimits(knex, {
+      account,
+      amount: 1500,
+      now: new Date('2026-01-20T12:00:00Z'),
+    });
+    const nextMonth = await checkTransferLimits(knex, {
+      account,
+      amount: 1500,
+      now: new Date('2026-02-02T12:00:00Z'),
+    });
+
+    // ==================== ASSERT ====================
+    expect(sameMonth).toBe('MONTHLY_LIMIT_EXCEEDED');
+    expect(nextMonth).toBeNull();
+  });
+
+  test('Withdrawals, held transfers and authorized holds count as outflow', async () => {
+    // ==================== ARRANGE ====================
+    const { userId, accountIds: [accountId] } = await createUserWithAccounts(
+      'testuser_limits_outflow',
+      1,
+    );
+    await knex('transfer_limits').insert({
+      account_id: accountId,
+      max_single_amount: 6000,
+      daily_amount: 10000,
+    });
+
+    const hold = (amount) => authorizeHold({
+      initiatorUserId: userId,
+      fromAccountId: accountId,
+      toAccountId: recipientAccountId,
+      amount,
+      idempotencyKey: crypto.randomUUID(),
+    });
+
+    // ==================== ACT ====================
+    const tooLargeHold = await hold(7000);
+    const authorized = await hold(4000);
+    const withdrawal = await withdrawFunds({
+      initiatorUserId: userId,
+      fromAccountId: accountId,
+      amount: 3000,
+      idempotencyKey: crypto.randomUUID(),
+    });
+    const held = await transferFunds({
+      initiatorUserId: userId,
+      fromAccountId: accountId,
+      toAccountId: recipientAccountId,
+      amount: 2000,
+      idempotencyKey: crypto.randomUUID(),
+      riskEngine: createRiskEngine([
+        { id: 'REVIEW_ALL', type: 'NEW_PAYEE_OVER', amount: 1, action: 'REVIEW' },
+      ]),
+    });
+    const overDaily = await send(userId, accountId, 1500);
+
+    const account = await knex('accounts').where({ account_id: accountId }).first();
+    const approvingHeld = await checkTransferLimits(knex, {
+      account,
+      amount: 2000,
+      excludeTransactionId: held.transactionId,
+    });
+
+    // ==================== ASSERT ====================
+    expect(tooLargeHold).toMatchObject({ status: 'REJECTED', reason: 'SINGLE_TRANSFER_LIMIT_EXCEEDED' });
+    expect(authorized.status).toBe('AUTHORIZED');
+    expect(withdrawal.status).toBe('SUCCEEDED');
+    expect(held.status).toBe('UNDER_REVIEW');
+
+    // 4000 held + 3000 withdrawn + 2000 under review + 1500 > 10000
+    expect(overDaily.reason).toBe('DAILY_LIMIT_EXCEEDED');
+
+    // the held transfer does not count against its own approval
+    expect(approvingHeld).toBeNull();
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * CSV helpers (RFC 4180).
+ *
+ * Values containing a comma, quote or line break are quoted, with quotes
+ * doubled. Values that a spreadsheet would run as a formula (= + - @ at the
+ * start) get a leading apostrophe, since exported rows can carry text that
+ * users typed.
+ */
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {string[]} columns  property names, also used as the header row
+ * @param {object[]} rows
+ * @returns {string}          CRLF-separated lines, header first
+ */
+const toCsv = (columns, rows) => [columns, ...rows.map((row) => columns.map((c) => row[c]))]
+  .map((values) => values.map(escapeCsvValue).join(','))
+  .join('\r\n');
+
+module.exports = {
+  escapeCsvValue,
+  toCsv,
+};
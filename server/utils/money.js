@@ -0,0 +1,129 @@
+/**
+ * money
+ *
+ * The single definition of how money is represented.
+ *
+ * API contract:
+ * - every amount and balance is an integer number of MINOR units (cents)
+ *   e.g. $12.34 is sent and returned as 1234
+ * - decimals are never accepted: converting to cents is the client's job
+ *   (see frontend/src/utils/money.js)
+ * - values must fit in Number.MAX_SAFE_INTEGER so they survive JSON
+ *   and JS arithmetic without rounding
+ *
+ * DB contract:
+ * - amounts live in bigint columns, which node-postgres returns as strings;
+ *   fromDbAmount converts them back and refuses anything JS cannot hold exactly
+ *
+ * Currencies:
+ * - amounts are always in the currency of the account they belong to
+ * - every supported currency has two minor digits, so an exchange rate
+ *   converts cents of one currency straight into cents of another
+ * - rates are decimal strings and conversions use BigInt, never floats
+ */
+
+const MAX_AMOUNT = Number.MAX_SAFE_INTEGER;
+const DEFAULT_CURRENCY = 'USD';
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const RATE_PATTERN = /^(\d{1,10})(?:\.(\d{1,10}))?$/; // fits numeric(20, 10)
+
+/**
+ * Check a client-supplied amount.
+ * Returns null when valid, otherwise { error, message } ready for a 400.
+ */
+const validateAmount = (amount) => {
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+    return {
+      error: 'INVALID_TYPE',
+      message: 'Amount must be a valid number',
+    };
+  }
+
+  if (!Number.isInteger(amount)) {
+    return {
+      error: 'INVALID_AMOUNT_PRECISION',
+      message: 'Amount must be an integer number of cents',
+    };
+  }
+
+  if (amount <= 0) {
+    return {
+      error: 'INVALID_AMOUNT',
+      message: 'Amount must be greater than zero',
+    };
+  }
+
+  if (amount > MAX_AMOUNT) {
+    return {
+      error: 'AMOUNT_OUT_OF_RANGE',
+      message: `Amount must not exceed ${MAX_AMOUNT}`,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * True for a positive, safe integer amount of cents.
+ */
+const isValidAmount = (amount) => validateAmount(amount) === null;
+
+/**
+ * Convert a bigint / numeric column value to an integer number of cents.
+ * Throws a RangeError rather than silently losing precision.
+ */
+const fromDbAmount = (value) => {
+  const amount = Number(value);
+
+  if (!Number.isSafeInteger(amount)) {
+    throw new RangeError(`Amount ${value} is not a safe integer number of cents`);
+  }
+
+  return amount;
+};
+
+/**
+ * True for a three-letter upper-case currency code (e.g. 'EUR').
+ */
+const isCurrencyCode = (value) => typeof value === 'string' && CURRENCY_PATTERN.test(value);
+
+/**
+ * Canonical decimal string for an exchange rate, or null if it is not a
+ * positive decimal with at most 10 fractional digits.
+ * '0.920', 0.92 and the numeric column value '0.9200000000' all become '0.92',
+ * so a rate read back from the DB compares equal to the one that was used.
+ */
+const normalizeRate = (value) => {
+  const match = String(value).trim().match(RATE_PATTERN);
+  if (!match) return null;
+
+  const whole = match[1].replace(/^0+(?=\d)/, '');
+  const fraction = (match[2] || '').replace(/0+$/, '');
+  const rate = fraction ? `${whole}.${fraction}` : whole;
+
+  return /[1-9]/.test(rate) ? rate : null;
+};
+
+/**
+ * Convert an amount of cents with a normalized rate, rounding half up.
+ * Returns an integer number of cents in the target currency.
+ */
+const convertAmount = (amount, rate) => {
+  const [whole, fraction = ''] = rate.split('.');
+  const scale = 10n ** BigInt(fraction.length);
+  const numerator = BigInt(amount) * BigInt(`${whole}${fraction}`);
+  const converted = (numerator * 2n + scale) / (scale * 2n);
+
+  return fromDbAmount(converted.toString());
+};
+
+module.exports = {
+  MAX_AMOUNT,
+  DEFAULT_CURRENCY,
+  validateAmount,
+  isValidAmount,
+  fromDbAmount,
+  isCurrencyCode,
+  normalizeRate,
+  convertAmount,
+};
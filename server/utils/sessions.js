@@ -0,0 +1,66 @@
+/**
+ * sessions
+ *
+ * Starting and ending a server-side session on a request (the session
+ * middleware itself is middleware/handleSessions.js).
+ *
+ * - logging in always issues a new session id (no session fixation)
+ * - logging out deletes the session server-side, not just the cookie
+ * - timeouts: SESSION_IDLE_TIMEOUT_MINUTES after the last request
+ *   (default 30) and SESSION_ABSOLUTE_TIMEOUT_HOURS after login
+ *   (default 12), however active the session is
+ */
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE_NAME = 'sid';
+const DEFAULT_IDLE_TIMEOUT_MINUTES = 30;
+const DEFAULT_ABSOLUTE_TIMEOUT_HOURS = 12;
+
+const idleTimeoutMs = () => 60 * 1000
+  * (Number(process.env.SESSION_IDLE_TIMEOUT_MINUTES) || DEFAULT_IDLE_TIMEOUT_MINUTES);
+
+const absoluteTimeoutMs = () => 60 * 60 * 1000
+  * (Number(process.env.SESSION_ABSOLUTE_TIMEOUT_HOURS) || DEFAULT_ABSOLUTE_TIMEOUT_HOURS);
+
+// express-session's callback API, as promises
+const regenerateSession = (req) => new Promise((resolve, reject) => {
+  req.session.regenerate((error) => (error ? reject(error) : resolve()));
+});
+
+const destroySession = (req) => new Promise((resolve, reject) => {
+  req.session.destroy((error) => (error ? reject(error) : resolve()));
+});
+
+/**
+ * Log a user in on this request: a fresh session (new id) holding the
+ * user and where the login came from.
+ */
+const startSession = async (req, userId, now = new Date()) => {
+  await regenerateSession(req);
+
+  Object.assign(req.session, {
+    userId,
+    sessionId: crypto.randomUUID(), // public id; the sid stays server-side
+    createdAt: now.toISOString(),
+    absoluteExpiresAt: new Date(now.getTime() + absoluteTimeoutMs()).toISOString(),
+    ipAddress: req.auditContext?.ipAddress || null,
+    userAgent: req.auditContext?.userAgent || null,
+  });
+};
+
+/**
+ * Log out: delete the session server-side and clear the cookie.
+ */
+const endSession = async (req, res) => {
+  await destroySession(req);
+  res.clearCookie(SESSION_COOKIE_NAME);
+};
+
+module.exports = {
+  SESSION_COOKIE_NAME,
+  idleTimeoutMs,
+  regenerateSession,
+  startSession,
+  endSession,
+};
@@ -0,0 +1,35 @@
+/**
+ * timestamps
+ *
+ * Checks timestamps that clients hand back as text (e.g. inside a
+ * pagination cursor) before they reach a `?::timestamptz` cast, so a
+ * tampered value is refused instead of making Postgres throw.
+ *
+ * Accepts what Postgres prints for timestamptz (`2026-10-19 12:00:00.123456+00`)
+ * and ISO-8601 (`2026-10-19T12:00:00.123Z`); the offset is required.
+ */
+
+const TIMESTAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2})?)$/;
+
+/**
+ * Is `value` a real calendar date and time in one of the accepted formats?
+ * Rejects impossible dates such as Feb 30, which Date would roll over.
+ */
+const isTimestampText = (value) => {
+  const match = typeof value === 'string' ? TIMESTAMP_PATTERN.exec(value) : null;
+  if (!match) return false;
+
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  return date.getUTCFullYear() === year
+    && date.getUTCMonth() === month - 1
+    && date.getUTCDate() === day
+    && hour < 24
+    && minute < 60
+    && second < 60;
+};
+
+module.exports = {
+  isTimestampText,
+};